@@ -245,7 +245,7 @@ outcome.animate = () => {
   }
 
   if (!isInitialized) {
-    const positionTexture = physics.positionTexture || physics.positionMassTexture;
+    const positionTexture = physics.getPositionTexture();
     positionTextureWrapper = new THREE.ExternalTexture(positionTexture);
 
     // Use pre-loaded global color texture
@@ -261,7 +261,7 @@ outcome.animate = () => {
   }
 
   // Step 1: Apply gravity forces
-  physics.step();
+  physics.compute();
   
   // Step 2: Apply graph forces additively to velocities
   if (graphModule) {
@@ -356,7 +356,7 @@ recreateAll();
     meshRadio.checked = method === "mesh";
     updateDocumentTitle(calculationMethod);
     //console.log("[Demo Kernels] Method toggled via DevTools:", method);
-    recreateAll();
+    switchPhysicsMethod();
   } else {
     console.error(
       '[Demo Kernels] Invalid method. Use "monopole", "quadrupole", "spectral", or "mesh"'
@@ -391,7 +391,7 @@ monopoleRadio.onchange = () => {
     calculationMethod = "monopole";
     updateDocumentTitle(calculationMethod);
     console.log("[Demo Kernels] Switched to Monopole (1st-order)");
-    recreateAll();
+    switchPhysicsMethod();
   }
 };
 
@@ -400,7 +400,7 @@ quadrupoleRadio.onchange = () => {
     calculationMethod = "quadrupole";
     updateDocumentTitle(calculationMethod);
     console.log("[Demo Kernels] Switched to Quadrupole (2nd-order)");
-    recreateAll();
+    switchPhysicsMethod();
   }
 };
 
@@ -409,7 +409,7 @@ spectralRadio.onchange = () => {
     calculationMethod = "spectral";
     updateDocumentTitle(calculationMethod);
     console.log("[Demo Kernels] Switched to Spectral (PM/FFT)");
-    recreateAll();
+    switchPhysicsMethod();
   }
 };
 
@@ -418,7 +418,7 @@ meshRadio.onchange = () => {
     calculationMethod = "mesh";
     updateDocumentTitle(calculationMethod);
     console.log("[Demo Kernels] Switched to Mesh");
-    recreateAll();
+    switchPhysicsMethod();
   }
 };
 
@@ -441,6 +441,44 @@ function updateStatus(message) {
   }
 }
 
+/**
+ * Per-method options shared by initial creation and in-place method switches
+ * @param {string} method
+ */
+function methodOptions(method) {
+  if (method === 'mesh') {
+    return {
+      mesh: /** @type {const} */ ({
+        assignment: 'cic',
+        gridSize: 64,
+        slicesPerRow: 8,
+        nearFieldRadius: 2
+      })
+    };
+  }
+  return { theta: 0.7 };
+}
+
+/**
+ * Swap the force method of the running system, keeping particle state on the GPU
+ */
+function switchPhysicsMethod() {
+  if (!physics) {
+    recreateAll();
+    return;
+  }
+
+  try {
+    physics.switchMethod(
+      /** @type {'monopole' | 'quadrupole' | 'spectral' | 'mesh'} */ (calculationMethod),
+      methodOptions(calculationMethod));
+    updateStatus("Running");
+  } catch (err) {
+    console.warn('[Demo Kernels] In-place method switch failed, recreating:', err);
+    recreateAll();
+  }
+}
+
 function recreateAll() {
   updateStatus("Disposing previous system...");
 
@@ -610,16 +648,7 @@ function recreatePhysicsAndMesh() {
       })
     });
 
-    if (calculationMethod === 'mesh') {
-      kernelOptions.mesh = {
-        assignment: 'cic',
-        gridSize: 64,
-        slicesPerRow: 8,
-        nearFieldRadius: 2
-      };
-    } else {
-      kernelOptions.theta = 0.7;
-    }
+    Object.assign(kernelOptions, methodOptions(calculationMethod));
 
     system = particleSystem(kernelOptions);
     console.log(`[Demo Kernels] Created kernel system: ${calculationMethod}`);
@@ -637,7 +666,7 @@ function recreatePhysicsAndMesh() {
     throw error;
   }
 
-  const textureSize = { width: system.textureWidth, height: system.textureHeight };
+  const textureSize = system.getTextureSize();
 
   const colorTexture = buildColorTexture(gl, particles, textureSize, worldBounds);
   colorTexGlobal = colorTexture;
@@ -646,8 +675,7 @@ function recreatePhysicsAndMesh() {
     textureMode: true,
     particleCount,
     textures: {
-      // positionTexture is always defined here
-      position: /** @type {WebGLTexture} */ (system.positionTexture || system.positionMassTexture),
+      position: system.getPositionTexture(),
       color: colorTexture,
       size: [textureSize.width, textureSize.height],
     },
@@ -660,15 +688,15 @@ function recreatePhysicsAndMesh() {
 
   // Create LaplacianForceModuleKernels if graph forces are enabled
   if (graphForcesEnabled && edges) {
-    const textureSize = system.getTextureSize ? system.getTextureSize() : { width: system.textureWidth, height: system.textureHeight };
+    const textureSize = system.getTextureSize();
     const hasFloatBlend = !!gl.getExtension('EXT_float_blend');
     
     laplacianModule = new GraphLaplacian({
       gl,
       edges,
       particleCount,
-      textureWidth: textureSize.width || system.textureWidth,
-      textureHeight: textureSize.height || system.textureHeight,
+      textureWidth: textureSize.width,
+      textureHeight: textureSize.height,
       k: 1,  // Spring constant (3x stronger)
       shardSize: 64,
       normalized: false,
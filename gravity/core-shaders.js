@@ -93,3 +93,69 @@ void main() {
   fragColor = vec4(newVel, vel.w);
 }`;
 
+
+/**
+ * Block timesteps: velocity.w holds a particle's bin b in [0, maxBin]. A frame is split
+ * into 2^maxBin substeps and bin b steps every 2^(maxBin - b) of them, so bin 0 takes
+ * one step per frame and bin maxBin one per substep. Every bin is active on substep 0.
+ * Paste into a fragment shader before use.
+ */
+export const blockTimestepGLSL = /* glsl */`
+int blockBin(float w, int maxBin) {
+  return clamp(int(w), 0, maxBin);
+}
+
+int blockStride(int bin, int maxBin) {
+  return 1 << (maxBin - bin);
+}
+
+bool blockActive(float w, int substep, int maxBin) {
+  return substep % blockStride(blockBin(w, maxBin), maxBin) == 0;
+}
+`;
+
+/**
+ * Boundary conditions for the integrators. u_boundary is an index into BOUNDARIES
+ * (multipole/boundary.js): 0 is open, 1 wraps positions into the box
+ * [u_boxMin, u_boxMin + u_boxSize), 2..4 are the walls. applyBoundary() is the
+ * position-only wrap; applyWalls() acts on a particle's drifted state and is a
+ * no-op unless a wall mode is set. Declares its own uniforms; paste into a
+ * fragment shader before use.
+ */
+export const boundaryGLSL = /* glsl */`
+uniform int u_boundary;
+uniform vec3 u_boxMin;
+uniform vec3 u_boxSize;
+uniform float u_restitution;
+
+vec3 applyBoundary(vec3 pos) {
+  if (u_boundary == 1) return pos - u_boxSize * floor((pos - u_boxMin) / u_boxSize);
+  return pos;
+}
+
+void applyWalls(inout vec3 pos, inout vec3 vel, inout float mass) {
+  if (u_boundary < 2) return;
+  vec3 boxMax = u_boxMin + u_boxSize;
+  bvec3 below = lessThan(pos, u_boxMin);
+  bvec3 above = greaterThan(pos, boxMax);
+  if (!any(below) && !any(above)) return;
+
+  // Absorb: mass 0 frees the slot, every kernel skips it from here on
+  if (u_boundary == 3) {
+    mass = 0.0;
+    return;
+  }
+
+  vec3 outward = vec3(below) * min(vel, 0.0) + vec3(above) * max(vel, 0.0);
+  if (u_boundary == 2) {
+    // Reflect: fold the overshoot back in, shortened like the bounce itself
+    pos = mix(pos, u_boxMin + u_restitution * (u_boxMin - pos), vec3(below));
+    pos = mix(pos, boxMax - u_restitution * (pos - boxMax), vec3(above));
+    vel -= (1.0 + u_restitution) * outward;
+  } else {
+    // Clamp: rest on the face, free to slide along it
+    vel -= outward;
+  }
+  pos = clamp(pos, u_boxMin, boxMax);
+}
+`;
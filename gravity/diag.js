@@ -156,33 +156,27 @@ function createProfile(values, windowSize = 16) {
 /**
  * Create axis profiles for 3D grid
  */
-function createAxisProfiles(pixels, gridSize, channelIndex) {
-  const profileX = [];
-  const profileY = [];
-  const profileZ = [];
+function createAxisProfiles(pixels, [nx, ny, nz], channelIndex) {
+  const sumX = new Array(nx).fill(0);
+  const sumY = new Array(ny).fill(0);
+  const sumZ = new Array(nz).fill(0);
   
   // Average along each axis
-  for (let i = 0; i < gridSize; i++) {
-    let sumX = 0, sumY = 0, sumZ = 0;
-    let countX = 0, countY = 0, countZ = 0;
-    
-    for (let z = 0; z < gridSize; z++) {
-      for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
-          const val = pixels[z][y][x][channelIndex];
-          
-          if (x === i) { sumX += val; countX++; }
-          if (y === i) { sumY += val; countY++; }
-          if (z === i) { sumZ += val; countZ++; }
-        }
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const val = pixels[z][y][x][channelIndex];
+        sumX[x] += val;
+        sumY[y] += val;
+        sumZ[z] += val;
       }
     }
-    
-    profileX.push(countX > 0 ? sumX / countX : 0);
-    profileY.push(countY > 0 ? sumY / countY : 0);
-    profileZ.push(countZ > 0 ? sumZ / countZ : 0);
   }
   
+  const profileX = sumX.map(sum => sum / (ny * nz));
+  const profileY = sumY.map(sum => sum / (nx * nz));
+  const profileZ = sumZ.map(sum => sum / (nx * ny));
+  
   const normalize = (values) => {
     const min = Math.min(...values);
     const max = Math.max(...values);
@@ -370,7 +364,7 @@ export function readLinear({ gl, texture, width, height, count, channels = ['x',
  *   texture: WebGLTexture,
  *   width: number,
  *   height: number,
- *   gridSize: number,
+ *   gridSize: number | [number, number, number],
  *   channels?: string[],
  *   pixels?: boolean,
  *   format?: number|string
@@ -405,9 +399,10 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
   gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
   
-  // Calculate slice packing
-  const slicesPerRow = Math.ceil(width / gridSize);
-  const voxelCount = gridSize * gridSize * gridSize;
+  // Calculate slice packing; a single number is a cubic grid
+  const [nx, ny, nz] = typeof gridSize === 'number' ? [gridSize, gridSize, gridSize] : gridSize;
+  const slicesPerRow = Math.ceil(width / nx);
+  const voxelCount = nx * ny * nz;
   
   // Read pixels
   const bytesPerPixel = formatInfo.bufferChannels * (formatInfo.type === gl.FLOAT ? 4 : 1);
@@ -426,16 +421,16 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   const numChannels = Math.min(channels.length, actualChannels);
   if (shouldCapturePixels) {
     pixels3D = [];
-    for (let z = 0; z < gridSize; z++) {
+    for (let z = 0; z < nz; z++) {
       pixels3D[z] = [];
-      for (let y = 0; y < gridSize; y++) {
+      for (let y = 0; y < ny; y++) {
         pixels3D[z][y] = [];
-        for (let x = 0; x < gridSize; x++) {
+        for (let x = 0; x < nx; x++) {
           // Calculate texture coordinates for this voxel
           const sliceX = z % slicesPerRow;
           const sliceY = Math.floor(z / slicesPerRow);
-          const texX = sliceX * gridSize + x;
-          const texY = sliceY * gridSize + y;
+          const texX = sliceX * nx + x;
+          const texY = sliceY * ny + y;
           const texIndex = (texY * width + texX) * formatInfo.bufferChannels;
           
           const voxel = {};
@@ -474,13 +469,13 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   for (let c = 0; c < numChannels; c++) {
     const values = [];
     
-    for (let z = 0; z < gridSize; z++) {
-      for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
+    for (let z = 0; z < nz; z++) {
+      for (let y = 0; y < ny; y++) {
+        for (let x = 0; x < nx; x++) {
           const sliceX = z % slicesPerRow;
           const sliceY = Math.floor(z / slicesPerRow);
-          const texX = sliceX * gridSize + x;
-          const texY = sliceY * gridSize + y;
+          const texX = sliceX * nx + x;
+          const texY = sliceY * ny + y;
           const texIndex = (texY * width + texX) * formatInfo.bufferChannels;
           values.push(buffer[texIndex + c]);
         }
@@ -491,7 +486,7 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
     
     // Add axis profiles
     if (pixels3D) {
-      const profiles = createAxisProfiles(pixels3D, gridSize, channels[c]);
+      const profiles = createAxisProfiles(pixels3D, [nx, ny, nz], channels[c]);
       Object.assign(stats, profiles);
     }
     
@@ -513,7 +508,7 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
     const lines = [];
     
     // Metadata line
-    lines.push(`${result.width}x${result.height} ${result.format} grid${result.gridSize}^3=${result.voxelCount}vox slices=${result.slicesPerRow}`);
+    lines.push(`${result.width}x${result.height} ${result.format} grid${nx === ny && ny === nz ? `${nx}^3` : `${nx}x${ny}x${nz}`}=${result.voxelCount}vox slices=${result.slicesPerRow}`);
     
     // Compact channel statistics
     for (const channel of channels) {
@@ -0,0 +1,247 @@
+// @ts-check
+
+/**
+ * GravityDirect - Exact O(N²) reference particle system
+ *
+ * Sums every pair with KDirectForces and steps with the same KIntegrateEuler pass
+ * and integrator registry as the tree and mesh engines, so its trajectories differ
+ * from theirs only by the force approximation. Intended for validation runs up to
+ * a few tens of thousands of particles.
+ */
+
+import { KDirectForces } from './k-direct-forces.js';
+import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
+import { INTEGRATORS, createIntegrator } from '../multipole/integrators.js';
+import { AdaptiveTimestep } from '../multipole/adaptive-timestep.js';
+
+export class GravityDirect {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   textureWidth: number,
+   *   textureHeight: number,
+   *   particleCount?: number,
+   *   positionMassTexture?: WebGLTexture,
+   *   velocityColorTexture?: WebGLTexture,
+   *   worldBounds?: { min: [number,number,number], max: [number,number,number] },
+   *   dt?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+   *   adaptiveTimestep?: import('../multipole/adaptive-timestep.js').AdaptiveTimestepOptions,
+   *   tileSize?: number
+   * }} options
+   */
+  constructor({
+    gl,
+    textureWidth,
+    textureHeight,
+    particleCount,
+    positionMassTexture,
+    velocityColorTexture,
+    worldBounds,
+    dt,
+    gravityStrength,
+    softening,
+    damping,
+    maxSpeed,
+    maxAccel,
+    integrator,
+    adaptiveTimestep,
+    tileSize
+  }) {
+    this.gl = gl;
+
+    if (!textureWidth || !textureHeight)
+      throw new Error('GravityDirect requires textureWidth and textureHeight');
+
+    this.textureWidth = textureWidth;
+    this.textureHeight = textureHeight;
+    this.actualTextureSize = textureWidth * textureHeight;
+
+    // Validate or derive particleCount
+    this.particleCount = particleCount !== undefined ? particleCount : this.actualTextureSize;
+    if (this.particleCount > this.actualTextureSize)
+      throw new Error(`particleCount ${this.particleCount} exceeds texture capacity ${this.actualTextureSize}`);
+
+    // No spatial structure to fit, but kept so the facade can carry bounds across switchMethod
+    this.worldBounds = worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    this.dt = dt !== undefined ? dt : 1 / 60;
+    this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
+    this.softening = softening !== undefined ? softening : 0.2;
+    this.damping = damping !== undefined ? damping : 0.0;
+    this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
+    this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
+
+    this.integrator = integrator || 'euler';
+    if (!INTEGRATORS.includes(this.integrator))
+      throw new Error(`GravityDirect: unknown integrator '${this.integrator}', expected one of ${INTEGRATORS.join(', ')}`);
+
+    this.frameCount = 0;
+
+    const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
+    if (!colorBufferFloat)
+      throw new Error('EXT_color_buffer_float extension not supported');
+
+    this.positionMassTexture = positionMassTexture;
+    this.velocityColorTexture = velocityColorTexture;
+
+    // Omit outForce so the kernel allocates it; positions are wired per pass
+    this.forceKernel = new KDirectForces({
+      gl: this.gl,
+      inPosition: null,
+      particleTexWidth: this.textureWidth,
+      particleTexHeight: this.textureHeight,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      tileSize
+    });
+
+    this.integrateEulerKernel = new KIntegrateEuler({
+      gl: this.gl,
+      inPosition: this.positionMassTexture,
+      inVelocity: this.velocityColorTexture,
+      inForce: null,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel
+    });
+
+    this.positionMassTexture = this.integrateEulerKernel.inPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
+
+    // Steppers other than Euler borrow the Euler kernel's ping-pong pair rather than allocating their own
+    this.stepper = createIntegrator(this.integrator, {
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel
+    });
+
+    // Optional: split each frame's dt into substeps sized from the GPU-reduced max |a| and |v|
+    this.adaptiveTimestep = adaptiveTimestep ? new AdaptiveTimestep({
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      ...adaptiveTimestep
+    }) : null;
+  }
+
+  /**
+   * Step the simulation forward one frame
+   */
+  step() {
+    if (this.adaptiveTimestep) {
+      this.adaptiveTimestep.advance(this, () => this._evaluateForces(), () => this._integrateStep());
+    } else {
+      this._integrateStep();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * One integration step over the kernels' current dt: the configured stepper, or the built-in Euler pass
+   */
+  _integrateStep() {
+    if (this.stepper) {
+      this.stepper.step(this, () => this._evaluateForces());
+      return;
+    }
+
+    this._calculateForces();
+    this._integratePhysics();
+  }
+
+  /**
+   * Run the force pipeline at the current positions
+   * @returns {WebGLTexture | null} force texture
+   */
+  _evaluateForces() {
+    this._calculateForces();
+    return this.forceKernel.outForce || null;
+  }
+
+  _calculateForces() {
+    if (!this.positionMassTexture) throw new Error('Position texture missing');
+
+    this.forceKernel.inPosition = this.positionMassTexture;
+    this.forceKernel.run();
+
+    this.integrateEulerKernel.inForce = this.forceKernel.outForce || null;
+  }
+
+  _integratePhysics() {
+    // allow external inputs
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.run();
+
+    // swap and leave updated textures in system properties
+    this.positionMassTexture = this.integrateEulerKernel.outPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.outVelocity;
+
+    this.integrateEulerKernel.outPosition = this.integrateEulerKernel.inPosition;
+    this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
+  /**
+   * Update physics parameters between steps. Omitted keys keep their current value.
+   * theta is accepted for parity with the tree engines and has no effect here.
+   * @param {{
+   *   theta?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number
+   * }} params
+   */
+  setParams(params) {
+    if (params.gravityStrength !== undefined) this.gravityStrength = params.gravityStrength;
+    if (params.softening !== undefined) this.softening = params.softening;
+    if (params.dt !== undefined) this.dt = params.dt;
+    if (params.damping !== undefined) this.damping = params.damping;
+    if (params.maxSpeed !== undefined) this.maxSpeed = params.maxSpeed;
+    if (params.maxAccel !== undefined) this.maxAccel = params.maxAccel;
+
+    this.forceKernel.gravityStrength = this.gravityStrength;
+    this.forceKernel.softening = this.softening;
+
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    if (this.stepper) {
+      this.stepper.dt = this.dt;
+      this.stepper.damping = this.damping;
+      this.stepper.maxSpeed = this.maxSpeed;
+      this.stepper.maxAccel = this.maxAccel;
+    }
+  }
+
+  dispose() {
+    // The particle pair belongs to the integrator, the force it reads to the force kernel
+    if (this.forceKernel) this.forceKernel.inPosition = null;
+    if (this.integrateEulerKernel) this.integrateEulerKernel.inForce = null;
+
+    this.forceKernel?.dispose();
+    this.integrateEulerKernel?.dispose();
+    this.stepper?.dispose();
+    this.adaptiveTimestep?.dispose();
+  }
+}
@@ -0,0 +1,364 @@
+// @ts-check
+
+/**
+ * DirectForcesKernel - Exact all-pairs gravity
+ *
+ * Every particle sums the softened pull of every other active particle, using the
+ * same Plummer kernel as KTraversal. Sources are processed in tiles of `tileSize`
+ * particles, one draw per tile, ping-ponging the partial sums between outForce and
+ * an internal texture so no single draw loops over the whole set; the last tile
+ * always lands in outForce. The output's w channel counts the pairs summed.
+ *
+ * With `useTargets`, outForce is an outWidth×outHeight list instead: texel k
+ * holds the force on the particle whose index sits at texel k of inTargets
+ * (an R32I texture, as KGather's inIndices), for the first targetCount texels.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+import directForcesFrag from './shaders/direct-forces.frag.js';
+
+export class KDirectForces {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inTargets?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   particleTexWidth?: number,
+   *   particleTexHeight?: number,
+   *   outWidth?: number,
+   *   outHeight?: number,
+   *   targetCount?: number,
+   *   useTargets?: boolean,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   tileSize?: number
+   * }} params
+   */
+  constructor({
+    gl,
+    inPosition,
+    inTargets,
+    outForce,
+    particleTexWidth = 0,
+    particleTexHeight = 0,
+    outWidth,
+    outHeight,
+    targetCount = 0,
+    useTargets = false,
+    gravityStrength = 0.0003,
+    softening = 0.2,
+    tileSize = 4096
+  }) {
+    this.gl = gl;
+
+    // Particle texture dimensions
+    this.particleTexWidth = particleTexWidth;
+    this.particleTexHeight = particleTexHeight;
+
+    // Output dimensions: the particle texture itself, or a compact target list
+    this.useTargets = !!useTargets;
+    this.outWidth = this.useTargets ? outWidth || 0 : particleTexWidth;
+    this.outHeight = this.useTargets ? outHeight || 0 : particleTexHeight;
+    this.targetCount = targetCount;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (inPosition || inPosition === null)
+      ? inPosition
+      : createTextureRGBA32F(this.gl, this.particleTexWidth, this.particleTexHeight);
+
+    this.inTargets = !this.useTargets ? null : (inTargets || inTargets === null)
+      ? inTargets
+      : createTextureR32I(this.gl, this.outWidth, this.outHeight);
+
+    this.outForce = (outForce || outForce === null)
+      ? outForce
+      : createTextureRGBA32F(this.gl, this.outWidth, this.outHeight);
+
+    // Physics parameters
+    this.gravityStrength = gravityStrength;
+    this.softening = softening;
+
+    // Sources per draw; smaller tiles keep each draw short on slow GPUs
+    if (!Number.isInteger(tileSize) || tileSize < 1)
+      throw new Error(`KDirectForces: tileSize must be a positive integer, got ${tileSize}`);
+    this.tileSize = tileSize;
+
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, directForcesFrag(this.useTargets));
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run). Keep a shadow
+    // of attachments so run() can rebind only when they change.
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
+
+    // Internal ping-pong partner for multi-tile runs, allocated on first need
+    /** @type {WebGLTexture | null} */
+    this._partialForce = null;
+    /** @type {WebGLFramebuffer | null} */
+    this._partialFramebuffer = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTexWidth,
+        height: this.particleTexHeight, count: this.particleTexWidth * this.particleTexHeight,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.outWidth,
+        height: this.outHeight, count: this.useTargets ? this.targetCount : this.outWidth * this.outHeight,
+        channels: ['fx', 'fy', 'fz', 'interactions'], pixels: true
+      }),
+      particleTexWidth: this.particleTexWidth,
+      particleTexHeight: this.particleTexHeight,
+      useTargets: this.useTargets,
+      targetCount: this.targetCount,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      tileSize: this.tileSize,
+      totalForce: 0,
+      renderCount: this.renderCount
+    };
+
+    // Calculate total force as sum of individual particle force magnitudes
+    if (value.force?.pixels && value.force.pixels.length > 0) {
+      let totalMag = 0;
+      for (const pixel of value.force.pixels)
+        totalMag += Math.sqrt(pixel.fx ** 2 + pixel.fy ** 2 + pixel.fz ** 2);
+      value.totalForce = totalMag;
+    }
+
+    value.toString = () =>
+      `KDirectForces(${this.particleTexWidth}×${this.particleTexHeight}${this.useTargets ? ` → ${this.targetCount} targets` : ''}) G=${this.gravityStrength} soft=${this.softening} tile=${this.tileSize} #${this.renderCount}
+
+position: ${value.position}
+
+force: ${value.force ? `totalForceMag=${formatNumber(value.totalForce)} ` : ''}${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Markdown-formatted summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.outForce) throw new Error('KDirectForces: missing required textures');
+    if (this.useTargets && !this.inTargets) throw new Error('KDirectForces: useTargets requires inTargets');
+    if (this.useTargets && this.targetCount > this.outWidth * this.outHeight)
+      throw new Error(`KDirectForces: targetCount ${this.targetCount} exceeds output capacity ${this.outWidth * this.outHeight}`);
+
+    gl.useProgram(this.program);
+
+    // Ensure framebuffer attachments match our output
+    if (this._fboShadow?.a0 !== this.outForce) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { a0: this.outForce };
+    }
+
+    const particleCount = this.particleTexWidth * this.particleTexHeight;
+    const tiles = Math.max(1, Math.ceil(particleCount / this.tileSize));
+    if (tiles > 1 && !this._partialForce) {
+      this._partialForce = createTextureRGBA32F(gl, this.outWidth, this.outHeight);
+      this._partialFramebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this._partialFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this._partialForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    // Setup GL state
+    gl.viewport(0, 0, this.outWidth, this.outHeight);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    // Bind position texture
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_particlePositions'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_partialForce'), 1);
+
+    // Set physics parameters
+    gl.uniform2f(gl.getUniformLocation(this.program, 'u_texSize'), this.particleTexWidth, this.particleTexHeight);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_particleCount'), particleCount);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
+
+    if (this.useTargets) {
+      gl.activeTexture(gl.TEXTURE2);
+      gl.bindTexture(gl.TEXTURE_2D, this.inTargets);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_targets'), 2);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_outWidth'), this.outWidth);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_targetCount'), this.targetCount);
+    }
+
+    const u_tileStart = gl.getUniformLocation(this.program, 'u_tileStart');
+    const u_tileEnd = gl.getUniformLocation(this.program, 'u_tileEnd');
+    const u_accumulate = gl.getUniformLocation(this.program, 'u_accumulate');
+
+    gl.bindVertexArray(this.quadVAO);
+    for (let tile = 0; tile < tiles; tile++) {
+      // Alternate targets counting back from the last tile, which must write outForce
+      const intoOut = (tiles - 1 - tile) % 2 === 0;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, intoOut ? this.outFramebuffer : this._partialFramebuffer);
+
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, tile > 0 ? (intoOut ? this._partialForce : this.outForce) : null);
+
+      gl.uniform1i(u_accumulate, tile > 0 ? 1 : 0);
+      gl.uniform1i(u_tileStart, tile * this.tileSize);
+      gl.uniform1i(u_tileEnd, Math.min(particleCount, (tile + 1) * this.tileSize));
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    gl.bindVertexArray(null);
+
+    if (this.useTargets) {
+      gl.activeTexture(gl.TEXTURE2);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.useProgram(null);
+
+    // Unbind
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    if (this.program) this.gl.deleteProgram(this.program);
+    if (this.quadVAO) this.gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) this.gl.deleteFramebuffer(this.outFramebuffer);
+    if (this._partialFramebuffer) this.gl.deleteFramebuffer(this._partialFramebuffer);
+    if (this._partialForce) this.gl.deleteTexture(this._partialForce);
+
+    if (this.inPosition) this.gl.deleteTexture(this.inPosition);
+    if (this.inTargets) this.gl.deleteTexture(this.inTargets);
+    if (this.outForce) this.gl.deleteTexture(this.outForce);
+
+    this._fboShadow = null;
+    this._partialForce = null;
+    this._partialFramebuffer = null;
+  }
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @returns {WebGLTexture}
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const fmt = gl.RGBA32F;
+  const tp = gl.FLOAT;
+
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, fmt, width, height, 0, gl.RGBA, tp, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  return texture;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @returns {WebGLTexture}
+ */
+function createTextureR32I(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32I, width, height, 0, gl.RED_INTEGER, gl.INT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  return texture;
+}
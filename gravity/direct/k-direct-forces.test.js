@@ -0,0 +1,163 @@
+// @ts-check
+
+/**
+ * Direct summation: the tiled kernel against a CPU all-pairs sum, and the
+ * method through the facade.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KDirectForces } from './k-direct-forces.js';
+
+const G = 0.01;
+const SOFTENING = 0.1;
+
+/**
+ * A 5×5 texture of scattered particles; two slots are inactive
+ */
+function createParticles() {
+  const positions = new Float32Array(5 * 5 * 4);
+  let seed = 17;
+  function random() {
+    seed = (seed * 1664525 + 1013904223) | 0;
+    return (seed >>> 0) / 4294967296;
+  }
+  for (let i = 0; i < 25; i++) {
+    positions.set([4 * random() - 2, 4 * random() - 2, 4 * random() - 2, 0.5 + random()], i * 4);
+  }
+  positions[7 * 4 + 3] = 0;
+  positions[24 * 4 + 3] = 0;
+  return positions;
+}
+
+/**
+ * @param {Float32Array} positions
+ */
+function cpuForces(positions) {
+  const count = positions.length / 4;
+  const forces = new Float64Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    if (!(positions[i * 4 + 3] > 0)) continue;
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (j === i || !(m > 0)) continue;
+      const dx = positions[j * 4] - positions[i * 4];
+      const dy = positions[j * 4 + 1] - positions[i * 4 + 1];
+      const dz = positions[j * 4 + 2] - positions[i * 4 + 2];
+      const denom = dx * dx + dy * dy + dz * dz + SOFTENING * SOFTENING;
+      const inv = G * m / (denom * Math.sqrt(denom));
+      forces[i * 4] += dx * inv;
+      forces[i * 4 + 1] += dy * inv;
+      forces[i * 4 + 2] += dz * inv;
+      forces[i * 4 + 3] += 1;
+    }
+  }
+  return forces;
+}
+
+test('KDirectForces: matches CPU all-pairs summation for one tile and for many', async () => {
+  const gl = getGL();
+  const positions = createParticles();
+  const expected = cpuForces(positions);
+
+  // 25 sources: one tile, an odd tile count and an even tile count
+  for (const tileSize of [4096, 4, 5]) {
+    const kernel = new KDirectForces({
+      gl,
+      inPosition: createTestTexture(gl, 5, 5, positions),
+      particleTexWidth: 5,
+      particleTexHeight: 5,
+      gravityStrength: G,
+      softening: SOFTENING,
+      tileSize
+    });
+    kernel.run();
+
+    const force = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForce), 5, 5);
+    for (let i = 0; i < 25 * 4; i++)
+      assertClose(force[i], expected[i], 1e-5 + 1e-4 * Math.abs(expected[i]), `tileSize ${tileSize}, component ${i}`);
+
+    kernel.dispose();
+  }
+
+  assert.throws(() => new KDirectForces({ gl, particleTexWidth: 1, particleTexHeight: 1, tileSize: 0 }), /tileSize/);
+
+  resetGL();
+});
+
+test('KDirectForces useTargets: sums exactly for listed particles only', async () => {
+  const gl = getGL();
+  const positions = createParticles();
+  const expected = cpuForces(positions);
+
+  // Five targets in a 3×2 list; index 7 is inactive, the sixth texel is past targetCount
+  const targets = [3, 7, 0, 24, 11];
+  const kernel = new KDirectForces({
+    gl,
+    inPosition: createTestTexture(gl, 5, 5, positions),
+    particleTexWidth: 5,
+    particleTexHeight: 5,
+    outWidth: 3,
+    outHeight: 2,
+    targetCount: targets.length,
+    useTargets: true,
+    gravityStrength: G,
+    softening: SOFTENING,
+    tileSize: 6
+  });
+  gl.bindTexture(gl.TEXTURE_2D, kernel.inTargets);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 3, 2, gl.RED_INTEGER, gl.INT, new Int32Array([...targets, 1]));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  kernel.run();
+
+  const force = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForce), 3, 2);
+  for (let k = 0; k < targets.length; k++)
+    for (let c = 0; c < 4; c++) {
+      const want = expected[targets[k] * 4 + c];
+      assertClose(force[k * 4 + c], want, 1e-5 + 1e-4 * Math.abs(want), `target ${targets[k]}, component ${c}`);
+    }
+  assert.deepStrictEqual(Array.from(force.subarray(20, 24)), [0, 0, 0, 0], 'texel past targetCount');
+
+  kernel.dispose();
+
+  resetGL();
+});
+
+test('direct method: a pair attracts, and block timesteps are rejected', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const ps = particleSystem({
+    gl,
+    method: 'direct',
+    particles: [
+      { x: -1, y: 0, z: 0, mass: 1 },
+      { x: 1, y: 0, z: 0, mass: 1 }
+    ],
+    gravityStrength: 0.01,
+    integrator: 'leapfrog-kdk'
+  });
+
+  ps.compute();
+
+  const { width, height } = ps.getTextureSize();
+  const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+  assert.ok(vel[0] > 0 && vel[4] < 0, `particles should move together, got vx ${vel[0]}, ${vel[4]}`);
+  assertClose(vel[0], -vel[4], 1e-7, 'equal and opposite');
+
+  ps.switchMethod('monopole');
+  ps.switchMethod('direct');
+  ps.compute();
+  assert.strictEqual(ps.method, 'direct');
+  ps.dispose();
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'direct', blockTimesteps: {} }),
+    /only supported by the tree methods/);
+
+  canvas.remove();
+});
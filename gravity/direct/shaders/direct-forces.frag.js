@@ -0,0 +1,88 @@
+/**
+ * Build the all-pairs shader. With `useTargets`, output texel k evaluates the
+ * particle whose index is stored at texel k of u_targets instead of particle k,
+ * so a handful of particles can be summed exactly without touching the rest.
+ * @param {boolean} useTargets
+ */
+export default function directForcesFrag(useTargets) {
+  return /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+precision highp isampler2D;
+
+// All-pairs gravity over one tile of source particles [u_tileStart, u_tileEnd),
+// added to the partial sums of the previous tiles
+
+uniform sampler2D u_particlePositions;  // RGBA: xyz + mass
+uniform sampler2D u_partialForce;       // previous tiles' sum, read when u_accumulate
+uniform bool u_accumulate;
+uniform vec2 u_texSize;
+uniform int u_particleCount;
+uniform int u_tileStart;
+uniform int u_tileEnd;
+uniform float u_softening;
+uniform float u_G;
+${useTargets ? `
+uniform isampler2D u_targets;           // particle index per output texel
+uniform int u_outWidth;
+uniform int u_targetCount;
+` : ''}
+out vec4 fragColor;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int width = int(u_texSize.x);
+${useTargets ? `
+  if (coord.y * u_outWidth + coord.x >= u_targetCount) {
+    fragColor = vec4(0.0);
+    return;
+  }
+  int myIndex = texelFetch(u_targets, coord, 0).r;
+  if (myIndex < 0 || myIndex >= u_particleCount) {
+    fragColor = vec4(0.0);
+    return;
+  }
+` : `
+  int myIndex = coord.y * width + coord.x;
+  if (myIndex >= u_particleCount) {
+    fragColor = vec4(0.0);
+    return;
+  }
+`}
+  vec4 myData = texelFetch(u_particlePositions, ivec2(myIndex % width, myIndex / width), 0);
+  vec3 myPos = myData.xyz;
+  float myMass = myData.w;
+
+  // Inactive slots get no force
+  if (isnan(myPos.x) || isnan(myPos.y) || isnan(myPos.z) || isnan(myMass) || myMass <= 0.0) {
+    fragColor = vec4(0.0);
+    return;
+  }
+
+  vec4 partial = u_accumulate ? texelFetch(u_partialForce, coord, 0) : vec4(0.0);
+
+  vec3 totalForce = vec3(0.0);
+  float interactions = 0.0;
+
+  // Plummer softening, as KTraversal applies to every node and near-field term
+  float eps = max(u_softening, 1e-6);
+  float softSq = eps * eps;
+
+  for (int j = u_tileStart; j < u_tileEnd; j++) {
+    if (j == myIndex) continue;
+
+    vec4 other = texelFetch(u_particlePositions, ivec2(j % width, j / width), 0);
+    if (isnan(other.w) || other.w <= 0.0) continue;
+
+    vec3 delta = other.xyz - myPos;
+    float denom = dot(delta, delta) + softSq;
+    float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
+    totalForce += delta * other.w * inv;
+    interactions += 1.0;
+  }
+
+  // .w counts the pairs summed so far, matching KTraversal's interaction count
+  fragColor = partial + vec4(u_G * totalForce, interactions);
+}
+`;
+}
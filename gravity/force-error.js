@@ -0,0 +1,208 @@
+// @ts-check
+
+/**
+ * Force-error metrics for the kernel engines: the forces an engine produces at
+ * its current positions, measured against exact direct summation over a random
+ * subset of particles. Only the subset is summed and read back, so this stays
+ * cheap on systems far too large for a full O(N²) pass.
+ */
+
+import { KDirectForces } from './direct/k-direct-forces.js';
+import { KGather } from './k-gather.js';
+
+/**
+ * @typedef {{
+ *   rms: number,
+ *   median: number,
+ *   p99: number,
+ *   max: number
+ * }} ErrorStats
+ */
+
+/**
+ * Compare an engine's force texture with exact all-pairs forces on `sampleCount`
+ * randomly chosen particles. Relative error is |F - F_exact| / |F_exact|; direction
+ * error is the angle between the two vectors, in radians. Inactive slots, and
+ * particles with no exact force to compare against, are left out of the statistics.
+ *
+ * Re-evaluates the engine's forces at the current positions, so the comparison is
+ * never against a force texture left stale by the last integration step.
+ *
+ * @param {{ _system: any } | {
+ *   gl: WebGL2RenderingContext,
+ *   positionMassTexture: WebGLTexture | null,
+ *   textureWidth: number,
+ *   textureHeight: number,
+ *   particleCount: number,
+ *   gravityStrength: number,
+ *   softening: number,
+ *   _evaluateForces: () => WebGLTexture | null
+ * }} system - engine, or the particleSystem facade wrapping one
+ * @param {{ sampleCount?: number, seed?: number }} [options]
+ * @returns {{
+ *   sampleCount: number,
+ *   indices: Int32Array,
+ *   relative: ErrorStats,
+ *   direction: ErrorStats
+ * }}
+ */
+export function measureForceError(system, { sampleCount = 1024, seed = 1 } = {}) {
+  const engine = '_system' in system ? system._system : system;
+  const { gl, textureWidth, textureHeight, particleCount } = engine;
+
+  if (!Number.isInteger(sampleCount) || sampleCount < 1)
+    throw new Error(`measureForceError: sampleCount must be a positive integer, got ${sampleCount}`);
+
+  const indices = pickIndices(particleCount, Math.min(sampleCount, particleCount), seed);
+  const count = indices.length;
+  const outWidth = Math.ceil(Math.sqrt(count));
+  const outHeight = Math.ceil(count / outWidth);
+
+  const force = engine._evaluateForces();
+  if (!force || !engine.positionMassTexture) throw new Error('measureForceError: engine produced no force texture');
+
+  // Engine force rides through the gather's velocity channel
+  const gather = new KGather({
+    gl,
+    inPosition: engine.positionMassTexture,
+    inVelocity: force,
+    width: textureWidth,
+    height: textureHeight,
+    outWidth,
+    outHeight,
+    count,
+    useIndices: true
+  });
+
+  const direct = new KDirectForces({
+    gl,
+    inPosition: engine.positionMassTexture,
+    inTargets: gather.inIndices,
+    particleTexWidth: textureWidth,
+    particleTexHeight: textureHeight,
+    outWidth,
+    outHeight,
+    targetCount: count,
+    useTargets: true,
+    gravityStrength: engine.gravityStrength,
+    softening: engine.softening
+  });
+
+  let positions, approx, exact;
+  try {
+    const padded = new Int32Array(outWidth * outHeight);
+    padded.set(indices);
+    gl.bindTexture(gl.TEXTURE_2D, gather.inIndices);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, outWidth, outHeight, gl.RED_INTEGER, gl.INT, padded);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gather.run();
+    direct.run();
+
+    positions = readRGBA32F(gl, /** @type {WebGLTexture} */ (gather.outPosition), outWidth, outHeight);
+    approx = readRGBA32F(gl, /** @type {WebGLTexture} */ (gather.outVelocity), outWidth, outHeight);
+    exact = readRGBA32F(gl, /** @type {WebGLTexture} */ (direct.outForce), outWidth, outHeight);
+  } finally {
+    // Borrowed engine textures, and the index list the gather owns
+    gather.inPosition = null;
+    gather.inVelocity = null;
+    direct.inPosition = null;
+    direct.inTargets = null;
+    gather.dispose();
+    direct.dispose();
+  }
+
+  const relative = [];
+  const direction = [];
+  for (let k = 0; k < count; k++) {
+    if (!(positions[k * 4 + 3] > 0)) continue;
+
+    const ex = exact[k * 4], ey = exact[k * 4 + 1], ez = exact[k * 4 + 2];
+    const fx = approx[k * 4], fy = approx[k * 4 + 1], fz = approx[k * 4 + 2];
+    const exactMag = Math.hypot(ex, ey, ez);
+    if (!(exactMag > 0)) continue;
+
+    relative.push(Math.hypot(fx - ex, fy - ey, fz - ez) / exactMag);
+
+    // A vanished or non-finite force points nowhere useful: count it as perpendicular
+    const approxMag = Math.hypot(fx, fy, fz);
+    const cosine = approxMag > 0 ? (fx * ex + fy * ey + fz * ez) / (approxMag * exactMag) : 0;
+    direction.push(Number.isFinite(cosine) ? Math.acos(Math.max(-1, Math.min(1, cosine))) : Math.PI / 2);
+  }
+
+  return {
+    sampleCount: relative.length,
+    indices,
+    relative: errorStats(relative),
+    direction: errorStats(direction)
+  };
+}
+
+/**
+ * Distinct random indices in [0, total), sorted, from a seeded partial Fisher-Yates shuffle
+ * @param {number} total
+ * @param {number} count
+ * @param {number} seed
+ */
+function pickIndices(total, count, seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    // mulberry32
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  /** @type {Map<number, number>} */
+  const swapped = new Map();
+  const indices = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (total - i));
+    indices[i] = swapped.has(j) ? /** @type {number} */ (swapped.get(j)) : j;
+    swapped.set(j, swapped.has(i) ? /** @type {number} */ (swapped.get(i)) : i);
+  }
+  return indices.sort();
+}
+
+/**
+ * @param {number[]} values
+ * @returns {ErrorStats}
+ */
+function errorStats(values) {
+  const n = values.length;
+  if (!n) return { rms: 0, median: 0, p99: 0, max: 0 };
+
+  const sorted = Float64Array.from(values).sort();
+  let sumSq = 0;
+  for (const v of sorted) sumSq += v * v;
+
+  return {
+    rms: Math.sqrt(sumSq / n),
+    median: n % 2 === 0 ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2 : sorted[(n - 1) / 2],
+    // Nearest-rank percentile
+    p99: sorted[Math.max(0, Math.ceil(0.99 * n) - 1)],
+    max: sorted[n - 1]
+  };
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ * @param {number} width
+ * @param {number} height
+ */
+function readRGBA32F(gl, texture, width, height) {
+  const data = new Float32Array(width * height * 4);
+  const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+  const framebuffer = gl.createFramebuffer();
+  try {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, data);
+  } finally {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+    gl.deleteFramebuffer(framebuffer);
+  }
+  return data;
+}
@@ -0,0 +1,72 @@
+// @ts-check
+
+/**
+ * measureForceError: the exact reference scores itself as error-free, and a
+ * tree method comes out small but nonzero.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { measureForceError } from './force-error.js';
+import { particleSystem } from './gravity.js';
+
+/**
+ * A seeded Plummer-ish ball with one removed slot
+ * @param {number} count
+ */
+function createCluster(count) {
+  let seed = 5;
+  function random() {
+    seed = (seed * 1664525 + 1013904223) | 0;
+    return (seed >>> 0) / 4294967296;
+  }
+  const particles = [];
+  for (let i = 0; i < count; i++) {
+    const r = 1.5 * Math.cbrt(random());
+    const cosT = 2 * random() - 1;
+    const sinT = Math.sqrt(1 - cosT * cosT);
+    const phi = 2 * Math.PI * random();
+    particles.push({ x: r * sinT * Math.cos(phi), y: r * sinT * Math.sin(phi), z: r * cosT, mass: 0.5 + random() });
+  }
+  particles[3].mass = 0;
+  return particles;
+}
+
+test('measureForceError: direct method scores as exact, monopole as a small error', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const particles = createCluster(400);
+  const ps = particleSystem({
+    gl,
+    method: 'direct',
+    particles,
+    gravityStrength: 0.001,
+    softening: 0.05,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  // Asking for more than exist samples everything; the removed slot is dropped
+  const exact = measureForceError(ps, { sampleCount: 1000 });
+  assert.strictEqual(exact.indices.length, 400);
+  assert.strictEqual(exact.sampleCount, 399);
+  assert.ok(exact.relative.max < 1e-4, `direct vs direct: max relative error ${exact.relative.max}`);
+  assert.ok(exact.direction.max < 1e-3, `direct vs direct: max angle ${exact.direction.max}`);
+
+  ps.switchMethod('monopole', { theta: 0.5 });
+  const tree = measureForceError(ps, { sampleCount: 64, seed: 7 });
+  assert.strictEqual(tree.indices.length, 64);
+  assert.ok(tree.relative.median > 0 && tree.relative.median < 0.2, `monopole median relative error ${tree.relative.median}`);
+  assert.ok(tree.relative.median <= tree.relative.p99 && tree.relative.p99 <= tree.relative.max);
+  assert.ok(tree.direction.median < 0.2, `monopole median angle ${tree.direction.median}`);
+
+  // Same seed, same sample
+  assert.deepStrictEqual(measureForceError(ps, { sampleCount: 64, seed: 7 }).indices, tree.indices);
+
+  assert.throws(() => measureForceError(ps, { sampleCount: 0 }), /sampleCount/);
+
+  ps.dispose();
+  canvas.remove();
+});
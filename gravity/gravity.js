@@ -1,45 +1,141 @@
 // @ts-check
 
+import { GravityDirect } from './direct/gravity-direct.js';
 import { GravityMesh } from './mesh/gravity-mesh.js';
 import { GravityMonopole } from './multipole/gravity-monopole.js';
 import { GravityQuadrupole } from './multipole/gravity-quadrupole.js';
+import { INTEGRATORS } from './multipole/integrators.js';
 import { GravitySpectral } from './spectral/gravity-spectral.js';
+import { KGather } from './k-gather.js';
+import { KScatter } from './k-scatter.js';
+import { GPUProfiler } from './monolithic/utils/gpu-profiler.js';
+import { packParticleData, ParticleReadback, readParticleTextures } from './particle-readback.js';
+
+/**
+ * Fields accepted by setParticle/setParticles; omitted fields keep their GPU value.
+ * @typedef {{
+ *   x?: number, y?: number, z?: number,
+ *   vx?: number, vy?: number, vz?: number,
+ *   mass?: number,
+ *   rgb?: number
+ * }} ParticleUpdate
+ */
+
+/**
+ * Physics parameters accepted by setParams; omitted keys keep their current value.
+ * `G` is shorthand for `gravityStrength`.
+ * @typedef {{
+ *   theta?: number,
+ *   G?: number,
+ *   gravityStrength?: number,
+ *   softening?: number,
+ *   dt?: number,
+ *   damping?: number,
+ *   maxSpeed?: number,
+ *   maxAccel?: number
+ * }} PhysicsParams
+ */
+
+/**
+ * @typedef {{
+ *   compute: () => void,
+ *   getPositionTexture: () => WebGLTexture,
+ *   getVelocityTexture: () => WebGLTexture,
+ *   getColorTexture: () => WebGLTexture,
+ *   getTextureSize: () => { width: number, height: number },
+ *   getCurrentIndex: () => 0 | 1,
+ *   unload: (particles: any[], set?: (payload: {
+ *     particle: any,
+ *     index: number,
+ *     x: number, y: number, z: number,
+ *     vx: number, vy: number, vz: number
+ *   }) => void) => void,
+ *   unloadAsync: () => Promise<{ positions: Float32Array, velocities: Float32Array, masses: Float32Array }>,
+ *   unloadSubset: (selection: { start: number, count: number } | ArrayLike<number>) => {
+ *     indices: Int32Array, positions: Float32Array, velocities: Float32Array, masses: Float32Array
+ *   },
+ *   addParticles: (batch: any[]) => number[],
+ *   removeParticles: (indices: ArrayLike<number>) => void,
+ *   setParticle: (index: number, fields: ParticleUpdate) => void,
+ *   setParticles: (batch: (ParticleUpdate & { index: number })[]) => void,
+ *   switchMethod: (method: 'quadrupole' | 'octupole' | 'monopole' | 'direct' | 'spectral' | 'treepm' | 'mesh', options?: {
+ *     theta?: number,
+ *     mac?: 'barnes-hut' | 'salmon-warren' | 'relative',
+ *     mesh?: Parameters<typeof particleSystem>[0]['mesh'],
+ *     blockTimesteps?: import('./multipole/block-timesteps.js').BlockTimestepOptions | null,
+ *     octree?: import('./multipole/octree-config.js').OctreeOptions,
+ *     boundary?: import('./multipole/boundary.js').BoundaryName,
+ *     boundsPercentile?: number
+ *   }) => void,
+ *   setParams: (params: PhysicsParams) => void,
+ *   stats: () => Record<string, number> | null,
+ *   dispose: () => void,
+ *   readonly gl: WebGL2RenderingContext,
+ *   readonly method: string,
+ *   readonly particleCount: number,
+ *   readonly activeCount: number,
+ *   readonly options: { particleCount: number, dt: number, damping: number },
+ *   readonly positionMassTexture: WebGLTexture | null,
+ *   readonly velocityColorTexture: WebGLTexture | null,
+ *   readonly textureWidth: number,
+ *   readonly textureHeight: number,
+ *   readonly _system: GravityMonopole | GravityQuadrupole | GravityDirect | GravityMesh | GravitySpectral
+ * }} ParticleSystemAPI
+ */
 
 /**
  * Create a kernel-based particle system instance.
- * Loads CPU particle data into GPU textures and returns the underlying system without a legacy wrapper.
+ * Loads CPU particle data into GPU textures and wraps the method-specific engine
+ * in the common {@link ParticleSystemAPI}, so callers never depend on which engine runs.
  *
  * @param {{
  *   gl: WebGL2RenderingContext,
  *   particles: {
  *     x?: number, y?: number, z?: number,
  *     vx?: number, vy?: number, vz?: number,
- *     mass?: number 
+ *     mass?: number,
+ *     rgb?: number
  *    }[],
  *   get?: (spot: any, out: {
  *     index: number,
  *     x?: number, y?: number, z?: number,
  *     vx?: number, vy?: number, vz?: number,
- *     mass?: number
+ *     mass?: number,
+ *     rgb?: number
  *   }) => void,
- *   method?: 'quadrupole' | 'monopole' | 'spectral' | 'mesh',
+ *   method?: 'quadrupole' | 'octupole' | 'monopole' | 'direct' | 'spectral' | 'treepm' | 'mesh',
  *   theta?: number,
+ *   mac?: 'barnes-hut' | 'salmon-warren' | 'relative',
+ *   macAlpha?: number,
  *   gravityStrength?: number,
  *   dt?: number,
  *   softening?: number,
  *   damping?: number,
  *   maxSpeed?: number,
  *   maxAccel?: number,
+ *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+ *   adaptiveTimestep?: import('./multipole/adaptive-timestep.js').AdaptiveTimestepOptions,
+ *   blockTimesteps?: import('./multipole/block-timesteps.js').BlockTimestepOptions,
+ *   octree?: import('./multipole/octree-config.js').OctreeOptions,
+ *   boundary?: import('./multipole/boundary.js').BoundaryName,
+ *   restitution?: number,
+ *   boundsPercentile?: number,
  *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
  *   mesh?: {
- *     assignment?: 'ngp' | 'cic',
- *     gridSize?: number,
+ *     assignment?: 'ngp' | 'cic' | 'tsc',
+ *     gridSize?: number | [number, number, number],
  *     slicesPerRow?: number,
  *     kCut?: number,
  *     splitSigma?: number,
- *     nearFieldRadius?: number
- *   }
+ *     nearFieldRadius?: number,
+ *     shortRange?: 'grid' | 'p3m',
+ *     splitRadius?: number,
+ *     cutoffRadius?: number,
+ *     boundary?: import('./isolated-green.js').GridBoundaryName
+ *   },
+ *   enableProfiling?: boolean
  * }} options
+ * @returns {ParticleSystemAPI}
  */
 export function particleSystem(options) {
   const {
@@ -48,148 +144,772 @@ export function particleSystem(options) {
     get,
     method = 'quadrupole',
     theta,
+    mac,
+    macAlpha,
     gravityStrength = 0.0003,
     dt = 1 / 60,
     softening = 0.2,
     damping = 0.0,
     maxSpeed = 2.0,
     maxAccel = 1.0,
+    integrator = 'euler',
+    adaptiveTimestep,
+    blockTimesteps,
+    octree,
+    boundary,
+    restitution,
+    boundsPercentile,
     worldBounds,
-    mesh: meshConfig
+    mesh: meshConfig,
+    enableProfiling = false
   } = options;
 
   if (!(gl instanceof WebGL2RenderingContext))
     throw new Error('particleSystemKernels requires a WebGL2RenderingContext');
 
-  if (particles.length < 0)
-    throw new Error('particleSystemKernels requires a non-empty particles array');
+  if (!Array.isArray(particles))
+    throw new Error('particleSystemKernels requires a particles array');
+
+  if (!INTEGRATORS.includes(integrator))
+    throw new Error(`particleSystemKernels: unknown integrator '${integrator}', expected one of ${INTEGRATORS.join(', ')}`);
 
   const particleData = prepareParticleData({ particles, get });
 
-  let system;
+  // Everything needed to rebuild the engine around new particle textures
+  const engineOptions = {
+    method,
+    worldBounds,
+    theta,
+    mac,
+    macAlpha,
+    gravityStrength,
+    dt,
+    softening,
+    damping,
+    maxSpeed,
+    maxAccel,
+    integrator,
+    adaptiveTimestep,
+    blockTimesteps,
+    octree,
+    boundary,
+    restitution,
+    boundsPercentile,
+    meshConfig
+  };
+
+  let { textureWidth, textureHeight } = particleData;
 
-  switch (method) {
-    case 'mesh': {
-      const { textureWidth, textureHeight, positions, velocities } = particleData;
-      const particleCount = particles.length;
+  let system = createGravityEngine(gl, engineOptions, { textureWidth, textureHeight });
+
+  // The position texture getCurrentIndex() calls 0; the other one of the ping-pong pair is 1
+  let firstPositionTexture = system.positionMassTexture;
+
+  // Upload particle data into allocated textures
+  if (!system.positionMassTexture || !system.velocityColorTexture) {
+    throw new Error(`${method} system did not create textures`);
+  }
+  gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, particleData.positions);
+  gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, particleData.velocities);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  // Slots [0, particleCount) are addressable by index; removed slots hold mass 0
+  // until addParticles() reuses them. Padding texels past particleCount are unused capacity.
+  let particleCount = particles.length;
+  /** @type {number[]} */
+  const freeSlots = [];
+  let slotFree = new Uint8Array(textureWidth * textureHeight);
+
+  // Colors are CPU-authored, so a shadow copy makes capacity growth a plain re-upload
+  let colors = particleData.colors;
+
+  let colorTexture = createColorTexture(gl, textureWidth, textureHeight, colors);
+
+  /** @type {GPUProfiler | null} */
+  let profiler = null;
+  if (enableProfiling) {
+    profiler = new GPUProfiler(gl);
+  }
+
+  /** @type {ParticleReadback | null} */
+  let readback = null;
+
+  /** @type {KGather | null} */
+  let gatherKernel = null;
+
+  /** @type {KScatter | null} */
+  let scatterKernel = null;
+
+  let disposed = false;
+
+  /**
+   * Reallocate particle textures for at least `required` slots and rebuild the engine around them.
+   * Existing state is re-laid out on the GPU, since the texel of a slot depends on texture width.
+   * @param {number} required
+   */
+  function growCapacity(required) {
+    const oldCapacity = textureWidth * textureHeight;
+    const capacity = Math.max(required, oldCapacity * 2);
+    const newWidth = Math.ceil(Math.sqrt(capacity));
+    const newHeight = Math.ceil(capacity / newWidth);
+
+    const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    if (newWidth > maxTextureSize || newHeight > maxTextureSize) {
+      throw new Error(`Cannot grow particle textures to ${newWidth}×${newHeight}: MAX_TEXTURE_SIZE is ${maxTextureSize}`);
+    }
+
+    // In-flight unloadAsync() reads resolve from the current layout before it is replaced
+    if (readback) readback.flush();
+
+    const relayout = new KGather({
+      gl,
+      inPosition: system.positionMassTexture,
+      inVelocity: system.velocityColorTexture,
+      width: textureWidth,
+      height: textureHeight,
+      outWidth: newWidth,
+      outHeight: newHeight,
+      count: oldCapacity,
+      rangeStart: 0
+    });
+    relayout.run();
+
+    // Keep the gathered outputs, and leave the old ping-pong pair to the old engine's dispose()
+    const positionMassTexture = /** @type {WebGLTexture} */ (relayout.outPosition);
+    const velocityColorTexture = /** @type {WebGLTexture} */ (relayout.outVelocity);
+    relayout.inPosition = null;
+    relayout.inVelocity = null;
+    relayout.outPosition = null;
+    relayout.outVelocity = null;
+    relayout.dispose();
+
+    const currentBounds = carriedBounds(system, engineOptions.boundary);
+    system.dispose();
+
+    textureWidth = newWidth;
+    textureHeight = newHeight;
+    system = createGravityEngine(gl, {
+      ...engineOptions,
+      worldBounds: currentBounds
+    }, { textureWidth, textureHeight, positionMassTexture, velocityColorTexture });
+    firstPositionTexture = positionMassTexture;
+
+    const grownSlotFree = new Uint8Array(newWidth * newHeight);
+    grownSlotFree.set(slotFree);
+    slotFree = grownSlotFree;
+
+    const grownColors = new Uint8Array(newWidth * newHeight * 4);
+    grownColors.set(colors);
+    colors = grownColors;
+    gl.deleteTexture(colorTexture);
+    colorTexture = createColorTexture(gl, textureWidth, textureHeight, colors);
+
+    // Scratch resources sized for the old layout
+    if (readback) readback.dispose();
+    readback = null;
+    if (gatherKernel) gatherKernel.dispose();
+    gatherKernel = null;
+  }
+
+  // Absorbing walls zero masses on the GPU without telling the CPU side:
+  // one readback finds those slots before addParticles() grows the textures
+  function reclaimAbsorbedSlots() {
+    const { positionData } = readParticleTextures({
+      gl,
+      positionMassTexture: system.positionMassTexture,
+      velocityColorTexture: system.velocityColorTexture,
+      textureWidth,
+      textureHeight
+    });
+    for (let slot = 0; slot < particleCount; slot++) {
+      if (!slotFree[slot] && !(positionData[slot * 4 + 3] > 0)) {
+        slotFree[slot] = 1;
+        freeSlots.push(slot);
+      }
+    }
+  }
+
+  // A leapfrog engine carries the closing force of one step into the next; after an
+  // in-place edit of positions or masses, or a change to G, softening or theta,
+  // that force no longer matches, so recompute it.
+  function invalidateForces() {
+    if (system.stepper) system.stepper.forceValid = false;
+  }
+
+  /** @type {ParticleSystemAPI} */
+  const api = {
+    // Step simulation forward (main loop call)
+    compute: () => {
+      if (disposed) return;
+      if (profiler) {
+        profiler.update();
+        profiler.begin('compute');
+      }
+      system.step();
+      if (profiler) profiler.end();
+    },
+
+    // Engines swap their ping-pong references on every step,
+    // so these must be re-read each frame rather than cached
+    getPositionTexture: () => /** @type {WebGLTexture} */ (system.positionMassTexture),
+    getVelocityTexture: () => /** @type {WebGLTexture} */ (system.velocityColorTexture),
+    getColorTexture: () => colorTexture,
+    getTextureSize: () => ({ width: textureWidth, height: textureHeight }),
+    // Read off the live texture: integrators, substeps and block timesteps flip the pair
+    // a different number of times per step. Growing the textures starts a new pair at 0.
+    getCurrentIndex: () => system.positionMassTexture === firstPositionTexture ? 0 : 1,
+
+    unload: (particles, set) => {
+      if (disposed) throw new Error('unload called on a disposed particle system');
+      if (particles.length !== particleCount) {
+        throw new Error(`unload expected ${particleCount} particles, received ${particles.length}`);
+      }
 
-      system = new GravityMesh({
+      const { positionData, velocityData } = readParticleTextures({
         gl,
+        positionMassTexture: system.positionMassTexture,
+        velocityColorTexture: system.velocityColorTexture,
         textureWidth,
-        textureHeight,
-        particleCount,
-        worldBounds,
-        dt,
-        gravityStrength,
-        softening,
-        damping,
-        maxSpeed,
-        maxAccel,
-        mesh: meshConfig || undefined
+        textureHeight
       });
 
-      // Upload particle data into allocated textures
-      if (!system.positionMassTexture || !system.velocityColorTexture) {
-        throw new Error('Mesh system did not create textures');
+      for (let i = 0; i < particleCount; i++) {
+        const base = i * 4;
+        const x = positionData[base + 0];
+        const y = positionData[base + 1];
+        const z = positionData[base + 2];
+        const vx = velocityData[base + 0];
+        const vy = velocityData[base + 1];
+        const vz = velocityData[base + 2];
+
+        if (typeof set === 'function') {
+          set({ particle: particles[i], index: i, x, y, z, vx, vy, vz });
+        } else {
+          const particle = particles[i];
+          particle.x = x;
+          particle.y = y;
+          particle.z = z;
+          particle.vx = vx;
+          particle.vy = vy;
+          particle.vz = vz;
+        }
       }
-      gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positions);
-      gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocities);
-      gl.bindTexture(gl.TEXTURE_2D, null);
-      break;
-    }
+    },
+
+    // Non-stalling variant of unload: resolves with packed arrays a few frames later
+    unloadAsync: () => {
+      if (disposed) return Promise.reject(new Error('unloadAsync called on a disposed particle system'));
+      if (!readback) {
+        readback = new ParticleReadback({ gl, textureWidth, textureHeight });
+      }
+      return readback.read(() => ({
+        positionMassTexture: system.positionMassTexture,
+        velocityColorTexture: system.velocityColorTexture,
+        particleCount
+      }));
+    },
+
+    // Gather only the selected particles into a compact scratch texture on the GPU,
+    // then read back just that: cost scales with the selection, not with particleCount
+    unloadSubset: (selection) => {
+      if (disposed) throw new Error('unloadSubset called on a disposed particle system');
+
+      const indices = resolveSelection(selection, particleCount);
+      const count = indices.length;
+      if (!count) {
+        return { indices, positions: new Float32Array(0), velocities: new Float32Array(0), masses: new Float32Array(0) };
+      }
+
+      if (!gatherKernel || gatherKernel.outWidth * gatherKernel.outHeight < count) {
+        if (gatherKernel) gatherKernel.dispose();
+        const side = Math.ceil(Math.sqrt(count));
+        gatherKernel = new KGather({
+          gl,
+          inPosition: null,
+          inVelocity: null,
+          width: textureWidth,
+          height: textureHeight,
+          outWidth: side,
+          outHeight: side
+        });
+      }
+
+      const outWidth = gatherKernel.outWidth;
+      const rows = Math.ceil(count / outWidth);
+      const isRange = !(Array.isArray(selection) || ArrayBuffer.isView(selection));
 
-    case 'spectral': {
-      const { textureWidth, textureHeight, positions, velocities } = particleData;
-      const particleCount = particles.length;
+      if (!isRange) {
+        const padded = new Int32Array(rows * outWidth);
+        padded.set(indices);
+        gl.bindTexture(gl.TEXTURE_2D, gatherKernel.inIndices);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, outWidth, rows, gl.RED_INTEGER, gl.INT, padded);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+      }
+
+      gatherKernel.inPosition = system.positionMassTexture;
+      gatherKernel.inVelocity = system.velocityColorTexture;
+      gatherKernel.count = count;
+      gatherKernel.useIndices = !isRange;
+      gatherKernel.rangeStart = isRange ? indices[0] : 0;
+      try {
+        gatherKernel.run();
+      } finally {
+        // Borrowed engine textures: never let the kernel's dispose() reach them
+        gatherKernel.inPosition = null;
+        gatherKernel.inVelocity = null;
+      }
 
-      system = new GravitySpectral({
+      const { positionData, velocityData } = readParticleTextures({
         gl,
-        textureWidth,
-        textureHeight,
-        particleCount,
-        worldBounds,
-        dt,
-        gravityStrength,
-        softening,
-        damping,
-        maxSpeed,
-        maxAccel,
-        gridSize: meshConfig?.gridSize,
-        assignment: /** @type {'NGP' | 'CIC' | undefined} */ (meshConfig?.assignment?.toUpperCase())
+        positionMassTexture: gatherKernel.outPosition,
+        velocityColorTexture: gatherKernel.outVelocity,
+        textureWidth: outWidth,
+        textureHeight: rows
       });
 
-      // Upload particle data into allocated textures
-      gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positions);
-      gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocities);
-      gl.bindTexture(gl.TEXTURE_2D, null);
-      break;
+      return { indices, ...packParticleData(positionData, velocityData, count) };
+    },
+
+    // New particles fill removed slots first, then extend particleCount; textures grow when full.
+    // Returns the slot index assigned to each entry of the batch.
+    addParticles: (batch) => {
+      if (disposed) throw new Error('addParticles called on a disposed particle system');
+      const count = batch.length;
+      if (!count) return [];
+
+      if (engineOptions.boundary === 'absorb' && freeSlots.length < count) reclaimAbsorbedSlots();
+
+      const reused = Math.min(freeSlots.length, count);
+      const required = particleCount + count - reused;
+      if (required > textureWidth * textureHeight) growCapacity(required);
+
+      /** @type {number[]} */
+      const slots = new Array(count);
+      for (let i = 0; i < count; i++) {
+        const slot = i < reused ? /** @type {number} */ (freeSlots.pop()) : particleCount++;
+        slotFree[slot] = 0;
+        slots[i] = slot;
+      }
+
+      const packed = packParticles(batch, get, count, slots);
+      writeTexels(gl, system.positionMassTexture, textureWidth, slots, packed.positions, gl.RGBA, gl.FLOAT);
+      writeTexels(gl, system.velocityColorTexture, textureWidth, slots, packed.velocities, gl.RGBA, gl.FLOAT);
+      writeTexels(gl, colorTexture, textureWidth, slots, packed.colors, gl.RGBA, gl.UNSIGNED_BYTE);
+      for (let i = 0; i < count; i++) {
+        colors.set(packed.colors.subarray(i * 4, i * 4 + 4), slots[i] * 4);
+      }
+      invalidateForces();
+
+      return slots;
+    },
+
+    // Zero the slots (mass 0 is inactive everywhere) and queue them for reuse
+    removeParticles: (indices) => {
+      if (disposed) throw new Error('removeParticles called on a disposed particle system');
+
+      /** @type {number[]} */
+      const slots = [];
+      const seen = new Set();
+      for (let i = 0; i < indices.length; i++) {
+        const index = indices[i];
+        if (!Number.isInteger(index) || index < 0 || index >= particleCount) {
+          throw new Error(`removeParticles index ${index} is outside [0, ${particleCount})`);
+        }
+        if (slotFree[index] || seen.has(index)) {
+          throw new Error(`removeParticles index ${index} is not an active particle`);
+        }
+        seen.add(index);
+        slots.push(index);
+      }
+      if (!slots.length) return;
+
+      const zeros = new Float32Array(slots.length * 4);
+      writeTexels(gl, system.positionMassTexture, textureWidth, slots, zeros, gl.RGBA, gl.FLOAT);
+      writeTexels(gl, system.velocityColorTexture, textureWidth, slots, zeros, gl.RGBA, gl.FLOAT);
+      invalidateForces();
+
+      for (const slot of slots) {
+        slotFree[slot] = 1;
+        freeSlots.push(slot);
+      }
+    },
+
+    setParticle: (index, fields) => api.setParticles([{ ...fields, index }]),
+
+    // Writes land in whichever ping-pong textures are current at call time; the integrator
+    // rewrites every texel of the other pair from these, so no second copy is needed.
+    setParticles: (batch) => {
+      if (disposed) throw new Error('setParticles called on a disposed particle system');
+
+      const updates = mergeParticleUpdates(batch, particleCount, slotFree);
+      if (!updates.size) return;
+
+      if (!scatterKernel) {
+        scatterKernel = new KScatter({ gl, outTexture: null });
+      }
+      scatterKernel.width = textureWidth;
+      scatterKernel.height = textureHeight;
+
+      try {
+        scatterChannels(scatterKernel, system.positionMassTexture, updates, ['x', 'y', 'z', 'mass']);
+        scatterChannels(scatterKernel, system.velocityColorTexture, updates, ['vx', 'vy', 'vz']);
+      } finally {
+        // Borrowed engine texture: never let the kernel's dispose() reach it
+        scatterKernel.outTexture = null;
+      }
+      invalidateForces();
+
+      /** @type {number[]} */
+      const colorSlots = [];
+      for (const [index, update] of updates) {
+        if (update.rgb === undefined) continue;
+        colors[index * 4 + 0] = (update.rgb >> 16) & 0xFF;
+        colors[index * 4 + 1] = (update.rgb >> 8) & 0xFF;
+        colors[index * 4 + 2] = update.rgb & 0xFF;
+        colorSlots.push(index);
+      }
+      if (colorSlots.length) {
+        const colorData = new Uint8Array(colorSlots.length * 4);
+        colorSlots.forEach((slot, i) => colorData.set(colors.subarray(slot * 4, slot * 4 + 4), i * 4));
+        writeTexels(gl, colorTexture, textureWidth, colorSlots, colorData, gl.RGBA, gl.UNSIGNED_BYTE);
+      }
+    },
+
+    // Rebuild the force engine around the live particle textures: no readback, no re-upload.
+    // Per-method options not given here carry over from creation (or the previous switch).
+    switchMethod: (nextMethod, methodOptions) => {
+      if (disposed) throw new Error('switchMethod called on a disposed particle system');
+      if (!PARTICLE_METHODS.includes(nextMethod)) {
+        throw new Error(`switchMethod: unknown method '${nextMethod}', expected one of ${PARTICLE_METHODS.join(', ')}`);
+      }
+
+      const positionMassTexture = /** @type {WebGLTexture} */ (system.positionMassTexture);
+      const velocityColorTexture = /** @type {WebGLTexture} */ (system.velocityColorTexture);
+      const nextOptions = {
+        ...engineOptions,
+        method: nextMethod,
+        theta: methodOptions?.theta !== undefined ? methodOptions.theta : engineOptions.theta,
+        mac: methodOptions?.mac !== undefined ? methodOptions.mac : engineOptions.mac,
+        meshConfig: methodOptions?.mesh !== undefined ? methodOptions.mesh : engineOptions.meshConfig,
+        octree: methodOptions?.octree !== undefined ? methodOptions.octree : engineOptions.octree,
+        // null drops block timesteps, e.g. when switching to a PM method
+        blockTimesteps: methodOptions?.blockTimesteps !== undefined ? methodOptions.blockTimesteps : engineOptions.blockTimesteps,
+        boundary: methodOptions?.boundary !== undefined ? methodOptions.boundary : engineOptions.boundary,
+        // 0 drops percentile bounds, e.g. when switching to a method without them
+        boundsPercentile: methodOptions?.boundsPercentile !== undefined ? methodOptions.boundsPercentile : engineOptions.boundsPercentile
+      };
+
+      // Build the replacement first: if it throws, the running engine is left untouched
+      const next = createGravityEngine(gl, {
+        ...nextOptions,
+        worldBounds: carriedBounds(system, nextOptions.boundary)
+      }, { textureWidth, textureHeight, positionMassTexture, velocityColorTexture });
+
+      detachParticleTextures(system, [positionMassTexture, velocityColorTexture]);
+      system.dispose();
+
+      system = next;
+      Object.assign(engineOptions, nextOptions);
+    },
+
+    // Live-tune physics between compute() calls. Values are validated as a whole before
+    // anything changes, and are kept in engineOptions so switchMethod() and capacity
+    // growth rebuild the engine with them rather than with the creation-time values.
+    setParams: (params) => {
+      if (disposed) throw new Error('setParams called on a disposed particle system');
+      const update = validatePhysicsParams(params);
+      Object.assign(engineOptions, update);
+      system.setParams(update);
+      if (update.gravityStrength !== undefined || update.softening !== undefined || update.theta !== undefined)
+        invalidateForces();
+    },
+
+    stats: () => {
+      if (!profiler || !profiler.enabled) return null;
+      return profiler.getAll();
+    },
+
+    dispose: () => {
+      if (disposed) return;
+      disposed = true;
+      system.dispose();
+      gl.deleteTexture(colorTexture);
+      if (readback) readback.dispose();
+      if (gatherKernel) gatherKernel.dispose();
+      if (scatterKernel) scatterKernel.dispose();
+      if (profiler) profiler.dispose();
+    },
+
+    get gl() { return gl; },
+    get method() { return engineOptions.method; },
+    get particleCount() { return particleCount; },
+    get activeCount() { return particleCount - freeSlots.length; },
+    get options() { return { particleCount, dt: engineOptions.dt, damping: engineOptions.damping }; },
+    get positionMassTexture() { return system.positionMassTexture; },
+    get velocityColorTexture() { return system.velocityColorTexture; },
+    get textureWidth() { return textureWidth; },
+    get textureHeight() { return textureHeight; },
+
+    get _system() { return system; }
+  };
+
+  return api;
+}
+
+const PARTICLE_METHODS = ['quadrupole', 'octupole', 'monopole', 'direct', 'spectral', 'treepm', 'mesh'];
+
+/**
+ * Check a setParams() argument and normalise it to engine option names.
+ * Throws on unknown keys (typos in a REPL would otherwise be silently ignored)
+ * and on values outside the range the integrator and force kernels can use.
+ * @param {PhysicsParams} params
+ */
+function validatePhysicsParams(params) {
+  if (!params || typeof params !== 'object')
+    throw new Error('setParams expects an object of physics parameters');
+
+  const known = ['theta', 'G', 'gravityStrength', 'softening', 'dt', 'damping', 'maxSpeed', 'maxAccel'];
+  for (const key of Object.keys(params)) {
+    if (!known.includes(key))
+      throw new Error(`setParams: unknown parameter '${key}', expected one of ${known.join(', ')}`);
+  }
+  if (params.G !== undefined && params.gravityStrength !== undefined)
+    throw new Error('setParams: pass either G or gravityStrength, not both');
+
+  /** @type {{ theta?: number, gravityStrength?: number, softening?: number, dt?: number, damping?: number, maxSpeed?: number, maxAccel?: number }} */
+  const update = {};
+
+  /**
+   * @param {'theta' | 'gravityStrength' | 'softening' | 'dt' | 'damping' | 'maxSpeed' | 'maxAccel'} name
+   * @param {number | undefined} value
+   * @param {(value: number) => boolean} inRange
+   * @param {string} expected
+   */
+  const check = (name, value, inRange, expected) => {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || Number.isNaN(value) || !inRange(value))
+      throw new Error(`setParams: ${name} must be ${expected}, got ${value}`);
+    update[name] = value;
+  };
+
+  check('theta', params.theta, v => v > 0 && Number.isFinite(v), 'a finite number > 0');
+  check('gravityStrength', params.G !== undefined ? params.G : params.gravityStrength, v => v >= 0 && Number.isFinite(v), 'a finite number >= 0');
+  check('softening', params.softening, v => v >= 0 && Number.isFinite(v), 'a finite number >= 0');
+  check('dt', params.dt, v => v > 0 && Number.isFinite(v), 'a finite number > 0');
+  check('damping', params.damping, v => v >= 0 && v <= 1, 'between 0 and 1');
+  check('maxSpeed', params.maxSpeed, v => v > 0, 'a number > 0');
+  check('maxAccel', params.maxAccel, v => v > 0, 'a number > 0');
+
+  return update;
+}
+
+/**
+ * Null out every reference an engine and its kernels hold to the given textures,
+ * so the engine's dispose() leaves them alive for a successor to adopt.
+ * The current ping-pong pair is typically referenced as a kernel input
+ * (integrator, aggregator, traversal, deposit...) as well as by the engine itself.
+ * @param {any} system
+ * @param {WebGLTexture[]} textures
+ */
+function detachParticleTextures(system, textures) {
+  /** @param {any} owner */
+  const detach = (owner) => {
+    for (const key of Object.keys(owner)) {
+      if (textures.includes(owner[key])) owner[key] = null;
     }
+  };
 
-    case 'monopole': {
-      const { textureWidth, textureHeight, positions, velocities } = particleData;
-      const particleCount = particles.length;
+  detach(system);
+  for (const value of Object.values(system)) {
+    for (const member of Array.isArray(value) ? value : [value]) {
+      if (member && typeof member === 'object' && typeof member.dispose === 'function') detach(member);
+    }
+  }
+}
 
-      // Let GravityMonopole create textures (pass undefined)
-      system = new GravityMonopole({
-        gl,
-        textureWidth,
-        textureHeight,
-        particleCount,
-        worldBounds,
+/**
+ * Construct the method-specific engine over a particle texture layout.
+ * Every texel is handed to the engine as a particle slot: unused and removed slots
+ * carry mass 0, which all force and bounds kernels treat as inactive.
+ *
+ * @param {WebGL2RenderingContext} gl
+ * @param {{
+ *   method: string,
+ *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+ *   theta?: number,
+ *   mac?: 'barnes-hut' | 'salmon-warren' | 'relative',
+ *   macAlpha?: number,
+ *   gravityStrength: number,
+ *   dt: number,
+ *   softening: number,
+ *   damping: number,
+ *   maxSpeed: number,
+ *   maxAccel: number,
+ *   integrator: string,
+ *   adaptiveTimestep?: import('./multipole/adaptive-timestep.js').AdaptiveTimestepOptions,
+ *   blockTimesteps?: import('./multipole/block-timesteps.js').BlockTimestepOptions | null,
+ *   octree?: import('./multipole/octree-config.js').OctreeOptions,
+ *   boundary?: import('./multipole/boundary.js').BoundaryName,
+ *   restitution?: number,
+ *   boundsPercentile?: number,
+ *   meshConfig?: Parameters<typeof particleSystem>[0]['mesh']
+ * }} engineOptions
+ * @param {{
+ *   textureWidth: number,
+ *   textureHeight: number,
+ *   positionMassTexture?: WebGLTexture,
+ *   velocityColorTexture?: WebGLTexture
+ * }} textures
+ */
+function createGravityEngine(gl, engineOptions, { textureWidth, textureHeight, positionMassTexture, velocityColorTexture }) {
+  const { method, worldBounds, theta, mac, macAlpha, gravityStrength, dt, softening, damping, maxSpeed, maxAccel, integrator, adaptiveTimestep, blockTimesteps, octree, boundary, restitution, boundsPercentile, meshConfig } = engineOptions;
+
+  const common = {
+    gl,
+    textureWidth,
+    textureHeight,
+    particleCount: textureWidth * textureHeight,
+    positionMassTexture,
+    velocityColorTexture,
+    worldBounds,
+    dt,
+    gravityStrength,
+    softening,
+    damping,
+    maxSpeed,
+    maxAccel,
+    integrator: /** @type {'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4'} */ (integrator),
+    adaptiveTimestep
+  };
+
+  // Bins are wired into the tree traversals; the PM pipelines compute every particle at once
+  if (blockTimesteps && (method === 'mesh' || method === 'spectral' || method === 'treepm' || method === 'direct'))
+    throw new Error(`blockTimesteps is only supported by the tree methods, not '${method}'`);
+
+  // Nearest images and the Ewald table live in the tree traversals, and walls in their integrators
+  if (boundary && boundary !== 'open' && (method === 'mesh' || method === 'spectral' || method === 'treepm' || method === 'direct'))
+    throw new Error(`boundary '${boundary}' is only supported by the tree methods, not '${method}'`);
+
+  // Mesh keeps its box fixed and direct summation has none
+  if (boundsPercentile && (method === 'mesh' || method === 'direct'))
+    throw new Error(`boundsPercentile is only supported by the tree methods and 'spectral' or 'treepm', not '${method}'`);
+
+  // The mesh engine's radix-2 FFT runs one cubic grid
+  const meshGridSize = meshConfig?.gridSize;
+  if (method === 'mesh' && meshGridSize !== undefined &&
+    (typeof meshGridSize !== 'number' || !Number.isInteger(Math.log2(meshGridSize))))
+    throw new Error(`mesh.gridSize ${meshGridSize} must be a power of two for method 'mesh'; per-axis and 3·5-smooth sizes need 'spectral'`);
+
+  // The other traversals have their own geometric acceptance test
+  if (mac && mac !== 'barnes-hut' && method !== 'monopole')
+    throw new Error(`mac '${mac}' is only supported by method 'monopole', not '${method}'`);
+
+  switch (method) {
+    case 'mesh':
+      return new GravityMesh({
+        ...common,
+        // Checked above to be a single power of two
+        mesh: meshConfig ? { ...meshConfig, gridSize: /** @type {number | undefined} */ (meshGridSize) } : undefined
+      });
+
+    case 'spectral':
+      return new GravitySpectral({
+        ...common,
+        gridSize: meshConfig?.gridSize,
+        assignment: /** @type {'NGP' | 'CIC' | 'TSC' | undefined} */ (meshConfig?.assignment?.toUpperCase()),
+        boundsPercentile,
+        gridBoundary: meshConfig?.boundary
+      });
+
+    // The spectral pipeline for the long range, a monopole walk for the short
+    case 'treepm':
+      return new GravitySpectral({
+        ...common,
+        gridSize: meshConfig?.gridSize,
+        assignment: /** @type {'NGP' | 'CIC' | 'TSC' | undefined} */ (meshConfig?.assignment?.toUpperCase()),
+        boundsPercentile,
+        gridBoundary: meshConfig?.boundary,
+        treePM: {
+          splitRadius: meshConfig?.splitRadius,
+          cutoffRadius: meshConfig?.cutoffRadius,
+          theta: theta !== undefined ? theta : 0.65,
+          octree
+        }
+      });
+
+    case 'direct':
+      return new GravityDirect(common);
+
+    case 'monopole':
+      return new GravityMonopole({
+        ...common,
         theta: theta !== undefined ? theta : 0.65,
-        gravityStrength,
-        dt,
-        softening,
-        damping,
-        maxSpeed,
-        maxAccel
+        mac,
+        macAlpha,
+        blockTimesteps: blockTimesteps || undefined,
+        octree,
+        boundary,
+        restitution,
+        boundsPercentile
       });
 
-      // Upload particle data into allocated textures
-      gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positions);
-      gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocities);
-      gl.bindTexture(gl.TEXTURE_2D, null);
-      break;
-    }
+    case 'octupole':
+      return new GravityQuadrupole({
+        ...common,
+        theta: theta !== undefined ? theta : 0.65,
+        blockTimesteps: blockTimesteps || undefined,
+        octree,
+        octupole: true,
+        boundary,
+        restitution,
+        boundsPercentile
+      });
 
     case 'quadrupole':
-    default: {
-      const { textureWidth, textureHeight, positions, velocities } = particleData;
-      const particleCount = particles.length;
-
-      system = new GravityQuadrupole({
-        gl,
-        textureWidth,
-        textureHeight,
-        particleCount,
-        worldBounds,
+    default:
+      return new GravityQuadrupole({
+        ...common,
         theta: theta !== undefined ? theta : 0.65,
-        gravityStrength,
-        dt,
-        softening,
-        damping,
-        maxSpeed,
-        maxAccel
+        blockTimesteps: blockTimesteps || undefined,
+        octree,
+        boundary,
+        restitution,
+        boundsPercentile
       });
+  }
+}
 
-      // Upload particle data into allocated textures
-      gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positions);
-      gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
-      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocities);
-      gl.bindTexture(gl.TEXTURE_2D, null);
-      break;
-    }
+/**
+ * The box a rebuilt engine starts from: the refitted octree or PM box, or for a
+ * periodic cell or walls the fixed box the previous tree engine kept.
+ * The refitted box lives on the GPU; it is read back here once per rebuild.
+ *
+ * @param {ParticleSystemAPI['_system']} system
+ * @param {string | undefined} boundary
+ */
+function carriedBounds(system, boundary) {
+  let box = boundary && boundary !== 'open' && 'boundaryBox' in system ? system.boundaryBox : system.worldBounds;
+
+  const reduce = 'boundsKernel' in system ? system.boundsKernel : 'boundsReduce' in system ? system.boundsReduce : null;
+  if (box === system.worldBounds && reduce && reduce.outBounds) {
+    const gl = system.gl;
+    const framebuffer = gl.createFramebuffer();
+    const pixels = new Float32Array(8);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, reduce.outBounds, 0);
+    gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(framebuffer);
+    // .w stays 0 until a reduction has seen a particle
+    if (pixels[3] > 0) box = { min: [pixels[0], pixels[1], pixels[2]], max: [pixels[4], pixels[5], pixels[6]] };
   }
 
-  // Return the system directly - it already has all the methods we added
-  return system;
+  return {
+    min: /** @type {[number, number, number]} */ ([...box.min]),
+    max: /** @type {[number, number, number]} */ ([...box.max])
+  };
 }
 
 /**
@@ -230,49 +950,144 @@ export function unloadKernelParticleData({ system }) {
     throw new Error('System is missing texture dimensions or particle count');
   }
 
-  const totalTexels = textureWidth * textureHeight;
+  const { positionData, velocityData } = readParticleTextures({
+    gl,
+    positionMassTexture,
+    velocityColorTexture,
+    textureWidth,
+    textureHeight
+  });
 
-  const positionData = new Float32Array(totalTexels * 4);
-  const velocityData = new Float32Array(totalTexels * 4);
+  return packParticleData(positionData, velocityData, count);
+}
 
-  const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
-  const tempFramebuffer = gl.createFramebuffer();
-  if (!tempFramebuffer) {
-    throw new Error('Failed to allocate framebuffer for unload');
+/**
+ * Normalise an unloadSubset selection to a validated list of particle indices.
+ * @param {{ start: number, count: number } | ArrayLike<number>} selection
+ * @param {number} particleCount
+ */
+function resolveSelection(selection, particleCount) {
+  if (Array.isArray(selection) || ArrayBuffer.isView(selection)) {
+    const list = /** @type {ArrayLike<number>} */ (selection);
+    const indices = new Int32Array(list.length);
+    for (let i = 0; i < list.length; i++) {
+      const index = list[i];
+      if (!Number.isInteger(index) || index < 0 || index >= particleCount) {
+        throw new Error(`unloadSubset index ${index} at position ${i} is outside [0, ${particleCount})`);
+      }
+      indices[i] = index;
+    }
+    return indices;
   }
 
-  try {
-    gl.bindFramebuffer(gl.FRAMEBUFFER, tempFramebuffer);
+  const { start, count } = /** @type {{ start: number, count: number }} */ (selection || {});
+  if (!Number.isInteger(start) || !Number.isInteger(count) || start < 0 || count < 0 || start + count > particleCount) {
+    throw new Error(`unloadSubset range {start: ${start}, count: ${count}} is outside [0, ${particleCount})`);
+  }
+  const indices = new Int32Array(count);
+  for (let i = 0; i < count; i++) indices[i] = start + i;
+  return indices;
+}
 
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, positionMassTexture, 0);
-    gl.readPixels(0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positionData);
+/**
+ * Validate a setParticles batch and fold repeated indices together (later fields win),
+ * so each slot is written at most once per channel and draw order never matters.
+ * @param {(ParticleUpdate & { index: number })[]} batch
+ * @param {number} particleCount
+ * @param {Uint8Array} slotFree
+ */
+function mergeParticleUpdates(batch, particleCount, slotFree) {
+  /** @type {Map<number, ParticleUpdate>} */
+  const updates = new Map();
 
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, velocityColorTexture, 0);
-    gl.readPixels(0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocityData);
-  } finally {
-    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
-    gl.deleteFramebuffer(tempFramebuffer);
+  for (const entry of batch) {
+    const { index } = entry;
+    if (!Number.isInteger(index) || index < 0 || index >= particleCount) {
+      throw new Error(`setParticles index ${index} is outside [0, ${particleCount})`);
+    }
+    if (slotFree[index]) {
+      throw new Error(`setParticles index ${index} is a removed slot; use addParticles to fill it`);
+    }
+
+    const merged = updates.get(index) || {};
+    for (const field of /** @type {const} */ (['x', 'y', 'z', 'vx', 'vy', 'vz', 'mass', 'rgb'])) {
+      const value = entry[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`setParticles ${field} for index ${index} must be a finite number, got ${value}`);
+      }
+      merged[field] = value;
+    }
+    if (merged.mass !== undefined && merged.mass <= 0) {
+      throw new Error(`setParticles mass for index ${index} must be positive; use removeParticles to deactivate`);
+    }
+    updates.set(index, merged);
   }
 
-  const positions = new Float32Array(count * 3);
-  const velocities = new Float32Array(count * 3);
-  const masses = new Float32Array(count);
+  return updates;
+}
 
-  for (let i = 0; i < count; i++) {
-    const src = i * 4;
-    const dst = i * 3;
+/**
+ * Scatter the given fields of each update into one particle texture, leaving other channels intact.
+ * Updates are grouped by which fields they carry, one masked draw per group.
+ * @param {KScatter} kernel
+ * @param {WebGLTexture | null} texture
+ * @param {Map<number, ParticleUpdate>} updates
+ * @param {(keyof ParticleUpdate)[]} fields Field written to each RGBA channel, in order
+ */
+function scatterChannels(kernel, texture, updates, fields) {
+  /** @type {Map<number, number[]>} */
+  const groups = new Map();
+  for (const [index, update] of updates) {
+    let mask = 0;
+    for (let c = 0; c < fields.length; c++) {
+      if (update[fields[c]] !== undefined) mask |= 1 << c;
+    }
+    if (!mask) continue;
+    const group = groups.get(mask);
+    if (group) group.push(index);
+    else groups.set(mask, [index]);
+  }
 
-    positions[dst + 0] = positionData[src + 0];
-    positions[dst + 1] = positionData[src + 1];
-    positions[dst + 2] = positionData[src + 2];
-    masses[i] = positionData[src + 3];
+  for (const [mask, slots] of groups) {
+    const indices = new Int32Array(slots);
+    const values = new Float32Array(slots.length * 4);
+    slots.forEach((slot, i) => {
+      const update = /** @type {ParticleUpdate} */ (updates.get(slot));
+      for (let c = 0; c < fields.length; c++) {
+        values[i * 4 + c] = update[fields[c]] ?? 0;
+      }
+    });
 
-    velocities[dst + 0] = velocityData[src + 0];
-    velocities[dst + 1] = velocityData[src + 1];
-    velocities[dst + 2] = velocityData[src + 2];
+    kernel.outTexture = texture;
+    kernel.indices = indices;
+    kernel.values = values;
+    kernel.count = slots.length;
+    kernel.channelMask = [!!(mask & 1), !!(mask & 2), !!(mask & 4), !!(mask & 8)];
+    kernel.run();
   }
+}
+
+/**
+ * Create the RGBA8 per-particle color texture handed to renderers.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} colors
+ */
+function createColorTexture(gl, width, height, colors) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create color texture');
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, colors);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
 
-  return { positions, velocities, masses };
+  return texture;
 }
 
 /**
@@ -281,26 +1096,42 @@ export function unloadKernelParticleData({ system }) {
  */
 function prepareParticleData({ particles, get }) {
   const particleCount = particles.length;
-  const textureWidth = Math.ceil(Math.sqrt(particleCount));
-  const textureHeight = Math.ceil(particleCount / textureWidth);
+  // At least one texel, so a system can start empty and be filled through addParticles()
+  const textureWidth = Math.max(1, Math.ceil(Math.sqrt(particleCount)));
+  const textureHeight = Math.max(1, Math.ceil(particleCount / textureWidth));
   if (!Number.isFinite(textureWidth) || !Number.isFinite(textureHeight)) {
     throw new Error('Failed to compute texture dimensions for particle data');
   }
 
-  const actualTextureSize = textureWidth * textureHeight;
-  const positions = new Float32Array(actualTextureSize * 4);
-  const velocities = new Float32Array(actualTextureSize * 4);
+  const { positions, velocities, colors } = packParticles(particles, get, textureWidth * textureHeight);
+
+  return { positions, velocities, colors, textureWidth, textureHeight };
+}
+
+/**
+ * Pack particles into RGBA texel runs, one texel per particle, zero-filled up to texelCount.
+ * @param {Parameters<typeof particleSystem>[0]['particles']} particles
+ * @param {Parameters<typeof particleSystem>[0]['get']} get
+ * @param {number} texelCount
+ * @param {number[]} [slots] Slot index reported to `get` for each particle (defaults to its array index)
+ */
+function packParticles(particles, get, texelCount, slots) {
+  const particleCount = particles.length;
+  const positions = new Float32Array(texelCount * 4);
+  const velocities = new Float32Array(texelCount * 4);
+  const colors = new Uint8Array(texelCount * 4);
 
   const dummy = {
     index: 0,
     x: 0, y: 0, z: 0,
     vx: 0, vy: 0, vz: 0,
-    mass: 0
+    mass: 0,
+    rgb: 0xFFFFFF
   };
 
   for (let i = 0; i < particleCount; i++) {
     const spot = particles[i];
-    dummy.index = i;
+    dummy.index = slots ? slots[i] : i;
     dummy.x = spot?.x || 0;
     dummy.y = spot.y || 0;
     dummy.z = spot?.z || 0;
@@ -308,6 +1139,7 @@ function prepareParticleData({ particles, get }) {
     dummy.vy = spot?.vy || 0;
     dummy.vz = spot?.vz || 0;
     dummy.mass = spot?.mass || 0;
+    dummy.rgb = spot?.rgb ?? 0xFFFFFF;
 
     if (typeof get === 'function') {
       get(spot, dummy);
@@ -323,7 +1155,51 @@ function prepareParticleData({ particles, get }) {
     velocities[base + 1] = dummy.vy;
     velocities[base + 2] = dummy.vz;
     velocities[base + 3] = 0;
+
+    colors[base + 0] = (dummy.rgb >> 16) & 0xFF;
+    colors[base + 1] = (dummy.rgb >> 8) & 0xFF;
+    colors[base + 2] = dummy.rgb & 0xFF;
+    colors[base + 3] = 255;
   }
 
-  return { positions, velocities, textureWidth, textureHeight };
+  return { positions, velocities, colors };
+}
+
+/**
+ * Patch individual texels of a particle texture in place with texSubImage2D.
+ * Slots that are adjacent within one texture row are coalesced into a single upload.
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture | null} texture
+ * @param {number} width Texture width in texels
+ * @param {number[]} slots Target slot of each 4-component entry in data
+ * @param {Float32Array | Uint8Array} data
+ * @param {number} format
+ * @param {number} type
+ */
+function writeTexels(gl, texture, width, slots, data, format, type) {
+  if (!texture) throw new Error('Cannot write texels: texture is missing');
+
+  const order = slots.map((_, i) => i).sort((a, b) => slots[a] - slots[b]);
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  let start = 0;
+  while (start < order.length) {
+    const first = slots[order[start]];
+    const row = Math.floor(first / width);
+    const rowEnd = (row + 1) * width;
+
+    let end = start + 1;
+    while (end < order.length && slots[order[end]] === first + (end - start) && slots[order[end]] < rowEnd) end++;
+
+    const length = end - start;
+    const run = data instanceof Float32Array ? new Float32Array(length * 4) : new Uint8Array(length * 4);
+    for (let k = 0; k < length; k++) {
+      const src = order[start + k] * 4;
+      run.set(data.subarray(src, src + 4), k * 4);
+    }
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, first - row * width, row, length, 1, format, type, run);
+
+    start = end;
+  }
+  gl.bindTexture(gl.TEXTURE_2D, null);
 }
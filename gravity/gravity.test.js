@@ -0,0 +1,515 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from './gravity.js';
+
+/**
+ * Create offscreen canvas with WebGL2 context
+ * @returns {{canvas: HTMLCanvasElement, gl: WebGL2RenderingContext}}
+ */
+function createTestCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 256;
+  const gl = canvas.getContext('webgl2');
+
+  if (!gl) {
+    throw new Error('WebGL2 not supported');
+  }
+
+  const ext = gl.getExtension('EXT_color_buffer_float');
+  if (!ext) {
+    throw new Error('EXT_color_buffer_float not supported');
+  }
+
+  return { canvas, gl };
+}
+
+function createFourParticles() {
+  return [
+    { x: 0, y: 0, z: 0, mass: 1 },
+    { x: 1, y: 0, z: 0, mass: 1 },
+    { x: 0, y: 1, z: 0, mass: 1 },
+    { x: 0, y: 0, z: 1, mass: 1 }
+  ];
+}
+
+for (const method of /** @type {const} */ (['monopole', 'quadrupole', 'spectral', 'treepm', 'mesh'])) {
+  test(`particle-system.api: ${method} exposes the documented API and unloads in place`, async () => {
+    const { canvas, gl } = createTestCanvas();
+
+    const particles = createFourParticles();
+    const ps = particleSystem({
+      gl,
+      particles,
+      method,
+      gravityStrength: 0,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+
+    assert.strictEqual(ps.particleCount, 4);
+    assert.deepStrictEqual(ps.getTextureSize(), { width: 2, height: 2 });
+    assert.ok(ps.getPositionTexture(), 'position texture should exist');
+    assert.ok(ps.getColorTexture(), 'color texture should exist');
+    assert.strictEqual(ps.getCurrentIndex(), 0);
+    assert.strictEqual(ps.stats(), null, 'stats should be null without profiling');
+
+    ps.compute();
+    assert.strictEqual(ps.getCurrentIndex(), 1);
+
+    ps.unload(particles);
+
+    const expected = createFourParticles();
+    for (let i = 0; i < particles.length; i++) {
+      const p = /** @type {any} */ (particles[i]);
+      assert.ok(Math.abs(p.x - expected[i].x) < 1e-4, `${method} particle ${i} x=${p.x}`);
+      assert.ok(Math.abs(p.y - expected[i].y) < 1e-4, `${method} particle ${i} y=${p.y}`);
+      assert.ok(Math.abs(p.z - expected[i].z) < 1e-4, `${method} particle ${i} z=${p.z}`);
+      assert.strictEqual(p.vx, 0);
+      assert.strictEqual(p.vy, 0);
+      assert.strictEqual(p.vz, 0);
+    }
+
+    ps.dispose();
+    canvas.remove();
+  });
+}
+
+for (const method of /** @type {const} */ (['monopole', 'quadrupole', 'spectral', 'treepm', 'mesh'])) {
+  test(`particle-system.api: ${method} dispose deletes each texture once`, async () => {
+    const { canvas, gl } = createTestCanvas();
+
+    const ps = particleSystem({
+      gl,
+      particles: createFourParticles(),
+      method,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+      mesh: method === 'mesh' ? { gridSize: 16, shortRange: 'p3m' } : { gridSize: 16 }
+    });
+    ps.compute();
+    ps.compute();
+
+    /** @type {WebGLTexture[]} */
+    const deleted = [];
+    const deleteTexture = gl.deleteTexture.bind(gl);
+    gl.deleteTexture = (texture) => {
+      if (texture) deleted.push(texture);
+      deleteTexture(texture);
+    };
+    ps.dispose();
+
+    assert.strictEqual(new Set(deleted).size, deleted.length, `${method} deleted a borrowed texture twice`);
+
+    canvas.remove();
+  });
+}
+
+test('particle-system.api: getCurrentIndex follows the live position texture', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  for (const options of [
+    { integrator: /** @type {const} */ ('yoshida4') },
+    { integrator: /** @type {const} */ ('leapfrog-kdk'), adaptiveTimestep: { eta: 0.2, maxSubsteps: 4 } }
+  ]) {
+    const ps = particleSystem({
+      gl,
+      particles: createFourParticles(),
+      method: 'monopole',
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+      ...options
+    });
+
+    // Substeps flip the pair several times a frame, so frame parity would drift from the texture
+    const first = ps.getPositionTexture();
+    assert.strictEqual(ps.getCurrentIndex(), 0);
+    for (let frame = 0; frame < 4; frame++) {
+      ps.compute();
+      const expected = ps.getPositionTexture() === first ? 0 : 1;
+      assert.strictEqual(ps.getCurrentIndex(), expected, `${options.integrator} frame ${frame}`);
+    }
+
+    ps.dispose();
+  }
+
+  canvas.remove();
+});
+
+test('particle-system.api: unload routes values through the set callback', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const particles = createFourParticles().map((p, i) => ({ ...p, vx: i * 0.1 }));
+  const ps = particleSystem({
+    gl,
+    particles,
+    method: 'quadrupole',
+    gravityStrength: 0,
+    dt: 0,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  ps.compute();
+
+  /** @type {{ particle: any, index: number, vx: number }[]} */
+  const received = [];
+  ps.unload(particles, ({ particle, index, vx }) => received.push({ particle, index, vx }));
+
+  assert.strictEqual(received.length, 4);
+  for (let i = 0; i < received.length; i++) {
+    assert.strictEqual(received[i].index, i);
+    assert.strictEqual(received[i].particle, particles[i]);
+    assert.ok(Math.abs(received[i].vx - i * 0.1) < 1e-5, `vx[${i}]=${received[i].vx}`);
+  }
+
+  // Callback path must leave the source objects untouched
+  assert.strictEqual(particles[1].vx, 0.1);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: unload rejects a particles array of the wrong length', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({ gl, particles: createFourParticles(), method: 'monopole' });
+
+  assert.throws(() => ps.unload([]), /expected 4 particles/);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: color texture is packed from rgb', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const particles = createFourParticles().map((p, i) => ({ ...p, rgb: i === 0 ? 0x336699 : undefined }));
+  const ps = particleSystem({ gl, particles, method: 'monopole' });
+
+  const fbo = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, ps.getColorTexture(), 0);
+  const pixels = new Uint8Array(2 * 2 * 4);
+  gl.readPixels(0, 0, 2, 2, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(fbo);
+
+  assert.deepStrictEqual(Array.from(pixels.subarray(0, 4)), [0x33, 0x66, 0x99, 255]);
+  assert.deepStrictEqual(Array.from(pixels.subarray(4, 8)), [255, 255, 255, 255], 'rgb defaults to white');
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: unloadSubset returns only the selected particles', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const particles = Array.from({ length: 20 }, (_, i) => ({ x: i, y: -i, z: 0, vx: 0.01 * i, mass: 1 + i }));
+  const ps = particleSystem({ gl, particles, method: 'monopole', gravityStrength: 0, dt: 0 });
+
+  const range = ps.unloadSubset({ start: 17, count: 3 });
+  assert.deepStrictEqual(Array.from(range.indices), [17, 18, 19]);
+  assert.deepStrictEqual(Array.from(range.positions), [17, -17, 0, 18, -18, 0, 19, -19, 0]);
+  assert.deepStrictEqual(Array.from(range.masses), [18, 19, 20]);
+
+  const list = ps.unloadSubset([4, 0, 11]);
+  assert.deepStrictEqual(Array.from(list.indices), [4, 0, 11]);
+  assert.deepStrictEqual(Array.from(list.masses), [5, 1, 12]);
+  assert.ok(Math.abs(list.velocities[6] - 0.11) < 1e-6, `vx[11]=${list.velocities[6]}`);
+
+  assert.strictEqual(ps.unloadSubset([]).positions.length, 0);
+  assert.throws(() => ps.unloadSubset({ start: 18, count: 5 }), /outside/);
+  assert.throws(() => ps.unloadSubset([20]), /outside/);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: removeParticles frees slots that addParticles reuses', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({ gl, particles: createFourParticles(), method: 'monopole', gravityStrength: 0, dt: 0 });
+
+  ps.removeParticles([1, 3]);
+  assert.strictEqual(ps.particleCount, 4);
+  assert.strictEqual(ps.activeCount, 2);
+
+  const removed = ps.unloadSubset([1, 3]);
+  assert.deepStrictEqual(Array.from(removed.masses), [0, 0], 'removed slots must be inactive');
+  assert.throws(() => ps.removeParticles([1]), /not an active particle/);
+
+  const slots = ps.addParticles([{ x: 0.5, mass: 2 }, { y: 0.5, mass: 3 }]);
+  assert.deepStrictEqual(slots.slice().sort(), [1, 3]);
+  assert.strictEqual(ps.activeCount, 4);
+  assert.deepStrictEqual(ps.getTextureSize(), { width: 2, height: 2 }, 'reuse must not grow textures');
+
+  const added = ps.unloadSubset(slots);
+  assert.deepStrictEqual(Array.from(added.masses), [2, 3]);
+  assert.strictEqual(added.positions[0], 0.5);
+  assert.strictEqual(added.positions[4], 0.5);
+
+  ps.compute();
+  ps.dispose();
+  canvas.remove();
+});
+
+for (const method of /** @type {const} */ (['monopole', 'quadrupole', 'spectral', 'treepm', 'mesh'])) {
+  test(`particle-system.api: ${method} grows capacity and keeps existing particles`, async () => {
+    const { canvas, gl } = createTestCanvas();
+
+    const ps = particleSystem({
+      gl,
+      particles: createFourParticles(),
+      method,
+      gravityStrength: 0,
+      dt: 0,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+
+    const batch = Array.from({ length: 7 }, (_, i) => ({ x: -1, y: 0.1 * i, z: 0, mass: 10 + i, rgb: 0xFF0000 }));
+    const slots = ps.addParticles(batch);
+
+    assert.deepStrictEqual(slots, [4, 5, 6, 7, 8, 9, 10]);
+    assert.strictEqual(ps.particleCount, 11);
+    const { width, height } = ps.getTextureSize();
+    assert.ok(width * height >= 11, `capacity ${width}×${height} must hold 11 particles`);
+
+    ps.compute();
+
+    const particles = Array.from({ length: 11 }, () => ({}));
+    ps.unload(particles);
+    const expected = [...createFourParticles(), ...batch];
+    for (let i = 0; i < expected.length; i++) {
+      const p = /** @type {any} */ (particles[i]);
+      assert.ok(Math.abs(p.x - (expected[i].x || 0)) < 1e-4, `${method} particle ${i} x=${p.x}`);
+      assert.ok(Math.abs(p.y - (expected[i].y || 0)) < 1e-4, `${method} particle ${i} y=${p.y}`);
+    }
+    assert.deepStrictEqual(Array.from(ps.unloadSubset({ start: 4, count: 7 }).masses), [10, 11, 12, 13, 14, 15, 16]);
+
+    ps.dispose();
+    canvas.remove();
+  });
+}
+
+test('particle-system.api: unloadAsync in flight resolves across a capacity grow', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createFourParticles(),
+    method: 'monopole',
+    gravityStrength: 0,
+    dt: 0,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  // Three reads over two buffer slots: one of them is still queued when the textures grow
+  const pending = [ps.unloadAsync(), ps.unloadAsync(), ps.unloadAsync()];
+  ps.addParticles(Array.from({ length: 5 }, (_, i) => ({ x: -1, y: 0.1 * i, mass: 2 })));
+  assert.ok(ps.getTextureSize().width * ps.getTextureSize().height >= 9, 'addParticles should have grown the textures');
+
+  const expected = createFourParticles().flatMap(p => [p.x, p.y, p.z]);
+  for (const snap of await Promise.all(pending)) {
+    assert.deepStrictEqual(Array.from(snap.masses), [1, 1, 1, 1]);
+    assert.deepStrictEqual(Array.from(snap.positions), expected);
+  }
+
+  const grown = await ps.unloadAsync();
+  assert.deepStrictEqual(Array.from(grown.masses), [1, 1, 1, 1, 2, 2, 2, 2, 2]);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: a system can start empty and be filled later', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({ gl, particles: [], method: 'quadrupole' });
+  assert.strictEqual(ps.particleCount, 0);
+
+  ps.addParticles(createFourParticles());
+  assert.strictEqual(ps.particleCount, 4);
+  ps.compute();
+  assert.strictEqual(ps.unloadSubset({ start: 0, count: 4 }).masses[3], 1);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: setParticles writes only the given fields, across ping-pong swaps', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({ gl, particles: createFourParticles(), method: 'quadrupole', gravityStrength: 0, dt: 0 });
+
+  ps.setParticle(2, { mass: 5 });
+  let snap = ps.unloadSubset([2]);
+  assert.deepStrictEqual(Array.from(snap.positions), [0, 1, 0], 'position kept');
+  assert.strictEqual(snap.masses[0], 5);
+
+  // After a step the current textures are the other half of the pair
+  ps.compute();
+  ps.setParticles([
+    { index: 0, x: 0.25, vy: 0.5 },
+    { index: 3, z: -1 },
+    { index: 0, x: 0.75 }
+  ]);
+
+  snap = ps.unloadSubset([0, 3]);
+  assert.deepStrictEqual(Array.from(snap.positions), [0.75, 0, 0, 0, 0, -1], 'last write wins per field');
+  assert.deepStrictEqual(Array.from(snap.velocities), [0, 0.5, 0, 0, 0, 0]);
+  assert.deepStrictEqual(Array.from(snap.masses), [1, 1]);
+
+  assert.throws(() => ps.setParticle(4, { x: 0 }), /outside/);
+  assert.throws(() => ps.setParticle(1, { mass: 0 }), /removeParticles/);
+  assert.throws(() => ps.setParticle(1, { x: NaN }), /finite/);
+  ps.removeParticles([1]);
+  assert.throws(() => ps.setParticle(1, { x: 0 }), /removed slot/);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: switchMethod keeps the live particle textures', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createFourParticles().map((p, i) => ({ ...p, vx: 0.1 * i })),
+    method: 'monopole',
+    gravityStrength: 0,
+    dt: 0,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+  ps.compute();
+  ps.setParticle(2, { mass: 7 });
+
+  for (const method of /** @type {const} */ (['quadrupole', 'spectral', 'mesh', 'monopole'])) {
+    const positionTexture = ps.getPositionTexture();
+    ps.switchMethod(method, method === 'mesh' ? { mesh: { assignment: 'cic', gridSize: 16 } } : undefined);
+
+    assert.strictEqual(ps.method, method);
+    assert.strictEqual(ps.getPositionTexture(), positionTexture, `${method} must adopt the existing texture`);
+    assert.ok(gl.isTexture(positionTexture), `${method} switch must not delete the adopted texture`);
+
+    ps.compute();
+    const snap = ps.unloadSubset({ start: 0, count: 4 });
+    assert.deepStrictEqual(Array.from(snap.masses), [1, 1, 7, 1], `${method} masses`);
+    assert.deepStrictEqual(Array.from(snap.positions), [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1], `${method} positions`);
+    assert.ok(Math.abs(snap.velocities[9] - 0.3) < 1e-6, `${method} vx[3]=${snap.velocities[9]}`);
+  }
+
+  assert.throws(() => ps.switchMethod(/** @type {any} */ ('bogus')), /unknown method/);
+  assert.strictEqual(ps.method, 'monopole');
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: switchMethod keeps the leapfrog-kdk integrator', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createFourParticles(),
+    method: 'spectral',
+    integrator: 'leapfrog-kdk',
+    mesh: { gridSize: 16 },
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+  assert.ok(/** @type {any} */ (ps._system).stepper, 'spectral runs the KDK stepper');
+
+  ps.switchMethod('mesh', { mesh: { gridSize: 16 } });
+  assert.ok(/** @type {any} */ (ps._system).stepper, 'mesh keeps the KDK stepper');
+  ps.compute();
+  for (const v of ps.unloadSubset({ start: 0, count: 4 }).positions)
+    assert.ok(Number.isFinite(v), 'positions stay finite after the switch');
+
+  assert.throws(() => particleSystem({ gl, particles: createFourParticles(), integrator: /** @type {any} */ ('rk2') }), /unknown integrator/);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: setParams drops the force a leapfrog step carried over', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const G = 0.001, dt = 0.1;
+  const ps = particleSystem({
+    gl,
+    particles: [{ x: -0.5, mass: 1 }, { x: 0.5, mass: 1 }],
+    method: 'quadrupole',
+    integrator: 'leapfrog-kdk',
+    gravityStrength: G,
+    softening: 0.01,
+    dt,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  ps.compute();
+  const before = ps.unloadSubset({ start: 0, count: 2 }).velocities;
+  assert.ok(before[0] > 0, `pair should attract under G = ${G}, vx = ${before[0]}`);
+
+  // With G = 0 both half-kicks of the next step are zero; a stale closing force would still kick
+  ps.setParams({ G: 0 });
+  ps.compute();
+  const after = ps.unloadSubset({ start: 0, count: 2 }).velocities;
+  for (let i = 0; i < 6; i++)
+    assert.strictEqual(after[i], before[i], `velocity component ${i} after setParams({ G: 0 })`);
+
+  ps.dispose();
+  canvas.remove();
+});
+
+test('particle-system.api: setParams reaches the owning kernels and survives switchMethod', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createFourParticles().map(p => ({ ...p, vx: 0.5 })),
+    method: 'quadrupole',
+    gravityStrength: 0,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  ps.setParams({ theta: 0.3, G: 0.002, softening: 0.05, dt: 0.01, maxSpeed: 3, maxAccel: 4 });
+  const tree = /** @type {any} */ (ps._system);
+  assert.strictEqual(tree.traversalKernel.theta, 0.3);
+  assert.strictEqual(tree.traversalKernel.gravityStrength, 0.002);
+  assert.strictEqual(tree.traversalKernel.softening, 0.05);
+  assert.strictEqual(tree.integrateEulerKernel.dt, 0.01);
+  assert.strictEqual(tree.integrateEulerKernel.maxSpeed, 3);
+  assert.strictEqual(tree.integrateEulerKernel.maxAccel, 4);
+  assert.strictEqual(ps.options.dt, 0.01);
+
+  // Full damping must stop every particle on the next step
+  ps.setParams({ G: 0, damping: 1 });
+  ps.compute();
+  assert.deepStrictEqual(Array.from(ps.unloadSubset({ start: 0, count: 4 }).velocities), new Array(12).fill(0));
+
+  ps.switchMethod('spectral');
+  const spectral = /** @type {any} */ (ps._system);
+  assert.strictEqual(spectral.integrateEulerKernel.dt, 0.01, 'switchMethod keeps tuned dt');
+  ps.setParams({ gravityStrength: 0.001 });
+  assert.ok(Math.abs(spectral.poissonKernel.gravitationalConstant - 4 * Math.PI * 0.001) < 1e-12);
+
+  ps.switchMethod('mesh', { mesh: { gridSize: 16 } });
+  const mesh = /** @type {any} */ (ps._system);
+  assert.strictEqual(mesh.nearFieldKernel.gravityStrength, 0.001);
+  assert.strictEqual(mesh.nearFieldKernel.softening, 0.05);
+  assert.ok(Math.abs(mesh.poissonKernel.fourPiG - 4 * Math.PI * 0.001) < 1e-12);
+
+  ps.switchMethod('monopole');
+  assert.strictEqual(/** @type {any} */ (ps._system).traversalKernel.theta, 0.3, 'switchMethod keeps tuned theta');
+
+  assert.throws(() => ps.setParams({ dt: 0 }), /dt must be/);
+  assert.throws(() => ps.setParams({ damping: 1.5 }), /damping must be/);
+  assert.throws(() => ps.setParams({ theta: -1 }), /theta must be/);
+  assert.throws(() => ps.setParams({ softening: NaN }), /softening must be/);
+  assert.throws(() => ps.setParams({ G: 1, gravityStrength: 1 }), /either G or gravityStrength/);
+  assert.throws(() => ps.setParams(/** @type {any} */ ({ thetta: 0.5 })), /unknown parameter 'thetta'/);
+  assert.throws(() => ps.setParams({ dt: 0.02, maxSpeed: -1 }), /maxSpeed/);
+  assert.strictEqual(ps.options.dt, 0.01, 'a rejected call changes nothing');
+
+  ps.dispose();
+  canvas.remove();
+});
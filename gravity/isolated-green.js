@@ -0,0 +1,102 @@
+// @ts-check
+
+/**
+ * Isolated boundaries for the PM engines (Hockney & Eastwood 1988).
+ *
+ * An FFT solve is periodic: every mass also pulls through the faces of the
+ * box. With 'isolated' the engine runs its grid at twice the cells per axis
+ * over twice the box, anchored at worldBounds.min, so the particles only ever
+ * fill the first octant and the rest stays zero. The padded density is then
+ * convolved with the free-space kernel g(r) = -1/r, tabulated on the doubled
+ * grid with each axis mirrored (distance min(i, M - i) cells) so the circular
+ * convolution never wraps a mass onto its own octant. KPoisson multiplies by
+ * the spectrum of that table in place of -4πG/k².
+ *
+ * The kernel is softened by half the smallest cell side, which keeps the
+ * origin finite below the scale the grid resolves anyway.
+ */
+
+/** Boundary conditions accepted for the PM grid */
+export const GRID_BOUNDARIES = /** @type {const} */ (['periodic', 'isolated']);
+
+/** @typedef {typeof GRID_BOUNDARIES[number]} GridBoundaryName */
+
+/**
+ * Validate the PM grid boundary option.
+ * @param {string} engineName - prefix for error messages
+ * @param {string | undefined} boundary
+ * @returns {GridBoundaryName}
+ */
+export function resolveGridBoundary(engineName, boundary) {
+  const name = boundary || 'periodic';
+  if (!GRID_BOUNDARIES.includes(/** @type {GridBoundaryName} */ (name)))
+    throw new Error(`${engineName}: unknown grid boundary '${name}', expected one of ${GRID_BOUNDARIES.join(', ')}`);
+  return /** @type {GridBoundaryName} */ (name);
+}
+
+/**
+ * The box the doubled grid covers: worldBounds in its low octant, zero padding above.
+ * @param {{ min: [number, number, number], max: [number, number, number] }} worldBounds
+ * @returns {{ min: [number, number, number], max: [number, number, number] }}
+ */
+export function isolatedGridBounds(worldBounds) {
+  const { min, max } = worldBounds;
+  return {
+    min: [min[0], min[1], min[2]],
+    max: [2 * max[0] - min[0], 2 * max[1] - min[1], 2 * max[2] - min[2]]
+  };
+}
+
+/**
+ * The free-space kernel ΔV·g on the doubled grid, in the Z-slice layout the PM
+ * kernels pack their grids in (slice z at column z % slicesPerRow, row
+ * ⌊z / slicesPerRow⌋). Scaled by the cell volume so that a forward FFT of the
+ * density times its spectrum, inverse transformed, is the potential per unit G.
+ * @param {{
+ *   gridSize: number | [number, number, number],
+ *   slicesPerRow: number,
+ *   width: number,
+ *   height: number,
+ *   worldSize: [number, number, number]
+ * }} options - gridSize and worldSize of the doubled grid
+ * @returns {Float32Array} one float per texel
+ */
+export function isolatedGreenGrid({ gridSize, slicesPerRow, width, height, worldSize }) {
+  const [nx, ny, nz] = typeof gridSize === 'number' ? [gridSize, gridSize, gridSize] : gridSize;
+  const cell = [worldSize[0] / nx, worldSize[1] / ny, worldSize[2] / nz];
+  const cellVolume = cell[0] * cell[1] * cell[2];
+  const eps2 = (0.5 * Math.min(...cell)) ** 2;
+
+  const data = new Float32Array(width * height);
+  for (let z = 0; z < nz; z++) {
+    const dz = Math.min(z, nz - z) * cell[2];
+    const originX = (z % slicesPerRow) * nx;
+    const originY = Math.floor(z / slicesPerRow) * ny;
+    for (let y = 0; y < ny; y++) {
+      const dy = Math.min(y, ny - y) * cell[1];
+      for (let x = 0; x < nx; x++) {
+        const dx = Math.min(x, nx - x) * cell[0];
+        data[(originY + y) * width + originX + x] = -cellVolume / Math.sqrt(dx * dx + dy * dy + dz * dz + eps2);
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Upload isolatedGreenGrid as an R32F texture, ready for the engine's forward FFT.
+ * @param {WebGL2RenderingContext} gl
+ * @param {Parameters<typeof isolatedGreenGrid>[0]} options
+ */
+export function createIsolatedGreenTexture(gl, options) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create Green texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, options.width, options.height, 0, gl.RED, gl.FLOAT, isolatedGreenGrid(options));
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
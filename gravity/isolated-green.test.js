@@ -0,0 +1,75 @@
+// @ts-check
+
+/**
+ * Isolated PM boundaries: the mirrored Green's function table, and a pair of
+ * masses that should feel each other and not their periodic images.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from './gravity.js';
+import { isolatedGreenGrid, isolatedGridBounds, resolveGridBoundary } from './isolated-green.js';
+import { assertClose, readTexture } from './test-utils.js';
+
+test('isolatedGreenGrid: mirrored -ΔV/r in the Z-slice layout', () => {
+  // 4³ doubled grid over a 4-unit box: unit cells, 2 slices per row
+  const grid = isolatedGreenGrid({ gridSize: 4, slicesPerRow: 2, width: 8, height: 8, worldSize: [4, 4, 4] });
+  const at = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    grid[(Math.floor(z / 2) * 4 + y) * 8 + (z % 2) * 4 + x];
+
+  const eps2 = 0.25;
+  assertClose(at(0, 0, 0), -1 / Math.sqrt(eps2), 1e-6, 'Softened origin');
+  assertClose(at(1, 0, 0), -1 / Math.sqrt(1 + eps2), 1e-6, 'One cell along x');
+  assertClose(at(2, 2, 2), -1 / Math.sqrt(12 + eps2), 1e-6, 'Farthest cell');
+  assert.strictEqual(at(3, 0, 0), at(1, 0, 0), 'x mirrored');
+  assert.strictEqual(at(0, 3, 0), at(0, 1, 0), 'y mirrored');
+  assert.strictEqual(at(0, 0, 3), at(0, 0, 1), 'z mirrored, across a slice row');
+
+  assert.deepStrictEqual(isolatedGridBounds({ min: [-2, -1, 0], max: [2, 1, 1] }), { min: [-2, -1, 0], max: [6, 3, 2] });
+  assert.strictEqual(resolveGridBoundary('GravityMesh', undefined), 'periodic');
+  assert.throws(() => resolveGridBoundary('GravityMesh', 'reflect'), /GravityMesh: unknown grid boundary 'reflect'/);
+});
+
+test('mesh.boundary isolated: a pair attracts with free-space strength', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const G = 0.001, dt = 0.1;
+  const particles = [{ x: -0.5, mass: 1 }, { x: 0.5, mass: 1 }];
+  // Newtonian pull at r = 1; a periodic box of 4 would subtract the images' 1/9 - 1/25
+  const expected = G * dt;
+
+  for (const method of /** @type {const} */ (['spectral', 'mesh'])) {
+    const ps = particleSystem({
+      gl,
+      method,
+      particles,
+      gravityStrength: G,
+      softening: 0.05,
+      dt,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+      mesh: { boundary: 'isolated', gridSize: 32 }
+    });
+    ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+    assert.ok(vel[0] > 0 && vel[4] < 0, `${method}: pair should attract, vx = ${vel[0]}, ${vel[4]}`);
+    // The mesh near-field sums its own cells, so only the spectral far field is held to Newton
+    if (method === 'spectral')
+      assertClose(vel[0], expected, 0.1 * expected, `${method}: free-space pull`);
+
+    ps.dispose();
+  }
+
+  assert.throws(
+    () => particleSystem({ gl, particles, method: 'spectral', boundsPercentile: 0.01, mesh: { boundary: 'isolated' } }),
+    /gridBoundary 'isolated' fixes it/);
+  assert.throws(
+    () => particleSystem({ gl, particles, method: 'mesh', mesh: { boundary: /** @type {any} */ ('open') } }),
+    /unknown grid boundary 'open'/);
+
+  canvas.remove();
+});
@@ -0,0 +1,344 @@
+// @ts-check
+
+/**
+ * Particle gather kernel
+ *
+ * Copies a selection of particles (a contiguous index range or an explicit
+ * index list) from the full position/velocity textures into compact
+ * outPosition/outVelocity textures, so a readback touches only the selection.
+ * Output texel k holds particle `rangeStart + k` in range mode, or the index
+ * stored at texel k of inIndices in list mode. Texels at or past `count`,
+ * and indices outside the source texture, are written as zero.
+ *
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from './core-shaders.js';
+import { formatNumber, readLinear } from './diag.js';
+
+export class KGather {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
+   *   inIndices?: WebGLTexture|null,
+   *   outPosition?: WebGLTexture|null,
+   *   outVelocity?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   outWidth?: number,
+   *   outHeight?: number,
+   *   count?: number,
+   *   rangeStart?: number,
+   *   useIndices?: boolean
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Source texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Compact output dimensions
+    this.outWidth = options.outWidth || 0;
+    this.outHeight = options.outHeight || 0;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inVelocity = (options.inVelocity || options.inVelocity === null)
+      ? options.inVelocity
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inIndices = (options.inIndices || options.inIndices === null)
+      ? options.inIndices
+      : createTextureR32I(this.gl, this.outWidth, this.outHeight);
+    this.outPosition = (options.outPosition || options.outPosition === null)
+      ? options.outPosition
+      : createTextureRGBA32F(this.gl, this.outWidth, this.outHeight);
+    this.outVelocity = (options.outVelocity || options.outVelocity === null)
+      ? options.outVelocity
+      : createTextureRGBA32F(this.gl, this.outWidth, this.outHeight);
+
+    // Selection parameters
+    this.count = options.count || 0;
+    this.rangeStart = options.rangeStart || 0;
+    this.useIndices = !!options.useIndices;
+
+    // Create shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, gatherFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_position: this.gl.getUniformLocation(this.program, 'u_position'),
+      u_velocity: this.gl.getUniformLocation(this.program, 'u_velocity'),
+      u_indices: this.gl.getUniformLocation(this.program, 'u_indices'),
+      u_srcSize: this.gl.getUniformLocation(this.program, 'u_srcSize'),
+      u_outWidth: this.gl.getUniformLocation(this.program, 'u_outWidth'),
+      u_count: this.gl.getUniformLocation(this.program, 'u_count'),
+      u_rangeStart: this.gl.getUniformLocation(this.program, 'u_rangeStart'),
+      u_useIndices: this.gl.getUniformLocation(this.program, 'u_useIndices')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create MRT framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ position: WebGLTexture, velocity: WebGLTexture } | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      outPosition: this.outPosition && readLinear({
+        gl: this.gl, texture: this.outPosition, width: this.outWidth,
+        height: this.outHeight, count: this.count,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      outVelocity: this.outVelocity && readLinear({
+        gl: this.gl, texture: this.outVelocity, width: this.outWidth,
+        height: this.outHeight, count: this.count,
+        channels: ['vx', 'vy', 'vz', 'color'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      outWidth: this.outWidth,
+      outHeight: this.outHeight,
+      count: this.count,
+      rangeStart: this.rangeStart,
+      useIndices: this.useIndices,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KGather(${this.width}×${this.height} → ${this.outWidth}×${this.outHeight}) count=${this.count} ${this.useIndices ? 'indices' : `range@${formatNumber(this.rangeStart)}`} #${this.renderCount}
+
+→ outPosition: ${value.outPosition}
+
+→ outVelocity: ${value.outVelocity}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.inVelocity || !this.outPosition || !this.outVelocity) {
+      throw new Error('KGather: missing required textures');
+    }
+    if (this.useIndices && !this.inIndices) {
+      throw new Error('KGather: useIndices requires inIndices');
+    }
+    if (this.count > this.outWidth * this.outHeight) {
+      throw new Error(`KGather: count ${this.count} exceeds output capacity ${this.outWidth * this.outHeight}`);
+    }
+
+    gl.useProgram(this.program);
+
+    if (!this._fboShadow ||
+        this._fboShadow.position !== this.outPosition ||
+        this._fboShadow.velocity !== this.outVelocity) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outPosition, 0);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, this.outVelocity, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { position: this.outPosition, velocity: this.outVelocity };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.outWidth, this.outHeight);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_position) gl.uniform1i(this.uniforms.u_position, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inVelocity);
+    if (this.uniforms.u_velocity) gl.uniform1i(this.uniforms.u_velocity, 1);
+
+    // Integer sampler must always have a compatible texture bound, even in range mode
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inIndices);
+    if (this.uniforms.u_indices) gl.uniform1i(this.uniforms.u_indices, 2);
+
+    if (this.uniforms.u_srcSize) gl.uniform2i(this.uniforms.u_srcSize, this.width, this.height);
+    if (this.uniforms.u_outWidth) gl.uniform1i(this.uniforms.u_outWidth, this.outWidth);
+    if (this.uniforms.u_count) gl.uniform1i(this.uniforms.u_count, this.count);
+    if (this.uniforms.u_rangeStart) gl.uniform1i(this.uniforms.u_rangeStart, this.rangeStart);
+    if (this.uniforms.u_useIndices) gl.uniform1i(this.uniforms.u_useIndices, this.useIndices ? 1 : 0);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
+    if (this.inIndices) gl.deleteTexture(this.inIndices);
+    if (this.outPosition) gl.deleteTexture(this.outPosition);
+    if (this.outVelocity) gl.deleteTexture(this.outVelocity);
+
+    this._fboShadow = null;
+  }
+}
+
+const gatherFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+precision highp isampler2D;
+
+uniform sampler2D u_position;
+uniform sampler2D u_velocity;
+uniform isampler2D u_indices;
+uniform ivec2 u_srcSize;
+uniform int u_outWidth;
+uniform int u_count;
+uniform int u_rangeStart;
+uniform int u_useIndices;
+
+layout(location = 0) out vec4 outPosition;
+layout(location = 1) out vec4 outVelocity;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int k = coord.y * u_outWidth + coord.x;
+
+  outPosition = vec4(0.0);
+  outVelocity = vec4(0.0);
+  if (k >= u_count) return;
+
+  int index = u_useIndices == 1 ? texelFetch(u_indices, coord, 0).r : u_rangeStart + k;
+  if (index < 0 || index >= u_srcSize.x * u_srcSize.y) return;
+
+  ivec2 src = ivec2(index % u_srcSize.x, index / u_srcSize.x);
+  outPosition = texelFetch(u_position, src, 0);
+  outVelocity = texelFetch(u_velocity, src, 0);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+/**
+ * Helper: Create a R32I texture for particle indices
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureR32I(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32I, width, height, 0, gl.RED_INTEGER, gl.INT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
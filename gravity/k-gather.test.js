@@ -0,0 +1,114 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { createTestTexture, disposeKernel, getGL, readTexture, resetGL } from './test-utils.js';
+import { KGather } from './k-gather.js';
+
+/**
+ * Source textures where particle i has position (i, 10i, 100i, 1) and velocity (-i, 0, 0, 0)
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createSource(gl, width, height) {
+  const posData = new Float32Array(width * height * 4);
+  const velData = new Float32Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    posData.set([i, 10 * i, 100 * i, 1], i * 4);
+    velData.set([-i, 0, 0, 0], i * 4);
+  }
+  return {
+    posTex: createTestTexture(gl, width, height, posData),
+    velTex: createTestTexture(gl, width, height, velData)
+  };
+}
+
+/**
+ * Test 1: Range mode copies a contiguous run and zeroes the tail
+ */
+test('KGather: index range', async () => {
+  const gl = getGL();
+  const { posTex, velTex } = createSource(gl, 4, 4);
+
+  const kernel = new KGather({
+    gl,
+    inPosition: posTex,
+    inVelocity: velTex,
+    width: 4,
+    height: 4,
+    outWidth: 2,
+    outHeight: 2,
+    count: 3,
+    rangeStart: 5
+  });
+
+  kernel.run();
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 2);
+  const vel = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outVelocity), 2, 2);
+
+  for (let k = 0; k < 3; k++) {
+    const i = 5 + k;
+    assert.deepStrictEqual(Array.from(pos.subarray(k * 4, k * 4 + 4)), [i, 10 * i, 100 * i, 1], `k=${k}\n\n${kernel.toString()}`);
+    assert.strictEqual(vel[k * 4], -i);
+  }
+  assert.deepStrictEqual(Array.from(pos.subarray(12, 16)), [0, 0, 0, 0], 'texel past count must be zero');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Index list mode, including out-of-range entries
+ */
+test('KGather: index list', async () => {
+  const gl = getGL();
+  const { posTex, velTex } = createSource(gl, 4, 4);
+
+  const kernel = new KGather({
+    gl,
+    inPosition: posTex,
+    inVelocity: velTex,
+    width: 4,
+    height: 4,
+    outWidth: 2,
+    outHeight: 2,
+    count: 4,
+    useIndices: true
+  });
+
+  gl.bindTexture(gl.TEXTURE_2D, kernel.inIndices);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 2, gl.RED_INTEGER, gl.INT, new Int32Array([15, 0, 7, 99]));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  kernel.run();
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 2);
+  assert.strictEqual(pos[0], 15);
+  assert.strictEqual(pos[4], 0);
+  assert.strictEqual(pos[8], 7);
+  assert.deepStrictEqual(Array.from(pos.subarray(12, 16)), [0, 0, 0, 0], 'index outside source must be zero');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 3: Capacity guard
+ */
+test('KGather: rejects count above output capacity', async () => {
+  const gl = getGL();
+  const { posTex, velTex } = createSource(gl, 2, 2);
+
+  const kernel = new KGather({
+    gl, inPosition: posTex, inVelocity: velTex,
+    width: 2, height: 2, outWidth: 1, outHeight: 1, count: 2
+  });
+
+  assert.throws(() => kernel.run(), /exceeds output capacity/);
+
+  disposeKernel(kernel);
+  resetGL();
+});
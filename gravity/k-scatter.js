@@ -0,0 +1,264 @@
+// @ts-check
+
+/**
+ * Particle scatter kernel
+ *
+ * Writes a batch of RGBA values into selected texels of a particle texture
+ * in place: one point primitive per update, positioned on the target texel.
+ * `channelMask` limits which components are written, so e.g. mass can be
+ * changed without touching x/y/z. Updates are uploaded as vertex attributes
+ * (`indices` + `values`), so there is no input texture and no feedback loop.
+ *
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { readLinear } from './diag.js';
+
+export class KScatter {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   outTexture?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   indices?: Int32Array,
+   *   values?: Float32Array,
+   *   count?: number,
+   *   channelMask?: [boolean, boolean, boolean, boolean]
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Target texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.outTexture = (options.outTexture || options.outTexture === null)
+      ? options.outTexture
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+
+    // Update batch: `count` entries of (texel index, RGBA value)
+    this.indices = options.indices || new Int32Array(0);
+    this.values = options.values || new Float32Array(0);
+    this.count = options.count !== undefined ? options.count : this.indices.length;
+    /** @type {[boolean, boolean, boolean, boolean]} */
+    this.channelMask = options.channelMask || [true, true, true, true];
+
+    // Create shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, scatterVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, scatterFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    this.uniforms = {
+      u_texSize: this.gl.getUniformLocation(this.program, 'u_texSize')
+    };
+
+    // Point VAO: a_index (int) at location 0, a_value (vec4) at location 1
+    const pointVAO = this.gl.createVertexArray();
+    if (!pointVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(pointVAO);
+
+    this.indexBuffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.indexBuffer);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribIPointer(0, 1, this.gl.INT, 0, 0);
+
+    this.valueBuffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.valueBuffer);
+    this.gl.enableVertexAttribArray(1);
+    this.gl.vertexAttribPointer(1, 4, this.gl.FLOAT, false, 0, 0);
+
+    this.gl.bindVertexArray(null);
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
+    this.pointVAO = pointVAO;
+
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      outTexture: this.outTexture && readLinear({
+        gl: this.gl, texture: this.outTexture, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['r', 'g', 'b', 'a'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      count: this.count,
+      channelMask: [...this.channelMask],
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KScatter(${this.count} → ${this.width}×${this.height}) mask=${this.channelMask.map(c => c ? 1 : 0).join('')} #${this.renderCount}
+
+→ outTexture: ${value.outTexture}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.outTexture) {
+      throw new Error('KScatter: missing required textures');
+    }
+    if (this.indices.length < this.count || this.values.length < this.count * 4) {
+      throw new Error(`KScatter: batch arrays are shorter than count ${this.count}`);
+    }
+    if (!this.count) return;
+
+    gl.useProgram(this.program);
+
+    if (this._fboShadow !== this.outTexture) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outTexture, 0);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = this.outTexture;
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.indices.subarray(0, this.count), gl.STREAM_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.valueBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.values.subarray(0, this.count * 4), gl.STREAM_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    const [r, g, b, a] = this.channelMask;
+    gl.colorMask(r, g, b, a);
+
+    if (this.uniforms.u_texSize) gl.uniform2i(this.uniforms.u_texSize, this.width, this.height);
+
+    gl.bindVertexArray(this.pointVAO);
+    gl.drawArrays(gl.POINTS, 0, this.count);
+    gl.bindVertexArray(null);
+
+    gl.colorMask(true, true, true, true);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.pointVAO) gl.deleteVertexArray(this.pointVAO);
+    if (this.indexBuffer) gl.deleteBuffer(this.indexBuffer);
+    if (this.valueBuffer) gl.deleteBuffer(this.valueBuffer);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.outTexture) gl.deleteTexture(this.outTexture);
+
+    this._fboShadow = null;
+  }
+}
+
+const scatterVert = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+layout(location = 0) in int a_index;
+layout(location = 1) in vec4 a_value;
+
+uniform ivec2 u_texSize;
+
+flat out vec4 v_value;
+
+void main() {
+  ivec2 texel = ivec2(a_index % u_texSize.x, a_index / u_texSize.x);
+  vec2 ndc = (vec2(texel) + 0.5) / vec2(u_texSize) * 2.0 - 1.0;
+  gl_Position = vec4(ndc, 0.0, 1.0);
+  gl_PointSize = 1.0;
+  v_value = a_value;
+}`;
+
+const scatterFrag = /* glsl */`#version 300 es
+precision highp float;
+
+flat in vec4 v_value;
+
+out vec4 fragColor;
+
+void main() {
+  fragColor = v_value;
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
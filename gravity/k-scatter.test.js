@@ -0,0 +1,65 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { createTestTexture, disposeKernel, getGL, readTexture, resetGL } from './test-utils.js';
+import { KScatter } from './k-scatter.js';
+
+/**
+ * Test 1: Full-channel writes land on the indexed texels only
+ */
+test('KScatter: writes selected texels', async () => {
+  const gl = getGL();
+
+  const data = new Float32Array(3 * 2 * 4).fill(1);
+  const tex = createTestTexture(gl, 3, 2, data);
+
+  const kernel = new KScatter({
+    gl,
+    outTexture: tex,
+    width: 3,
+    height: 2,
+    indices: new Int32Array([0, 4]),
+    values: new Float32Array([5, 6, 7, 8, -1, -2, -3, -4])
+  });
+
+  kernel.run();
+
+  const out = readTexture(gl, tex, 3, 2);
+  assert.deepStrictEqual(Array.from(out.subarray(0, 4)), [5, 6, 7, 8], `texel 0\n\n${kernel.toString()}`);
+  assert.deepStrictEqual(Array.from(out.subarray(16, 20)), [-1, -2, -3, -4], 'texel 4 (second row)');
+  for (const untouched of [1, 2, 3, 5]) {
+    assert.deepStrictEqual(Array.from(out.subarray(untouched * 4, untouched * 4 + 4)), [1, 1, 1, 1], `texel ${untouched}`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Channel mask preserves unmasked components
+ */
+test('KScatter: channel mask', async () => {
+  const gl = getGL();
+
+  const tex = createTestTexture(gl, 2, 1, new Float32Array([1, 2, 3, 4, 5, 6, 7, 8]));
+
+  const kernel = new KScatter({
+    gl,
+    outTexture: tex,
+    width: 2,
+    height: 1,
+    indices: new Int32Array([1]),
+    values: new Float32Array([0, 0, 0, 99]),
+    channelMask: [false, false, false, true]
+  });
+
+  kernel.run();
+
+  const out = readTexture(gl, tex, 2, 1);
+  assert.deepStrictEqual(Array.from(out), [1, 2, 3, 4, 5, 6, 7, 99]);
+
+  disposeKernel(kernel);
+  resetGL();
+});
@@ -5,6 +5,14 @@
  * 
  * Reimplementation using WebGL2 Kernel architecture.
  * Uses composition of small, testable kernels instead of monolithic pipeline.
+ *
+ * mesh.boundary 'isolated' doubles the grid over a doubled, fixed box and
+ * solves with a free-space Green's function (see ../isolated-green.js).
+ *
+ * mesh.shortRange 'p3m' replaces the grid near field (KNearField, cell to cell)
+ * with particle-particle sums: the Poisson solve keeps the long-range half of a
+ * Gaussian split, particles are binned into a cell-linked list (KCellList) and
+ * KShortRange adds the short-range half pair by pair (see ../short-range.js).
  */
 
 import { KDeposit } from './k-deposit.js';
@@ -13,7 +21,16 @@ import { KPoisson } from './k-poisson.js';
 import { KGradient } from './k-gradient.js';
 import { KForceSample } from './k-force-sample.js';
 import { KNearField } from './k-near-field.js';
+import { KCellList } from './k-cell-list.js';
+import { KShortRange } from './k-short-range.js';
 import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
+import { INTEGRATORS, createIntegrator } from '../multipole/integrators.js';
+import { AdaptiveTimestep } from '../multipole/adaptive-timestep.js';
+import { createIsolatedGreenTexture, isolatedGridBounds, resolveGridBoundary } from '../isolated-green.js';
+import { resolveSplit } from '../short-range.js';
+
+/** Short-range corrections on top of the PM force */
+const SHORT_RANGE_MODES = ['grid', 'p3m'];
 
 export class GravityMesh {
   /**
@@ -31,13 +48,19 @@ export class GravityMesh {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+   *   adaptiveTimestep?: import('../multipole/adaptive-timestep.js').AdaptiveTimestepOptions,
    *   mesh?: {
-   *     assignment?: 'ngp' | 'cic',
+   *     assignment?: 'ngp' | 'cic' | 'tsc',
    *     gridSize?: number,
    *     slicesPerRow?: number,
    *     kCut?: number,
    *     splitSigma?: number,
-   *     nearFieldRadius?: number
+   *     nearFieldRadius?: number,
+   *     shortRange?: 'grid' | 'p3m',
+   *     splitRadius?: number,
+   *     cutoffRadius?: number,
+   *     boundary?: import('../isolated-green.js').GridBoundaryName
    *   }
    * }} options
    */
@@ -55,6 +78,8 @@ export class GravityMesh {
     damping,
     maxSpeed,
     maxAccel,
+    integrator,
+    adaptiveTimestep,
     mesh: meshConfig
   }) {
     this.gl = gl;
@@ -75,23 +100,38 @@ export class GravityMesh {
       throw new Error(`particleCount ${this.particleCount} exceeds texture capacity ${this.actualTextureSize}`);
 
     this.worldBounds = worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
-    this.dt = dt || 1 / 60;
-    this.gravityStrength = gravityStrength || 0.0003;
-    this.softening = softening || 0.15;
-    this.damping = damping || 0.0;
-    this.maxSpeed = maxSpeed || 2.0;
-    this.maxAccel = maxAccel || 1.5;
+    this.dt = dt !== undefined ? dt : 1 / 60;
+    this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
+    this.softening = softening !== undefined ? softening : 0.15;
+    this.damping = damping !== undefined ? damping : 0.0;
+    this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
+    this.maxAccel = maxAccel !== undefined ? maxAccel : 1.5;
+
+    this.integrator = integrator || 'euler';
+    if (!INTEGRATORS.includes(this.integrator))
+      throw new Error(`GravityMesh: unknown integrator '${this.integrator}', expected one of ${INTEGRATORS.join(', ')}`);
     
     // Mesh configuration
     const meshOptions = meshConfig || {};
+    // Isolated boundaries: gridSize cells over worldBounds, inside a grid and box twice that size
+    const boundary = resolveGridBoundary('GravityMesh', meshOptions.boundary);
+    const gridSize = (meshOptions.gridSize || 64) * (boundary === 'isolated' ? 2 : 1);
     this.meshConfig = {
       assignment: meshOptions.assignment || 'ngp',
-      gridSize: meshOptions.gridSize || 64,
-      slicesPerRow: meshOptions.slicesPerRow || Math.ceil(Math.sqrt(meshOptions.gridSize || 64)),
+      boundary,
+      gridSize,
+      slicesPerRow: meshOptions.slicesPerRow || Math.ceil(Math.sqrt(gridSize)),
       kCut: meshOptions.kCut ?? 0,
       splitSigma: meshOptions.splitSigma ?? 0,
-      nearFieldRadius: Math.max(1, Math.floor(meshOptions.nearFieldRadius ?? 2))
+      nearFieldRadius: Math.max(1, Math.floor(meshOptions.nearFieldRadius ?? 2)),
+      shortRange: meshOptions.shortRange || 'grid'
     };
+    if (!SHORT_RANGE_MODES.includes(this.meshConfig.shortRange))
+      throw new Error(`GravityMesh: unknown shortRange '${this.meshConfig.shortRange}', expected one of ${SHORT_RANGE_MODES.join(', ')}`);
+    // P3M owns the Poisson filter: its short-range sums are the complement of that exact Gaussian
+    const p3m = this.meshConfig.shortRange === 'p3m';
+    if (p3m && (this.meshConfig.splitSigma > 0 || this.meshConfig.kCut > 0))
+      throw new Error("GravityMesh: shortRange 'p3m' sets the Poisson split from splitRadius; drop splitSigma and kCut");
     
     this.frameCount = 0;
     
@@ -136,8 +176,11 @@ export class GravityMesh {
     
     this.quadVAO = vao;
 
+    // The box the grid spans: worldBounds, or for isolated boundaries worldBounds plus its padding
+    this.gridBounds = boundary === 'isolated' ? isolatedGridBounds(this.worldBounds) : this.worldBounds;
+
     // Calculate cell volume for FFT
-    const bounds = this.worldBounds;
+    const bounds = this.gridBounds;
     const boxSize = Math.max(
       bounds.max[0] - bounds.min[0],
       bounds.max[1] - bounds.min[1],
@@ -145,6 +188,11 @@ export class GravityMesh {
     );
     const cellSize = boxSize / this.meshConfig.gridSize;
     this.cellVolume = cellSize * cellSize * cellSize;
+
+    // P3M split scale and cutoff, by default 1.25 and 5.6 mesh cells
+    const split = p3m ? resolveSplit('GravityMesh', meshOptions, cellSize) : { splitRadius: 0, cutoffRadius: 0 };
+    this.splitRadius = split.splitRadius;
+    this.cutoffRadius = split.cutoffRadius;
     
     // Calculate world size vector
     this.worldSize = [
@@ -163,7 +211,7 @@ export class GravityMesh {
       particleTexHeight: this.textureHeight,
       gridSize: this.meshConfig.gridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
-      worldBounds: this.worldBounds,
+      worldBounds: this.gridBounds,
       assignment: this.meshConfig.assignment,
       disableFloatBlend: this.disableFloatBlend
     });
@@ -187,12 +235,39 @@ export class GravityMesh {
       textureSize: this.gridTextureSize,
       worldSize: /** @type {[number, number, number]} */ (this.worldSize),
       gravityStrength: this.gravityStrength,
-      splitMode: this.meshConfig.splitSigma > 0 ? 2 : this.meshConfig.kCut > 0 ? 1 : 0,
-      kCut: this.meshConfig.kCut,
-      gaussianSigma: this.meshConfig.splitSigma,
-      deconvolveOrder: this.meshConfig.assignment === 'cic' ? 2 : 1,
+      // Only P3M filters the mesh: the grid near field (KNearField) adds no complement
+      // back, so kCut and splitSigma stay unapplied under shortRange 'grid'.
+      // exp(-½k²σ²) with σ = √2·r_s leaves the mesh exp(-k²r_s²)
+      splitMode: p3m ? 2 : 0,
+      gaussianSigma: p3m ? Math.SQRT2 * this.splitRadius : 0,
+      // The deposit window times the gather window: trilinear (sinc²) for ngp and cic, TSC (sinc³) for tsc
+      deconvolveOrder: this.meshConfig.assignment === 'tsc' ? 6 : this.meshConfig.assignment === 'cic' ? 4 : 3,
       useDiscrete: true
     });
+
+    // Isolated: forward-transform the tabulated Green's function once, through a KFFT of its own
+    if (boundary === 'isolated') {
+      const greenFFT = new KFFT({
+        gl: this.gl,
+        grid: createIsolatedGreenTexture(this.gl, {
+          gridSize: this.meshConfig.gridSize,
+          slicesPerRow: this.meshConfig.slicesPerRow,
+          width: this.gridTextureSize,
+          height: this.gridTextureSize,
+          worldSize: /** @type {[number, number, number]} */ (this.worldSize)
+        }),
+        gridSize: this.meshConfig.gridSize,
+        slicesPerRow: this.meshConfig.slicesPerRow,
+        textureSize: this.gridTextureSize,
+        inverse: false,
+        cellVolume: 1
+      });
+      greenFFT.run();
+      this.poissonKernel.inGreenSpectrum = greenFFT.spectrum;
+      greenFFT.spectrum = null;
+      greenFFT.dispose();
+      this.gl.deleteTexture(greenFFT.grid);
+    }
     
     // Gradient kernel
     this.gradientKernel = new KGradient({
@@ -222,33 +297,87 @@ export class GravityMesh {
       particleTexHeight: this.textureHeight,
       gridSize: this.meshConfig.gridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
-      worldBounds: this.worldBounds,
+      worldBounds: this.gridBounds,
+      assignment: this.meshConfig.assignment,
       accumulate: false
     });
     
-    // Near-field kernel
-    this.nearFieldKernel = new KNearField({
-      gl: this.gl,
-      gridSize: this.meshConfig.gridSize,
-      slicesPerRow: this.meshConfig.slicesPerRow,
-      textureSize: this.gridTextureSize,
-      worldBounds: this.worldBounds,
-      softening: this.softening,
-      gravityStrength: this.gravityStrength,
-      nearFieldRadius: this.meshConfig.nearFieldRadius
-    });
-    
-    // Near-field force sampling kernel (accumulate mode)
-    this.nearFieldSampleKernel = new KForceSample({
-      gl: this.gl,
-      particleCount: this.particleCount,
-      particleTexWidth: this.textureWidth,
-      particleTexHeight: this.textureHeight,
-      gridSize: this.meshConfig.gridSize,
-      slicesPerRow: this.meshConfig.slicesPerRow,
-      worldBounds: this.worldBounds,
-      accumulate: true
-    });
+    /** @type {KNearField | null} */
+    this.nearFieldKernel = null;
+    /** @type {KForceSample | null} */
+    this.nearFieldSampleKernel = null;
+    /** @type {KCellList | null} */
+    this.cellListKernel = null;
+    /** @type {KShortRange | null} */
+    this.shortRangeKernel = null;
+
+    if (p3m) {
+      // Cells at least cutoffRadius wide, so the 27 around a particle hold all its partners;
+      // the list is over worldBounds, where the particles are, and never finer than the mesh
+      const periodic = boundary === 'periodic';
+      const extent = [0, 1, 2].map(axis => this.worldBounds.max[axis] - this.worldBounds.min[axis]);
+      if (periodic && this.cutoffRadius > 0.5 * Math.min(...extent))
+        throw new Error(`GravityMesh: cutoffRadius ${this.cutoffRadius} must be at most half the periodic box; use a larger gridSize or a smaller splitRadius`);
+      const cellsPerAxis = /** @type {[number, number, number]} */ (extent.map(size =>
+        Math.max(1, Math.min(meshOptions.gridSize || 64, Math.floor(size / this.cutoffRadius)))));
+
+      this.cellListKernel = new KCellList({
+        gl: this.gl,
+        inPosition: null,
+        particleCount: this.particleCount,
+        particleTexWidth: this.textureWidth,
+        particleTexHeight: this.textureHeight,
+        worldBounds: this.worldBounds,
+        cellsPerAxis,
+        periodic
+      });
+
+      // Adds onto the far-field force, like the grid near field below
+      this.shortRangeKernel = new KShortRange({
+        gl: this.gl,
+        inPosition: null,
+        inSorted: this.cellListKernel.outSorted,
+        inCellRange: this.cellListKernel.outCellRange,
+        outForce: null,
+        particleCount: this.particleCount,
+        particleTexWidth: this.textureWidth,
+        particleTexHeight: this.textureHeight,
+        sortWidth: this.cellListKernel.sortWidth,
+        cellTexWidth: this.cellListKernel.cellTexWidth,
+        worldBounds: this.worldBounds,
+        cellsPerAxis,
+        periodic,
+        gravityStrength: this.gravityStrength,
+        softening: this.softening,
+        splitRadius: this.splitRadius,
+        cutoffRadius: this.cutoffRadius,
+        accumulate: true
+      });
+    } else {
+      // Near-field kernel
+      this.nearFieldKernel = new KNearField({
+        gl: this.gl,
+        gridSize: this.meshConfig.gridSize,
+        slicesPerRow: this.meshConfig.slicesPerRow,
+        textureSize: this.gridTextureSize,
+        worldBounds: this.gridBounds,
+        softening: this.softening,
+        gravityStrength: this.gravityStrength,
+        nearFieldRadius: this.meshConfig.nearFieldRadius
+      });
+
+      // Near-field force sampling kernel (accumulate mode)
+      this.nearFieldSampleKernel = new KForceSample({
+        gl: this.gl,
+        particleCount: this.particleCount,
+        particleTexWidth: this.textureWidth,
+        particleTexHeight: this.textureHeight,
+        gridSize: this.meshConfig.gridSize,
+        slicesPerRow: this.meshConfig.slicesPerRow,
+        worldBounds: this.gridBounds,
+        accumulate: true
+      });
+    }
 
     // Create velocity and position integrator kernels
     this.integrateEulerKernel = new KIntegrateEuler({
@@ -265,12 +394,49 @@ export class GravityMesh {
 
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
+
+    // Steppers other than Euler borrow the Euler kernel's ping-pong pair rather than allocating their own
+    this.stepper = createIntegrator(this.integrator, {
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel
+    });
+
+    // Optional: split each frame's dt into substeps sized from the GPU-reduced max |a| and |v|
+    this.adaptiveTimestep = adaptiveTimestep ? new AdaptiveTimestep({
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      ...adaptiveTimestep
+    }) : null;
   }
 
   /**
    * Step the simulation forward one frame
    */
   step() {
+    if (this.adaptiveTimestep) {
+      this.adaptiveTimestep.advance(this, () => this._evaluateForces(), () => this._integrateStep());
+    } else {
+      this._integrateStep();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * One integration step over the kernels' current dt: the configured stepper, or the built-in Euler pass
+   */
+  _integrateStep() {
+    if (this.stepper) {
+      this.stepper.step(this, () => this._evaluateForces());
+      return;
+    }
+
     // 1. Deposit particles onto mesh
     this._depositMass();
     
@@ -285,8 +451,19 @@ export class GravityMesh {
     
     // 5. Integrate physics
     this._integratePhysics();
-    
-    this.frameCount++;
+  }
+
+  /**
+   * Run the force pipeline at the current positions.
+   * The far- and near-field passes both accumulate into forceSampleKernel.outForce.
+   * @returns {WebGLTexture | null} force texture
+   */
+  _evaluateForces() {
+    this._depositMass();
+    this._computeMeshForces();
+    this._sampleForces();
+    this._computeNearField();
+    return this.forceSampleKernel.outForce;
   }
   
   _depositMass() {
@@ -342,6 +519,10 @@ export class GravityMesh {
   }
   
   _computeNearField() {
+    if (this.shortRangeKernel) {
+      this._computeShortRange();
+      return;
+    }
     if (!this.nearFieldKernel || !this.nearFieldSampleKernel) {
       throw new Error('Near-field kernels missing');
     }
@@ -360,6 +541,23 @@ export class GravityMesh {
     this.nearFieldSampleKernel.run();
   }
   
+  /**
+   * P3M: bin the particles at their current positions, then add the pairwise
+   * short-range pull onto the sampled mesh force
+   */
+  _computeShortRange() {
+    const cellList = /** @type {KCellList} */ (this.cellListKernel);
+    const shortRange = /** @type {KShortRange} */ (this.shortRangeKernel);
+    if (!this.positionMassTexture) throw new Error('Position textures missing');
+
+    cellList.inPosition = this.positionMassTexture;
+    cellList.run();
+
+    shortRange.inPosition = this.positionMassTexture;
+    shortRange.outForce = this.forceSampleKernel.outForce;
+    shortRange.run();
+  }
+
   _integratePhysics() {
     // allow external inputs
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
@@ -376,12 +574,67 @@ export class GravityMesh {
     this.integrateEulerKernel.inPosition = this.positionMassTexture;
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
   }
-  
 
-  
+  /**
+   * Update physics parameters between steps. Omitted keys keep their current value.
+   * G feeds both the long-range Poisson solve (as 4πG) and the short-range correction
+   * (grid near field or P3M), so the two halves of the force split stay consistent.
+   * @param {{
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number
+   * }} params
+   */
+  setParams(params) {
+    if (params.gravityStrength !== undefined) this.gravityStrength = params.gravityStrength;
+    if (params.softening !== undefined) this.softening = params.softening;
+    if (params.dt !== undefined) this.dt = params.dt;
+    if (params.damping !== undefined) this.damping = params.damping;
+    if (params.maxSpeed !== undefined) this.maxSpeed = params.maxSpeed;
+    if (params.maxAccel !== undefined) this.maxAccel = params.maxAccel;
+
+    this.poissonKernel.fourPiG = 4.0 * Math.PI * this.gravityStrength;
+
+    const correction = this.nearFieldKernel || this.shortRangeKernel;
+    if (correction) {
+      correction.gravityStrength = this.gravityStrength;
+      correction.softening = this.softening;
+    }
+
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    if (this.stepper) {
+      this.stepper.dt = this.dt;
+      this.stepper.damping = this.damping;
+      this.stepper.maxSpeed = this.maxSpeed;
+      this.stepper.maxAccel = this.maxAccel;
+    }
+  }
+
   dispose() {
     const gl = this.gl;
     
+    // Clear the borrowed slots the kernels would otherwise delete, before any of them disposes:
+    // the inverse FFT holds the gradient's last force spectrum, the near-field sample and
+    // the integrator the far-field force, and the particle pair belongs to the integrator
+    if (this.fftInverseKernel) this.fftInverseKernel.spectrum = null;
+    if (this.nearFieldSampleKernel) this.nearFieldSampleKernel.outForce = null;
+    if (this.integrateEulerKernel) this.integrateEulerKernel.inForce = null;
+    if (this.cellListKernel) this.cellListKernel.inPosition = null;
+    // The P3M pass borrows the positions, the cell list's textures and the far-field force
+    if (this.shortRangeKernel) {
+      this.shortRangeKernel.inPosition = null;
+      this.shortRangeKernel.inSorted = null;
+      this.shortRangeKernel.inCellRange = null;
+      this.shortRangeKernel.outForce = null;
+    }
+    
     // Dispose kernels
     if (this.depositKernel) this.depositKernel.dispose();
     if (this.fftForwardKernel) this.fftForwardKernel.dispose();
@@ -391,7 +644,11 @@ export class GravityMesh {
     if (this.forceSampleKernel) this.forceSampleKernel.dispose();
     if (this.nearFieldKernel) this.nearFieldKernel.dispose();
     if (this.nearFieldSampleKernel) this.nearFieldSampleKernel.dispose();
+    if (this.shortRangeKernel) this.shortRangeKernel.dispose();
+    if (this.cellListKernel) this.cellListKernel.dispose();
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.stepper) this.stepper.dispose();
+    if (this.adaptiveTimestep) this.adaptiveTimestep.dispose();
     
     // Clean up textures
     if (this.forceGridX) {
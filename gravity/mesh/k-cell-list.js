@@ -0,0 +1,438 @@
+// @ts-check
+
+/**
+ * KCellList - Bins particles into a cell-linked list on the GPU
+ *
+ * The box is cut into cellsPerAxis cells. Each particle gets the linear index
+ * of its cell as a sort key, and a global bitonic sort (the network of
+ * graph/k-sort-encoder.js, one compare-exchange stage per pass, over the whole
+ * power-of-two padded list) orders the (cell, particle) pairs by cell. A last
+ * pass binary-searches the sorted keys for every cell, so cell c holds the
+ * particles at sorted slots [start, end) of outCellRange texel c.
+ *
+ * Particles outside the box fall into the nearest edge cell, or wrap with
+ * `periodic`. Massless slots and the padding sort past the last cell and are
+ * never listed. Consumers find cells with cellListGLSL.
+ *
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+export class KCellList {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   outSorted?: WebGLTexture|null,
+   *   outCellRange?: WebGLTexture|null,
+   *   particleCount?: number,
+   *   particleTexWidth?: number,
+   *   particleTexHeight?: number,
+   *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   cellsPerAxis?: [number, number, number],
+   *   periodic?: boolean
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Particle configuration
+    this.particleCount = options.particleCount || 0;
+    this.particleTexWidth = options.particleTexWidth || 1;
+    this.particleTexHeight = options.particleTexHeight || 1;
+
+    // Cell configuration
+    this.worldBounds = options.worldBounds || {
+      min: [-4, -4, -4],
+      max: [4, 4, 4]
+    };
+    this.cellsPerAxis = options.cellsPerAxis || [8, 8, 8];
+    this.periodic = !!options.periodic;
+    this.cellCount = this.cellsPerAxis[0] * this.cellsPerAxis[1] * this.cellsPerAxis[2];
+    this.cellTexWidth = Math.ceil(Math.sqrt(this.cellCount));
+    this.cellTexHeight = Math.ceil(this.cellCount / this.cellTexWidth);
+
+    // The sort runs over a power of two slots, laid out row by row in a near-square texture
+    this.sortLog2 = Math.max(1, Math.ceil(Math.log2(Math.max(this.particleCount, 2))));
+    this.sortCount = 2 ** this.sortLog2;
+    this.sortWidth = 2 ** Math.ceil(this.sortLog2 / 2);
+    this.sortHeight = this.sortCount / this.sortWidth;
+
+    // Resource slots
+    this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : createTexture(this.gl, this.particleTexWidth, this.particleTexHeight, this.gl.RGBA32F);
+    this.outSorted = (options.outSorted || options.outSorted === null) ? options.outSorted : createTexture(this.gl, this.sortWidth, this.sortHeight, this.gl.RG32F);
+    this.outCellRange = (options.outCellRange || options.outCellRange === null) ? options.outCellRange : createTexture(this.gl, this.cellTexWidth, this.cellTexHeight, this.gl.RG32F);
+
+    // The sort ping-pongs between outSorted and this scratch list
+    this.sortScratch = createTexture(this.gl, this.sortWidth, this.sortHeight, this.gl.RG32F);
+
+    this.encodeProgram = linkProgram(this.gl, encodeFrag);
+    this.sortProgram = linkProgram(this.gl, bitonicFrag);
+    this.rangeProgram = linkProgram(this.gl, cellRangeFrag);
+
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    this.framebuffer = this.gl.createFramebuffer();
+    if (!this.framebuffer) throw new Error('Failed to create framebuffer');
+
+    this.renderCount = 0;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTexWidth,
+        height: this.particleTexHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      sorted: this.outSorted && readLinear({
+        gl: this.gl, texture: this.outSorted, width: this.sortWidth,
+        height: this.sortHeight, count: this.particleCount,
+        channels: ['cell', 'particle'], pixels, format: this.gl.RG32F
+      }),
+      cellRange: this.outCellRange && readLinear({
+        gl: this.gl, texture: this.outCellRange, width: this.cellTexWidth,
+        height: this.cellTexHeight, count: this.cellCount,
+        channels: ['start', 'end'], pixels, format: this.gl.RG32F
+      }),
+      particleCount: this.particleCount,
+      cellsPerAxis: [...this.cellsPerAxis],
+      cellCount: this.cellCount,
+      sortCount: this.sortCount,
+      periodic: this.periodic,
+      worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KCellList(${this.particleCount} particles) cells=${this.cellsPerAxis.join('×')} sort=${this.sortWidth}×${this.sortHeight}${this.periodic ? ' periodic' : ''} #${this.renderCount} bounds=[${this.worldBounds.min.map(formatNumber)}]to[${this.worldBounds.max.map(formatNumber)}]
+
+position: ${value.position}
+
+→ sorted: ${value.sorted}
+
+→ cellRange: ${value.cellRange}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition) throw new Error('KCellList: inPosition texture not set');
+    if (!this.outSorted || !this.outCellRange) throw new Error('KCellList: output textures not set');
+
+    // Save GL state
+    const prevFB = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const prevVP = gl.getParameter(gl.VIEWPORT);
+    const prevProg = gl.getParameter(gl.CURRENT_PROGRAM);
+    const prevVAO = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
+    const prevBlend = gl.getParameter(gl.BLEND);
+    const prevDepthTest = gl.getParameter(gl.DEPTH_TEST);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.bindVertexArray(this.quadVAO);
+
+    // Encode into whichever list the sort passes will finish on: outSorted
+    const sortPasses = this.sortLog2 * (this.sortLog2 + 1) / 2;
+    let current = sortPasses % 2 === 0 ? this.outSorted : this.sortScratch;
+    let other = current === this.outSorted ? this.sortScratch : this.outSorted;
+
+    gl.useProgram(this.encodeProgram);
+    this._target(current, this.sortWidth, this.sortHeight);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    gl.uniform1i(gl.getUniformLocation(this.encodeProgram, 'u_positions'), 0);
+    gl.uniform2i(gl.getUniformLocation(this.encodeProgram, 'u_particleTexSize'), this.particleTexWidth, this.particleTexHeight);
+    gl.uniform1i(gl.getUniformLocation(this.encodeProgram, 'u_particleCount'), this.particleCount);
+    gl.uniform1i(gl.getUniformLocation(this.encodeProgram, 'u_sortWidth'), this.sortWidth);
+    setCellListUniforms(gl, this.encodeProgram, this);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    // Bitonic network: stage k merges runs of k, each pass compares slots j apart
+    gl.useProgram(this.sortProgram);
+    gl.uniform1i(gl.getUniformLocation(this.sortProgram, 'u_list'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.sortProgram, 'u_sortWidth'), this.sortWidth);
+    for (let k = 2; k <= this.sortCount; k *= 2) {
+      for (let j = k / 2; j >= 1; j /= 2) {
+        this._target(other, this.sortWidth, this.sortHeight);
+        gl.bindTexture(gl.TEXTURE_2D, current);
+        gl.uniform1i(gl.getUniformLocation(this.sortProgram, 'u_k'), k);
+        gl.uniform1i(gl.getUniformLocation(this.sortProgram, 'u_j'), j);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        [current, other] = [other, current];
+      }
+    }
+
+    // Cell ranges by binary search over the sorted keys
+    gl.useProgram(this.rangeProgram);
+    this._target(this.outCellRange, this.cellTexWidth, this.cellTexHeight);
+    gl.bindTexture(gl.TEXTURE_2D, this.outSorted);
+    gl.uniform1i(gl.getUniformLocation(this.rangeProgram, 'u_sorted'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.rangeProgram, 'u_sortWidth'), this.sortWidth);
+    gl.uniform1i(gl.getUniformLocation(this.rangeProgram, 'u_sortCount'), this.sortCount);
+    gl.uniform1i(gl.getUniformLocation(this.rangeProgram, 'u_cellTexWidth'), this.cellTexWidth);
+    gl.uniform1i(gl.getUniformLocation(this.rangeProgram, 'u_cellCount'), this.cellCount);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    // Restore GL state
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFB);
+    gl.viewport(prevVP[0], prevVP[1], prevVP[2], prevVP[3]);
+    gl.useProgram(prevProg);
+    gl.bindVertexArray(prevVAO);
+    if (prevBlend) gl.enable(gl.BLEND);
+    if (prevDepthTest) gl.enable(gl.DEPTH_TEST);
+
+    this.renderCount++;
+  }
+
+  /**
+   * Attach a pass's output to the shared framebuffer
+   * @param {WebGLTexture} texture
+   * @param {number} width
+   * @param {number} height
+   */
+  _target(texture, width, height) {
+    const gl = this.gl;
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.viewport(0, 0, width, height);
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.encodeProgram) gl.deleteProgram(this.encodeProgram);
+    if (this.sortProgram) gl.deleteProgram(this.sortProgram);
+    if (this.rangeProgram) gl.deleteProgram(this.rangeProgram);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+    gl.deleteTexture(this.sortScratch);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.outSorted) gl.deleteTexture(this.outSorted);
+    if (this.outCellRange) gl.deleteTexture(this.outCellRange);
+    this.inPosition = null;
+    this.outSorted = null;
+    this.outCellRange = null;
+  }
+}
+
+/**
+ * Cell lookup for the list's consumers: cellOf(position) and cellIndex(cell),
+ * set up with setCellListUniforms.
+ */
+export const cellListGLSL = /* glsl */`
+uniform vec3 u_cellMin;
+uniform vec3 u_cellMax;
+uniform ivec3 u_cells;
+uniform bool u_periodic;
+
+// GLSL leaves % undefined for negative operands
+ivec3 wrapCell(ivec3 c) {
+  return c - u_cells * ivec3(floor(vec3(c) / vec3(u_cells)));
+}
+
+ivec3 cellOf(vec3 p) {
+  vec3 extent = max(u_cellMax - u_cellMin, vec3(1e-6));
+  ivec3 c = ivec3(floor((p - u_cellMin) / extent * vec3(u_cells)));
+  return u_periodic ? wrapCell(c) : clamp(c, ivec3(0), u_cells - 1);
+}
+
+int cellIndex(ivec3 c) {
+  return (c.z * u_cells.y + c.y) * u_cells.x + c.x;
+}
+`;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program - with cellListGLSL in its fragment shader, in use
+ * @param {{
+ *   worldBounds: {min: [number,number,number], max: [number,number,number]},
+ *   cellsPerAxis: [number, number, number],
+ *   periodic: boolean
+ * }} cellList
+ */
+export function setCellListUniforms(gl, program, { worldBounds, cellsPerAxis, periodic }) {
+  gl.uniform3f(gl.getUniformLocation(program, 'u_cellMin'), worldBounds.min[0], worldBounds.min[1], worldBounds.min[2]);
+  gl.uniform3f(gl.getUniformLocation(program, 'u_cellMax'), worldBounds.max[0], worldBounds.max[1], worldBounds.max[2]);
+  gl.uniform3i(gl.getUniformLocation(program, 'u_cells'), cellsPerAxis[0], cellsPerAxis[1], cellsPerAxis[2]);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_periodic'), periodic ? 1 : 0);
+}
+
+/**
+ * Compile and link a full-screen pass
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} fragSource
+ */
+function linkProgram(gl, fragSource) {
+  const vert = gl.createShader(gl.VERTEX_SHADER);
+  if (!vert) throw new Error('Failed to create vertex shader');
+  gl.shaderSource(vert, fsQuadVert);
+  gl.compileShader(vert);
+  if (!gl.getShaderParameter(vert, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vert);
+    gl.deleteShader(vert);
+    throw new Error(`Vertex shader compile failed: ${info}`);
+  }
+
+  const frag = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!frag) throw new Error('Failed to create fragment shader');
+  gl.shaderSource(frag, fragSource);
+  gl.compileShader(frag);
+  if (!gl.getShaderParameter(frag, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(frag);
+    gl.deleteShader(frag);
+    throw new Error(`Fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('Failed to create program');
+  gl.attachShader(program, vert);
+  gl.attachShader(program, frag);
+  gl.linkProgram(program);
+  gl.deleteShader(vert);
+  gl.deleteShader(frag);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link failed: ${info}`);
+  }
+  return program;
+}
+
+/**
+ * Helper: Create a NEAREST float texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {number} internalFormat - RGBA32F or RG32F
+ */
+function createTexture(gl, width, height, internalFormat) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0,
+    internalFormat === gl.RG32F ? gl.RG : gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+// (cell, particle) for every sort slot; empty and massless slots key past the last cell
+const encodeFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_positions;
+uniform ivec2 u_particleTexSize;
+uniform int u_particleCount;
+uniform int u_sortWidth;
+${cellListGLSL}
+out vec4 fragColor;
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int slot = texel.y * u_sortWidth + texel.x;
+
+  float key = float(u_cells.x * u_cells.y * u_cells.z);
+  if (slot < u_particleCount) {
+    vec4 p = texelFetch(u_positions, ivec2(slot % u_particleTexSize.x, slot / u_particleTexSize.x), 0);
+    if (p.w > 0.0) key = float(cellIndex(cellOf(p.xyz)));
+  }
+  fragColor = vec4(key, float(slot), 0.0, 0.0);
+}
+`;
+
+// One compare-exchange pass of the bitonic network. Pairs compare by cell, then
+// particle, so the order is total and every pass is deterministic
+const bitonicFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_list;
+uniform int u_sortWidth;
+uniform int u_k;
+uniform int u_j;
+
+out vec4 fragColor;
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int i = texel.y * u_sortWidth + texel.x;
+  int partner = i ^ u_j;
+
+  vec2 mine = texelFetch(u_list, texel, 0).rg;
+  vec2 theirs = texelFetch(u_list, ivec2(partner % u_sortWidth, partner / u_sortWidth), 0).rg;
+
+  bool ascending = (i & u_k) == 0;
+  bool mineFirst = mine.x < theirs.x || (mine.x == theirs.x && mine.y < theirs.y);
+  // The lower slot of the pair keeps whichever comes first in this run's direction
+  bool keepMine = (i < partner) == (mineFirst == ascending);
+  fragColor = vec4(keepMine ? mine : theirs, 0.0, 0.0);
+}
+`;
+
+// [start, end) of each cell in the sorted list: two lower bounds
+const cellRangeFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_sorted;
+uniform int u_sortWidth;
+uniform int u_sortCount;
+uniform int u_cellTexWidth;
+uniform int u_cellCount;
+
+out vec4 fragColor;
+
+int lowerBound(float key) {
+  int lo = 0;
+  int hi = u_sortCount;
+  for (int step = 0; step < 32 && lo < hi; step++) {
+    int mid = (lo + hi) / 2;
+    if (texelFetch(u_sorted, ivec2(mid % u_sortWidth, mid / u_sortWidth), 0).r < key) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int cell = texel.y * u_cellTexWidth + texel.x;
+  if (cell >= u_cellCount) {
+    fragColor = vec4(0.0);
+    return;
+  }
+  fragColor = vec4(float(lowerBound(float(cell))), float(lowerBound(float(cell + 1))), 0.0, 0.0);
+}
+`;
@@ -0,0 +1,134 @@
+// @ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { KCellList } from './k-cell-list.js';
+import { getGL, createTestTexture, readTexture, disposeKernel, resetGL } from '../test-utils.js';
+
+/**
+ * Helper: pack [x, y, z, mass] rows into a particle texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[][]} particles
+ * @param {number} width
+ * @param {number} height
+ */
+function createPositions(gl, particles, width, height) {
+  const data = new Float32Array(width * height * 4);
+  particles.forEach((p, i) => data.set(p, i * 4));
+  return createTestTexture(gl, width, height, data);
+}
+
+/**
+ * Test 1: Output texture creation and layout
+ */
+test('KCellList: creates outputs sized for the sort and the cells', async () => {
+  const gl = getGL();
+
+  const kernel = new KCellList({
+    gl,
+    particleCount: 5,
+    particleTexWidth: 4,
+    particleTexHeight: 2,
+    cellsPerAxis: [3, 3, 3]
+  });
+
+  assert.ok(kernel.inPosition, 'inPosition should be created');
+  assert.ok(kernel.outSorted, 'outSorted should be created');
+  assert.ok(kernel.outCellRange, 'outCellRange should be created');
+  assert.strictEqual(kernel.sortCount, 8, 'Sort pads 5 particles to 8 slots');
+  assert.strictEqual(kernel.sortWidth * kernel.sortHeight, 8, 'Sort texture holds every slot');
+  assert.strictEqual(kernel.cellCount, 27, 'Cell count');
+  assert.ok(kernel.cellTexWidth * kernel.cellTexHeight >= 27, 'Cell texture holds every cell');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Sorted keys and cell ranges for particles in known cells
+ */
+test('KCellList: sorts particles by cell and lists each cell range', async () => {
+  const gl = getGL();
+
+  // 2×2×2 cells over [-1, 1]³: cell index = x + 2y + 4z with each axis 0 below 0
+  const particles = [
+    [0.5, 0.5, 0.5, 1.0],     // cell 7
+    [-0.5, -0.5, -0.5, 1.0],  // cell 0
+    [0.5, -0.5, -0.5, 1.0],   // cell 1
+    [-0.5, -0.5, -0.6, 1.0],  // cell 0
+    [0.2, 0.2, 0.2, 0.0],     // massless: not listed
+    [5.0, -0.5, -0.5, 1.0]    // outside: clamps to cell 1
+  ];
+  const particleTexWidth = 4;
+  const particleTexHeight = 2;
+  const inPosition = createPositions(gl, particles, particleTexWidth, particleTexHeight);
+
+  const kernel = new KCellList({
+    gl,
+    inPosition,
+    particleCount: particles.length,
+    particleTexWidth,
+    particleTexHeight,
+    worldBounds: { min: [-1, -1, -1], max: [1, 1, 1] },
+    cellsPerAxis: [2, 2, 2]
+  });
+
+  kernel.run();
+
+  const sorted = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outSorted), kernel.sortWidth, kernel.sortHeight);
+  const keys = [];
+  const indices = [];
+  for (let i = 0; i < kernel.sortCount; i++) {
+    keys.push(sorted[i * 4 + 0]);
+    indices.push(sorted[i * 4 + 1]);
+  }
+
+  // Ties sort by particle index; massless and padding slots key past the last cell
+  assert.deepStrictEqual(keys, [0, 0, 1, 1, 7, 8, 8, 8], 'Sorted keys');
+  assert.deepStrictEqual(indices.slice(0, 5), [1, 3, 2, 5, 0], 'Sorted particles');
+
+  const ranges = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outCellRange), kernel.cellTexWidth, kernel.cellTexHeight);
+  const expected = [[0, 2], [2, 4], [4, 4], [4, 4], [4, 4], [4, 4], [4, 4], [4, 5]];
+  for (let c = 0; c < 8; c++) {
+    assert.deepStrictEqual([ranges[c * 4 + 0], ranges[c * 4 + 1]], expected[c], `Range of cell ${c}`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 3: Periodic wrap
+ */
+test('KCellList: periodic wraps out-of-box particles into the far cell', async () => {
+  const gl = getGL();
+
+  const particles = [
+    [-1.25, 0.1, 0.1, 1.0],  // wraps to x = 0.75: cell (3, 2, 2)
+    [1.25, 0.1, 0.1, 1.0]    // wraps to x = -0.75: cell (0, 2, 2)
+  ];
+  const inPosition = createPositions(gl, particles, 2, 1);
+
+  const kernel = new KCellList({
+    gl,
+    inPosition,
+    particleCount: 2,
+    particleTexWidth: 2,
+    particleTexHeight: 1,
+    worldBounds: { min: [-1, -1, -1], max: [1, 1, 1] },
+    cellsPerAxis: [4, 4, 4],
+    periodic: true
+  });
+
+  kernel.run();
+
+  const sorted = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outSorted), kernel.sortWidth, kernel.sortHeight);
+  const base = (2 * 4 + 2) * 4;
+  assert.strictEqual(sorted[0], base + 0, 'Particle past max wraps to the first x cell');
+  assert.strictEqual(sorted[1], 1, 'Particle past max sorts first');
+  assert.strictEqual(sorted[4], base + 3, 'Particle below min wraps to the last x cell');
+  assert.strictEqual(sorted[5], 0, 'Particle below min sorts second');
+
+  disposeKernel(kernel);
+  resetGL();
+});
@@ -3,7 +3,8 @@
 /**
  * KDeposit - Deposits particle mass onto mesh grid
  * 
- * Aggregates particles into 3D grid using NGP or CIC mass assignment.
+ * Aggregates particles into 3D grid using NGP, CIC or TSC mass assignment:
+ * one draw per neighbouring cell, 8 for CIC and 27 for TSC.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
@@ -22,6 +23,12 @@ const CIC_OFFSETS = [
   [1, 1, 1]
 ];
 
+/** @type {[number, number, number][]} */
+const TSC_OFFSETS = [];
+for (let z = -1; z <= 1; z++)
+  for (let y = -1; y <= 1; y++)
+    for (let x = -1; x <= 1; x++) TSC_OFFSETS.push([x, y, z]);
+
 export class KDeposit {
   /**
    * @param {{
@@ -34,7 +41,7 @@ export class KDeposit {
    *   gridSize?: number,
    *   slicesPerRow?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   assignment?: 'ngp' | 'cic',
+   *   assignment?: 'ngp' | 'cic' | 'tsc',
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -236,11 +243,11 @@ position: ${value.position}
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'), this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_particleSize'), 1.0);
 
-    const assignmentValue = this.assignment === 'cic' ? 1 : 0;
+    const assignmentValue = this.assignment === 'cic' ? 1 : this.assignment === 'tsc' ? 2 : 0;
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_assignment'), assignmentValue);
 
     const offsetLoc = gl.getUniformLocation(this.program, 'u_offset');
-    const offsets = assignmentValue === 1 ? CIC_OFFSETS : [[0, 0, 0]];
+    const offsets = assignmentValue === 1 ? CIC_OFFSETS : assignmentValue === 2 ? TSC_OFFSETS : [[0, 0, 0]];
 
     gl.bindVertexArray(this.particleVAO);
     for (const offset of offsets) {
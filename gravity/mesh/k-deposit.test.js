@@ -572,3 +572,50 @@ test('KDeposit.diagnostic: out-of-bounds particle handling', async () => {
   gl.deleteTexture(posTex);
   resetGL();
 });
+
+/**
+ * Test 5: TSC deposit with single particle
+ * The 27 weights sum to the mass and wrap across the periodic grid edge.
+ */
+test('KDeposit: single particle TSC deposit wraps its 27 weights', async () => {
+  const gl = getGL();
+
+  // Grid x = 3.75: nearest voxel is 4, which wraps to 0; y and z sit on voxel 2
+  const posTex = createTestTexture(gl, 1, 1, new Float32Array([1.75, 0, 0, 1.0]));
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+  const outGrid = createTestTexture(gl, textureSize, textureSize, null);
+
+  const kernel = new KDeposit({
+    gl,
+    inPosition: posTex,
+    outGrid,
+    particleCount: 1,
+    particleTexWidth: 1,
+    particleTexHeight: 1,
+    gridSize,
+    slicesPerRow,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+    assignment: 'tsc'
+  });
+
+  kernel.run();
+
+  const data = readTexture(gl, outGrid, textureSize, textureSize);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) total += data[i];
+  assertClose(total, 1.0, 1e-5, `Total mass should be conserved with TSC (got ${total})\n\n${kernel.toString()}`);
+
+  // d = -0.25 in x: 0.28125 one voxel below, 0.6875 on the nearest, 0.03125 above
+  const yz = 0.75 * 0.75;
+  assertClose(readVoxel(data, 3, 2, 2, gridSize, slicesPerRow)[0], 0.28125 * yz, 1e-6, 'voxel below');
+  assertClose(readVoxel(data, 0, 2, 2, gridSize, slicesPerRow)[0], 0.6875 * yz, 1e-6, 'nearest voxel, wrapped');
+  assertClose(readVoxel(data, 1, 2, 2, gridSize, slicesPerRow)[0], 0.03125 * yz, 1e-6, 'voxel above, wrapped');
+  assertClose(readVoxel(data, 2, 2, 2, gridSize, slicesPerRow)[0], 0, 0, 'two voxels away');
+
+  disposeKernel(kernel);
+  gl.deleteTexture(posTex);
+  resetGL();
+});
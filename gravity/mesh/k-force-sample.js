@@ -7,7 +7,8 @@ import forceSampleVert from './shaders/force-sample.vert.js';
 /**
  * KForceSample - Samples force grids at particle positions
  * 
- * Interpolates forces from 3D grid to particle positions.
+ * Interpolates forces from 3D grid to particle positions: trilinearly, or with
+ * the TSC window over the 27 nearest voxels when `assignment` is 'tsc'.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 export class KForceSample {
@@ -25,6 +26,7 @@ export class KForceSample {
    *   gridSize?: number,
    *   slicesPerRow?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   assignment?: 'ngp' | 'cic' | 'tsc',
    *   accumulate?: boolean
    * }} options
    */
@@ -55,6 +57,9 @@ export class KForceSample {
       max: [4, 4, 4]
     };
 
+    // Interpolation window: only TSC differs from the trilinear gather
+    this.assignment = options.assignment || 'ngp';
+
     // Accumulate flag
     this.accumulate = options.accumulate !== undefined ? options.accumulate : false;
 
@@ -166,6 +171,7 @@ export class KForceSample {
       slicesPerRow: this.slicesPerRow,
       textureSize: this.textureSize,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      assignment: this.assignment,
       accumulate: this.accumulate,
       renderCount: this.renderCount
     };
@@ -173,7 +179,7 @@ export class KForceSample {
     const totalForce = value.force?.fx ? Math.sqrt(value.force.fx.mean ** 2 + value.force.fy.mean ** 2 + value.force.fz.mean ** 2) : 0;
 
     value.toString = () =>
-      `KForceSample(${this.particleCount} particles from ${this.gridSize}³ grid) accumulate=${this.accumulate} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KForceSample(${this.particleCount} particles from ${this.gridSize}³ grid) assignment=${this.assignment} accumulate=${this.accumulate} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
@@ -258,6 +264,7 @@ forceGridZ: ${value.forceGridZ}
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.particleTexWidth, this.particleTexHeight);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_tsc'), this.assignment === 'tsc' ? 1 : 0);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'), this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'), this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
 
@@ -50,8 +50,8 @@ export class KNearField {
     };
 
     // Physics parameters
-    this.softening = options.softening || 0.15;
-    this.gravityStrength = options.gravityStrength || 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.15;
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
     this.nearFieldRadius = options.nearFieldRadius || 2;
 
     // Compile and link shader program
@@ -4,6 +4,8 @@
  * KPoisson - Solves Poisson equation in Fourier space
  * 
  * Converts density spectrum to gravitational potential spectrum.
+ * With inGreenSpectrum (isolated boundaries, see ../isolated-green.js) the
+ * density is multiplied by that free-space spectrum instead of -4πG/k².
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
@@ -16,6 +18,7 @@ export class KPoisson {
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inDensitySpectrum?: WebGLTexture|null,
+   *   inGreenSpectrum?: WebGLTexture|null,
    *   outPotentialSpectrum?: WebGLTexture|null,
    *   quadVAO?: WebGLVertexArrayObject|null,
    *   gridSize?: number,
@@ -26,7 +29,7 @@ export class KPoisson {
    *   splitMode?: 0|1|2,
    *   kCut?: number,
    *   gaussianSigma?: number,
-   *   deconvolveOrder?: 0|1|2|3,
+   *   deconvolveOrder?: 0|1|2|3|4|6,
    *   useDiscrete?: boolean
    * }} options
    */
@@ -35,6 +38,7 @@ export class KPoisson {
 
     // Resource slots
     this.inDensitySpectrum = (options.inDensitySpectrum || options.inDensitySpectrum === null) ? options.inDensitySpectrum : createComplexTexture(this.gl, (options.gridSize || 64) * (options.slicesPerRow || Math.ceil(Math.sqrt(options.gridSize || 64))));
+    this.inGreenSpectrum = (options.inGreenSpectrum || options.inGreenSpectrum === null) ? options.inGreenSpectrum : null;
     this.outPotentialSpectrum = (options.outPotentialSpectrum || options.outPotentialSpectrum === null) ? options.outPotentialSpectrum : createComplexTexture(this.gl, (options.gridSize || 64) * (options.slicesPerRow || Math.ceil(Math.sqrt(options.gridSize || 64))));
     this.quadVAO = (options.quadVAO || options.quadVAO === null) ? options.quadVAO : createQuadVAO(this.gl);
 
@@ -45,7 +49,7 @@ export class KPoisson {
 
     // Physics parameters
     this.worldSize = options.worldSize || [8, 8, 8];
-    this.fourPiG = 4.0 * Math.PI * (options.gravityStrength || 0.0003);
+    this.fourPiG = 4.0 * Math.PI * (options.gravityStrength !== undefined ? options.gravityStrength : 0.0003);
     this.splitMode = options.splitMode || 0;
     this.kCut = options.kCut || 0;
     this.gaussianSigma = options.gaussianSigma || 0;
@@ -138,6 +142,11 @@ export class KPoisson {
         height: this.textureSize, count: this.textureSize * this.textureSize,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
+      greenSpectrum: this.inGreenSpectrum && readLinear({
+        gl: this.gl, texture: this.inGreenSpectrum, width: this.textureSize,
+        height: this.textureSize, count: this.textureSize * this.textureSize,
+        channels: ['real', 'imag'], pixels, format: this.gl.RG32F
+      }),
       potentialSpectrum: this.outPotentialSpectrum && readLinear({
         gl: this.gl, texture: this.outPotentialSpectrum, width: this.textureSize,
         height: this.textureSize, count: this.textureSize * this.textureSize,
@@ -153,10 +162,12 @@ export class KPoisson {
     };
 
     value.toString = () =>
-      `KPoisson(${this.gridSize}³ grid) texture=${this.textureSize}×${this.textureSize} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment} #${this.renderCount}
+      `KPoisson(${this.gridSize}³ grid) texture=${this.textureSize}×${this.textureSize} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment}${this.inGreenSpectrum ? ' isolated' : ''} #${this.renderCount}
 
 densitySpectrum: ${value.densitySpectrum}
-
+${value.greenSpectrum ? `
+greenSpectrum: ${value.greenSpectrum}
+` : ''}
 → potentialSpectrum: ${value.potentialSpectrum}`;
 
     return value;
@@ -219,10 +230,18 @@ densitySpectrum: ${value.densitySpectrum}
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_deconvolveOrder'), this.deconvolveOrder);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_useDiscrete'), this.useDiscrete ? 1 : 0);
 
+    // Isolated solve: the Green's function spectrum
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inGreenSpectrum || null);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_greenSpectrum'), 1);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_isolated'), this.inGreenSpectrum ? 1 : 0);
+
     gl.bindVertexArray(this.quadVAO);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     gl.bindVertexArray(null);
 
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
 
@@ -250,6 +269,11 @@ densitySpectrum: ${value.densitySpectrum}
       this.framebuffer = null;
     }
 
+    if (this.inGreenSpectrum) {
+      gl.deleteTexture(this.inGreenSpectrum);
+      this.inGreenSpectrum = null;
+    }
+
     if (this.outPotentialSpectrum) {
       gl.deleteTexture(this.outPotentialSpectrum);
       this.outPotentialSpectrum = null;
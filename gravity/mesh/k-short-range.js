@@ -0,0 +1,355 @@
+// @ts-check
+
+/**
+ * KShortRange - P3M particle-particle pass
+ *
+ * Sums the exact pairwise pull on every particle from the particles in its own
+ * and the 26 neighbouring cells of a KCellList, each pair scaled by the
+ * short-range split factor (../short-range.js) and dropped past cutoffRadius.
+ * With the list's cells at least cutoffRadius wide, those 27 cells hold every
+ * partner. Together with a mesh filtered by exp(-k²r_s²) this gives the full
+ * Newtonian force at sub-cell resolution.
+ *
+ * Output is acceleration in outForce, written or, with `accumulate`, added on
+ * top of what is there.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+import { CUTOFF_SPLITS, shortRangeGLSL } from '../short-range.js';
+import { cellListGLSL, setCellListUniforms } from './k-cell-list.js';
+
+export class KShortRange {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inSorted?: WebGLTexture|null,
+   *   inCellRange?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   particleCount?: number,
+   *   particleTexWidth?: number,
+   *   particleTexHeight?: number,
+   *   sortWidth?: number,
+   *   cellTexWidth?: number,
+   *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   cellsPerAxis?: [number, number, number],
+   *   periodic?: boolean,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   splitRadius?: number,
+   *   cutoffRadius?: number,
+   *   accumulate?: boolean
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Particle configuration
+    this.particleCount = options.particleCount || 0;
+    this.particleTexWidth = options.particleTexWidth || 1;
+    this.particleTexHeight = options.particleTexHeight || 1;
+
+    // Layout of the KCellList this pass reads
+    this.sortWidth = options.sortWidth || 1;
+    this.cellTexWidth = options.cellTexWidth || 1;
+    this.worldBounds = options.worldBounds || {
+      min: [-4, -4, -4],
+      max: [4, 4, 4]
+    };
+    this.cellsPerAxis = options.cellsPerAxis || [8, 8, 8];
+    this.periodic = !!options.periodic;
+
+    // Resource slots
+    this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : createTextureRGBA32F(this.gl, this.particleTexWidth, this.particleTexHeight);
+    this.inSorted = (options.inSorted || options.inSorted === null) ? options.inSorted : null;
+    this.inCellRange = (options.inCellRange || options.inCellRange === null) ? options.inCellRange : null;
+    this.outForce = (options.outForce || options.outForce === null) ? options.outForce : createTextureRGBA32F(this.gl, this.particleTexWidth, this.particleTexHeight);
+
+    // Physics parameters
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.15;
+    this.splitRadius = options.splitRadius || 1;
+    this.cutoffRadius = options.cutoffRadius || CUTOFF_SPLITS * this.splitRadius;
+    this.accumulate = !!options.accumulate;
+
+    // Compile and link shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, shortRangeFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    this.framebuffer = this.gl.createFramebuffer();
+    if (!this.framebuffer) throw new Error('Failed to create framebuffer');
+
+    this.renderCount = 0;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTexWidth,
+        height: this.particleTexHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.particleTexWidth,
+        height: this.particleTexHeight, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
+      particleCount: this.particleCount,
+      cellsPerAxis: [...this.cellsPerAxis],
+      periodic: this.periodic,
+      worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      splitRadius: this.splitRadius,
+      cutoffRadius: this.cutoffRadius,
+      accumulate: this.accumulate,
+      renderCount: this.renderCount
+    };
+
+    const totalForce = value.force?.fx ? Math.sqrt(value.force.fx.mean ** 2 + value.force.fy.mean ** 2 + value.force.fz.mean ** 2) : 0;
+
+    value.toString = () =>
+      `KShortRange(${this.particleCount} particles) cells=${this.cellsPerAxis.join('×')} G=${formatNumber(this.gravityStrength)} soft=${formatNumber(this.softening)} split=${formatNumber(this.splitRadius)} cutoff=${formatNumber(this.cutoffRadius)}${this.periodic ? ' periodic' : ''} accumulate=${this.accumulate} #${this.renderCount}
+
+position: ${value.position}
+
+→ force: ${value.force ? `totalForceMag=${formatNumber(totalForce)} ` : ''}${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition) throw new Error('KShortRange: inPosition texture not set');
+    if (!this.inSorted || !this.inCellRange) throw new Error('KShortRange: cell list textures not set');
+    if (!this.outForce) throw new Error('KShortRange: outForce texture not set');
+
+    // Save GL state
+    const prevFB = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const prevVP = gl.getParameter(gl.VIEWPORT);
+    const prevProg = gl.getParameter(gl.CURRENT_PROGRAM);
+    const prevVAO = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
+    const prevBlend = gl.getParameter(gl.BLEND);
+    const prevDepthTest = gl.getParameter(gl.DEPTH_TEST);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+    gl.viewport(0, 0, this.particleTexWidth, this.particleTexHeight);
+
+    if (this.accumulate) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+      gl.blendEquation(gl.FUNC_ADD);
+    } else {
+      gl.disable(gl.BLEND);
+    }
+    gl.disable(gl.DEPTH_TEST);
+
+    gl.useProgram(this.program);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_positions'), 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inSorted);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_sorted'), 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inCellRange);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_cellRange'), 2);
+
+    gl.uniform2i(gl.getUniformLocation(this.program, 'u_particleTexSize'), this.particleTexWidth, this.particleTexHeight);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_particleCount'), this.particleCount);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_sortWidth'), this.sortWidth);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_cellTexWidth'), this.cellTexWidth);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_splitRadius'), this.splitRadius);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_cutoffRadius'), this.cutoffRadius);
+    setCellListUniforms(gl, this.program, this);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    // Restore GL state
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFB);
+    gl.viewport(prevVP[0], prevVP[1], prevVP[2], prevVP[3]);
+    gl.useProgram(prevProg);
+    gl.bindVertexArray(prevVAO);
+    if (prevBlend) gl.enable(gl.BLEND); else gl.disable(gl.BLEND);
+    if (prevDepthTest) gl.enable(gl.DEPTH_TEST);
+
+    this.renderCount++;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inSorted) gl.deleteTexture(this.inSorted);
+    if (this.inCellRange) gl.deleteTexture(this.inCellRange);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+    this.inPosition = null;
+    this.inSorted = null;
+    this.inCellRange = null;
+    this.outForce = null;
+  }
+}
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+const shortRangeFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_positions;
+uniform sampler2D u_sorted;           // (cell, particle) by cell, from KCellList
+uniform sampler2D u_cellRange;        // [start, end) of each cell in u_sorted
+uniform ivec2 u_particleTexSize;
+uniform int u_particleCount;
+uniform int u_sortWidth;
+uniform int u_cellTexWidth;
+uniform float u_G;
+uniform float u_softening;
+uniform float u_splitRadius;
+uniform float u_cutoffRadius;
+${cellListGLSL}
+${shortRangeGLSL}
+out vec4 fragColor;
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int self = texel.y * u_particleTexSize.x + texel.x;
+  vec4 me = texelFetch(u_positions, texel, 0);
+  if (self >= u_particleCount || me.w <= 0.0) {
+    fragColor = vec4(0.0);
+    return;
+  }
+
+  vec3 boxSize = u_cellMax - u_cellMin;
+  ivec3 home = cellOf(me.xyz);
+  float eps = max(u_softening, 1e-6);
+  float cutoffSq = u_cutoffRadius * u_cutoffRadius;
+  vec3 total = vec3(0.0);
+
+  for (int dz = -1; dz <= 1; dz++) {
+    for (int dy = -1; dy <= 1; dy++) {
+      for (int dx = -1; dx <= 1; dx++) {
+        ivec3 offset = ivec3(dx, dy, dz);
+        ivec3 cell = home + offset;
+        if (u_periodic) {
+          // A list under 3 cells wide would wrap onto the same cell twice
+          if (any(greaterThanEqual(offset + 1, u_cells))) continue;
+          cell = wrapCell(cell);
+        } else if (any(lessThan(cell, ivec3(0))) || any(greaterThanEqual(cell, u_cells))) {
+          continue;
+        }
+
+        int index = cellIndex(cell);
+        vec2 range = texelFetch(u_cellRange, ivec2(index % u_cellTexWidth, index / u_cellTexWidth), 0).rg;
+        for (int slot = int(range.x); slot < int(range.y); slot++) {
+          int other = int(texelFetch(u_sorted, ivec2(slot % u_sortWidth, slot / u_sortWidth), 0).g);
+          if (other == self) continue;
+
+          vec4 partner = texelFetch(u_positions, ivec2(other % u_particleTexSize.x, other / u_particleTexSize.x), 0);
+          vec3 delta = partner.xyz - me.xyz;
+          if (u_periodic) delta -= boxSize * floor(delta / boxSize + 0.5);
+          float dSq = dot(delta, delta);
+          if (dSq > cutoffSq) continue;
+
+          float denom = dSq + eps * eps;
+          float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
+          total += delta * partner.w * inv * splitShortRange(sqrt(dSq), u_splitRadius);
+        }
+      }
+    }
+  }
+
+  fragColor = vec4(u_G * total, 0.0);
+}
+`;
@@ -0,0 +1,201 @@
+// @ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { KCellList } from './k-cell-list.js';
+import { KShortRange } from './k-short-range.js';
+import { shortRangeFactor } from '../short-range.js';
+import { getGL, createTestTexture, readTexture, assertClose, assertAllFinite, disposeKernel, resetGL } from '../test-utils.js';
+
+/**
+ * Helper: build a cell list over the particles and a short-range pass reading it
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[][]} particles - [x, y, z, mass] rows
+ * @param {{
+ *   cellsPerAxis: [number, number, number],
+ *   periodic?: boolean,
+ *   splitRadius: number,
+ *   cutoffRadius?: number,
+ *   gravityStrength: number,
+ *   softening: number
+ * }} options
+ */
+function createPair(gl, particles, options) {
+  const particleTexWidth = particles.length;
+  const particleTexHeight = 1;
+  const data = new Float32Array(particleTexWidth * 4);
+  particles.forEach((p, i) => data.set(p, i * 4));
+  const inPosition = createTestTexture(gl, particleTexWidth, particleTexHeight, data);
+
+  /** @type {{ min: [number, number, number], max: [number, number, number] }} */
+  const worldBounds = { min: [-2, -2, -2], max: [2, 2, 2] };
+
+  const cellList = new KCellList({
+    gl,
+    inPosition,
+    particleCount: particles.length,
+    particleTexWidth,
+    particleTexHeight,
+    worldBounds,
+    cellsPerAxis: options.cellsPerAxis,
+    periodic: options.periodic
+  });
+
+  const kernel = new KShortRange({
+    gl,
+    inPosition,
+    inSorted: cellList.outSorted,
+    inCellRange: cellList.outCellRange,
+    particleCount: particles.length,
+    particleTexWidth,
+    particleTexHeight,
+    sortWidth: cellList.sortWidth,
+    cellTexWidth: cellList.cellTexWidth,
+    worldBounds,
+    cellsPerAxis: options.cellsPerAxis,
+    periodic: options.periodic,
+    gravityStrength: options.gravityStrength,
+    softening: options.softening,
+    splitRadius: options.splitRadius,
+    cutoffRadius: options.cutoffRadius
+  });
+
+  cellList.run();
+  kernel.run();
+
+  const force = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForce), particleTexWidth, particleTexHeight);
+
+  // The short-range pass borrows the list's textures and the positions
+  kernel.inPosition = null;
+  kernel.inSorted = null;
+  kernel.inCellRange = null;
+  disposeKernel(kernel);
+  disposeKernel(cellList);
+
+  return force;
+}
+
+/**
+ * Test 1: Pair force matches the split Plummer pull
+ */
+test('KShortRange: pair force is the Plummer pull times the split factor', async () => {
+  const gl = getGL();
+
+  const G = 1.0;
+  const softening = 0.05;
+  const splitRadius = 0.25;
+  const d = 0.3;
+  const mass = 2.0;
+
+  // Neighbouring cells of 4 per axis (1 unit wide) over [-2, 2]³
+  const force = createPair(gl, [
+    [-0.1, 0.2, 0.2, mass],
+    [0.2, 0.2, 0.2, mass]
+  ], { cellsPerAxis: [4, 4, 4], splitRadius, gravityStrength: G, softening });
+
+  assertAllFinite(force, 'Forces must be finite');
+
+  const expected = G * mass * d / Math.pow(d * d + softening * softening, 1.5) * shortRangeFactor(d, splitRadius);
+  assertClose(force[0], expected, expected * 1e-3, 'Left particle pulled toward +x');
+  assertClose(force[4], -expected, expected * 1e-3, 'Right particle pulled toward -x');
+  assertClose(force[1], 0, 1e-6, 'No y force');
+  assertClose(force[2], 0, 1e-6, 'No z force');
+
+  resetGL();
+});
+
+/**
+ * Test 2: Nothing past the cutoff
+ */
+test('KShortRange: pairs past the cutoff do not interact', async () => {
+  const gl = getGL();
+
+  const force = createPair(gl, [
+    [-0.4, 0.2, 0.2, 1.0],
+    [0.4, 0.2, 0.2, 1.0]
+  ], { cellsPerAxis: [4, 4, 4], splitRadius: 0.25, cutoffRadius: 0.5, gravityStrength: 1.0, softening: 0.05 });
+
+  for (let i = 0; i < 8; i++) {
+    assertClose(force[i], 0, 1e-7, `Component ${i} beyond cutoff`);
+  }
+
+  resetGL();
+});
+
+/**
+ * Test 3: Periodic pairs meet through the box face
+ */
+test('KShortRange: periodic pairs use the nearest image', async () => {
+  const gl = getGL();
+
+  const G = 1.0;
+  const softening = 0.05;
+  const splitRadius = 0.25;
+  const mass = 1.0;
+
+  // 0.4 apart through the x faces of [-2, 2]³, 3.6 apart inside the box
+  const force = createPair(gl, [
+    [-1.8, 0.2, 0.2, mass],
+    [1.8, 0.2, 0.2, mass]
+  ], { cellsPerAxis: [4, 4, 4], periodic: true, splitRadius, gravityStrength: G, softening });
+
+  const d = 0.4;
+  const expected = G * mass * d / Math.pow(d * d + softening * softening, 1.5) * shortRangeFactor(d, splitRadius);
+  assertClose(force[0], -expected, expected * 1e-3, 'Left particle pulled through the -x face');
+  assertClose(force[4], expected, expected * 1e-3, 'Right particle pulled through the +x face');
+
+  resetGL();
+});
+
+/**
+ * Test 4: Accumulate adds onto the existing force
+ */
+test('KShortRange: accumulate adds to outForce', async () => {
+  const gl = getGL();
+
+  const data = new Float32Array([-0.1, 0.2, 0.2, 1.0, 0.2, 0.2, 0.2, 1.0]);
+  const inPosition = createTestTexture(gl, 2, 1, data);
+  const outForce = createTestTexture(gl, 2, 1, new Float32Array([1, 2, 3, 0, 1, 2, 3, 0]));
+
+  /** @type {{ min: [number, number, number], max: [number, number, number] }} */
+  const worldBounds = { min: [-2, -2, -2], max: [2, 2, 2] };
+  /** @type {[number, number, number]} */
+  const cellsPerAxis = [4, 4, 4];
+
+  const cellList = new KCellList({ gl, inPosition, particleCount: 2, particleTexWidth: 2, particleTexHeight: 1, worldBounds, cellsPerAxis });
+  const kernel = new KShortRange({
+    gl,
+    inPosition,
+    inSorted: cellList.outSorted,
+    inCellRange: cellList.outCellRange,
+    outForce,
+    particleCount: 2,
+    particleTexWidth: 2,
+    particleTexHeight: 1,
+    sortWidth: cellList.sortWidth,
+    cellTexWidth: cellList.cellTexWidth,
+    worldBounds,
+    cellsPerAxis,
+    gravityStrength: 1.0,
+    softening: 0.05,
+    splitRadius: 0.25,
+    accumulate: true
+  });
+
+  cellList.run();
+  kernel.run();
+
+  const force = readTexture(gl, outForce, 2, 1);
+  assert.ok(force[0] > 1, 'Pull toward +x added to the preset 1');
+  assert.ok(force[4] < 1, 'Pull toward -x added to the preset 1');
+  assertClose(force[1], 2, 1e-5, 'y untouched');
+  assertClose(force[6], 3, 1e-5, 'z untouched');
+
+  kernel.inPosition = null;
+  kernel.inSorted = null;
+  kernel.inCellRange = null;
+  disposeKernel(kernel);
+  disposeKernel(cellList);
+
+  resetGL();
+});
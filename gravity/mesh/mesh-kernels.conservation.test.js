@@ -3,6 +3,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { ParticleSystemMeshKernels } from './particle-system-mesh-kernels.js';
+import { particleSystem } from '../gravity.js';
 
 /**
  * Create offscreen canvas with WebGL2 context
@@ -166,6 +167,17 @@ function disposeSystem(system, canvas) {
   canvas.remove();
 }
 
+/**
+ * Equal-mass binary on a circular orbit of separation 1 around the origin.
+ * Relative speed √(G·(m1+m2)/r) = 1 at G = 0.5, so each body moves at 0.5 and the period is 2π.
+ */
+function createBinary() {
+  return [
+    { x: -0.5, y: 0, z: 0, vx: 0, vy: -0.5, vz: 0, mass: 1 },
+    { x: 0.5, y: 0, z: 0, vx: 0, vy: 0.5, vz: 0, mass: 1 }
+  ];
+}
+
 /**
  * Test 1: Energy conservation
  */
@@ -340,3 +352,33 @@ test('mesh-kernels.conservation: angular momentum is conserved', async () => {
   
   disposeSystem(system, canvas);
 });
+
+/**
+ * Test 4: Leapfrog-KDK momentum on a binary orbit
+ */
+test('mesh-kernels.conservation: leapfrog-kdk keeps binary momentum', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createBinary(),
+    method: 'mesh',
+    integrator: 'leapfrog-kdk',
+    gravityStrength: 0.5,
+    softening: 0.05,
+    dt: 0.05,
+    mesh: { gridSize: 16 },
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  for (let i = 0; i < 20; i++) ps.compute();
+  const { positions, velocities, masses } = ps.unloadSubset({ start: 0, count: 2 });
+  for (const v of [...positions, ...velocities]) assert.ok(Number.isFinite(v), 'State must stay finite');
+
+  // Equal masses: total momentum starts at zero
+  const py = masses[0] * velocities[1] + masses[1] * velocities[4];
+  assert.ok(Math.abs(py) < 0.05, `Momentum py=${py}`);
+
+  ps.dispose();
+  canvas.remove();
+});
@@ -10,8 +10,8 @@ in vec3 v_frac;
 
 out vec4 outColor;
 
-uniform int u_assignment; // 0 = NGP, 1 = CIC
-uniform vec3 u_offset;    // CIC corner offset
+uniform int u_assignment; // 0 = NGP, 1 = CIC, 2 = TSC
+uniform vec3 u_offset;    // CIC corner offset, or TSC offset from the nearest voxel
 
 void main() {
   float weight = 1.0;
@@ -19,6 +19,10 @@ void main() {
   if (u_assignment == 1) {
     vec3 w = mix(1.0 - v_frac, v_frac, u_offset);
     weight = w.x * w.y * w.z;
+  } else if (u_assignment == 2) {
+    vec3 side = 0.5 + u_offset * v_frac;
+    vec3 w = mix(vec3(0.75) - v_frac * v_frac, 0.5 * side * side, abs(u_offset));
+    weight = w.x * w.y * w.z;
   }
 
   float contribution = v_mass * weight;
@@ -13,8 +13,8 @@ uniform float u_slicesPerRow;
 uniform vec3 u_worldMin;
 uniform vec3 u_worldMax;
 uniform float u_particleSize;
-uniform int u_assignment; // 0 = NGP, 1 = CIC
-uniform vec3 u_offset;    // CIC corner offset
+uniform int u_assignment; // 0 = NGP, 1 = CIC, 2 = TSC
+uniform vec3 u_offset;    // CIC corner offset, or TSC offset from the nearest voxel
 
 out float v_mass;
 out vec3 v_worldPos;
@@ -42,9 +42,20 @@ void main() {
   vec2 texCoord = (vec2(texX, texY) + 0.5) / u_particleTextureSize;
 
   vec4 posData = texture(u_positionTexture, texCoord);
-  vec3 worldPos = wrapToDomain(posData.xyz, u_worldMin, u_worldMax);
   float mass = posData.w;
 
+  // Removed or unused particle slots carry mass <= 0: cull instead of depositing
+  if (isnan(mass) || mass <= 0.0) {
+    v_mass = 0.0;
+    v_worldPos = vec3(0.0);
+    v_frac = vec3(0.0);
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+
+  vec3 worldPos = wrapToDomain(posData.xyz, u_worldMin, u_worldMax);
+
   vec3 extent = max(u_worldMax - u_worldMin, vec3(EPS));
   vec3 norm = (worldPos - u_worldMin) / extent;
   vec3 gridPos = norm * u_gridSize;
@@ -54,6 +65,11 @@ void main() {
   vec3 targetVoxel = baseVoxel;
   if (u_assignment == 1) {
     targetVoxel += u_offset;
+  } else if (u_assignment == 2) {
+    // TSC centres on the nearest voxel; frac becomes the distance to it, in [-0.5, 0.5]
+    vec3 nearest = floor(gridPos + 0.5);
+    frac = gridPos - nearest;
+    targetVoxel = nearest + u_offset;
   }
 
   targetVoxel.x = wrapIndex(targetVoxel.x, u_gridSize);
@@ -4,7 +4,8 @@
  * Force Sampling Fragment Shader
  * 
  * Samples force field from PM grid at particle positions
- * Uses trilinear interpolation for smooth force field
+ * Uses trilinear interpolation for smooth force field, or the TSC window
+ * over the 27 voxels around the nearest one, wrapped like the deposit
  */
 
 export default /* glsl */`#version 300 es
@@ -23,6 +24,7 @@ uniform float u_gridSize;        // Grid resolution (N)
 uniform float u_slicesPerRow;    // Z-slices per row
 uniform vec3 u_worldMin;         // World bounds
 uniform vec3 u_worldMax;
+uniform bool u_tsc;              // gather with the TSC window instead of trilinear
 
 /**
  * Convert 3D voxel coordinates to 2D texture coordinates
@@ -91,6 +93,35 @@ float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float sl
   return mix(c0, c1, frac.z);
 }
 
+/**
+ * TSC interpolation
+ * The deposit's weights read back from the 27 voxels around the nearest one
+ */
+float sampleGridTSC(sampler2D gridTexture, vec3 gridPos, float gridSize, float slicesPerRow) {
+  vec3 nearest = floor(gridPos + 0.5);
+  vec3 d = gridPos - nearest;
+
+  // Per-axis weights for offsets -1, 0, +1
+  vec3 wm = 0.5 * (0.5 - d) * (0.5 - d);
+  vec3 w0 = 0.75 - d * d;
+  vec3 wp = 0.5 * (0.5 + d) * (0.5 + d);
+
+  float sum = 0.0;
+  for (int k = -1; k <= 1; k++) {
+    float wz = k < 0 ? wm.z : k == 0 ? w0.z : wp.z;
+    for (int j = -1; j <= 1; j++) {
+      float wy = j < 0 ? wm.y : j == 0 ? w0.y : wp.y;
+      for (int i = -1; i <= 1; i++) {
+        float wx = i < 0 ? wm.x : i == 0 ? w0.x : wp.x;
+        vec3 voxel = mod(nearest + vec3(i, j, k) + gridSize, gridSize);
+        vec2 uv = voxelToTexCoord(voxel, gridSize, slicesPerRow);
+        sum += wx * wy * wz * texture(gridTexture, uv).r;
+      }
+    }
+  }
+  return sum;
+}
+
 void main() {
   // Convert world position to grid coordinates [0, N]
   vec3 worldSize = u_worldMax - u_worldMin;
@@ -99,10 +130,17 @@ void main() {
   // Clamp to valid range
   gridPos = clamp(gridPos, vec3(0.0), vec3(u_gridSize - 1.0));
   
-  // Sample force components using trilinear interpolation
-  float fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
-  float fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
-  float fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  // Sample force components with the deposit's window
+  float fx, fy, fz;
+  if (u_tsc) {
+    fx = sampleGridTSC(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGridTSC(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGridTSC(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  } else {
+    fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  }
   
   // Output force (will be added to particle velocity)
   // Store in RGB, mass in A for reference
@@ -8,6 +8,9 @@
  * 
  * Input: Mass density spectrum ρ(k) (complex RG)
  * Output: Potential spectrum φ(k) (complex RG)
+ *
+ * Isolated: φ(k) = G·ρ(k)·Ĝ(k), with Ĝ the spectrum of the free-space kernel
+ * on the doubled grid (real, as the kernel is mirrored); k = 0 is kept.
  */
 
 export default /* glsl */`#version 300 es
@@ -24,8 +27,10 @@ uniform vec3 u_worldSize;              // Physical size per axis of simulation b
 uniform int u_splitMode;               // 0 = none, 1 = hard cutoff, 2 = Gaussian
 uniform float u_kCut;                  // Cutoff wavenumber (rad / unit length)
 uniform float u_gaussianSigma;         // Sigma for Gaussian split (length)
-uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC
+uniform int u_deconvolveOrder;         // power of the sinc window: 0 = none, 3 = NGP, 4 = CIC, 6 = TSC
 uniform int u_useDiscrete;             // 1 = use discrete Laplacian eigenvalue
+uniform bool u_isolated;               // multiply by u_greenSpectrum instead of -4πG/k²
+uniform sampler2D u_greenSpectrum;     // spectrum of ΔV·(-1/r) on the doubled grid
 
 const float PI = 3.14159265359;
 const float TWO_PI = 6.28318530718;
@@ -67,7 +72,8 @@ void main() {
   kg.z = float(voxel.z <= N/2 ? voxel.z : voxel.z - N);
 
   // 1. Deconvolution of assignment window (NGP/CIC/TSC)
-  // This corrects for the smearing effect of the mass assignment scheme.
+  // This corrects for the smearing of the mass assignment and of the force gather:
+  // sinc¹ or sinc² from the deposit, times sinc² from a trilinear gather or sinc³ from TSC.
   if (u_deconvolveOrder > 0) {
     float wx = pow(max(sinc(kg.x * PI / u_gridSize), 1e-4), float(u_deconvolveOrder));
     float wy = pow(max(sinc(kg.y * PI / u_gridSize), 1e-4), float(u_deconvolveOrder));
@@ -93,9 +99,21 @@ void main() {
     k2 = dot(k_phys, k_phys);
   }
 
-  // 3. Solve for potential spectrum: φ(k) = -4πG * ρ(k) / k^2
+  // 3. Optional long-range filter: a hard cutoff, or the Gaussian exp(-½k²σ²)
+  // whose complement a P3M short-range pass adds back (σ = √2·r_s). GravityMesh
+  // sets it only under P3M
+  float k_mag = sqrt(k2);
+  if (u_splitMode == 1) {
+    if (u_kCut > 0.0 && k_mag > u_kCut) rho_k = vec2(0.0);
+  } else if (u_splitMode == 2 && u_gaussianSigma > 0.0) {
+    rho_k *= exp(-0.5 * (k_mag * u_gaussianSigma) * (k_mag * u_gaussianSigma));
+  }
+
+  // 4. Solve for potential spectrum: φ(k) = -4πG * ρ(k) / k^2
   vec2 phi_k = vec2(0.0);
-  if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
+  if (u_isolated) {
+    phi_k = rho_k * texture(u_greenSpectrum, v_uv).r * u_gravitationalConstant / (4.0 * PI);
+  } else if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
     float green = -u_gravitationalConstant / k2;
     phi_k = rho_k * green;
   }
@@ -0,0 +1,233 @@
+// @ts-check
+
+/**
+ * AdaptiveTimestep - splits each frame's `dt` into substeps sized from the live dynamics
+ *
+ * KMotionReduce finds max|a| and max|v| over the active particles and the substep
+ * length becomes
+ *
+ *   h = eta · min(√(softening / max|a|), softening / max|v|)
+ *
+ * clamped to [dtMin, dtMax]. The first term is the usual acceleration criterion; the
+ * second keeps the fastest particle from crossing more than eta softening lengths.
+ * The frame is cut into equal substeps no longer than h, at most `maxSubsteps` of
+ * them, so it always advances exactly `dt` of simulated time: the per-frame cost is
+ * bounded and the visible speed of the simulation does not depend on how violent it is.
+ *
+ * The reduction never stalls the pipeline. It runs after a frame's last substep and
+ * its 1×1 result is read into a pixel pack buffer behind a fence, as ParticleReadback
+ * does; the next frame picks it up if the fence has signalled, and otherwise keeps
+ * the measurement before it. Frames are sized from dynamics one frame old, and until
+ * the first measurement lands they run at dtMin.
+ *
+ * The force reduced is whatever the most recent evaluation left in the engine's force
+ * texture: for the leapfrog family the force at the frame's final positions, for Euler
+ * the force one substep behind them.
+ */
+
+import { KMotionReduce } from './k-motion-reduce.js';
+
+/**
+ * @typedef {{
+ *   eta?: number,
+ *   dtMin?: number,
+ *   dtMax?: number,
+ *   maxSubsteps?: number
+ * }} AdaptiveTimestepOptions
+ */
+
+export class AdaptiveTimestep {
+  /**
+   * @param {AdaptiveTimestepOptions & {
+   *   gl: WebGL2RenderingContext,
+   *   width: number,
+   *   height: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Substep control; dtMin/dtMax of undefined follow the frame dt (see substepBounds)
+    this.eta = options.eta !== undefined ? options.eta : 0.2;
+    this.maxSubsteps = options.maxSubsteps !== undefined ? options.maxSubsteps : 8;
+    this.dtMin = options.dtMin;
+    this.dtMax = options.dtMax;
+
+    if (!(this.eta > 0)) throw new Error(`AdaptiveTimestep: eta must be positive, got ${this.eta}`);
+    if (!Number.isInteger(this.maxSubsteps) || this.maxSubsteps < 1)
+      throw new Error(`AdaptiveTimestep: maxSubsteps must be a positive integer, got ${this.maxSubsteps}`);
+
+    // Diagnostics: substeps of the last frame, and the measurement it was sized from
+    this.lastSubsteps = 0;
+    this.lastMaxAccel = 0;
+    this.lastMaxSpeed = 0;
+    // Whether a measurement has landed yet; until then frames run at dtMin
+    this.measured = false;
+
+    // Force texture the engine's pipeline keeps writing into; null until the first evaluation
+    /** @type {WebGLTexture | null} */
+    this.force = null;
+
+    this.reduceKernel = new KMotionReduce({
+      gl: this.gl,
+      inForce: null,
+      inVelocity: null,
+      inPosition: null,
+      particleTexWidth: options.width,
+      particleTexHeight: options.height
+    });
+
+    // Reusable readback resources (hot path - no alloc/dealloc per frame): the reduction
+    // is read into packBuffer, and copied out once `fence` has signalled
+    this.readbackBuffer = new Float32Array(4);
+    this.readbackFBO = this.gl.createFramebuffer();
+    this.packBuffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.PIXEL_PACK_BUFFER, this.packBuffer);
+    this.gl.bufferData(this.gl.PIXEL_PACK_BUFFER, 4 * 4, this.gl.STREAM_READ);
+    this.gl.bindBuffer(this.gl.PIXEL_PACK_BUFFER, null);
+    /** @type {WebGLSync | null} */
+    this.fence = null;
+  }
+
+  /**
+   * Advance the engine by one frame of `engine.dt` in adaptive substeps.
+   * @param {import('./integrator-kdk.js').ParticlePairOwner & {
+   *   dt: number,
+   *   damping: number,
+   *   softening: number,
+   *   stepper?: { dt: number, damping: number } | null
+   * }} engine
+   * @param {() => WebGLTexture | null} evaluateForce - runs the engine's force pipeline;
+   *   called once to obtain the force texture the pipeline keeps writing into
+   * @param {() => void} integrateStep - one integration step using the kernels' current dt
+   */
+  advance(engine, evaluateForce, integrateStep) {
+    if (!this.force) this.force = evaluateForce();
+    this.collect();
+
+    const frameDt = engine.dt;
+    const { dtMin, dtMax } = this.substepBounds(frameDt);
+    const h = this.measured
+      ? this.chooseStep(this.lastMaxAccel, this.lastMaxSpeed, engine.softening, dtMin, dtMax)
+      : dtMin;
+    const substeps = h > 0 ? Math.min(this.maxSubsteps, Math.max(1, Math.ceil(frameDt / h))) : this.maxSubsteps;
+
+    this.applyStep(engine, frameDt / substeps, frameDt);
+    for (let i = 0; i < substeps; i++) integrateStep();
+
+    this.lastSubsteps = substeps;
+    // Leave the kernels configured for the full frame, as setParams would
+    this.applyStep(engine, frameDt, frameDt);
+
+    this.measure(engine);
+  }
+
+  /**
+   * @param {number} frameDt
+   */
+  substepBounds(frameDt) {
+    return {
+      dtMin: this.dtMin !== undefined ? this.dtMin : frameDt / this.maxSubsteps,
+      dtMax: this.dtMax !== undefined ? Math.min(this.dtMax, frameDt) : frameDt
+    };
+  }
+
+  /**
+   * @param {number} maxAccel
+   * @param {number} maxSpeed
+   * @param {number} softening
+   * @param {number} dtMin
+   * @param {number} dtMax
+   */
+  chooseStep(maxAccel, maxSpeed, softening, dtMin, dtMax) {
+    const byAccel = maxAccel > 0 ? Math.sqrt(softening / maxAccel) : Infinity;
+    const bySpeed = maxSpeed > 0 ? softening / maxSpeed : Infinity;
+    const h = this.eta * Math.min(byAccel, bySpeed);
+    return Math.max(dtMin, Math.min(dtMax, h));
+  }
+
+  /**
+   * Reduce max|a| and max|v| on the GPU and queue the 1×1 result into the pack
+   * buffer. Skipped while the previous read is still in flight.
+   * @param {import('./integrator-kdk.js').ParticlePairOwner} engine
+   */
+  measure(engine) {
+    if (this.fence) return;
+
+    const gl = this.gl;
+    const kernel = this.reduceKernel;
+
+    kernel.inForce = this.force;
+    kernel.inVelocity = engine.velocityColorTexture || null;
+    kernel.inPosition = engine.positionMassTexture || null;
+    kernel.run();
+    kernel.inForce = null;
+    kernel.inVelocity = null;
+    kernel.inPosition = null;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.readbackFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, kernel.outMotion, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.packBuffer);
+    gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.fence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+  }
+
+  /**
+   * Take the queued measurement if its fence has signalled; never waits
+   */
+  collect() {
+    const gl = this.gl;
+    if (!this.fence) return;
+
+    const status = gl.clientWaitSync(this.fence, 0, 0);
+    if (status === gl.TIMEOUT_EXPIRED) return;
+
+    gl.deleteSync(this.fence);
+    this.fence = null;
+    if (status === gl.WAIT_FAILED) return;
+
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.packBuffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, this.readbackBuffer);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    this.lastMaxAccel = this.readbackBuffer[0];
+    this.lastMaxSpeed = this.readbackBuffer[1];
+    this.measured = true;
+  }
+
+  /**
+   * Point the engine's integrators at a substep of length h.
+   * Damping is rescaled so that it still removes the same fraction per frame.
+   * @param {{
+   *   integrateEulerKernel: { dt: number, damping: number },
+   *   damping: number,
+   *   stepper?: { dt: number, damping: number } | null
+   * }} engine
+   * @param {number} h
+   * @param {number} frameDt
+   */
+  applyStep(engine, h, frameDt) {
+    const damping = frameDt > 0 ? 1 - Math.pow(1 - engine.damping, h / frameDt) : engine.damping;
+    engine.integrateEulerKernel.dt = h;
+    engine.integrateEulerKernel.damping = damping;
+    if (engine.stepper) {
+      engine.stepper.dt = h;
+      engine.stepper.damping = damping;
+    }
+  }
+
+  dispose() {
+    this.reduceKernel.dispose();
+    if (this.fence) this.gl.deleteSync(this.fence);
+    if (this.readbackFBO) this.gl.deleteFramebuffer(this.readbackFBO);
+    if (this.packBuffer) this.gl.deleteBuffer(this.packBuffer);
+    this.fence = null;
+    this.readbackFBO = null;
+    this.packBuffer = null;
+    this.force = null;
+  }
+}
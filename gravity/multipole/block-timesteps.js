@@ -0,0 +1,94 @@
+// @ts-check
+
+/**
+ * Hierarchical block timesteps for the tree engines.
+ *
+ * Each particle carries a power-of-two bin in velocity.w: bin b steps with
+ * dt / 2^b. A frame runs 2^maxBin substeps; on each one the octree is rebuilt
+ * from the drifted positions, the traversal computes forces only for the bins
+ * whose block starts there, and KIntegrateEuler kicks those bins and drifts everyone.
+ * Bins are re-chosen at every kick from eta·√(softening/|a|), so dense cores
+ * sink into fine bins while the halo stays at one step per frame.
+ *
+ * The cost is 2^maxBin octree builds per frame; the traversal, which dominates,
+ * only pays for the particles that are active.
+ */
+
+/**
+ * @typedef {{
+ *   maxBin?: number,
+ *   eta?: number
+ * }} BlockTimestepOptions
+ */
+
+/** 2^8 octree rebuilds per frame is already far past useful */
+const MAX_BIN = 8;
+
+/**
+ * Validate block-timestep options against the engine's other settings.
+ * @param {string} engineName - prefix for error messages
+ * @param {BlockTimestepOptions} options
+ * @param {{ integrator: string, adaptiveTimestep: unknown }} engine
+ * @returns {{ maxBin: number, eta: number }}
+ */
+export function resolveBlockTimesteps(engineName, options, { integrator, adaptiveTimestep }) {
+  const maxBin = options.maxBin !== undefined ? options.maxBin : 3;
+  const eta = options.eta !== undefined ? options.eta : 0.2;
+
+  if (!Number.isInteger(maxBin) || maxBin < 1 || maxBin > MAX_BIN)
+    throw new Error(`${engineName}: blockTimesteps.maxBin must be an integer in [1, ${MAX_BIN}], got ${maxBin}`);
+  if (!(eta > 0))
+    throw new Error(`${engineName}: blockTimesteps.eta must be positive, got ${eta}`);
+  // Bins are kicked by KIntegrateEuler directly; the other steppers have no notion of them
+  if (integrator !== 'euler')
+    throw new Error(`${engineName}: blockTimesteps requires integrator 'euler', got '${integrator}'`);
+  if (adaptiveTimestep)
+    throw new Error(`${engineName}: blockTimesteps and adaptiveTimestep cannot be combined`);
+
+  return { maxBin, eta };
+}
+
+/**
+ * Run one frame of block timesteps on a tree engine.
+ * @param {{
+ *   dt: number,
+ *   softening: number,
+ *   velocityColorTexture?: WebGLTexture | null,
+ *   traversalKernel: { inVelocity?: WebGLTexture | null, maxBin: number, substep: number },
+ *   integrateEulerKernel: { dt: number, maxBin: number, substep: number, eta: number, softening: number },
+ *   _buildOctree: () => void,
+ *   _calculateForces: () => void,
+ *   _integratePhysics: () => void
+ * }} engine
+ * @param {{ maxBin: number, eta: number }} blocks
+ */
+export function stepBlockTimesteps(engine, { maxBin, eta }) {
+  const traversal = engine.traversalKernel;
+  const integrate = engine.integrateEulerKernel;
+  const substeps = 1 << maxBin;
+
+  traversal.maxBin = maxBin;
+  integrate.maxBin = maxBin;
+  integrate.dt = engine.dt / substeps;
+  integrate.eta = eta;
+  integrate.softening = engine.softening;
+
+  for (let substep = 0; substep < substeps; substep++) {
+    traversal.substep = substep;
+    integrate.substep = substep;
+    // Bins are read from the velocities the previous substep wrote
+    traversal.inVelocity = engine.velocityColorTexture;
+
+    engine._buildOctree();
+    engine._calculateForces();
+    engine._integratePhysics();
+  }
+
+  // Leave both kernels as plain full-frame passes, the state setParams expects
+  traversal.inVelocity = null;
+  traversal.maxBin = 0;
+  traversal.substep = 0;
+  integrate.maxBin = 0;
+  integrate.substep = 0;
+  integrate.dt = engine.dt;
+}
@@ -0,0 +1,119 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KIntegrateEuler } from './k-integrate-euler.js';
+
+/**
+ * Four particles at the origin at rest; bins and forces per slot:
+ *   0: bin 0, |a| = 1      1: bin 1, |a| = 100
+ *   2: bin 1, |a| = 0.001  3: inactive (mass 0)
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} substep
+ */
+function runSubstep(gl, substep) {
+  const pos = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0]);
+  const vel = new Float32Array([0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  const force = new Float32Array([1, 0, 0, 0, 100, 0, 0, 0, 0.001, 0, 0, 0, 5, 0, 0, 0]);
+
+  const kernel = new KIntegrateEuler({
+    gl,
+    inPosition: createTestTexture(gl, 2, 2, pos),
+    inVelocity: createTestTexture(gl, 2, 2, vel),
+    inForce: createTestTexture(gl, 2, 2, force),
+    width: 2,
+    height: 2,
+    dt: 0.1,
+    maxSpeed: 1000,
+    maxAccel: 1000,
+    maxBin: 1,
+    substep,
+    eta: 0.2,
+    softening: 0.2
+  });
+  kernel.run();
+
+  const outPos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 2);
+  const outVel = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outVelocity), 2, 2);
+  kernel.dispose();
+  return { outPos, outVel };
+}
+
+test('KIntegrateEuler blocks: odd substep kicks only the fine bin and never coarsens off-boundary', async () => {
+  const gl = getGL();
+  const { outPos, outVel } = runSubstep(gl, 1);
+
+  // Bin 0 is between kicks: no velocity change, drift with the old (zero) velocity
+  assert.deepStrictEqual(Array.from(outVel.subarray(0, 4)), [0, 0, 0, 0]);
+  assert.strictEqual(outPos[0], 0);
+
+  // Bin 1 kicks by one substep (0.1) and stays fine: eta·√(softening/100) ≪ frame dt
+  assertClose(outVel[4], 10, 1e-4, 'fine particle vx');
+  assertClose(outPos[4], 1, 1e-4, 'fine particle x');
+  assert.strictEqual(outVel[7], 1, 'fine particle keeps bin 1');
+
+  // Weak force wants bin 0, but substep 1 is not a bin-0 boundary
+  assert.strictEqual(outVel[11], 1, 'no coarsening mid-block');
+  assertClose(outVel[8], 1e-4, 1e-8, 'kicked by one substep');
+
+  // Inactive slot is untouched
+  assert.deepStrictEqual(Array.from(outPos.subarray(12, 16)), [0, 0, 0, 0]);
+
+  resetGL();
+});
+
+test('KIntegrateEuler blocks: substep 0 kicks every bin and lets particles coarsen', async () => {
+  const gl = getGL();
+  const { outVel } = runSubstep(gl, 0);
+
+  assertClose(outVel[0], 0.2, 1e-6, 'bin 0 kicked by the whole frame');
+  assert.strictEqual(outVel[3], 0, 'bin 0 stays: |a| = 1 is slow enough for the frame dt');
+  assert.strictEqual(outVel[11], 0, 'weak-force particle coarsens on the frame boundary');
+  assertClose(outVel[8], 0.001 * 0.2, 1e-8, 'and is kicked by its new, whole-frame block');
+
+  resetGL();
+});
+
+test('GravityMonopole blocks: tight binary sinks into fine bins, distant particle stays coarse', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const ps = particleSystem({
+    gl,
+    method: 'monopole',
+    particles: [
+      { x: -0.05, y: 0, z: 0, vx: 0, vy: -0.5, vz: 0, mass: 1 },
+      { x: 0.05, y: 0, z: 0, vx: 0, vy: 0.5, vz: 0, mass: 1 },
+      { x: 3, y: 0, z: 0, mass: 0.001 },
+      { x: -3, y: 0, z: 0, mass: 0.001 }
+    ],
+    gravityStrength: 0.05,
+    softening: 0.05,
+    dt: 0.05,
+    maxSpeed: 100,
+    maxAccel: 100,
+    blockTimesteps: { maxBin: 3 },
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] }
+  });
+
+  for (let i = 0; i < 4; i++) ps.compute();
+
+  const { width, height } = ps.getTextureSize();
+  const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+  assert.ok(vel[3] >= 2 && vel[7] >= 2, `binary bins ${vel[3]}, ${vel[7]} should be fine`);
+  assert.strictEqual(vel[11], 0, 'distant particle stays in bin 0');
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'mesh', blockTimesteps: {} }),
+    /only supported by the tree methods/);
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'monopole', integrator: 'rk4', blockTimesteps: {} }),
+    /requires integrator 'euler'/);
+
+  ps.dispose();
+  canvas.remove();
+});
@@ -0,0 +1,82 @@
+// @ts-check
+
+/**
+ * Boundary conditions for the integrators and tree engines.
+ *
+ * 'open' leaves particles free to wander off the octree box, which the engines
+ * track by refitting worldBounds. 'periodic' fixes the box instead: integrators
+ * wrap positions back into it (boundaryGLSL), the traversal takes every node at
+ * its nearest image and adds the Ewald correction for the images beyond.
+ *
+ * The wall modes keep gravity open and only stop particles at the box faces
+ * after each drift: 'reflect' mirrors them back in with the normal velocity
+ * reversed and scaled by the restitution coefficient, 'clamp' parks them on the
+ * face with the outward velocity removed, and 'absorb' zeros their mass, which
+ * makes the slot inactive. The walls stay where worldBounds was given while the
+ * octree box is refitted inside them.
+ */
+
+/** Boundary conditions accepted by the `boundary` option; the index is the GLSL code */
+export const BOUNDARIES = /** @type {const} */ (['open', 'periodic', 'reflect', 'absorb', 'clamp']);
+
+/** @typedef {typeof BOUNDARIES[number]} BoundaryName */
+
+/**
+ * Validate a boundary option against the engine's box.
+ * @param {string} engineName - prefix for error messages
+ * @param {string | undefined} boundary
+ * @param {{ min: [number, number, number], max: [number, number, number] }} worldBounds
+ * @returns {BoundaryName}
+ */
+export function resolveBoundary(engineName, boundary, worldBounds) {
+  const name = boundary || 'open';
+  if (!BOUNDARIES.includes(/** @type {BoundaryName} */ (name)))
+    throw new Error(`${engineName}: unknown boundary '${name}', expected one of ${BOUNDARIES.join(', ')}`);
+
+  if (name === 'periodic') {
+    // One Ewald table in box units serves all three axes only for a cube
+    const sizes = [0, 1, 2].map(axis => worldBounds.max[axis] - worldBounds.min[axis]);
+    if (!(sizes[0] > 0) || sizes.some(size => Math.abs(size - sizes[0]) > 1e-6 * sizes[0]))
+      throw new Error(`${engineName}: boundary 'periodic' needs a cubic worldBounds, got sides ${sizes.join(' × ')}`);
+  }
+
+  return /** @type {BoundaryName} */ (name);
+}
+
+/**
+ * Whether the boundary rewrites velocities as well as positions:
+ * a drift-only kernel then needs a velocity output.
+ * @param {BoundaryName} boundary
+ */
+export function boundaryWritesVelocity(boundary) {
+  return boundary === 'reflect' || boundary === 'clamp';
+}
+
+/**
+ * Validate a restitution coefficient; 1 is an elastic bounce, 0 stops the normal motion.
+ * @param {string} engineName - prefix for error messages
+ * @param {number | undefined} restitution
+ */
+export function resolveRestitution(engineName, restitution) {
+  const value = restitution !== undefined ? restitution : 1;
+  if (!(value >= 0 && value <= 1))
+    throw new Error(`${engineName}: restitution must be within [0, 1], got ${restitution}`);
+  return value;
+}
+
+/**
+ * Box uniforms for boundaryGLSL: code, min corner, side lengths and restitution.
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program
+ * @param {BoundaryName} boundary
+ * @param {{ min: [number, number, number], max: [number, number, number] } | undefined} worldBounds
+ * @param {number} [restitution]
+ */
+export function setBoundaryUniforms(gl, program, boundary, worldBounds, restitution = 1) {
+  const min = worldBounds ? worldBounds.min : [0, 0, 0];
+  const max = worldBounds ? worldBounds.max : [1, 1, 1];
+  gl.uniform1i(gl.getUniformLocation(program, 'u_boundary'), BOUNDARIES.indexOf(boundary));
+  gl.uniform3f(gl.getUniformLocation(program, 'u_boxMin'), min[0], min[1], min[2]);
+  gl.uniform3f(gl.getUniformLocation(program, 'u_boxSize'), max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  gl.uniform1f(gl.getUniformLocation(program, 'u_restitution'), restitution);
+}
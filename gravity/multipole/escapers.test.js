@@ -0,0 +1,98 @@
+// @ts-check
+
+/**
+ * Percentile bounds: the GPU histogram cuts the box at the quantiles, and the
+ * engines pull escapers by the monopole of what stayed inside.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KBoundsReduce } from './k-bounds-reduce.js';
+
+test('KBoundsReduce percentile: a runaway particle does not stretch the box', async () => {
+  const gl = getGL();
+  const width = 11, height = 10;
+
+  // 100 particles spread over [0, 1] in x and y on the z = 0.5 plane, one far off
+  const positions = new Float32Array(width * height * 4);
+  for (let i = 0; i < 100; i++)
+    positions.set([i / 99, (i % 10) / 9, 0.5, 1], i * 4);
+  positions.set([1000, -500, 0.5, 1], 100 * 4);
+
+  const kernel = new KBoundsReduce({
+    gl,
+    inPosition: createTestTexture(gl, width, height, positions),
+    particleTexWidth: width,
+    particleTexHeight: height,
+    particleCount: 101,
+    percentile: 0.02
+  });
+  kernel.run();
+
+  // k = ⌊0.02·101⌋ = 2: the box spans ranks 2 and 98 of each axis, to a bin of 1000/256³
+  const bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  assertClose(bounds[0], 2 / 99, 1e-3, 'Min X at the 2% quantile');
+  assertClose(bounds[4], 98 / 99, 1e-3, 'Max X at the 98% quantile, not the runaway');
+  assertClose(bounds[1], 0, 1e-3, 'Min Y ignores the runaway below');
+  assertClose(bounds[5], 1, 1e-3, 'Max Y');
+  assertClose(bounds[2], 0.5, 1e-6, 'Flat Z min');
+  assertClose(bounds[6], 0.5, 1e-6, 'Flat Z max');
+  assert.strictEqual(bounds[3], 1, 'box valid');
+
+  assert.throws(() => new KBoundsReduce({ gl, percentile: 0.5 }), /percentile/);
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+test('boundsPercentile: an escaper feels the box as a point mass and does not stretch it', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  // 4×4×4 unit masses in [-0.75, 0.75]³, and one far along +x
+  const particles = [];
+  for (let i = 0; i < 64; i++)
+    particles.push({ x: (i % 4) * 0.5 - 0.75, y: ((i >> 2) % 4) * 0.5 - 0.75, z: (i >> 4) * 0.5 - 0.75, mass: 1 });
+  particles.push({ x: 50, mass: 1 });
+
+  const G = 0.001, dt = 0.1, softening = 0.05;
+  const expected = -G * 64 * 50 / Math.pow(50 * 50 + softening * softening, 1.5) * dt;
+
+  for (const method of /** @type {const} */ (['monopole', 'quadrupole', 'octupole', 'spectral'])) {
+    const ps = particleSystem({
+      gl,
+      method,
+      particles,
+      gravityStrength: G,
+      softening,
+      dt,
+      boundsPercentile: 0.02,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+    ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+    assertClose(vel[64 * 4], expected, 0.02 * Math.abs(expected), `${method}: escaper pulled by the box's mass`);
+
+    const system = /** @type {any} */ (ps._system);
+    const reduce = system.boundsKernel || system.boundsReduce;
+    const bounds = readTexture(gl, reduce.outBounds, 2, 1);
+    assert.ok(bounds[4] < 5, `${method}: box should not reach the escaper, max x = ${bounds[4]}`);
+
+    ps.dispose();
+  }
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'mesh', boundsPercentile: 0.01 }),
+    /only supported by the tree methods and 'spectral'/);
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'monopole', boundary: 'periodic', boundsPercentile: 0.01 }),
+    /boundsPercentile/);
+
+  canvas.remove();
+});
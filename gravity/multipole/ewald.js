@@ -0,0 +1,188 @@
+// @ts-check
+
+/**
+ * Ewald correction table for periodic tree gravity.
+ *
+ * In a periodic box every node acts through all of its images. The traversal sums
+ * the nearest image as usual; what the farther images add depends only on the
+ * separation, c(u) = F_ewald(u) - u/|u|³ for a unit mass, G = 1 and a unit box,
+ * so it is tabulated once on the CPU and looked up per node on the GPU
+ * (Hernquist, Bouchet & Suto 1991).
+ *
+ * By the symmetries of the cube, c is odd in each component of u and even in
+ * the others: only the octant [0, ½]³ is stored, as an (EWALD_GRID + 1)³ RGBA32F
+ * 3D texture, and ewaldGLSL mirrors the signs back.
+ */
+
+/** Table cells along each half side of the unit box */
+export const EWALD_GRID = 16;
+
+// Splitting parameter in box units: the real-space terms fall off as erfc(ALPHA·r),
+// the reciprocal ones as exp(-π²k²/ALPHA²); both are below 1e-10 at the cutoffs
+const ALPHA = 2;
+const REAL_IMAGES = 3;
+const REAL_CUTOFF = 2.6;
+const RECIPROCAL_CUTOFF_SQ = 10;
+
+/** @type {Float32Array | null} */
+let cachedTable = null;
+
+/**
+ * The correction over the octant, x fastest: texel (i, j, k) holds c at u = (i, j, k) / (2·EWALD_GRID).
+ * Computed on first use and shared by every engine.
+ * @returns {Float32Array} RGBA, .w unused
+ */
+export function ewaldTable() {
+  if (cachedTable) return cachedTable;
+
+  const side = EWALD_GRID + 1;
+  const table = new Float32Array(side * side * side * 4);
+  for (let k = 0; k < side; k++) {
+    for (let j = 0; j < side; j++) {
+      for (let i = 0; i < side; i++) {
+        const c = ewaldCorrection([i / (2 * EWALD_GRID), j / (2 * EWALD_GRID), k / (2 * EWALD_GRID)]);
+        table.set(c, ((k * side + j) * side + i) * 4);
+      }
+    }
+  }
+
+  cachedTable = table;
+  return table;
+}
+
+/**
+ * Force of all images of a unit mass beyond the nearest, at separation u
+ * (source minus particle, unit box, G = 1)
+ * @param {[number, number, number]} u
+ * @returns {[number, number, number]}
+ */
+export function ewaldCorrection(u) {
+  const force = [0, 0, 0];
+  const twoOverSqrtPi = 2 / Math.sqrt(Math.PI);
+
+  // Real space: screened images. The n = 0 term keeps only the screening,
+  // since its bare 1/r² is what the traversal sums itself
+  for (let nx = -REAL_IMAGES; nx <= REAL_IMAGES; nx++) {
+    for (let ny = -REAL_IMAGES; ny <= REAL_IMAGES; ny++) {
+      for (let nz = -REAL_IMAGES; nz <= REAL_IMAGES; nz++) {
+        const dx = u[0] + nx, dy = u[1] + ny, dz = u[2] + nz;
+        const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (r > REAL_CUTOFF) continue;
+
+        const scale = (nx === 0 && ny === 0 && nz === 0)
+          ? screeningOverCube(ALPHA * r) * ALPHA ** 3
+          : (erfc(ALPHA * r) + twoOverSqrtPi * ALPHA * r * Math.exp(-ALPHA * ALPHA * r * r)) / (r * r * r);
+        force[0] += dx * scale;
+        force[1] += dy * scale;
+        force[2] += dz * scale;
+      }
+    }
+  }
+
+  // Reciprocal space
+  const kMax = Math.floor(Math.sqrt(RECIPROCAL_CUTOFF_SQ));
+  for (let kx = -kMax; kx <= kMax; kx++) {
+    for (let ky = -kMax; ky <= kMax; ky++) {
+      for (let kz = -kMax; kz <= kMax; kz++) {
+        const kSq = kx * kx + ky * ky + kz * kz;
+        if (kSq === 0 || kSq > RECIPROCAL_CUTOFF_SQ) continue;
+
+        const scale = 2 / kSq * Math.exp(-Math.PI * Math.PI * kSq / (ALPHA * ALPHA)) *
+          Math.sin(2 * Math.PI * (kx * u[0] + ky * u[1] + kz * u[2]));
+        force[0] += kx * scale;
+        force[1] += ky * scale;
+        force[2] += kz * scale;
+      }
+    }
+  }
+
+  return /** @type {[number, number, number]} */ (force);
+}
+
+/**
+ * (-erf(x) + 2x/√π·e^(-x²)) / x³ by its power series, which stays accurate where
+ * the closed form cancels to nothing; x is below √3·ALPHA/2 inside the octant.
+ * Σₙ≥₁ (-1)ⁿ·2n / ((2n+1)·n!) · x^(2n-2), times 2/√π
+ * @param {number} x
+ */
+function screeningOverCube(x) {
+  const xSq = x * x;
+  let sum = 0;
+  let power = 1; // x^(2n-2) / n!
+  for (let n = 1; n < 60; n++) {
+    power = n === 1 ? 1 : power * xSq / n;
+    const term = (n % 2 ? -1 : 1) * 2 * n / (2 * n + 1) * power;
+    sum += term;
+    if (Math.abs(term) < 1e-17) break;
+  }
+  return 2 / Math.sqrt(Math.PI) * sum;
+}
+
+/**
+ * Complementary error function, fractional error below 1.2e-7 (Numerical Recipes erfcc)
+ * @param {number} x
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Upload the table as a 3D texture for ewaldGLSL
+ * @param {WebGL2RenderingContext} gl
+ */
+export function createEwaldTexture(gl) {
+  const side = EWALD_GRID + 1;
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_3D, texture);
+  gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA32F, side, side, side, 0, gl.RGBA, gl.FLOAT, ewaldTable());
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_3D, null);
+  return texture;
+}
+
+/**
+ * Periodic helpers for the traversal shaders: nearestImage() folds a separation
+ * into the box, ewaldCorrection() reads the table with manual trilinear
+ * interpolation (RGBA32F is not filterable everywhere). Declares u_ewaldTable;
+ * paste into a fragment shader before use.
+ */
+export const ewaldGLSL = /* glsl */`
+uniform highp sampler3D u_ewaldTable;
+
+vec3 nearestImage(vec3 d, float boxSize) {
+  return d - boxSize * round(d / boxSize);
+}
+
+// Farther-image force per unit mass at nearest-image separation u (source - particle,
+// unit box, G = 1); scale by G·m / L² in world units
+vec3 ewaldCorrection(vec3 u) {
+  vec3 g = min(abs(u), vec3(0.5)) * ${2 * EWALD_GRID}.0;
+  ivec3 i0 = min(ivec3(g), ivec3(${EWALD_GRID - 1}));
+  vec3 f = g - vec3(i0);
+
+  vec3 c000 = texelFetch(u_ewaldTable, i0, 0).xyz;
+  vec3 c100 = texelFetch(u_ewaldTable, i0 + ivec3(1, 0, 0), 0).xyz;
+  vec3 c010 = texelFetch(u_ewaldTable, i0 + ivec3(0, 1, 0), 0).xyz;
+  vec3 c110 = texelFetch(u_ewaldTable, i0 + ivec3(1, 1, 0), 0).xyz;
+  vec3 c001 = texelFetch(u_ewaldTable, i0 + ivec3(0, 0, 1), 0).xyz;
+  vec3 c101 = texelFetch(u_ewaldTable, i0 + ivec3(1, 0, 1), 0).xyz;
+  vec3 c011 = texelFetch(u_ewaldTable, i0 + ivec3(0, 1, 1), 0).xyz;
+  vec3 c111 = texelFetch(u_ewaldTable, i0 + ivec3(1, 1, 1), 0).xyz;
+
+  vec3 c = mix(
+    mix(mix(c000, c100, f.x), mix(c010, c110, f.x), f.y),
+    mix(mix(c001, c101, f.x), mix(c011, c111, f.x), f.y),
+    f.z);
+  return sign(u) * c;
+}
+`;
@@ -9,10 +9,15 @@
  */
 
 import { KAggregatorMonopole } from './k-aggregator-monopole.js';
-import { KBoundsReduce } from './k-bounds-reduce.js';
+import { KBoundsReduce, resolvePercentile } from './k-bounds-reduce.js';
 import { KIntegrateEuler } from './k-integrate-euler.js';
 import { KPyramidBuild } from './k-pyramid-build.js';
-import { KTraversal } from './k-traversal.js';
+import { KTraversal, MACS, TRAVERSAL_FIXED_UNITS } from './k-traversal.js';
+import { INTEGRATORS, createIntegrator } from './integrators.js';
+import { AdaptiveTimestep } from './adaptive-timestep.js';
+import { resolveBlockTimesteps, stepBlockTimesteps } from './block-timesteps.js';
+import { resolveOctree } from './octree-config.js';
+import { resolveBoundary, resolveRestitution } from './boundary.js';
 
 export class GravityMonopole {
   /**
@@ -25,12 +30,21 @@ export class GravityMonopole {
    *   velocityColorTexture?: WebGLTexture,
    *   worldBounds?: { min: [number,number,number], max: [number,number,number] },
    *   theta?: number,
+   *   mac?: 'barnes-hut' | 'salmon-warren' | 'relative',
+   *   macAlpha?: number,
    *   dt?: number,
    *   gravityStrength?: number,
    *   softening?: number,
    *   damping?: number,
    *   maxSpeed?: number,
-   *   maxAccel?: number
+   *   maxAccel?: number,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+   *   adaptiveTimestep?: import('./adaptive-timestep.js').AdaptiveTimestepOptions,
+   *   blockTimesteps?: import('./block-timesteps.js').BlockTimestepOptions,
+   *   octree?: import('./octree-config.js').OctreeOptions,
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   restitution?: number,
+   *   boundsPercentile?: number
    * }} options
    */
   constructor({
@@ -42,12 +56,21 @@ export class GravityMonopole {
     velocityColorTexture,
     worldBounds,
     theta,
+    mac,
+    macAlpha,
     dt,
     gravityStrength,
     softening,
     damping,
     maxSpeed,
-    maxAccel
+    maxAccel,
+    integrator,
+    adaptiveTimestep,
+    blockTimesteps,
+    octree,
+    boundary,
+    restitution,
+    boundsPercentile
   }) {
     this.gl = gl;
 
@@ -68,6 +91,17 @@ export class GravityMonopole {
 
     this.worldBounds = worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
 
+    // Periodic: worldBounds is the fixed unit cell of the tiling and is never refitted
+    this.boundary = resolveBoundary('GravityMonopole', boundary, this.worldBounds);
+    // Walls stay at the box as given, apart from the octree box that the aggregator and traversal refit on the GPU
+    this.boundaryBox = { min: [...this.worldBounds.min], max: [...this.worldBounds.max] };
+    this.restitution = resolveRestitution('GravityMonopole', restitution);
+
+    // Outlier-robust octree box: the tails beyond this fraction per face become escapers
+    this.boundsPercentile = resolvePercentile('GravityMonopole', boundsPercentile);
+    if (this.boundsPercentile > 0 && this.boundary === 'periodic')
+      throw new Error(`GravityMonopole: boundsPercentile needs a refitted box, and boundary 'periodic' fixes it`);
+
     this.theta = theta !== undefined ? theta : 0.5;
     this.dt = dt !== undefined ? dt : 1 / 60;
     this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
@@ -76,18 +110,36 @@ export class GravityMonopole {
     this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
     this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
 
+    this.integrator = integrator || 'euler';
+    if (!INTEGRATORS.includes(this.integrator))
+      throw new Error(`GravityMonopole: unknown integrator '${this.integrator}', expected one of ${INTEGRATORS.join(', ')}`);
+
+    // Multipole acceptance criterion; macAlpha is the relative-force tolerance (GADGET's ErrTolForceAcc)
+    this.mac = mac || 'barnes-hut';
+    if (!MACS.includes(this.mac))
+      throw new Error(`GravityMonopole: unknown mac '${this.mac}', expected one of ${MACS.join(', ')}`);
+    this.macAlpha = macAlpha !== undefined ? macAlpha : 0.005;
+    if (!(this.macAlpha > 0))
+      throw new Error(`GravityMonopole: macAlpha must be positive, got ${this.macAlpha}`);
+
+    // Optional: per-particle power-of-two timestep bins, kept in velocity.w
+    this.blockTimesteps = blockTimesteps
+      ? resolveBlockTimesteps('GravityMonopole', blockTimesteps, { integrator: this.integrator, adaptiveTimestep })
+      : null;
+
+    // Octree configuration: 64³ voxels at level 0, down to the 1³ root by default
+    const octreeLayout = resolveOctree('GravityMonopole', gl, octree, { gridSize: 64, levels: 7, fixedUnits: TRAVERSAL_FIXED_UNITS });
+    this.numLevels = octreeLayout.numLevels;
+    this.octreeGridSize = octreeLayout.gridSize;
+    this.octreeSlicesPerRow = octreeLayout.slicesPerRow;
+    this.L0Size = octreeLayout.L0Size;
+
     this.frameCount = 0;
 
     // Bounds update scheduling
     this.boundsUpdateInterval = 90;  // Update bounds every 90 frames (1.5 seconds at 60fps)
     this.lastBoundsUpdateFrame = -this.boundsUpdateInterval;  // Force initial update
 
-    // Octree configuration
-    this.numLevels = 7;
-    this.octreeGridSize = 64;
-    this.octreeSlicesPerRow = 8;
-    this.L0Size = this.octreeGridSize * this.octreeSlicesPerRow;
-
     // Check WebGL2 support
     const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
     if (!colorBufferFloat)
@@ -104,23 +156,9 @@ export class GravityMonopole {
     // the particle ping-pong textures (positions/velocities),
     // instead it passes them into the kernels and let the kernels keep ownership.
 
-    // Prepare levelConfigs (sizes for each pyramid level). We do NOT create
-    // the A0/A1/A2 textures here; kernels will create their own resources.
-    this.levelConfigs = [];
-    let currentSize = this.L0Size;
-    let currentGridSize = this.octreeGridSize;
-    let currentSlicesPerRow = this.octreeSlicesPerRow;
-    for (let i = 0; i < this.numLevels; i++) {
-      this.levelConfigs.push({
-        size: currentSize,
-        gridSize: currentGridSize,
-        slicesPerRow: currentSlicesPerRow
-      });
-
-      currentGridSize = Math.max(1, Math.floor(currentGridSize / 2));
-      currentSlicesPerRow = Math.max(1, Math.floor(currentSlicesPerRow / 2));
-      currentSize = currentGridSize * currentSlicesPerRow;
-    }
+    // Sizes for each pyramid level. We do NOT create the A0/A1/A2 textures
+    // here; kernels will create their own resources.
+    this.levelConfigs = octreeLayout.levelConfigs;
 
     // Create aggregator kernel for L0. Do not pass concrete output textures;
     // let the kernel allocate them and expose them as properties (outA0/outA1/outA2).
@@ -136,6 +174,7 @@ export class GravityMonopole {
       gridSize: this.octreeGridSize,
       slicesPerRow: this.octreeSlicesPerRow,
       worldBounds: this.worldBounds,
+      escapers: this.boundsPercentile > 0,
       disableFloatBlend: this.disableFloatBlend
     });
 
@@ -172,10 +211,31 @@ export class GravityMonopole {
       levelConfigs: this.levelConfigs,
       worldBounds: this.worldBounds,
       theta: this.theta,
+      mac: this.mac,
+      macAlpha: this.macAlpha,
       gravityStrength: this.gravityStrength,
-      softening: this.softening
+      softening: this.softening,
+      periodic: this.boundary === 'periodic',
+      escapers: this.boundsPercentile > 0
     });
 
+    // The relative MAC needs each particle's previous acceleration, but the traversal
+    // overwrites its force in place: keep a copy, zero (= unknown) until the first pass
+    /** @type {WebGLTexture | null} */
+    this.previousForceTexture = null;
+    /** @type {WebGLFramebuffer | null} */
+    this.previousForceFBO = null;
+    if (this.mac === 'relative') {
+      this.previousForceTexture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.previousForceTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, this.textureWidth, this.textureHeight, 0, gl.RGBA, gl.FLOAT, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      this.previousForceFBO = gl.createFramebuffer();
+      this.traversalKernel.inAccel = this.previousForceTexture;
+    }
+
     // Create integrator kernels. These kernels will accept external ping-pong
     // textures (positions/velocities) each frame and write to targets; we do
     // not force them to own the system-level ping-pong textures.
@@ -189,24 +249,55 @@ export class GravityMonopole {
       dt: this.dt,
       damping: this.damping,
       maxSpeed: this.maxSpeed,
-      maxAccel: this.maxAccel
+      maxAccel: this.maxAccel,
+      boundary: this.boundary,
+      worldBounds: this.boundaryBox,
+      restitution: this.restitution
     });
 
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
-    // Create bounds reduction kernel for GPU-resident dynamic bounds updates
-    this.boundsKernel = new KBoundsReduce({
+    // Steppers other than Euler borrow the Euler kernel's ping-pong pair rather than allocating their own
+    this.stepper = createIntegrator(this.integrator, {
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel,
+      boundary: this.boundary,
+      worldBounds: this.boundaryBox,
+      restitution: this.restitution
+    });
+
+    // Optional: split each frame's dt into substeps sized from the GPU-reduced max |a| and |v|
+    this.adaptiveTimestep = adaptiveTimestep ? new AdaptiveTimestep({
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      ...adaptiveTimestep
+    }) : null;
+
+    // Create bounds reduction kernel for GPU-resident dynamic bounds updates;
+    // a periodic box has nothing to refit
+    this.boundsKernel = this.boundary === 'periodic' ? null : new KBoundsReduce({
       gl: this.gl,
       inPosition: null,  // set per-run
       particleTexWidth: this.textureWidth,
       particleTexHeight: this.textureHeight,
-      particleCount: this.particleCount
+      particleCount: this.particleCount,
+      // Slack so the particles kept in do not leave between refits
+      margin: this.boundsPercentile > 0 ? 0.05 : 0,
+      percentile: this.boundsPercentile
     });
 
-    // Create reusable resources for bounds readback (hot path - no alloc/dealloc per frame)
-    this.boundsReadbackBuffer = new Float32Array(8);
-    this.boundsReadbackFBO = this.gl.createFramebuffer();
+    // The octree box lives in outBounds: worldBounds only stands in until the first reduction
+    if (this.boundsKernel) {
+      this.aggregatorKernel.inBounds = this.boundsKernel.outBounds;
+      this.traversalKernel.inBounds = this.boundsKernel.outBounds;
+    }
   }
 
   /**
@@ -220,6 +311,26 @@ export class GravityMonopole {
       this.lastBoundsUpdateFrame = this.frameCount;
     }
 
+    if (this.blockTimesteps) {
+      stepBlockTimesteps(this, this.blockTimesteps);
+    } else if (this.adaptiveTimestep) {
+      this.adaptiveTimestep.advance(this, () => this._evaluateForces(), () => this._integrateStep());
+    } else {
+      this._integrateStep();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * One integration step over the kernels' current dt: the configured stepper, or the built-in Euler pass
+   */
+  _integrateStep() {
+    if (this.stepper) {
+      this.stepper.step(this, () => this._evaluateForces());
+      return;
+    }
+
     // 1. Build octree
     this._buildOctree();
 
@@ -228,8 +339,16 @@ export class GravityMonopole {
 
     // 3. Integrate physics
     this._integratePhysics();
+  }
 
-    this.frameCount++;
+  /**
+   * Run the force pipeline at the current positions
+   * @returns {WebGLTexture | null} force texture
+   */
+  _evaluateForces() {
+    this._buildOctree();
+    this._calculateForces();
+    return this.traversalKernel.outForce;
   }
 
   _buildOctree() {
@@ -281,10 +400,25 @@ export class GravityMonopole {
     const err = this.gl.getError();
     if (err !== this.gl.NO_ERROR) console.error(`[Traversal] GL error: ${err}`);
 
+    if (this.previousForceTexture) this._keepPreviousForce();
+
     // Wire traversal result into velocity integrator
     this.integrateEulerKernel.inForce = this.traversalKernel.outForce;
   }
 
+  /**
+   * Copy the traversal's force into previousForceTexture for the next relative-MAC pass
+   */
+  _keepPreviousForce() {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.previousForceFBO);
+    gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.traversalKernel.outForce, 0);
+    gl.bindTexture(gl.TEXTURE_2D, this.previousForceTexture);
+    gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, this.textureWidth, this.textureHeight);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+  }
+
   _integratePhysics() {
     // allow external inputs
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
@@ -304,44 +438,87 @@ export class GravityMonopole {
   /**
    * Update world bounds from GPU reduction
    * Runs every boundsUpdateInterval frames to prevent particle escape.
-   * Direct minimal readback: reads 2×1 RGBA32F texture (8 floats = 32 bytes)
-   * Reuses pre-allocated FBO and buffer (no hot-path allocations)
+   * The box stays in boundsKernel.outBounds, which the aggregator and traversal sample.
    */
   _updateBounds() {
-    if (!this.boundsKernel || !this.boundsKernel.outBounds) return;
-    if (!this.positionMassTexture) return;
+    if (!this.boundsKernel || !this.positionMassTexture) return;
 
-    // Run bounds reduction kernel
     this.boundsKernel.inPosition = this.positionMassTexture;
     this.boundsKernel.run();
+  }
 
-    // Reuse pre-allocated FBO
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.boundsReadbackFBO);
-    this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.boundsKernel.outBounds, 0);
-
-    // Direct readback: 2×1 pixels, RGBA32F into pre-allocated buffer
-    this.gl.readPixels(0, 0, 2, 1, this.gl.RGBA, this.gl.FLOAT, this.boundsReadbackBuffer);
-
-    // Unbind FBO
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-
-    this.worldBounds.min[0] = this.boundsReadbackBuffer[0];
-    this.worldBounds.min[1] = this.boundsReadbackBuffer[1];
-    this.worldBounds.min[2] = this.boundsReadbackBuffer[2];
-    this.worldBounds.max[0] = this.boundsReadbackBuffer[4];
-    this.worldBounds.max[1] = this.boundsReadbackBuffer[5];
-    this.worldBounds.max[2] = this.boundsReadbackBuffer[6];
+  /**
+   * Update physics parameters between steps. Omitted keys keep their current value.
+   * The traversal and integrator kernels read these as uniforms on every run,
+   * so the new values take effect on the next step().
+   * @param {{
+   *   theta?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number
+   * }} params
+   */
+  setParams(params) {
+    if (params.theta !== undefined) this.theta = params.theta;
+    if (params.gravityStrength !== undefined) this.gravityStrength = params.gravityStrength;
+    if (params.softening !== undefined) this.softening = params.softening;
+    if (params.dt !== undefined) this.dt = params.dt;
+    if (params.damping !== undefined) this.damping = params.damping;
+    if (params.maxSpeed !== undefined) this.maxSpeed = params.maxSpeed;
+    if (params.maxAccel !== undefined) this.maxAccel = params.maxAccel;
+
+    this.traversalKernel.theta = this.theta;
+    this.traversalKernel.gravityStrength = this.gravityStrength;
+    this.traversalKernel.softening = this.softening;
+
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    if (this.stepper) {
+      this.stepper.dt = this.dt;
+      this.stepper.damping = this.damping;
+      this.stepper.maxSpeed = this.maxSpeed;
+      this.stepper.maxAccel = this.maxAccel;
+    }
   }
 
   dispose() {
+    // Kernels own and dispose their texture properties, except the ones lent to them:
+    // the particle pair belongs to the integrator, outBounds to the bounds kernel,
+    // each level's moments to the kernel below it, and previousForceTexture to us
+    if (this.aggregatorKernel) {
+      this.aggregatorKernel.inPosition = null;
+      this.aggregatorKernel.inBounds = null;
+    }
+    this.pyramidKernels?.forEach(k => {
+      k.inA0 = null;
+      k.inA1 = null;
+      k.inA2 = null;
+    });
+    if (this.traversalKernel) {
+      this.traversalKernel.inPosition = null;
+      this.traversalKernel.inAccel = null;
+      this.traversalKernel.inBounds = null;
+    }
+    // The traversal's outForce
+    if (this.integrateEulerKernel) this.integrateEulerKernel.inForce = null;
+    if (this.boundsKernel) this.boundsKernel.inPosition = null;
+
     // Dispose kernels
     this.aggregatorKernel?.dispose();
     this.pyramidKernels?.forEach(k => k.dispose());
     this.traversalKernel?.dispose();
     this.integrateEulerKernel?.dispose();
+    this.stepper?.dispose();
+    this.adaptiveTimestep?.dispose();
     this.boundsKernel?.dispose();
 
-    // Clean up bounds readback resources
-    if (this.boundsReadbackFBO) this.gl.deleteFramebuffer(this.boundsReadbackFBO);
+    if (this.previousForceTexture) this.gl.deleteTexture(this.previousForceTexture);
+    if (this.previousForceFBO) this.gl.deleteFramebuffer(this.previousForceFBO);
   }
 }
@@ -6,13 +6,23 @@
  * Reimplementation using WebGL2 Kernel architecture from docs/8.1-multipole-migration.md.
  * Uses composition of small, testable kernels instead of monolithic pipeline.
  * Extends monopole with quadrupole moments (A1, A2) for higher accuracy.
+ * With octupole set, third moments (A3, A4, A5) run through the same pipeline and
+ * the traversal adds the octupole term.
+ * With boundary 'periodic', worldBounds is held fixed as the periodic cell and the
+ * traversal adds the Ewald sum over its images. The wall boundaries leave gravity
+ * open and only act in the integrators, at the box worldBounds had on construction.
  */
 
 import { KAggregatorQuadrupole } from './k-aggregator-quadrupole.js';
-import { KBoundsReduce } from './k-bounds-reduce.js';
+import { KBoundsReduce, resolvePercentile } from './k-bounds-reduce.js';
 import { KIntegrateEuler } from './k-integrate-euler.js';
 import { KPyramidBuild } from './k-pyramid-build.js';
 import { KTraversalQuadrupole } from './k-traversal-quadrupole.js';
+import { INTEGRATORS, createIntegrator } from './integrators.js';
+import { AdaptiveTimestep } from './adaptive-timestep.js';
+import { resolveBlockTimesteps, stepBlockTimesteps } from './block-timesteps.js';
+import { resolveOctree } from './octree-config.js';
+import { resolveBoundary, resolveRestitution } from './boundary.js';
 
 export class GravityQuadrupole {
   /**
@@ -31,7 +41,15 @@ export class GravityQuadrupole {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
-   *   useOccupancyMasks?: boolean
+   *   useOccupancyMasks?: boolean,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+   *   adaptiveTimestep?: import('./adaptive-timestep.js').AdaptiveTimestepOptions,
+   *   blockTimesteps?: import('./block-timesteps.js').BlockTimestepOptions,
+   *   octree?: import('./octree-config.js').OctreeOptions,
+   *   octupole?: boolean,
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   restitution?: number,
+   *   boundsPercentile?: number
    * }} options
    */
   constructor({
@@ -49,7 +67,15 @@ export class GravityQuadrupole {
     damping,
     maxSpeed,
     maxAccel,
-    useOccupancyMasks
+    useOccupancyMasks,
+    integrator,
+    adaptiveTimestep,
+    blockTimesteps,
+    octree,
+    octupole,
+    boundary,
+    restitution,
+    boundsPercentile
   }) {
     this.gl = gl;
 
@@ -70,6 +96,15 @@ export class GravityQuadrupole {
       throw new Error(`particleCount ${this.particleCount} exceeds texture capacity ${this.actualTextureSize}`);
 
     this.worldBounds = worldBounds || { min: [-4, -4, 0], max: [4, 4, 2] };
+    this.boundary = resolveBoundary('GravityQuadrupole', boundary, this.worldBounds);
+    // Walls stay at the box as given while the octree box is refitted inside them
+    this.boundaryBox = { min: [...this.worldBounds.min], max: [...this.worldBounds.max] };
+    this.restitution = resolveRestitution('GravityQuadrupole', restitution);
+
+    // Outlier-robust octree box: the tails beyond this fraction per face become escapers
+    this.boundsPercentile = resolvePercentile('GravityQuadrupole', boundsPercentile);
+    if (this.boundsPercentile > 0 && this.boundary === 'periodic')
+      throw new Error(`GravityQuadrupole: boundsPercentile needs a refitted box, and boundary 'periodic' fixes it`);
     this.theta = theta !== undefined ? theta : 0.5;
     this.dt = dt !== undefined ? dt : 1 / 60;
     this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
@@ -78,6 +113,25 @@ export class GravityQuadrupole {
     this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
     this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
     this.useOccupancyMasks = useOccupancyMasks !== undefined ? useOccupancyMasks : false;
+    this.octupole = !!octupole;
+
+    this.integrator = integrator || 'euler';
+    if (!INTEGRATORS.includes(this.integrator))
+      throw new Error(`GravityQuadrupole: unknown integrator '${this.integrator}', expected one of ${INTEGRATORS.join(', ')}`);
+
+    // Optional: per-particle power-of-two timestep bins, kept in velocity.w
+    this.blockTimesteps = blockTimesteps
+      ? resolveBlockTimesteps('GravityQuadrupole', blockTimesteps, { integrator: this.integrator, adaptiveTimestep })
+      : null;
+
+    // Octree configuration. Levels live in layers of three texture arrays, so depth
+    // costs no texture units; the default stops at 8³, where the coarsest level is
+    // still cheap to sweep exhaustively
+    const octreeLayout = resolveOctree('GravityQuadrupole', gl, octree, { gridSize: 64, levels: 4 });
+    this.numLevels = octreeLayout.numLevels;
+    this.octreeGridSize = octreeLayout.gridSize;
+    this.octreeSlicesPerRow = octreeLayout.slicesPerRow;
+    this.L0Size = octreeLayout.L0Size;
 
     this.frameCount = 0;
 
@@ -85,14 +139,6 @@ export class GravityQuadrupole {
     this.boundsUpdateInterval = 90;  // Update bounds every 90 frames (1.5 seconds at 60fps)
     this.lastBoundsUpdateFrame = -this.boundsUpdateInterval;  // Force initial update
 
-    // Octree configuration
-    // CRITICAL: Limited to 4 levels due to WebGL2 texture unit constraint (16 max)
-    // Each level needs 3 samplers (A0, A1, A2), so 4 levels = 12 units (safe margin)
-    this.numLevels = 4;
-    this.octreeGridSize = 64;
-    this.octreeSlicesPerRow = 8;
-    this.L0Size = this.octreeGridSize * this.octreeSlicesPerRow;
-
     // Check WebGL2 support
     const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
     if (!colorBufferFloat)
@@ -110,23 +156,12 @@ export class GravityQuadrupole {
     /** @type {WebGLTexture|null} */ this.levelTextureArrayA0 = null;
     /** @type {WebGLTexture|null} */ this.levelTextureArrayA1 = null;
     /** @type {WebGLTexture|null} */ this.levelTextureArrayA2 = null;
+    /** @type {WebGLTexture|null} */ this.levelTextureArrayA3 = null;
+    /** @type {WebGLTexture|null} */ this.levelTextureArrayA4 = null;
+    /** @type {WebGLTexture|null} */ this.levelTextureArrayA5 = null;
 
-    // Prepare levelConfigs (sizes for each pyramid level)
-    this.levelConfigs = [];
-    let currentSize = this.L0Size;
-    let currentGridSize = this.octreeGridSize;
-    let currentSlicesPerRow = this.octreeSlicesPerRow;
-    for (let i = 0; i < this.numLevels; i++) {
-      this.levelConfigs.push({
-        size: currentSize,
-        gridSize: currentGridSize,
-        slicesPerRow: currentSlicesPerRow
-      });
-
-      currentGridSize = Math.max(1, Math.floor(currentGridSize / 2));
-      currentSlicesPerRow = Math.max(1, Math.floor(currentSlicesPerRow / 2));
-      currentSize = currentGridSize * currentSlicesPerRow;
-    }
+    // Sizes for each pyramid level
+    this.levelConfigs = octreeLayout.levelConfigs;
 
     // Create texture arrays for all pyramid levels (A0, A1, A2)
     // Each layer has its own size from levelConfigs. We allocate with the max size
@@ -160,6 +195,22 @@ export class GravityQuadrupole {
     gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
+    // Octupole: third moments Σ(m·xxx, yyy, zzz, xxy), Σ(m·xxz, xyy, yyz, xzz), Σ(m·yzz, xyz)
+    if (this.octupole) {
+      const arrays = [];
+      for (let i = 0; i < 3; i++) {
+        const array = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, array);
+        gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA32F, maxSize, maxSize, this.numLevels, 0, gl.RGBA, gl.FLOAT, null);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        arrays.push(array);
+      }
+      [this.levelTextureArrayA3, this.levelTextureArrayA4, this.levelTextureArrayA5] = arrays;
+    }
+
     gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
 
     // Create quadrupole aggregator kernel for L0 with occupancy support.
@@ -174,7 +225,9 @@ export class GravityQuadrupole {
       gridSize: this.octreeGridSize,
       slicesPerRow: this.octreeSlicesPerRow,
       worldBounds: this.worldBounds,
-      disableFloatBlend: this.disableFloatBlend
+      disableFloatBlend: this.disableFloatBlend,
+      octupole: this.octupole,
+      escapers: this.boundsPercentile > 0
     });
 
     // Create pyramid build kernels for each reduction level. Per kernel contract,
@@ -187,6 +240,10 @@ export class GravityQuadrupole {
         inA0: null,
         inA1: null,
         inA2: null,
+        octupole: this.octupole,
+        inA3: null,
+        inA4: null,
+        inA5: null,
         outSize: this.levelConfigs[i + 1].size,
         outGridSize: this.levelConfigs[i + 1].gridSize,
         outSlicesPerRow: this.levelConfigs[i + 1].slicesPerRow,
@@ -204,6 +261,9 @@ export class GravityQuadrupole {
       inLevelsA0: null,  // set per-frame from texture arrays
       inLevelsA1: null,  // set per-frame from texture arrays
       inLevelsA2: null,  // set per-frame from texture arrays
+      inLevelsA3: null,  // set per-frame from texture arrays (octupole only)
+      inLevelsA4: null,
+      inLevelsA5: null,
       inOccupancy: null,  // set per-frame from aggregator
       particleTexWidth: this.textureWidth,
       particleTexHeight: this.textureHeight,
@@ -213,7 +273,10 @@ export class GravityQuadrupole {
       theta: this.theta,
       gravityStrength: this.gravityStrength,
       softening: this.softening,
-      useOccupancyMasks: this.useOccupancyMasks
+      useOccupancyMasks: this.useOccupancyMasks,
+      octupole: this.octupole,
+      periodic: this.boundary === 'periodic',
+      escapers: this.boundsPercentile > 0
     });
 
     // Create integrator kernel. This kernel will accept external ping-pong
@@ -228,20 +291,51 @@ export class GravityQuadrupole {
       dt: this.dt,
       damping: this.damping,
       maxSpeed: this.maxSpeed,
-      maxAccel: this.maxAccel
+      maxAccel: this.maxAccel,
+      boundary: this.boundary,
+      worldBounds: this.boundaryBox,
+      restitution: this.restitution
     });
 
     // Adopt textures created by the kernel if none were provided
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
-    // Create bounds reduction kernel for GPU-resident dynamic bounds updates
-    this.boundsKernel = new KBoundsReduce({
+    // Steppers other than Euler borrow the Euler kernel's ping-pong pair rather than allocating their own
+    this.stepper = createIntegrator(this.integrator, {
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel,
+      boundary: this.boundary,
+      worldBounds: this.boundaryBox,
+      restitution: this.restitution
+    });
+
+    // Optional: split each frame's dt into substeps sized from the GPU-reduced max |a| and |v|
+    this.adaptiveTimestep = adaptiveTimestep ? new AdaptiveTimestep({
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      ...adaptiveTimestep
+    }) : null;
+
+    // Create bounds reduction kernel for GPU-resident dynamic bounds updates;
+    // the padding keeps particles on the box faces off the clamped edge voxels.
+    // Without it the aggregator and traversal keep the fixed periodic box
+    this.boundsKernel = this.boundary === 'periodic' ? null : new KBoundsReduce({
       gl: this.gl,
       inPosition: null,  // set per-run
       particleTexWidth: this.textureWidth,
       particleTexHeight: this.textureHeight,
-      particleCount: this.particleCount
+      particleCount: this.particleCount,
+      padding: 0.1,
+      // Slack so the particles kept in do not leave between refits
+      margin: this.boundsPercentile > 0 ? 0.05 : 0,
+      percentile: this.boundsPercentile
     });
   }
 
@@ -256,6 +350,26 @@ export class GravityQuadrupole {
       this.lastBoundsUpdateFrame = this.frameCount;
     }
 
+    if (this.blockTimesteps) {
+      stepBlockTimesteps(this, this.blockTimesteps);
+    } else if (this.adaptiveTimestep) {
+      this.adaptiveTimestep.advance(this, () => this._evaluateForces(), () => this._integrateStep());
+    } else {
+      this._integrateStep();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * One integration step over the kernels' current dt: the configured stepper, or the built-in Euler pass
+   */
+  _integrateStep() {
+    if (this.stepper) {
+      this.stepper.step(this, () => this._evaluateForces());
+      return;
+    }
+
     // 1. Build octree
     this._buildOctree();
 
@@ -264,8 +378,16 @@ export class GravityQuadrupole {
 
     // 3. Integrate physics
     this._integratePhysics();
+  }
 
-    this.frameCount++;
+  /**
+   * Run the force pipeline at the current positions
+   * @returns {WebGLTexture | null} force texture
+   */
+  _evaluateForces() {
+    this._buildOctree();
+    this._calculateForces();
+    return this.traversalKernel.outForce || null;
   }
 
   _buildOctree() {
@@ -287,7 +409,10 @@ export class GravityQuadrupole {
     let prevOut = {
       a0: this.aggregatorKernel.outA0,
       a1: this.aggregatorKernel.outA1,
-      a2: this.aggregatorKernel.outA2
+      a2: this.aggregatorKernel.outA2,
+      a3: this.aggregatorKernel.outA3,
+      a4: this.aggregatorKernel.outA4,
+      a5: this.aggregatorKernel.outA5
     };
 
     for (let i = 0; i < this.pyramidKernels.length; i++) {
@@ -296,12 +421,18 @@ export class GravityQuadrupole {
       kernel.inA0 = prevOut.a0;
       kernel.inA1 = prevOut.a1;
       kernel.inA2 = prevOut.a2;
+      kernel.inA3 = prevOut.a3;
+      kernel.inA4 = prevOut.a4;
+      kernel.inA5 = prevOut.a5;
       kernel.run();
 
       // Copy pyramid output to array layer (i+1 since layer 0 is L0)
       this._copyToArrayLayer(i + 1, kernel);
 
-      prevOut = { a0: kernel.outA0, a1: kernel.outA1, a2: kernel.outA2 };
+      prevOut = {
+        a0: kernel.outA0, a1: kernel.outA1, a2: kernel.outA2,
+        a3: kernel.outA3, a4: kernel.outA4, a5: kernel.outA5
+      };
     }
   }
 
@@ -309,6 +440,7 @@ export class GravityQuadrupole {
    * Copy MRT outputs to texture array layer using copyTexSubImage3D
    * @param {number} layer - Target layer index in texture arrays
    * @param {any} kernel - Kernel with outFramebuffer and outA0/A1/A2 textures
+   *   (plus outFramebufferOctupole and outA3/A4/A5 when octupole is on)
    */
   _copyToArrayLayer(layer, kernel) {
     const gl = this.gl;
@@ -357,6 +489,19 @@ export class GravityQuadrupole {
       if (err !== gl.NO_ERROR) throw new Error(`_copyToArrayLayer: copy A2 failed (glError=${err})`);
     }
 
+    // Third moments sit in the kernel's second framebuffer, attachments 0-2 -> A3/A4/A5
+    if (this.octupole) {
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, kernel.outFramebufferOctupole);
+      const arrays = [this.levelTextureArrayA3, this.levelTextureArrayA4, this.levelTextureArrayA5];
+      for (let i = 0; i < arrays.length; i++) {
+        gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, arrays[i]);
+        gl.copyTexSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, layer, 0, 0, width, height);
+        const err = gl.getError();
+        if (err !== gl.NO_ERROR) throw new Error(`_copyToArrayLayer: copy A${i + 3} failed (glError=${err})`);
+      }
+    }
+
     // Reset read buffer and unbind
     gl.readBuffer(gl.COLOR_ATTACHMENT0);
     gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
@@ -373,6 +518,9 @@ export class GravityQuadrupole {
     this.traversalKernel.inLevelsA0 = this.levelTextureArrayA0;
     this.traversalKernel.inLevelsA1 = this.levelTextureArrayA1;
     this.traversalKernel.inLevelsA2 = this.levelTextureArrayA2;
+    this.traversalKernel.inLevelsA3 = this.levelTextureArrayA3;
+    this.traversalKernel.inLevelsA4 = this.levelTextureArrayA4;
+    this.traversalKernel.inLevelsA5 = this.levelTextureArrayA5;
 
     // Wire bounds texture if available (after first bounds update)
     if (this.boundsKernel?.outBounds) {
@@ -425,14 +573,80 @@ export class GravityQuadrupole {
     // No CPU readback needed - aggregator/traversal will sample boundsKernel.outBounds directly
   }
 
+  /**
+   * Update physics parameters between steps. Omitted keys keep their current value.
+   * The traversal and integrator kernels read these as uniforms on every run,
+   * so the new values take effect on the next step().
+   * @param {{
+   *   theta?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number
+   * }} params
+   */
+  setParams(params) {
+    if (params.theta !== undefined) this.theta = params.theta;
+    if (params.gravityStrength !== undefined) this.gravityStrength = params.gravityStrength;
+    if (params.softening !== undefined) this.softening = params.softening;
+    if (params.dt !== undefined) this.dt = params.dt;
+    if (params.damping !== undefined) this.damping = params.damping;
+    if (params.maxSpeed !== undefined) this.maxSpeed = params.maxSpeed;
+    if (params.maxAccel !== undefined) this.maxAccel = params.maxAccel;
+
+    this.traversalKernel.theta = this.theta;
+    this.traversalKernel.gravityStrength = this.gravityStrength;
+    this.traversalKernel.softening = this.softening;
+
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    if (this.stepper) {
+      this.stepper.dt = this.dt;
+      this.stepper.damping = this.damping;
+      this.stepper.maxSpeed = this.maxSpeed;
+      this.stepper.maxAccel = this.maxAccel;
+    }
+  }
+
   dispose() {
     const gl = this.gl;
 
+    // Kernels own and dispose their texture properties, except the ones lent to them:
+    // the particle pair belongs to the integrator, outBounds to the bounds kernel,
+    // and each level's moments and the occupancy to the kernel that wrote them
+    if (this.aggregatorKernel) {
+      this.aggregatorKernel.inPosition = null;
+      this.aggregatorKernel.inBounds = null;
+    }
+    if (this.pyramidKernels) this.pyramidKernels.forEach(k => {
+      k.inA0 = null;
+      k.inA1 = null;
+      k.inA2 = null;
+      k.inA3 = null;
+      k.inA4 = null;
+      k.inA5 = null;
+    });
+    if (this.traversalKernel) {
+      this.traversalKernel.inPosition = null;
+      this.traversalKernel.inBounds = null;
+      this.traversalKernel.inOccupancy = null;
+    }
+    // The traversal's outForce
+    if (this.integrateEulerKernel) this.integrateEulerKernel.inForce = null;
+    if (this.boundsKernel) this.boundsKernel.inPosition = null;
+
     // Dispose kernels
     if (this.aggregatorKernel) this.aggregatorKernel.dispose();
     if (this.pyramidKernels) this.pyramidKernels.forEach(k => k.dispose());
     if (this.traversalKernel) this.traversalKernel.dispose();
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.stepper) this.stepper.dispose();
+    if (this.adaptiveTimestep) this.adaptiveTimestep.dispose();
     if (this.boundsKernel) this.boundsKernel.dispose();
 
     // Clean up texture arrays
@@ -448,6 +662,12 @@ export class GravityQuadrupole {
       gl.deleteTexture(this.levelTextureArrayA2);
       this.levelTextureArrayA2 = null;
     }
+    for (const key of /** @type {const} */ (['levelTextureArrayA3', 'levelTextureArrayA4', 'levelTextureArrayA5'])) {
+      if (this[key]) {
+        gl.deleteTexture(this[key]);
+        this[key] = null;
+      }
+    }
   }
 }
 
@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * IntegratorKDK - kick-drift-kick leapfrog over an engine's particle ping-pong pair
+ *
+ * Composes KIntegrateVelocity and KIntegratePosition so the force evaluation sits
+ * between two half-kicks:
+ *
+ *   v += a(x)·dt/2;  x += v·dt;  (engine recomputes a)  v += a(x)·dt/2
+ *
+ * The closing force is reused by the next opening half-kick, so plain leapfrog
+ * costs one force evaluation per step, as with KIntegrateEuler. Velocity Verlet
+ * is the same update written in terms of accelerations; both names run here.
+ *
+ * `weights` composes several leapfrog substeps of `weight·dt` into one step;
+ * Yoshida's triple-jump weights raise the order from 2 to 4 at three force
+ * evaluations per step. The middle weight is negative: that substep runs backwards.
+ *
+ * The engine's KIntegrateEuler keeps owning both texture pairs (current in `in*`,
+ * spare in `out*`). This class only borrows them for the duration of a pass,
+ * so its kernels never hold particle textures when disposed.
+ */
+
+import { boundaryWritesVelocity } from './boundary.js';
+import { KIntegratePosition } from './k-integrate-position.js';
+import { KIntegrateVelocity } from './k-integrate-velocity.js';
+
+/**
+ * @typedef {{
+ *   integrateEulerKernel: import('./k-integrate-euler.js').KIntegrateEuler,
+ *   positionMassTexture?: WebGLTexture | null,
+ *   velocityColorTexture?: WebGLTexture | null
+ * }} ParticlePairOwner
+ */
+
+export class IntegratorKDK {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   width: number,
+   *   height: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number,
+   *   weights?: number[],
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   restitution?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Physics parameters, applied to the kernels on every pass
+    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
+    this.damping = options.damping !== undefined ? options.damping : 0.0;
+    this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 2.0;
+    this.maxAccel = options.maxAccel !== undefined ? options.maxAccel : 1.0;
+
+    // Substep lengths as fractions of dt; they must sum to 1
+    this.weights = options.weights || [1];
+
+    // False until a force matching the current positions exists; step() then
+    // evaluates one before the opening half-kick
+    this.forceValid = false;
+    /** @type {WebGLTexture | null} */
+    this.force = null;
+
+    this.velocityKernel = new KIntegrateVelocity({
+      gl: this.gl,
+      inVelocity: null,
+      inForce: null,
+      inPosition: null,
+      outVelocity: null,
+      width: options.width,
+      height: options.height
+    });
+
+    this.positionKernel = new KIntegratePosition({
+      gl: this.gl,
+      inPosition: null,
+      inVelocity: null,
+      outPosition: null,
+      outVelocity: null,
+      width: options.width,
+      height: options.height,
+      boundary: options.boundary,
+      worldBounds: options.worldBounds,
+      restitution: options.restitution
+    });
+  }
+
+  /**
+   * Advance the engine one step.
+   * @param {ParticlePairOwner} engine
+   * @param {() => WebGLTexture | null} evaluateForce - runs the engine's force
+   *   pipeline at its current positions and returns the force texture
+   */
+  step(engine, evaluateForce) {
+    if (!this.forceValid) this.force = evaluateForce();
+
+    for (let i = 0; i < this.weights.length; i++) {
+      const weight = this.weights[i];
+      this.kick(engine, this.force, weight, false);
+      this.drift(engine, weight);
+      this.force = evaluateForce();
+      this.kick(engine, this.force, weight, i === this.weights.length - 1);
+    }
+
+    this.forceValid = true;
+  }
+
+  /**
+   * Half-kick velocities by `force` over `weight·dt` and swap the engine's velocity pair.
+   * Damping is applied on the step's final half-kick only, so it acts once per step as with Euler.
+   * @param {ParticlePairOwner} engine
+   * @param {WebGLTexture | null} force
+   * @param {number} weight
+   * @param {boolean} closing
+   */
+  kick(engine, force, weight, closing) {
+    const pair = engine.integrateEulerKernel;
+    const kernel = this.velocityKernel;
+
+    kernel.inVelocity = engine.velocityColorTexture || null;
+    kernel.inPosition = engine.positionMassTexture || null;
+    kernel.inForce = force;
+    kernel.outVelocity = pair.outVelocity;
+    kernel.dt = this.dt * weight * 0.5;
+    kernel.damping = closing ? this.damping : 0.0;
+    kernel.maxSpeed = this.maxSpeed;
+    kernel.maxAccel = this.maxAccel;
+    kernel.run();
+
+    pair.outVelocity = kernel.inVelocity;
+    pair.inVelocity = kernel.outVelocity;
+    engine.velocityColorTexture = kernel.outVelocity;
+
+    kernel.inVelocity = null;
+    kernel.inPosition = null;
+    kernel.inForce = null;
+    kernel.outVelocity = null;
+  }
+
+  /**
+   * Drift positions over `weight·dt` with the current velocities and swap the engine's position pair.
+   * Walls that redirect particles write velocities too; the velocity pair is then swapped as well.
+   * @param {ParticlePairOwner} engine
+   * @param {number} weight
+   */
+  drift(engine, weight) {
+    const pair = engine.integrateEulerKernel;
+    const kernel = this.positionKernel;
+
+    kernel.inPosition = engine.positionMassTexture || null;
+    kernel.inVelocity = engine.velocityColorTexture || null;
+    kernel.outPosition = pair.outPosition;
+    const walls = boundaryWritesVelocity(kernel.boundary);
+    if (walls) kernel.outVelocity = pair.outVelocity;
+    kernel.dt = this.dt * weight;
+    kernel.run();
+
+    pair.outPosition = kernel.inPosition;
+    pair.inPosition = kernel.outPosition;
+    engine.positionMassTexture = kernel.outPosition;
+    if (walls) {
+      pair.outVelocity = kernel.inVelocity;
+      pair.inVelocity = kernel.outVelocity;
+      engine.velocityColorTexture = kernel.outVelocity;
+    }
+
+    kernel.inPosition = null;
+    kernel.inVelocity = null;
+    kernel.outPosition = null;
+    kernel.outVelocity = null;
+  }
+
+  dispose() {
+    this.velocityKernel.dispose();
+    this.positionKernel.dispose();
+    this.force = null;
+  }
+}
@@ -0,0 +1,113 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { IntegratorKDK } from './integrator-kdk.js';
+import { YOSHIDA4_WEIGHTS } from './integrators.js';
+import { KIntegrateEuler } from './k-integrate-euler.js';
+
+/**
+ * Engine stand-in: a KIntegrateEuler owning the ping-pong pair, as every engine has.
+ * Particle i sits at (i, 0, 0) with mass 1 and velocity (0.5, 0, 0); slot 3 is inactive.
+ * @param {WebGL2RenderingContext} gl
+ */
+function createEngine(gl) {
+  const posData = new Float32Array(16);
+  const velData = new Float32Array(16);
+  for (let i = 0; i < 4; i++) {
+    posData.set([i, 0, 0, i === 3 ? 0 : 1], i * 4);
+    velData.set([i === 3 ? 0 : 0.5, 0, 0, 7], i * 4);
+  }
+  const integrateEulerKernel = new KIntegrateEuler({
+    gl,
+    inPosition: createTestTexture(gl, 2, 2, posData),
+    inVelocity: createTestTexture(gl, 2, 2, velData),
+    width: 2,
+    height: 2
+  });
+  return {
+    integrateEulerKernel,
+    positionMassTexture: integrateEulerKernel.inPosition,
+    velocityColorTexture: integrateEulerKernel.inVelocity
+  };
+}
+
+test('IntegratorKDK: half-kicks around a drift, damping on the closing kick only', async () => {
+  const gl = getGL();
+  const engine = createEngine(gl);
+  const force = createTestTexture(gl, 2, 2, new Float32Array(16).fill(1));
+
+  const kdk = new IntegratorKDK({ gl, width: 2, height: 2, dt: 0.1, damping: 0.5, maxSpeed: 10, maxAccel: 10 });
+  const startPosition = engine.positionMassTexture;
+  const startVelocity = engine.velocityColorTexture;
+
+  kdk.kick(engine, force, 1, false);
+  assert.notStrictEqual(engine.velocityColorTexture, startVelocity, 'kick swaps the velocity pair');
+  assert.strictEqual(engine.integrateEulerKernel.outVelocity, startVelocity);
+
+  kdk.drift(engine, 1);
+  assert.notStrictEqual(engine.positionMassTexture, startPosition, 'drift swaps the position pair');
+  assert.strictEqual(engine.integrateEulerKernel.inPosition, engine.positionMassTexture);
+
+  kdk.kick(engine, force, 1, true);
+  assert.strictEqual(engine.velocityColorTexture, startVelocity, 'two kicks return to the starting velocity texture');
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (engine.positionMassTexture), 2, 2);
+  const vel = readTexture(gl, /** @type {WebGLTexture} */ (engine.velocityColorTexture), 2, 2);
+
+  // v½ = 0.5 + 1·0.05 = 0.55;  x = i + 0.055;  v = (0.55 + 0.05)·(1 - 0.5) = 0.3
+  assertClose(pos[0], 0.055, 1e-6, 'x0');
+  assertClose(pos[4], 1.055, 1e-6, 'x1');
+  assertClose(vel[0], 0.3, 1e-6, 'vx0');
+  assertClose(vel[1], (0.05 + 0.05) * 0.5, 1e-6, 'vy0 gets both half-kicks, damped once');
+  assert.strictEqual(vel[3], 7, 'velocity w is preserved');
+  assert.strictEqual(pos[3], 1, 'mass is preserved');
+
+  // Inactive slot: no kick, so no drift either
+  assert.deepStrictEqual(Array.from(vel.subarray(12, 15)), [0, 0, 0]);
+  assert.strictEqual(pos[12], 3);
+
+  // Borrowed textures are released after every pass
+  assert.strictEqual(kdk.velocityKernel.inVelocity, null);
+  assert.strictEqual(kdk.velocityKernel.outVelocity, null);
+  assert.strictEqual(kdk.positionKernel.outPosition, null);
+
+  kdk.dispose();
+  assert.ok(gl.isTexture(/** @type {WebGLTexture} */ (engine.positionMassTexture)), 'dispose leaves the engine textures alive');
+
+  engine.integrateEulerKernel.dispose();
+  gl.deleteTexture(force);
+  resetGL();
+});
+
+test('IntegratorKDK: Yoshida substeps reproduce constant-force motion exactly', async () => {
+  const gl = getGL();
+  const engine = createEngine(gl);
+  const force = createTestTexture(gl, 2, 2, new Float32Array(16).fill(1));
+
+  const kdk = new IntegratorKDK({ gl, width: 2, height: 2, dt: 0.2, maxSpeed: 10, maxAccel: 10, weights: YOSHIDA4_WEIGHTS });
+  let evaluations = 0;
+  const evaluateForce = () => { evaluations++; return force; };
+
+  kdk.step(engine, evaluateForce);
+  assert.strictEqual(evaluations, 4, 'first step evaluates the opening force plus one per substep');
+  kdk.step(engine, evaluateForce);
+  assert.strictEqual(evaluations, 7, 'later steps reuse the closing force');
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (engine.positionMassTexture), 2, 2);
+  const vel = readTexture(gl, /** @type {WebGLTexture} */ (engine.velocityColorTexture), 2, 2);
+
+  // Weights sum to 1, so two steps cover t = 0.4 despite the backward middle substep
+  const t = 0.4;
+  assertClose(pos[0], 0.5 * t + 0.5 * t * t, 1e-5, 'x0 = v·t + ½a·t²');
+  assertClose(pos[1], 0.5 * t * t, 1e-5, 'y0 = ½a·t²');
+  assertClose(vel[0], 0.5 + t, 1e-5, 'vx0 = v + a·t');
+  assert.strictEqual(pos[12], 3, 'inactive slot stays put');
+
+  kdk.dispose();
+  engine.integrateEulerKernel.dispose();
+  gl.deleteTexture(force);
+  resetGL();
+});
@@ -0,0 +1,83 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { IntegratorRK4 } from './integrator-rk4.js';
+import { KIntegrateEuler } from './k-integrate-euler.js';
+
+/**
+ * Engine stand-in: a KIntegrateEuler owning the ping-pong pair, as every engine has.
+ * Particle i sits at (i, 0, 0) with mass 1 and velocity (0.5, 0, 0); slot 3 is inactive.
+ * @param {WebGL2RenderingContext} gl
+ */
+function createEngine(gl) {
+  const posData = new Float32Array(16);
+  const velData = new Float32Array(16);
+  for (let i = 0; i < 4; i++) {
+    posData.set([i, 0, 0, i === 3 ? 0 : 1], i * 4);
+    velData.set([i === 3 ? 0 : 0.5, 0, 0, 7], i * 4);
+  }
+  const integrateEulerKernel = new KIntegrateEuler({
+    gl,
+    inPosition: createTestTexture(gl, 2, 2, posData),
+    inVelocity: createTestTexture(gl, 2, 2, velData),
+    width: 2,
+    height: 2
+  });
+  return {
+    integrateEulerKernel,
+    positionMassTexture: integrateEulerKernel.inPosition,
+    velocityColorTexture: integrateEulerKernel.inVelocity
+  };
+}
+
+test('IntegratorRK4: forces are evaluated at the four stage positions', async () => {
+  const gl = getGL();
+  const engine = createEngine(gl);
+  const force = createTestTexture(gl, 2, 2, new Float32Array(16).fill(1));
+
+  const rk4 = new IntegratorRK4({ gl, width: 2, height: 2, dt: 0.2, damping: 0.5, maxSpeed: 10, maxAccel: 10 });
+  const startPosition = engine.positionMassTexture;
+  const startVelocity = engine.velocityColorTexture;
+
+  /** @type {number[]} */
+  const stageX = [];
+  rk4.step(engine, () => {
+    stageX.push(readTexture(gl, /** @type {WebGLTexture} */ (engine.positionMassTexture), 2, 2)[0]);
+    return force;
+  });
+
+  // x₀, x₀ + ½dt·v₀, x₀ + ½dt·(v₀ + ½dt·a), x₀ + dt·(v₀ + ½dt·a)
+  assert.strictEqual(stageX.length, 4, 'four force evaluations per step');
+  assertClose(stageX[0], 0, 1e-6, 'stage 1 at x0');
+  assertClose(stageX[1], 0.05, 1e-6, 'stage 2 at the midpoint drifted by v0');
+  assertClose(stageX[2], 0.06, 1e-6, 'stage 3 at the midpoint drifted by v1');
+  assertClose(stageX[3], 0.12, 1e-6, 'stage 4 at the endpoint drifted by v2');
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (engine.positionMassTexture), 2, 2);
+  const vel = readTexture(gl, /** @type {WebGLTexture} */ (engine.velocityColorTexture), 2, 2);
+
+  // Exact for constant force: x = v·t + ½a·t², v = (v + a·t)·(1 - damping)
+  assertClose(pos[0], 0.12, 1e-6, 'x0');
+  assertClose(pos[5], 0.02, 1e-6, 'y1');
+  assertClose(vel[0], 0.7 * 0.5, 1e-6, 'vx0 damped once');
+  assert.strictEqual(vel[3], 7, 'velocity w is preserved');
+  assert.strictEqual(pos[3], 1, 'mass is preserved');
+  assert.deepStrictEqual(Array.from(pos.subarray(12, 15)), [3, 0, 0], 'inactive slot stays put');
+
+  // Result lands in the Euler pair, which is swapped
+  assert.strictEqual(engine.integrateEulerKernel.inPosition, engine.positionMassTexture);
+  assert.strictEqual(engine.integrateEulerKernel.outPosition, startPosition);
+  assert.strictEqual(engine.integrateEulerKernel.outVelocity, startVelocity);
+  assert.strictEqual(rk4.kernel.inPosition0, null, 'borrowed textures are released');
+  assert.strictEqual(rk4.kernel.outPosition, null);
+
+  rk4.dispose();
+  assert.ok(gl.isTexture(/** @type {WebGLTexture} */ (engine.positionMassTexture)), 'dispose leaves the engine textures alive');
+
+  engine.integrateEulerKernel.dispose();
+  gl.deleteTexture(force);
+  resetGL();
+});
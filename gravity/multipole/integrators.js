@@ -0,0 +1,50 @@
+// @ts-check
+
+/**
+ * Integrator registry shared by all engines.
+ *
+ * 'euler' keeps the engine's built-in KIntegrateEuler pass and returns no stepper;
+ * every other name maps to an object with `step(engine, evaluateForce)` that drives
+ * the engine's force pipeline itself.
+ */
+
+import { IntegratorKDK } from './integrator-kdk.js';
+import { IntegratorRK4 } from './integrator-rk4.js';
+
+/** Integration schemes accepted by the `integrator` option of every engine */
+export const INTEGRATORS = /** @type {const} */ (['euler', 'leapfrog-kdk', 'velocity-verlet', 'yoshida4', 'rk4']);
+
+/** @typedef {typeof INTEGRATORS[number]} IntegratorName */
+
+// Yoshida (1990) triple jump: w₁ + w₀ + w₁ = 1, w₀ < 0
+const CBRT2 = Math.cbrt(2);
+const YOSHIDA_W1 = 1 / (2 - CBRT2);
+const YOSHIDA_W0 = -CBRT2 / (2 - CBRT2);
+export const YOSHIDA4_WEIGHTS = [YOSHIDA_W1, YOSHIDA_W0, YOSHIDA_W1];
+
+/**
+ * @param {IntegratorName} integrator
+ * @param {{
+ *   gl: WebGL2RenderingContext,
+ *   width: number,
+ *   height: number,
+ *   dt?: number,
+ *   damping?: number,
+ *   maxSpeed?: number,
+ *   maxAccel?: number,
+ *   boundary?: import('./boundary.js').BoundaryName,
+ *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+ *   restitution?: number
+ * }} options
+ * @returns {IntegratorKDK | IntegratorRK4 | null}
+ */
+export function createIntegrator(integrator, options) {
+  switch (integrator) {
+    case 'euler': return null;
+    case 'leapfrog-kdk':
+    case 'velocity-verlet': return new IntegratorKDK(options);
+    case 'yoshida4': return new IntegratorKDK({ ...options, weights: YOSHIDA4_WEIGHTS });
+    case 'rk4': return new IntegratorRK4(options);
+    default: throw new Error(`Unknown integrator: ${integrator}`);
+  }
+}
@@ -5,10 +5,12 @@
  * 
  * Deposits particle moments into the finest octree level using additive blending.
  * Outputs three MRT attachments: A0 (monopole), A1 (quadrupole xx,yy,zz,xy), A2 (quadrupole xz,yz).
+ * With `escapers`, particles outside the box are left out instead of clamped into its edge voxels.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { readGrid3D, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from './k-bounds-reduce.js';
 import aggregationFrag from './shaders/aggregation.frag.js';
 import aggregationVert from './shaders/aggregation.vert.js';
 
@@ -18,6 +20,7 @@ export class KAggregatorMonopole {
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inPosition?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
    *   outA0?: WebGLTexture|null,
    *   outA1?: WebGLTexture|null,
    *   outA2?: WebGLTexture|null,
@@ -28,6 +31,7 @@ export class KAggregatorMonopole {
    *   gridSize?: number,
    *   slicesPerRow?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   escapers?: boolean,
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -44,6 +48,8 @@ export class KAggregatorMonopole {
 
     // Resource slots - create textures if not provided per kernel contract
     this.inPosition = options.inPosition !== undefined ? options.inPosition : null;
+    // Optional KBoundsReduce output; worldBounds stands in while it holds no box
+    this.inBounds = options.inBounds !== undefined ? options.inBounds : null;
     const { outA0, outA1, outA2 } = options;
     // Use RGBA32F for MRT - floating-point precision required for particle data
     this.outA0 = (outA0 || outA0 === null) ? outA0 : createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize);
@@ -57,6 +63,7 @@ export class KAggregatorMonopole {
       min: [-4, -4, 0],
       max: [4, 4, 2]
     };
+    this.escapers = !!options.escapers;
 
     // Float blend flag
     this.disableFloatBlend = options.disableFloatBlend || false;
@@ -138,6 +145,10 @@ export class KAggregatorMonopole {
         height: this.particleTexHeight, count: this.particleCount,
         channels: ['x', 'y', 'z', 'mass'], pixels
       }),
+      bounds: this.inBounds && readLinear({
+        gl: this.gl, texture: this.inBounds, width: 2, height: 1, count: 2,
+        channels: ['x', 'y', 'z', 'w'], pixels
+      }),
       a0: this.outA0 && readGrid3D({
         gl: this.gl, texture: this.outA0, width: this.octreeSize,
         height: this.octreeSize, gridSize: this.gridSize,
@@ -160,6 +171,7 @@ export class KAggregatorMonopole {
       gridSize: this.gridSize,
       slicesPerRow: this.slicesPerRow,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      escapers: this.escapers,
       disableFloatBlend: this.disableFloatBlend,
       renderCount: this.renderCount
     };
@@ -169,6 +181,8 @@ export class KAggregatorMonopole {
 
 position: ${value.position}
 
+bounds: ${value.bounds}
+
 A0 (monopole): ${value.a0}
 
 A1 (quadrupole xx,yy,zz,xy): ${value.a1}
@@ -238,18 +252,14 @@ A2 (quadrupole xz,yz): ${value.a2}`;
     const u_positions = gl.getUniformLocation(this.program, 'u_positions');
     gl.uniform1i(u_positions, 0);
 
+    setWorldBoundsUniforms(gl, this.program, 1, this.inBounds, this.worldBounds, this.escapers);
+
     // Set uniforms
     const u_texSize = gl.getUniformLocation(this.program, 'u_texSize');
-    const u_worldMin = gl.getUniformLocation(this.program, 'u_worldMin');
-    const u_worldMax = gl.getUniformLocation(this.program, 'u_worldMax');
     const u_gridSize = gl.getUniformLocation(this.program, 'u_gridSize');
     const u_slicesPerRow = gl.getUniformLocation(this.program, 'u_slicesPerRow');
 
     gl.uniform2f(u_texSize, this.particleTexWidth, this.particleTexHeight);
-    gl.uniform3f(u_worldMin,
-      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    gl.uniform3f(u_worldMax,
-      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(u_gridSize, this.gridSize);
     gl.uniform1f(u_slicesPerRow, this.slicesPerRow);
 
@@ -261,6 +271,8 @@ A2 (quadrupole xz,yz): ${value.a2}`;
     // Cleanup
     gl.disable(gl.BLEND);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
 
@@ -275,6 +287,7 @@ A2 (quadrupole xz,yz): ${value.a2}`;
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
 
     if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
     if (this.outA0) gl.deleteTexture(this.outA0);
     if (this.outA1) gl.deleteTexture(this.outA1);
     if (this.outA2) gl.deleteTexture(this.outA2);
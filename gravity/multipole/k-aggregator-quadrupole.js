@@ -5,10 +5,15 @@
  * 
  * Quadrupole-specific aggregator that deposits particle moments AND occupancy.
  * Outputs four MRT attachments: A0 (monopole), A1 (quadrupole xx,yy,zz,xy), A2 (quadrupole xz,yz), Occupancy.
+ * With octupole enabled, a second pass over the particles deposits the third
+ * moments into A3 (xxx,yyy,zzz,xxy), A4 (xxz,xyy,yyz,xzz) and A5 (yzz,xyz),
+ * taken about each voxel's centre of mass as read back from the first pass's A0.
+ * With `escapers`, particles outside the box are left out instead of clamped into its edge voxels.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { readGrid3D, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from './k-bounds-reduce.js';
 import aggregationQuadrupoleFrag from './shaders/aggregation-quadrupole.frag.js';
 import aggregationQuadrupoleVert from './shaders/aggregation-quadrupole.vert.js';
 
@@ -23,6 +28,10 @@ export class KAggregatorQuadrupole {
    *   outA1?: WebGLTexture|null,
    *   outA2?: WebGLTexture|null,
    *   outOccupancy?: WebGLTexture|null,
+   *   outA3?: WebGLTexture|null,
+   *   outA4?: WebGLTexture|null,
+   *   outA5?: WebGLTexture|null,
+   *   octupole?: boolean,
    *   particleCount?: number,
    *   particleTexWidth?: number,
    *   particleTexHeight?: number,
@@ -30,6 +39,7 @@ export class KAggregatorQuadrupole {
    *   gridSize?: number,
    *   slicesPerRow?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   escapers?: boolean,
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -54,6 +64,13 @@ export class KAggregatorQuadrupole {
     this.outA2 = (outA2 || outA2 === null) ? outA2 : createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize);
     this.outOccupancy = (outOccupancy || outOccupancy === null) ? outOccupancy : createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize);
 
+    // Third moments only exist for octupole; otherwise the slots stay empty
+    this.octupole = !!options.octupole;
+    const { outA3, outA4, outA5 } = options;
+    this.outA3 = (outA3 || outA3 === null) ? outA3 : this.octupole ? createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize) : null;
+    this.outA4 = (outA4 || outA4 === null) ? outA4 : this.octupole ? createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize) : null;
+    this.outA5 = (outA5 || outA5 === null) ? outA5 : this.octupole ? createTextureRGBA32F(this.gl, this.octreeSize, this.octreeSize) : null;
+
     this.gridSize = options.gridSize || 64;
     this.slicesPerRow = options.slicesPerRow || 8;
 
@@ -62,6 +79,7 @@ export class KAggregatorQuadrupole {
       min: [-4, -4, 0],
       max: [4, 4, 2]
     };
+    this.escapers = !!options.escapers;
 
     // Float blend flag
     this.disableFloatBlend = options.disableFloatBlend || false;
@@ -124,6 +142,18 @@ export class KAggregatorQuadrupole {
     this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT3, this.gl.TEXTURE_2D, this.outOccupancy, 0);
     this.gl.drawBuffers([this.gl.COLOR_ATTACHMENT0, this.gl.COLOR_ATTACHMENT1, this.gl.COLOR_ATTACHMENT2, this.gl.COLOR_ATTACHMENT3]);
     this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+    // Second framebuffer for the third-moment pass (A3, A4, A5)
+    this.outFramebufferOctupole = null;
+    if (this.octupole) {
+      this.outFramebufferOctupole = this.gl.createFramebuffer();
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.outFramebufferOctupole);
+      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.outA3, 0);
+      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT1, this.gl.TEXTURE_2D, this.outA4, 0);
+      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT2, this.gl.TEXTURE_2D, this.outA5, 0);
+      this.gl.drawBuffers([this.gl.COLOR_ATTACHMENT0, this.gl.COLOR_ATTACHMENT1, this.gl.COLOR_ATTACHMENT2]);
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    }
   }
 
   /**
@@ -156,6 +186,21 @@ export class KAggregatorQuadrupole {
         height: this.octreeSize, gridSize: this.gridSize,
         channels: ['xz', 'yz', 'unused1', 'unused2'], pixels
       }),
+      a3: this.outA3 && readGrid3D({
+        gl: this.gl, texture: this.outA3, width: this.octreeSize,
+        height: this.octreeSize, gridSize: this.gridSize,
+        channels: ['xxx', 'yyy', 'zzz', 'xxy'], pixels
+      }),
+      a4: this.outA4 && readGrid3D({
+        gl: this.gl, texture: this.outA4, width: this.octreeSize,
+        height: this.octreeSize, gridSize: this.gridSize,
+        channels: ['xxz', 'xyy', 'yyz', 'xzz'], pixels
+      }),
+      a5: this.outA5 && readGrid3D({
+        gl: this.gl, texture: this.outA5, width: this.octreeSize,
+        height: this.octreeSize, gridSize: this.gridSize,
+        channels: ['yzz', 'xyz', 'unused1', 'unused2'], pixels
+      }),
       occupancy: this.outOccupancy && readGrid3D({
         gl: this.gl, texture: this.outOccupancy, width: this.octreeSize,
         height: this.octreeSize, gridSize: this.gridSize,
@@ -168,7 +213,9 @@ export class KAggregatorQuadrupole {
       gridSize: this.gridSize,
       slicesPerRow: this.slicesPerRow,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      escapers: this.escapers,
       disableFloatBlend: this.disableFloatBlend,
+      octupole: this.octupole,
       renderCount: this.renderCount
     };
 
@@ -184,7 +231,13 @@ A0 (monopole): ${value.a0}
 A1 (quadrupole xx,yy,zz,xy): ${value.a1}
 
 A2 (quadrupole xz,yz): ${value.a2}
+${this.octupole ? `
+A3 (octupole xxx,yyy,zzz,xxy): ${value.a3}
+
+A4 (octupole xxz,xyy,yyz,xzz): ${value.a4}
 
+A5 (octupole yzz,xyz): ${value.a5}
+` : ''}
 Occupancy: ${value.occupancy}`;
 
     return value;
@@ -207,6 +260,9 @@ Occupancy: ${value.occupancy}`;
     if (!this.inPosition || !this.outA0 || !this.outA1 || !this.outA2 || !this.outOccupancy) {
       throw new Error('KAggregatorQuadrupole: missing required textures');
     }
+    if (this.octupole && (!this.outA3 || !this.outA4 || !this.outA5)) {
+      throw new Error('KAggregatorQuadrupole: octupole requires outA3, outA4 and outA5');
+    }
 
     // Clear any pending GL errors
     while (gl.getError() !== gl.NO_ERROR) { }
@@ -250,23 +306,8 @@ Occupancy: ${value.occupancy}`;
     const u_positions = gl.getUniformLocation(this.program, 'u_positions');
     gl.uniform1i(u_positions, 0);
 
-    // Bind bounds texture if available (Phase 1: GPU-resident bounds)
-    if (this.inBounds) {
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, this.inBounds);
-      const u_bounds = gl.getUniformLocation(this.program, 'u_bounds');
-      gl.uniform1i(u_bounds, 1);
-      gl.uniform1i(gl.getUniformLocation(this.program, 'u_useBoundsTexture'), 1);
-    } else {
-      // Fallback to uniform bounds (initial frames before first bounds update)
-      gl.uniform1i(gl.getUniformLocation(this.program, 'u_useBoundsTexture'), 0);
-      const u_worldMin = gl.getUniformLocation(this.program, 'u_worldMin');
-      const u_worldMax = gl.getUniformLocation(this.program, 'u_worldMax');
-      gl.uniform3f(u_worldMin,
-        this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-      gl.uniform3f(u_worldMax,
-        this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
-    }
+    // Bounds texture when available, worldBounds otherwise
+    setWorldBoundsUniforms(gl, this.program, 1, this.inBounds, this.worldBounds, this.escapers);
 
     // Set other uniforms
     const u_texSize = gl.getUniformLocation(this.program, 'u_texSize');
@@ -277,20 +318,35 @@ Occupancy: ${value.occupancy}`;
     gl.uniform1f(u_gridSize, this.gridSize);
     gl.uniform1f(u_slicesPerRow, this.slicesPerRow);
 
+    const u_momentPass = gl.getUniformLocation(this.program, 'u_momentPass');
+    gl.uniform1i(u_momentPass, 0);
+
     // Draw particles as points
     gl.bindVertexArray(this.particleVAO);
     gl.drawArrays(gl.POINTS, 0, this.particleCount);
+
+    // Same points again, depositing third moments into A3..A5 about the centres of mass in A0
+    if (this.octupole) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebufferOctupole);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.activeTexture(gl.TEXTURE2);
+      gl.bindTexture(gl.TEXTURE_2D, this.outA0);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_cellA0'), 2);
+      gl.uniform1i(u_momentPass, 1);
+      gl.drawArrays(gl.POINTS, 0, this.particleCount);
+    }
     gl.bindVertexArray(null);
 
     // Cleanup
     gl.disable(gl.BLEND);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
-    if (this.inBounds) {
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, null);
-    }
 
     this.renderCount = (this.renderCount || 0) + 1;
   }
@@ -301,12 +357,16 @@ Occupancy: ${value.occupancy}`;
     if (this.program) gl.deleteProgram(this.program);
     if (this.particleVAO) gl.deleteVertexArray(this.particleVAO);
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+    if (this.outFramebufferOctupole) gl.deleteFramebuffer(this.outFramebufferOctupole);
 
     if (this.inPosition) gl.deleteTexture(this.inPosition);
     if (this.outA0) gl.deleteTexture(this.outA0);
     if (this.outA1) gl.deleteTexture(this.outA1);
     if (this.outA2) gl.deleteTexture(this.outA2);
     if (this.outOccupancy) gl.deleteTexture(this.outOccupancy);
+    if (this.outA3) gl.deleteTexture(this.outA3);
+    if (this.outA4) gl.deleteTexture(this.outA4);
+    if (this.outA5) gl.deleteTexture(this.outA5);
   }
 }
 
@@ -5,15 +5,33 @@
  * 
  * Reduces N particle positions to a single bounding box (min, max) using 
  * recursive min/max reduction passes. Output is a 2×1 texture containing
- * (minX, minY, minZ, _) and (maxX, maxY, maxZ, _).
+ * (minX, minY, minZ, valid) and (maxX, maxY, maxZ, valid), valid = 1 once a particle was seen.
  * 
- * This eliminates CPU readback and enables dynamic world bounds updates.
+ * A last 2×1 pass shapes the box on the GPU: each side is padded by
+ * `margin·extent + padding`, and with `hysteresis` h the previous box is kept
+ * while it still holds every particle and is at most (1 + h)× the padded box on
+ * every axis (Infinity: grow only). Consumers read outBounds directly through
+ * worldBoundsGLSL, so the box never round-trips through the CPU.
+ *
+ * With `percentile` p > 0 the box is cut at the p and 1 - p quantiles of each axis
+ * instead of the extremes, so one runaway particle cannot stretch it. Each quantile
+ * comes from PERCENTILE_PASSES histograms of HISTOGRAM_BINS bins, every pass
+ * zooming into the bins that held it on the previous one. Particles left outside
+ * are escapers: consumers built with `escapers` skip them when gridding and pull
+ * them by the monopole of the box (isEscaper, escaperForce).
+ *
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
 
+/** Bins per axis in each percentile histogram, plus one below and one above the window */
+const HISTOGRAM_BINS = 256;
+
+/** Histogram passes per percentile refit: the final bin is HISTOGRAM_BINS^-passes of the full extent */
+const PERCENTILE_PASSES = 3;
+
 export class KBoundsReduce {
   /**
    * @param {{
@@ -22,7 +40,12 @@ export class KBoundsReduce {
    *   outBounds?: WebGLTexture|null,
    *   particleTexWidth?: number,
    *   particleTexHeight?: number,
-   *   particleCount?: number
+   *   particleCount?: number,
+   *   margin?: number,
+   *   padding?: number,
+   *   hysteresis?: number,
+   *   percentile?: number,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] }
    * }} options
    */
   constructor(options) {
@@ -33,49 +56,28 @@ export class KBoundsReduce {
       ? options.inPosition
       : null;
 
+    // A given worldBounds seeds the output and the hysteresis history until the first run
     this.outBounds = (options.outBounds || options.outBounds === null)
       ? options.outBounds
-      : createBoundsTexture(this.gl);
+      : createBoundsTexture(this.gl, options.worldBounds);
 
     // Texture dimensions
     this.particleTexWidth = options.particleTexWidth || 0;
     this.particleTexHeight = options.particleTexHeight || 0;
     this.particleCount = options.particleCount || 0;
 
-    // Create shader program
-    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
-    if (!vert) throw new Error('Failed to create vertex shader');
-    this.gl.shaderSource(vert, fsQuadVert);
-    this.gl.compileShader(vert);
-    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
-      const info = this.gl.getShaderInfoLog(vert);
-      this.gl.deleteShader(vert);
-      throw new Error(`Vertex shader compile failed: ${info}`);
-    }
+    // Box shaping
+    this.margin = options.margin || 0;
+    this.padding = options.padding || 0;
+    this.hysteresis = options.hysteresis || 0;
+    // Fraction of particles left outside each face; 0 keeps the plain min/max
+    this.percentile = resolvePercentile('KBoundsReduce', options.percentile);
 
-    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
-    if (!frag) throw new Error('Failed to create fragment shader');
-    this.gl.shaderSource(frag, boundsReduceShader());
-    this.gl.compileShader(frag);
-    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
-      const info = this.gl.getShaderInfoLog(frag);
-      this.gl.deleteShader(frag);
-      throw new Error(`Fragment shader compile failed: ${info}`);
-    }
-
-    this.program = this.gl.createProgram();
-    if (!this.program) throw new Error('Failed to create program');
-    this.gl.attachShader(this.program, vert);
-    this.gl.attachShader(this.program, frag);
-    this.gl.linkProgram(this.program);
-    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
-      const info = this.gl.getProgramInfoLog(this.program);
-      this.gl.deleteProgram(this.program);
-      throw new Error(`Program link failed: ${info}`);
-    }
-
-    this.gl.deleteShader(vert);
-    this.gl.deleteShader(frag);
+    // Create shader programs
+    this.program = linkProgram(this.gl, boundsReduceShader());
+    this.shapeProgram = linkProgram(this.gl, boundsShapeShader);
+    this.histogramProgram = this.percentile > 0 ? linkProgram(this.gl, histogramFrag, histogramVert) : null;
+    this.quantileProgram = this.percentile > 0 ? linkProgram(this.gl, quantileShader) : null;
 
     // Create quad VAO
     const quadVAO = this.gl.createVertexArray();
@@ -126,6 +128,24 @@ export class KBoundsReduce {
 
     // Create final framebuffer for outBounds
     this.outFramebuffer = this.gl.createFramebuffer();
+
+    // Unshaped min/max of the last reduction, and the shaped box of the previous
+    // run in a pair that alternates so the shaping pass never reads what it writes
+    this.rawBounds = createBoundsTexture(this.gl);
+    this.rawFramebuffer = this.gl.createFramebuffer();
+    this.history = [createBoundsTexture(this.gl, options.worldBounds), createBoundsTexture(this.gl, options.worldBounds)];
+    this.historyIndex = 0;
+
+    // Percentile refits: one histogram row per axis, and the zoom window in a pair
+    // that alternates like the history
+    if (this.percentile > 0) {
+      this.histogram = createHistogramTexture(this.gl);
+      this.histogramFramebuffer = this.gl.createFramebuffer();
+      this.windows = [createBoundsTexture(this.gl), createBoundsTexture(this.gl)];
+      this.windowFramebuffer = this.gl.createFramebuffer();
+      // Points are placed from gl_VertexID alone
+      this.pointVAO = this.gl.createVertexArray();
+    }
   }
 
   /**
@@ -146,6 +166,10 @@ export class KBoundsReduce {
       particleTexWidth: this.particleTexWidth,
       particleTexHeight: this.particleTexHeight,
       particleCount: this.particleCount,
+      margin: this.margin,
+      padding: this.padding,
+      hysteresis: this.hysteresis,
+      percentile: this.percentile,
       reductionLevels: this.reductionLevels.length,
       renderCount: this.renderCount
     };
@@ -157,7 +181,7 @@ export class KBoundsReduce {
       [value.bounds.pixels[1].x, value.bounds.pixels[1].y, value.bounds.pixels[1].z] : null;
 
     value.toString = () =>
-      `KBoundsReduce(${this.particleCount} particles) ${this.particleTexWidth}×${this.particleTexHeight} levels=${this.reductionLevels.length} #${this.renderCount}
+      `KBoundsReduce(${this.particleCount} particles) ${this.particleTexWidth}×${this.particleTexHeight} levels=${this.reductionLevels.length}${this.percentile > 0 ? ` percentile=${this.percentile}` : ''} #${this.renderCount}
 
 position: ${value.position}
 
@@ -222,9 +246,9 @@ bounds: ${value.bounds}${boundsMin && boundsMax ? `
       inputHeight = level.height;
     }
 
-    // Final pass: reduce last level → 2×1 output
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outBounds, 0);
+    // Final reduction: last level → 2×1 raw bounds
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.rawFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.rawBounds, 0);
     gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
     gl.viewport(0, 0, 2, 1);
 
@@ -238,6 +262,36 @@ bounds: ${value.bounds}${boundsMin && boundsMax ? `
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     gl.bindVertexArray(null);
 
+    const box = this.percentile > 0 ? this._percentileBox() : this.rawBounds;
+
+    // Shaping pass: raw + previous box → outBounds, and the next history entry via MRT
+    const previous = this.history[this.historyIndex];
+    const next = this.history[1 - this.historyIndex];
+    gl.useProgram(this.shapeProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outBounds, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, next, 0);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+    gl.viewport(0, 0, 2, 1);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, box);
+    gl.uniform1i(gl.getUniformLocation(this.shapeProgram, 'u_raw'), 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, previous);
+    gl.uniform1i(gl.getUniformLocation(this.shapeProgram, 'u_previous'), 1);
+    gl.uniform1f(gl.getUniformLocation(this.shapeProgram, 'u_margin'), this.margin);
+    gl.uniform1f(gl.getUniformLocation(this.shapeProgram, 'u_padding'), this.padding);
+    // Infinity would turn 0·∞ into NaN on a flat axis
+    gl.uniform1f(gl.getUniformLocation(this.shapeProgram, 'u_hysteresis'), Math.min(this.hysteresis, 1e30));
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+    this.historyIndex = 1 - this.historyIndex;
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.useProgram(null);
@@ -246,12 +300,87 @@ bounds: ${value.bounds}${boundsMin && boundsMax ? `
     this.renderCount = (this.renderCount || 0) + 1;
   }
 
+  /**
+   * Narrow the raw min/max to the percentile box: each pass histograms every axis
+   * over the current window and moves the window onto the bins holding the two
+   * quantiles. Leaves the program and framebuffer bindings to the caller.
+   * @returns {WebGLTexture} 2×1 box in the layout of rawBounds
+   */
+  _percentileBox() {
+    const gl = this.gl;
+    const windows = /** @type {WebGLTexture[]} */ (this.windows);
+    let window = /** @type {WebGLTexture} */ (this.rawBounds);
+
+    for (let pass = 0; pass < PERCENTILE_PASSES; pass++) {
+      // Count particles per bin, additively
+      gl.useProgram(this.histogramProgram);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.histogramFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.histogram, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.viewport(0, 0, HISTOGRAM_BINS + 2, 3);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+      gl.blendEquation(gl.FUNC_ADD);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+      gl.uniform1i(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.histogramProgram), 'u_positions'), 0);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, window);
+      gl.uniform1i(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.histogramProgram), 'u_window'), 1);
+      gl.uniform2i(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.histogramProgram), 'u_texSize'),
+        this.particleTexWidth, this.particleTexHeight);
+
+      gl.bindVertexArray(this.pointVAO);
+      gl.drawArrays(gl.POINTS, 0, this.particleCount * 3);
+      gl.bindVertexArray(null);
+      gl.disable(gl.BLEND);
+
+      // Move the window onto the quantile bins
+      const next = windows[pass % 2];
+      gl.useProgram(this.quantileProgram);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.windowFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, next, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.viewport(0, 0, 2, 1);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.histogram);
+      gl.uniform1i(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.quantileProgram), 'u_histogram'), 0);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, window);
+      gl.uniform1i(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.quantileProgram), 'u_window'), 1);
+      gl.uniform1f(gl.getUniformLocation(/** @type {WebGLProgram} */ (this.quantileProgram), 'u_percentile'), this.percentile);
+
+      gl.bindVertexArray(this.quadVAO);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      gl.bindVertexArray(null);
+
+      window = next;
+    }
+
+    return window;
+  }
+
   dispose() {
     const gl = this.gl;
 
     if (this.program) gl.deleteProgram(this.program);
+    if (this.shapeProgram) gl.deleteProgram(this.shapeProgram);
     if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+    if (this.rawFramebuffer) gl.deleteFramebuffer(this.rawFramebuffer);
+    gl.deleteTexture(this.rawBounds);
+    for (const texture of this.history) gl.deleteTexture(texture);
+    if (this.histogramProgram) gl.deleteProgram(this.histogramProgram);
+    if (this.quantileProgram) gl.deleteProgram(this.quantileProgram);
+    if (this.histogram) gl.deleteTexture(this.histogram);
+    if (this.histogramFramebuffer) gl.deleteFramebuffer(this.histogramFramebuffer);
+    for (const texture of this.windows || []) gl.deleteTexture(texture);
+    if (this.windowFramebuffer) gl.deleteFramebuffer(this.windowFramebuffer);
+    if (this.pointVAO) gl.deleteVertexArray(this.pointVAO);
 
     for (const level of this.reductionLevels) {
       if (level.texture) gl.deleteTexture(level.texture);
@@ -322,14 +451,290 @@ void main() {
 }
 
 /**
- * Create 2×1 texture for bounds (minXYZ, maxXYZ)
+ * Shaping pass: pad the reduced box and apply hysteresis against the previous one.
+ * An empty reduction (.w = 0) keeps the previous box when there is one.
+ */
+const boundsShapeShader = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_raw;
+uniform sampler2D u_previous;
+uniform float u_margin;
+uniform float u_padding;
+uniform float u_hysteresis;
+
+layout(location = 0) out vec4 outBounds;
+layout(location = 1) out vec4 outHistory;
+
+void main() {
+  vec4 rawMin = texelFetch(u_raw, ivec2(0, 0), 0);
+  vec4 rawMax = texelFetch(u_raw, ivec2(1, 0), 0);
+  vec4 prevMin = texelFetch(u_previous, ivec2(0, 0), 0);
+  vec4 prevMax = texelFetch(u_previous, ivec2(1, 0), 0);
+  bool hasPrevious = prevMin.w > 0.0;
+
+  vec4 lo = rawMin;
+  vec4 hi = rawMax;
+  if (rawMin.w <= 0.0) {
+    if (hasPrevious) {
+      lo = prevMin;
+      hi = prevMax;
+    }
+  } else {
+    vec3 pad = u_margin * (rawMax.xyz - rawMin.xyz) + u_padding;
+    lo = vec4(rawMin.xyz - pad, 1.0);
+    hi = vec4(rawMax.xyz + pad, 1.0);
+
+    bool holds = hasPrevious &&
+      all(greaterThanEqual(rawMin.xyz, prevMin.xyz)) && all(lessThanEqual(rawMax.xyz, prevMax.xyz));
+    bool snug = all(lessThanEqual(prevMax.xyz - prevMin.xyz, (1.0 + u_hysteresis) * (hi.xyz - lo.xyz)));
+    if (holds && snug) {
+      lo = prevMin;
+      hi = prevMax;
+    }
+  }
+
+  outBounds = int(gl_FragCoord.x) == 0 ? lo : hi;
+  outHistory = outBounds;
+}
+`;
+
+/**
+ * Histogram pass: one point per particle and axis. Bin 0 counts particles below
+ * the window, bin HISTOGRAM_BINS + 1 those above it; row = axis.
+ */
+const histogramVert = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_positions;
+uniform sampler2D u_window;       // 2×1: min, max of the range being binned
+uniform ivec2 u_texSize;
+
+void main() {
+  int particle = gl_VertexID / 3;
+  int axis = gl_VertexID - particle * 3;
+  vec4 texel = texelFetch(u_positions, ivec2(particle % u_texSize.x, particle / u_texSize.x), 0);
+  vec4 lo = texelFetch(u_window, ivec2(0, 0), 0);
+  vec4 hi = texelFetch(u_window, ivec2(1, 0), 0);
+
+  float x = texel[axis];
+  if (isnan(x) || isnan(texel.w) || texel.w <= 0.0 || lo.w <= 0.0) {
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+
+  // A flat window puts everything in its first bin
+  float width = hi[axis] - lo[axis];
+  float t = width > 0.0 ? (x - lo[axis]) / width : 0.0;
+  float bin = t < 0.0 ? 0.0 : t > 1.0 ? ${HISTOGRAM_BINS + 1}.0 : 1.0 + min(floor(t * ${HISTOGRAM_BINS}.0), ${HISTOGRAM_BINS - 1}.0);
+
+  gl_Position = vec4((bin + 0.5) / ${HISTOGRAM_BINS + 2}.0 * 2.0 - 1.0, (float(axis) + 0.5) / 3.0 * 2.0 - 1.0, 0.0, 1.0);
+  gl_PointSize = 1.0;
+}
+`;
+
+const histogramFrag = /* glsl */`#version 300 es
+precision highp float;
+
+out vec4 outCount;
+
+void main() {
+  outCount = vec4(1.0, 0.0, 0.0, 0.0);
+}
+`;
+
+/**
+ * Quantile pass: on each axis, find the bins holding the particles of rank k and
+ * n - 1 - k (k = ⌊p·n⌋) and return their outer edges as the next window.
+ * A quantile that lands outside the window keeps that window edge.
+ */
+const quantileShader = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_histogram;
+uniform sampler2D u_window;
+uniform float u_percentile;
+
+out vec4 outBounds;
+
+void main() {
+  vec4 lo = texelFetch(u_window, ivec2(0, 0), 0);
+  vec4 hi = texelFetch(u_window, ivec2(1, 0), 0);
+  bool isMax = int(gl_FragCoord.x) == 1;
+  vec4 result = isMax ? hi : lo;
+
+  for (int axis = 0; axis < 3 && lo.w > 0.0; axis++) {
+    float total = 0.0;
+    for (int bin = 0; bin < ${HISTOGRAM_BINS + 2}; bin++)
+      total += texelFetch(u_histogram, ivec2(bin, axis), 0).r;
+    if (total <= 0.0) continue;
+
+    float k = floor(u_percentile * total);
+    float rank = isMax ? total - 1.0 - k : k;
+    float below = 0.0;
+    int found = 0;
+    for (int bin = 0; bin < ${HISTOGRAM_BINS + 2}; bin++) {
+      below += texelFetch(u_histogram, ivec2(bin, axis), 0).r;
+      if (below > rank) { found = bin; break; }
+    }
+
+    float binWidth = (hi[axis] - lo[axis]) / ${HISTOGRAM_BINS}.0;
+    if (found >= 1 && found <= ${HISTOGRAM_BINS})
+      result[axis] = lo[axis] + float(found - (isMax ? 0 : 1)) * binWidth;
+  }
+
+  outBounds = result;
+}
+`;
+
+/**
+ * Compile and link a pass, full-screen unless another vertex shader is given
  * @param {WebGL2RenderingContext} gl
+ * @param {string} fragSource
+ * @param {string} [vertSource]
  */
-function createBoundsTexture(gl) {
+function linkProgram(gl, fragSource, vertSource = fsQuadVert) {
+  const vert = gl.createShader(gl.VERTEX_SHADER);
+  if (!vert) throw new Error('Failed to create vertex shader');
+  gl.shaderSource(vert, vertSource);
+  gl.compileShader(vert);
+  if (!gl.getShaderParameter(vert, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vert);
+    gl.deleteShader(vert);
+    throw new Error(`Vertex shader compile failed: ${info}`);
+  }
+
+  const frag = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!frag) throw new Error('Failed to create fragment shader');
+  gl.shaderSource(frag, fragSource);
+  gl.compileShader(frag);
+  if (!gl.getShaderParameter(frag, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(frag);
+    gl.deleteShader(frag);
+    throw new Error(`Fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('Failed to create program');
+  gl.attachShader(program, vert);
+  gl.attachShader(program, frag);
+  gl.linkProgram(program);
+  gl.deleteShader(vert);
+  gl.deleteShader(frag);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link failed: ${info}`);
+  }
+  return program;
+}
+
+/**
+ * Validate a percentile option: the fraction of particles allowed past each face
+ * @param {string} engineName - prefix for error messages
+ * @param {number | undefined} percentile
+ */
+export function resolvePercentile(engineName, percentile) {
+  const value = percentile || 0;
+  if (!(value >= 0 && value < 0.5))
+    throw new Error(`${engineName}: percentile must be within [0, 0.5), got ${percentile}`);
+  return value;
+}
+
+/**
+ * World box for the kernels that grid, traverse or sample particles.
+ * readWorldBounds() takes it from a bound KBoundsReduce output that holds a box,
+ * otherwise from u_worldMin/u_worldMax; boundsTextureReady() tells which. With
+ * u_escapers set, isEscaper() flags particles outside the box and escaperForce()
+ * stands in for the whole box as one point mass. Declares its own uniforms; paste
+ * into a shader before use and bind with setWorldBoundsUniforms().
+ */
+export const worldBoundsGLSL = /* glsl */`
+uniform sampler2D u_bounds;       // 2×1 texture: texel 0 = min bounds, texel 1 = max bounds
+uniform bool u_useBoundsTexture;  // false: the CPU box below
+uniform vec3 u_worldMin;
+uniform vec3 u_worldMax;
+uniform bool u_escapers;          // false: particles outside the box are clamped into it
+
+// .w is 0 until a reduction has seen a particle
+bool boundsTextureReady() {
+  return u_useBoundsTexture && texelFetch(u_bounds, ivec2(0, 0), 0).w > 0.0;
+}
+
+void readWorldBounds(out vec3 worldMin, out vec3 worldMax) {
+  if (boundsTextureReady()) {
+    worldMin = texelFetch(u_bounds, ivec2(0, 0), 0).xyz;
+    worldMax = texelFetch(u_bounds, ivec2(1, 0), 0).xyz;
+  } else {
+    worldMin = u_worldMin;
+    worldMax = u_worldMax;
+  }
+}
+
+bool isEscaper(vec3 pos, vec3 worldMin, vec3 worldMax) {
+  return u_escapers && (any(lessThan(pos, worldMin)) || any(greaterThan(pos, worldMax)));
+}
+
+// Softened pull of the box's mass moment (Σm·x, Σm·y, Σm·z, Σm) on an escaper, per unit G
+vec3 escaperForce(vec3 pos, vec4 moment, float eps) {
+  if (!(moment.w > 0.0)) return vec3(0.0);
+  vec3 delta = moment.xyz / moment.w - pos;
+  float denom = dot(delta, delta) + eps * eps;
+  return delta * moment.w / (denom * sqrt(denom));
+}
+`;
+
+/**
+ * Bind a kernel's box for worldBoundsGLSL: the bounds texture when given, with
+ * worldBounds (default: the unit cube) as the fallback. Leaves `unit` active.
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program
+ * @param {number} unit - texture unit for u_bounds
+ * @param {WebGLTexture | null | undefined} inBounds
+ * @param {{ min: [number, number, number], max: [number, number, number] }} [worldBounds]
+ * @param {boolean} [escapers] - treat particles outside the box as escapers
+ */
+export function setWorldBoundsUniforms(gl, program, unit, inBounds, worldBounds, escapers = false) {
+  const min = worldBounds ? worldBounds.min : [0, 0, 0];
+  const max = worldBounds ? worldBounds.max : [1, 1, 1];
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, inBounds || null);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_bounds'), unit);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_useBoundsTexture'), inBounds ? 1 : 0);
+  gl.uniform3f(gl.getUniformLocation(program, 'u_worldMin'), min[0], min[1], min[2]);
+  gl.uniform3f(gl.getUniformLocation(program, 'u_worldMax'), max[0], max[1], max[2]);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_escapers'), escapers ? 1 : 0);
+}
+
+/**
+ * Create 2×1 texture for bounds (minXYZ, maxXYZ), optionally holding a box already
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ min: [number, number, number], max: [number, number, number] }} [bounds]
+ */
+function createBoundsTexture(gl, bounds) {
   const texture = gl.createTexture();
   if (!texture) throw new Error('Failed to create bounds texture');
   gl.bindTexture(gl.TEXTURE_2D, texture);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, 2, 1, 0, gl.RGBA, gl.FLOAT, null);
+  const data = bounds ? new Float32Array([...bounds.min, 1, ...bounds.max, 1]) : null;
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, 2, 1, 0, gl.RGBA, gl.FLOAT, data);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+/**
+ * Create the (HISTOGRAM_BINS + 2)×3 R32F count texture of the percentile passes
+ * @param {WebGL2RenderingContext} gl
+ */
+function createHistogramTexture(gl) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create histogram texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, HISTOGRAM_BINS + 2, 3, 0, gl.RED, gl.FLOAT, null);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
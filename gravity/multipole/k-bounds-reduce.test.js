@@ -297,6 +297,94 @@ test('KBoundsReduce: all zero-mass particles', async () => {
   resetGL();
 });
 
+/**
+ * Test 7: Margin, padding and hysteresis
+ * The box is padded on the GPU and kept while it still fits, rebuilt when it does not
+ */
+test('KBoundsReduce: margin, padding and hysteresis', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const posTex = createTestTexture(gl, width, height, new Float32Array([
+    0, 0, 0, 1,
+    2, 4, 1, 1
+  ]));
+
+  const kernel = new KBoundsReduce({
+    gl,
+    inPosition: posTex,
+    particleTexWidth: width,
+    particleTexHeight: height,
+    particleCount: 2,
+    margin: 0.25,
+    padding: 0.5,
+    hysteresis: 1
+  });
+
+  kernel.run();
+  let bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  // Each side grows by 0.25·extent + 0.5
+  assertClose(bounds[0], -1, 1e-5, 'Min X padded');
+  assertClose(bounds[1], -1.5, 1e-5, 'Min Y padded');
+  assertClose(bounds[2], -0.75, 1e-5, 'Min Z padded');
+  assertClose(bounds[4], 3, 1e-5, 'Max X padded');
+  assertClose(bounds[5], 5.5, 1e-5, 'Max Y padded');
+  assertClose(bounds[6], 1.75, 1e-5, 'Max Z padded');
+
+  // Contracting inside the box by less than the hysteresis keeps it
+  gl.bindTexture(gl.TEXTURE_2D, posTex);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array([
+    0.5, 0.5, 0.25, 1,
+    1.5, 3.5, 0.75, 1
+  ]));
+  kernel.run();
+  bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  assertClose(bounds[0], -1, 1e-5, 'Min X kept');
+  assertClose(bounds[5], 5.5, 1e-5, 'Max Y kept');
+
+  // Leaving the box refits it
+  gl.bindTexture(gl.TEXTURE_2D, posTex);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array([
+    0, 0, 0, 1,
+    4, 4, 1, 1
+  ]));
+  kernel.run();
+  bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  assertClose(bounds[0], -1.5, 1e-5, 'Min X refit');
+  assertClose(bounds[4], 5.5, 1e-5, 'Max X refit');
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 8: Seeded box
+ * worldBounds stands in until the reduction sees an active particle
+ */
+test('KBoundsReduce: worldBounds seed survives an empty reduction', async () => {
+  const gl = getGL();
+
+  const kernel = new KBoundsReduce({
+    gl,
+    inPosition: createTestTexture(gl, 1, 1, new Float32Array([7, 7, 7, 0])),
+    particleTexWidth: 1,
+    particleTexHeight: 1,
+    particleCount: 1,
+    worldBounds: { min: [-2, -3, -4], max: [2, 3, 4] }
+  });
+
+  let bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  assert.deepStrictEqual([...bounds], [-2, -3, -4, 1, 2, 3, 4, 1], 'seeded before any run');
+
+  kernel.run();
+  bounds = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outBounds), 2, 1);
+  assert.deepStrictEqual([...bounds], [-2, -3, -4, 1, 2, 3, 4, 1], 'no active particle keeps the seed');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
 /**
  * Export function for running all tests (for REPL runner)
  * @param {WebGL2RenderingContext} glContext
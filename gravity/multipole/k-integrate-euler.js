@@ -6,12 +6,22 @@
  * Single-pass integration using MRT (Multiple Render Targets):
  * - Updates velocities from forces (kick)
  * - Updates positions from new velocities (drift)
- * 
+ *
+ * With maxBin > 0 the pass is one substep of a block-timestep frame (see
+ * blockTimestepGLSL): `dt` is the substep length, every particle drifts by it,
+ * and only particles whose bin is active on `substep` are kicked, by their whole
+ * block of dt·2^(maxBin - bin). Kicked particles are re-binned from their raw
+ * acceleration, eta·√(softening/|a|), and the new bin goes to velocity.w.
+ *
+ * With boundary 'periodic' every drifted position is wrapped back into worldBounds;
+ * the wall modes stop it at the box faces there, rewriting velocity or mass (see boundary.js).
+ *
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
-import { fsQuadVert } from '../core-shaders.js';
+import { blockTimestepGLSL, boundaryGLSL, fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { setBoundaryUniforms } from './boundary.js';
 
 export class KIntegrateEuler {
   /**
@@ -27,7 +37,14 @@ export class KIntegrateEuler {
    *   dt?: number,
    *   damping?: number,
    *   maxSpeed?: number,
-   *   maxAccel?: number
+   *   maxAccel?: number,
+   *   maxBin?: number,
+   *   substep?: number,
+   *   eta?: number,
+   *   softening?: number,
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   restitution?: number
    * }} options
    */
   constructor(options) {
@@ -60,6 +77,17 @@ export class KIntegrateEuler {
     this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 2.0;
     this.maxAccel = options.maxAccel !== undefined ? options.maxAccel : 1.0;
 
+    // Block timesteps; maxBin 0 is a plain Euler step that leaves velocity.w untouched
+    this.maxBin = options.maxBin || 0;
+    this.substep = options.substep || 0;
+    this.eta = options.eta !== undefined ? options.eta : 0.2;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+
+    // Box the positions are wrapped into when periodic, or kept inside by walls
+    this.boundary = options.boundary || 'open';
+    this.worldBounds = options.worldBounds;
+    this.restitution = options.restitution !== undefined ? options.restitution : 1;
+
     // Create shader program
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
     if (!vert) throw new Error('Failed to create vertex shader');
@@ -104,7 +132,11 @@ export class KIntegrateEuler {
       u_dt: this.gl.getUniformLocation(this.program, 'u_dt'),
       u_damping: this.gl.getUniformLocation(this.program, 'u_damping'),
       u_maxSpeed: this.gl.getUniformLocation(this.program, 'u_maxSpeed'),
-      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel')
+      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel'),
+      u_maxBin: this.gl.getUniformLocation(this.program, 'u_maxBin'),
+      u_substep: this.gl.getUniformLocation(this.program, 'u_substep'),
+      u_eta: this.gl.getUniformLocation(this.program, 'u_eta'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening')
     };
 
     // Create quad VAO
@@ -164,6 +196,10 @@ export class KIntegrateEuler {
       damping: this.damping,
       maxSpeed: this.maxSpeed,
       maxAccel: this.maxAccel,
+      maxBin: this.maxBin,
+      substep: this.substep,
+      boundary: this.boundary,
+      restitution: this.restitution,
       renderCount: this.renderCount
     };
 
@@ -279,6 +315,19 @@ force: ${value.force}
     if (this.uniforms.u_maxAccel) {
       gl.uniform1f(this.uniforms.u_maxAccel, this.maxAccel);
     }
+    if (this.uniforms.u_maxBin) {
+      gl.uniform1i(this.uniforms.u_maxBin, this.maxBin);
+    }
+    if (this.uniforms.u_substep) {
+      gl.uniform1i(this.uniforms.u_substep, this.substep);
+    }
+    if (this.uniforms.u_eta) {
+      gl.uniform1f(this.uniforms.u_eta, this.eta);
+    }
+    if (this.uniforms.u_softening) {
+      gl.uniform1f(this.uniforms.u_softening, this.softening);
+    }
+    setBoundaryUniforms(gl, this.program, this.boundary, this.worldBounds, this.restitution);
 
     // Draw
     gl.bindVertexArray(this.quadVAO);
@@ -331,9 +380,15 @@ uniform float u_dt;
 uniform float u_damping;
 uniform float u_maxSpeed;
 uniform float u_maxAccel;
+uniform int u_maxBin;
+uniform int u_substep;
+uniform float u_eta;
+uniform float u_softening;
 
 layout(location = 0) out vec4 outPosition;
 layout(location = 1) out vec4 outVelocity;
+${blockTimestepGLSL}
+${boundaryGLSL}
 
 void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
@@ -351,6 +406,16 @@ void main() {
     return;
   }
   
+  // Block timesteps: particles between their kicks only drift
+  if (u_maxBin > 0 && !blockActive(vel.w, u_substep, u_maxBin)) {
+    vec3 driftPos = applyBoundary(pos.xyz + vel.xyz * u_dt);
+    vec3 driftVel = vel.xyz;
+    applyWalls(driftPos, driftVel, mass);
+    outPosition = vec4(driftPos, mass);
+    outVelocity = vec4(driftVel, vel.w);
+    return;
+  }
+
   // Kick: update velocity from force
   vec3 force = texelFetch(u_force, coord, 0).xyz;
   
@@ -366,12 +431,30 @@ void main() {
   if (fmag > u_maxAccel) {
     force = force / fmag * u_maxAccel;
   }
+
+  // Re-bin from the raw acceleration; a coarser bin is only entered on its own block boundary
+  float kickDt = u_dt;
+  float damping = u_damping;
+  float binOut = vel.w;
+  if (u_maxBin > 0) {
+    int bin = blockBin(vel.w, u_maxBin);
+    float frameDt = u_dt * float(1 << u_maxBin);
+    float ratio = fmag > 0.0 ? frameDt / (u_eta * sqrt(u_softening / fmag)) : 0.0;
+    int wanted = ratio <= 1.0 ? 0 : min(u_maxBin, int(ceil(log2(ratio))));
+    while (wanted < bin && u_substep % blockStride(wanted, u_maxBin) != 0) wanted++;
+
+    int stride = blockStride(wanted, u_maxBin);
+    kickDt = u_dt * float(stride);
+    // Damping is per frame: each kick removes its share
+    damping = 1.0 - pow(1.0 - u_damping, float(stride) / float(1 << u_maxBin));
+    binOut = float(wanted);
+  }
   
   // Integrate velocity with force
-  vec3 newVel = vel.xyz + force * u_dt;
+  vec3 newVel = vel.xyz + force * kickDt;
   
   // Apply damping
-  newVel = newVel * (1.0 - u_damping);
+  newVel = newVel * (1.0 - damping);
   
   // Clamp speed to maxSpeed
   float vmag = length(newVel);
@@ -380,11 +463,12 @@ void main() {
   }
   
   // Drift: update position with NEW velocity (correct Euler integration)
-  vec3 newPos = pos.xyz + newVel * u_dt;
+  vec3 newPos = applyBoundary(pos.xyz + newVel * u_dt);
+  applyWalls(newPos, newVel, mass);
   
   // Output both updates
   outPosition = vec4(newPos, mass);           // Preserve mass
-  outVelocity = vec4(newVel, vel.w);          // Preserve color/metadata
+  outVelocity = vec4(newVel, binOut);         // Preserve color/metadata, or the new bin
 }`;
 
 /**
@@ -3,12 +3,16 @@
 /**
  * IntegratePositionKernel - Updates particle positions from velocities
  * 
- * Performs position += velocity * dt (drift step).
+ * Performs position += velocity * dt (drift step), wrapped into worldBounds
+ * when the boundary is periodic. Walls act on the drifted position too; 'reflect'
+ * and 'clamp' also change the velocity, which then goes to outVelocity through a
+ * second render target, so the caller must swap its velocity pair as well.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { boundaryWritesVelocity, setBoundaryUniforms } from './boundary.js';
 import posIntegrateFrag from './shaders/pos_integrate.frag.js';
 
 export class KIntegratePosition {
@@ -18,9 +22,13 @@ export class KIntegratePosition {
    *   inPosition?: WebGLTexture|null,
    *   inVelocity?: WebGLTexture|null,
    *   outPosition?: WebGLTexture|null,
+   *   outVelocity?: WebGLTexture|null,
    *   width?: number,
    *   height?: number,
-   *   dt?: number
+   *   dt?: number,
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   restitution?: number
    * }} options
    */
   constructor(options) {
@@ -37,13 +45,23 @@ export class KIntegratePosition {
       ? options.outPosition
       : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
 
+    // Physics parameters
+    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
+    this.boundary = options.boundary || 'open';
+    this.worldBounds = options.worldBounds;
+    this.restitution = options.restitution !== undefined ? options.restitution : 1;
+
+    // Only walls that redirect particles write velocities; otherwise there is no such output
+    this.outVelocity = (options.outVelocity || options.outVelocity === null)
+      ? options.outVelocity
+      : boundaryWritesVelocity(this.boundary)
+        ? createTextureRGBA32F(this.gl, options.width || 0, options.height || 0)
+        : null;
+
     // Texture dimensions
     this.width = options.width || 0;
     this.height = options.height || 0;
 
-    // Physics parameters
-    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
-
     // Create shader program
     // Compile and link shader program (inline, like KPyramidBuild)
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -96,7 +114,7 @@ export class KIntegratePosition {
     // Create an internal framebuffer (configured per-run). Keep a small
     // shadow of attachments so run() can rebind only when they change.
     this.outFramebuffer = this.gl.createFramebuffer();
-    /** @type {{ a0: WebGLTexture } | null} */
+    /** @type {{ a0: WebGLTexture, a1: WebGLTexture | null } | null} */
     this._fboShadow = null;
   }
 
@@ -121,9 +139,16 @@ export class KIntegratePosition {
         height: this.height, count: this.width * this.height,
         channels: ['x', 'y', 'z', 'mass'], pixels
       }),
+      outVelocity: this.outVelocity && readLinear({
+        gl: this.gl, texture: this.outVelocity, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['vx', 'vy', 'vz', 'unused'], pixels
+      }),
       width: this.width,
       height: this.height,
       dt: this.dt,
+      boundary: this.boundary,
+      restitution: this.restitution,
       renderCount: this.renderCount
     };
 
@@ -142,7 +167,9 @@ position: ${value.position}
 
 velocity: ${value.velocity}
 
-→ outPosition: ${value.outPosition ? `displacement=${formatNumber(displacement)} ` : ''}${value.outPosition}`;
+→ outPosition: ${value.outPosition ? `displacement=${formatNumber(displacement)} ` : ''}${value.outPosition}${value.outVelocity ? `
+
+→ outVelocity: ${value.outVelocity}` : ''}`;
 
     return value;
   }
@@ -193,14 +220,19 @@ velocity: ${value.velocity}
     if (!this.inPosition || !this.inVelocity || !this.outPosition) {
       throw new Error('KIntegratePosition: missing required textures');
     }
+    if (boundaryWritesVelocity(this.boundary) && !this.outVelocity) {
+      throw new Error(`KIntegratePosition: boundary '${this.boundary}' needs outVelocity`);
+    }
+    const outVelocity = boundaryWritesVelocity(this.boundary) ? this.outVelocity : null;
 
     gl.useProgram(this.program);
 
     // Ensure framebuffer attachments match our current output
-    if (this._fboShadow?.a0 !== this.outPosition) {
+    if (this._fboShadow?.a0 !== this.outPosition || this._fboShadow.a1 !== outVelocity) {
       gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
       gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outPosition, 0);
-      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, outVelocity, 0);
+      gl.drawBuffers(outVelocity ? [gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1] : [gl.COLOR_ATTACHMENT0]);
       const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
       if (status !== gl.FRAMEBUFFER_COMPLETE) {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -208,7 +240,7 @@ velocity: ${value.velocity}
       }
       gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-      this._fboShadow = { a0: this.outPosition };
+      this._fboShadow = { a0: this.outPosition, a1: outVelocity };
     }
 
     // Bind output framebuffer
@@ -234,6 +266,7 @@ velocity: ${value.velocity}
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_texSize'), this.width, this.height);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_dt'), this.dt);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_particleCount'), this.width * this.height);
+    setBoundaryUniforms(gl, this.program, this.boundary, this.worldBounds, this.restitution);
 
     // Draw
     gl.bindVertexArray(this.quadVAO);
@@ -262,6 +295,7 @@ velocity: ${value.velocity}
     if (this.inPosition) gl.deleteTexture(this.inPosition);
     if (this.inVelocity) gl.deleteTexture(this.inVelocity);
     if (this.outPosition) gl.deleteTexture(this.outPosition);
+    if (this.outVelocity) gl.deleteTexture(this.outVelocity);
 
     this._fboShadow = null;
   }
@@ -0,0 +1,405 @@
+// @ts-check
+
+/**
+ * KIntegrateRK4 - one stage of classic 4th-order Runge-Kutta for x' = v, v' = a(x)
+ *
+ * Each run consumes the force at the current stage position and writes, via MRT:
+ * the next stage state (or the final state on stage 3) and the running weighted
+ * sums Σ wₖ·vₖ and Σ wₖ·aₖ with weights 1, 2, 2, 1.
+ *
+ *   stage 0..2:  x₊ = x₀ + cₖ·dt·vₖ,  v₊ = v₀ + cₖ·dt·aₖ   (cₖ = ½, ½, 1)
+ *   stage 3:     x = x₀ + dt/6·Σ wₖ·vₖ,  v = v₀ + dt/6·Σ wₖ·aₖ
+ *
+ * Damping and the speed clamp apply to the final velocity only; each aₖ is clamped to maxAccel.
+ * Stage 0 ignores the accumulator inputs, so they need no clearing between steps.
+ * With boundary 'periodic' stage and final positions are wrapped into worldBounds;
+ * the velocity sums never see the wrap, so a crossing particle stays continuous.
+ * Walls act on the final state only: stage positions may overshoot a face briefly.
+ *
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { boundaryGLSL, fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+import { setBoundaryUniforms } from './boundary.js';
+
+export class KIntegrateRK4 {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition0?: WebGLTexture|null,
+   *   inVelocity0?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
+   *   inAccPosition?: WebGLTexture|null,
+   *   inAccVelocity?: WebGLTexture|null,
+   *   outPosition?: WebGLTexture|null,
+   *   outVelocity?: WebGLTexture|null,
+   *   outAccPosition?: WebGLTexture|null,
+   *   outAccVelocity?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   stage?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number,
+   *   boundary?: import('./boundary.js').BoundaryName,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   restitution?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition0 = (options.inPosition0 || options.inPosition0 === null)
+      ? options.inPosition0
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inVelocity0 = (options.inVelocity0 || options.inVelocity0 === null)
+      ? options.inVelocity0
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inVelocity = (options.inVelocity || options.inVelocity === null)
+      ? options.inVelocity
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inForce = (options.inForce || options.inForce === null)
+      ? options.inForce
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inAccPosition = (options.inAccPosition || options.inAccPosition === null)
+      ? options.inAccPosition
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.inAccVelocity = (options.inAccVelocity || options.inAccVelocity === null)
+      ? options.inAccVelocity
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.outPosition = (options.outPosition || options.outPosition === null)
+      ? options.outPosition
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.outVelocity = (options.outVelocity || options.outVelocity === null)
+      ? options.outVelocity
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.outAccPosition = (options.outAccPosition || options.outAccPosition === null)
+      ? options.outAccPosition
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+    this.outAccVelocity = (options.outAccVelocity || options.outAccVelocity === null)
+      ? options.outAccVelocity
+      : createTextureRGBA32F(this.gl, this.width, this.height);
+
+    // Stage index 0..3 and physics parameters
+    this.stage = options.stage || 0;
+    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
+    this.damping = options.damping !== undefined ? options.damping : 0.0;
+    this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 2.0;
+    this.maxAccel = options.maxAccel !== undefined ? options.maxAccel : 1.0;
+    this.boundary = options.boundary || 'open';
+    this.worldBounds = options.worldBounds;
+    this.restitution = options.restitution !== undefined ? options.restitution : 1;
+
+    // Create shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, rk4StageFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_position0: this.gl.getUniformLocation(this.program, 'u_position0'),
+      u_velocity0: this.gl.getUniformLocation(this.program, 'u_velocity0'),
+      u_velocity: this.gl.getUniformLocation(this.program, 'u_velocity'),
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_accPosition: this.gl.getUniformLocation(this.program, 'u_accPosition'),
+      u_accVelocity: this.gl.getUniformLocation(this.program, 'u_accVelocity'),
+      u_stage: this.gl.getUniformLocation(this.program, 'u_stage'),
+      u_dt: this.gl.getUniformLocation(this.program, 'u_dt'),
+      u_damping: this.gl.getUniformLocation(this.program, 'u_damping'),
+      u_maxSpeed: this.gl.getUniformLocation(this.program, 'u_maxSpeed'),
+      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // MRT framebuffer (configured per-run), rebound only when outputs change
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture[] | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    /** @param {WebGLTexture | null | undefined} texture @param {string[]} channels */
+    const read = (texture, channels) => texture && readLinear({
+      gl: this.gl, texture, width: this.width, height: this.height,
+      count: this.width * this.height, channels, pixels
+    });
+
+    const value = {
+      position0: read(this.inPosition0, ['x', 'y', 'z', 'mass']),
+      velocity: read(this.inVelocity, ['vx', 'vy', 'vz', 'w']),
+      force: read(this.inForce, ['fx', 'fy', 'fz', 'unused']),
+      outPosition: read(this.outPosition, ['x', 'y', 'z', 'mass']),
+      outVelocity: read(this.outVelocity, ['vx', 'vy', 'vz', 'w']),
+      width: this.width,
+      height: this.height,
+      stage: this.stage,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel,
+      boundary: this.boundary,
+      restitution: this.restitution,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KIntegrateRK4(${this.width}×${this.height}) stage=${this.stage} dt=${formatNumber(this.dt)} damping=${formatNumber(this.damping)} maxSpeed=${formatNumber(this.maxSpeed)} maxAccel=${formatNumber(this.maxAccel)} #${this.renderCount}
+
+position0: ${value.position0}
+
+velocity: ${value.velocity}
+
+force: ${value.force}
+
+→ outPosition: ${value.outPosition}
+
+→ outVelocity: ${value.outVelocity}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition0 || !this.inVelocity0 || !this.inVelocity || !this.inForce ||
+        !this.inAccPosition || !this.inAccVelocity ||
+        !this.outPosition || !this.outVelocity || !this.outAccPosition || !this.outAccVelocity) {
+      throw new Error('KIntegrateRK4: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    const outputs = [this.outPosition, this.outVelocity, this.outAccPosition, this.outAccVelocity];
+    if (!this._fboShadow || outputs.some((texture, i) => this._fboShadow?.[i] !== texture)) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      outputs.forEach((texture, i) => {
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+      });
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2, gl.COLOR_ATTACHMENT3]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = outputs;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    const inputs = [
+      [this.inPosition0, this.uniforms.u_position0],
+      [this.inVelocity0, this.uniforms.u_velocity0],
+      [this.inVelocity, this.uniforms.u_velocity],
+      [this.inForce, this.uniforms.u_force],
+      [this.inAccPosition, this.uniforms.u_accPosition],
+      [this.inAccVelocity, this.uniforms.u_accVelocity]
+    ];
+    inputs.forEach(([texture, location], unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */ (texture));
+      if (location) gl.uniform1i(/** @type {WebGLUniformLocation} */ (location), unit);
+    });
+
+    if (this.uniforms.u_stage) gl.uniform1i(this.uniforms.u_stage, this.stage);
+    if (this.uniforms.u_dt) gl.uniform1f(this.uniforms.u_dt, this.dt);
+    if (this.uniforms.u_damping) gl.uniform1f(this.uniforms.u_damping, this.damping);
+    if (this.uniforms.u_maxSpeed) gl.uniform1f(this.uniforms.u_maxSpeed, this.maxSpeed);
+    if (this.uniforms.u_maxAccel) gl.uniform1f(this.uniforms.u_maxAccel, this.maxAccel);
+    setBoundaryUniforms(gl, this.program, this.boundary, this.worldBounds, this.restitution);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    for (let unit = inputs.length - 1; unit >= 0; unit--) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition0) gl.deleteTexture(this.inPosition0);
+    if (this.inVelocity0) gl.deleteTexture(this.inVelocity0);
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.inAccPosition) gl.deleteTexture(this.inAccPosition);
+    if (this.inAccVelocity) gl.deleteTexture(this.inAccVelocity);
+    if (this.outPosition) gl.deleteTexture(this.outPosition);
+    if (this.outVelocity) gl.deleteTexture(this.outVelocity);
+    if (this.outAccPosition) gl.deleteTexture(this.outAccPosition);
+    if (this.outAccVelocity) gl.deleteTexture(this.outAccVelocity);
+
+    this._fboShadow = null;
+  }
+}
+
+const rk4StageFrag = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_position0;
+uniform sampler2D u_velocity0;
+uniform sampler2D u_velocity;
+uniform sampler2D u_force;
+uniform sampler2D u_accPosition;
+uniform sampler2D u_accVelocity;
+uniform int u_stage;
+uniform float u_dt;
+uniform float u_damping;
+uniform float u_maxSpeed;
+uniform float u_maxAccel;
+
+layout(location = 0) out vec4 outPosition;
+layout(location = 1) out vec4 outVelocity;
+layout(location = 2) out vec4 outAccPosition;
+layout(location = 3) out vec4 outAccVelocity;
+${boundaryGLSL}
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec4 pos0 = texelFetch(u_position0, coord, 0);
+  vec4 vel0 = texelFetch(u_velocity0, coord, 0);
+
+  // Inactive or corrupt particles pass through unchanged
+  float mass = pos0.w;
+  if (any(isnan(pos0)) || any(isnan(vel0.xyz)) || mass <= 0.0) {
+    outPosition = pos0;
+    outVelocity = vel0;
+    outAccPosition = vec4(0.0);
+    outAccVelocity = vec4(0.0);
+    return;
+  }
+
+  vec3 vk = texelFetch(u_velocity, coord, 0).xyz;
+  vec3 ak = texelFetch(u_force, coord, 0).xyz;
+  if (any(isnan(ak))) ak = vec3(0.0);
+  float amag = length(ak);
+  if (amag > u_maxAccel) ak = ak / amag * u_maxAccel;
+
+  float weight = (u_stage == 0 || u_stage == 3) ? 1.0 : 2.0;
+  vec3 accPos = weight * vk;
+  vec3 accVel = weight * ak;
+  if (u_stage > 0) {
+    accPos += texelFetch(u_accPosition, coord, 0).xyz;
+    accVel += texelFetch(u_accVelocity, coord, 0).xyz;
+  }
+  outAccPosition = vec4(accPos, 0.0);
+  outAccVelocity = vec4(accVel, 0.0);
+
+  if (u_stage < 3) {
+    float c = u_stage == 2 ? 1.0 : 0.5;
+    outPosition = vec4(applyBoundary(pos0.xyz + c * u_dt * vk), mass);
+    outVelocity = vec4(vel0.xyz + c * u_dt * ak, vel0.w);
+    return;
+  }
+
+  vec3 newVel = (vel0.xyz + u_dt / 6.0 * accVel) * (1.0 - u_damping);
+  float vmag = length(newVel);
+  if (vmag > u_maxSpeed) newVel = newVel / vmag * u_maxSpeed;
+
+  vec3 newPos = applyBoundary(pos0.xyz + u_dt / 6.0 * accPos);
+  applyWalls(newPos, newVel, mass);
+  outPosition = vec4(newPos, mass);
+  outVelocity = vec4(newVel, vel0.w);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
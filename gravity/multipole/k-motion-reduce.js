@@ -0,0 +1,331 @@
+// @ts-check
+
+/**
+ * KMotionReduce - GPU-resident max |a| / max |v| reduction
+ *
+ * Reduces per-particle accelerations and velocities to a single 1×1 texel
+ * (max|a|, max|v|, activeCount, 0) in passes of 4×4 blocks. The first pass reads
+ * the force, velocity and position textures, skipping slots with mass ≤ 0;
+ * later passes combine the previous level's partial results.
+ *
+ * Accelerations are read raw, before the maxAccel clamp, so the reduction sees
+ * the forces that the clamp would otherwise hide.
+ *
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+export class KMotionReduce {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inForce?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
+   *   inPosition?: WebGLTexture|null,
+   *   outMotion?: WebGLTexture|null,
+   *   particleTexWidth?: number,
+   *   particleTexHeight?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Resource slots - follow kernel contract. Inputs are always borrowed.
+    this.inForce = (options.inForce || options.inForce === null) ? options.inForce : null;
+    this.inVelocity = (options.inVelocity || options.inVelocity === null) ? options.inVelocity : null;
+    this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : null;
+
+    this.outMotion = (options.outMotion || options.outMotion === null)
+      ? options.outMotion
+      : createTextureRGBA32F(this.gl, 1, 1);
+
+    // Texture dimensions
+    this.particleTexWidth = options.particleTexWidth || 0;
+    this.particleTexHeight = options.particleTexHeight || 0;
+
+    // Create shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, motionReduceFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_velocity: this.gl.getUniformLocation(this.program, 'u_velocity'),
+      u_position: this.gl.getUniformLocation(this.program, 'u_position'),
+      u_inputSize: this.gl.getUniformLocation(this.program, 'u_inputSize'),
+      u_firstPass: this.gl.getUniformLocation(this.program, 'u_firstPass')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Intermediate levels, each 4× smaller per axis; the last pass writes outMotion (1×1)
+    /** @type {{ texture: WebGLTexture, framebuffer: WebGLFramebuffer | null, width: number, height: number }[]} */
+    this.reductionLevels = [];
+    let currentWidth = Math.ceil(this.particleTexWidth / 4);
+    let currentHeight = Math.ceil(this.particleTexHeight / 4);
+    while (currentWidth > 1 || currentHeight > 1) {
+      const texture = createTextureRGBA32F(this.gl, currentWidth, currentHeight);
+      const framebuffer = this.gl.createFramebuffer();
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
+      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, texture, 0);
+      const status = this.gl.checkFramebufferStatus(this.gl.FRAMEBUFFER);
+      if (status !== this.gl.FRAMEBUFFER_COMPLETE) {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        throw new Error(`Reduction framebuffer incomplete: ${status}`);
+      }
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+      this.reductionLevels.push({ texture, framebuffer, width: currentWidth, height: currentHeight });
+      currentWidth = Math.ceil(currentWidth / 4);
+      currentHeight = Math.ceil(currentHeight / 4);
+    }
+
+    // Final framebuffer for outMotion (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      motion: this.outMotion && readLinear({
+        gl: this.gl, texture: this.outMotion, width: 1, height: 1, count: 1,
+        channels: ['maxAccel', 'maxSpeed', 'count', 'unused'], pixels
+      }),
+      particleTexWidth: this.particleTexWidth,
+      particleTexHeight: this.particleTexHeight,
+      reductionLevels: this.reductionLevels.length,
+      renderCount: this.renderCount
+    };
+
+    const texel = value.motion?.pixels?.[0];
+
+    value.toString = () =>
+      `KMotionReduce(${this.particleTexWidth}×${this.particleTexHeight}) levels=${this.reductionLevels.length} #${this.renderCount}${texel ? `
+  max|a|=${formatNumber(texel.maxAccel)} max|v|=${formatNumber(texel.maxSpeed)} active=${texel.count}` : ''}
+
+motion: ${value.motion}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inForce || !this.inVelocity || !this.inPosition || !this.outMotion) {
+      throw new Error('KMotionReduce: missing required textures');
+    }
+
+    if (this._fboShadow !== this.outMotion) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outMotion, 0);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      this._fboShadow = this.outMotion;
+    }
+
+    gl.useProgram(this.program);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    // Velocity and position stay bound on units 1/2 throughout; only the first pass reads them
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inVelocity);
+    gl.uniform1i(this.uniforms.u_velocity, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    gl.uniform1i(this.uniforms.u_position, 2);
+
+    const passes = [
+      ...this.reductionLevels,
+      { texture: this.outMotion, framebuffer: this.outFramebuffer, width: 1, height: 1 }
+    ];
+
+    let inputTex = this.inForce;
+    let inputWidth = this.particleTexWidth;
+    let inputHeight = this.particleTexHeight;
+
+    gl.bindVertexArray(this.quadVAO);
+    passes.forEach((pass, i) => {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, pass.framebuffer);
+      gl.viewport(0, 0, pass.width, pass.height);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, inputTex);
+      gl.uniform1i(this.uniforms.u_force, 0);
+      gl.uniform2i(this.uniforms.u_inputSize, inputWidth, inputHeight);
+      gl.uniform1i(this.uniforms.u_firstPass, i === 0 ? 1 : 0);
+
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      inputTex = pass.texture;
+      inputWidth = pass.width;
+      inputHeight = pass.height;
+    });
+    gl.bindVertexArray(null);
+
+    for (let unit = 2; unit >= 0; unit--) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.useProgram(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    for (const level of this.reductionLevels) {
+      gl.deleteTexture(level.texture);
+      if (level.framebuffer) gl.deleteFramebuffer(level.framebuffer);
+    }
+    this.reductionLevels = [];
+
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.outMotion) gl.deleteTexture(this.outMotion);
+
+    this._fboShadow = null;
+  }
+}
+
+/**
+ * Each output texel covers a 4×4 block of its input. On the first pass the input is
+ * the force texture and each active particle contributes (|a|, |v|, 1); afterwards
+ * the input is a partial-result level and channels combine as (max, max, sum).
+ */
+const motionReduceFrag = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_force;
+uniform sampler2D u_velocity;
+uniform sampler2D u_position;
+uniform ivec2 u_inputSize;
+uniform int u_firstPass;
+
+out vec4 fragColor;
+
+void main() {
+  ivec2 base = ivec2(gl_FragCoord.xy) * 4;
+
+  float maxAccel = 0.0;
+  float maxSpeed = 0.0;
+  float count = 0.0;
+
+  for (int dy = 0; dy < 4; dy++) {
+    for (int dx = 0; dx < 4; dx++) {
+      ivec2 coord = base + ivec2(dx, dy);
+      if (coord.x >= u_inputSize.x || coord.y >= u_inputSize.y) continue;
+
+      if (u_firstPass == 1) {
+        float mass = texelFetch(u_position, coord, 0).w;
+        if (isnan(mass) || mass <= 0.0) continue;
+
+        vec3 a = texelFetch(u_force, coord, 0).xyz;
+        vec3 v = texelFetch(u_velocity, coord, 0).xyz;
+        // Corrupt values must not poison the step size; they are the integrator's problem
+        if (!any(isnan(a)) && !any(isinf(a))) maxAccel = max(maxAccel, length(a));
+        if (!any(isnan(v)) && !any(isinf(v))) maxSpeed = max(maxSpeed, length(v));
+        count += 1.0;
+      } else {
+        vec4 partial = texelFetch(u_force, coord, 0);
+        maxAccel = max(maxAccel, partial.x);
+        maxSpeed = max(maxSpeed, partial.y);
+        count += partial.z;
+      }
+    }
+  }
+
+  fragColor = vec4(maxAccel, maxSpeed, count, 0.0);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
@@ -0,0 +1,93 @@
+// @ts-check
+
+/**
+ * Unit tests for KMotionReduce kernel.
+ * Tests GPU reduction of max |a| and max |v| over active particles.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertClose, createTestTexture, getGL, resetGL } from '../test-utils.js';
+
+import { KMotionReduce } from './k-motion-reduce.js';
+
+/**
+ * Fill a width×height particle layout; every particle is active with |a| = |v| = 1
+ * except the ones listed in `overrides`
+ * @param {number} width
+ * @param {number} height
+ * @param {Record<number, { a?: number[], v?: number[], mass?: number }>} overrides
+ */
+function createParticles(width, height, overrides) {
+  const n = width * height;
+  const pos = new Float32Array(n * 4);
+  const vel = new Float32Array(n * 4);
+  const force = new Float32Array(n * 4);
+  for (let i = 0; i < n; i++) {
+    const o = overrides[i] || {};
+    pos.set([i, 0, 0, o.mass !== undefined ? o.mass : 1], i * 4);
+    vel.set([...(o.v || [1, 0, 0]), 0], i * 4);
+    force.set([...(o.a || [0, 1, 0]), 0], i * 4);
+  }
+  return { pos, vel, force };
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {ReturnType<typeof createParticles>} data
+ */
+function reduce(gl, width, height, data) {
+  const kernel = new KMotionReduce({
+    gl,
+    inForce: createTestTexture(gl, width, height, data.force),
+    inVelocity: createTestTexture(gl, width, height, data.vel),
+    inPosition: createTestTexture(gl, width, height, data.pos),
+    particleTexWidth: width,
+    particleTexHeight: height
+  });
+  kernel.run();
+  const snapshot = kernel.valueOf({ pixels: true });
+  const texel = snapshot.motion?.pixels?.[0];
+  assert.ok(texel, `Reduction result should exist\n\n${snapshot}`);
+  kernel.dispose();
+  return texel;
+}
+
+test('KMotionReduce: single pass finds max |a| and max |v|', async () => {
+  const gl = getGL();
+
+  const data = createParticles(2, 2, {
+    1: { a: [3, 4, 0] },
+    2: { v: [0, 0, -2] }
+  });
+  const texel = reduce(gl, 2, 2, data);
+
+  assertClose(texel.maxAccel, 5, 1e-5, 'max |a|');
+  assertClose(texel.maxSpeed, 2, 1e-5, 'max |v|');
+  assert.strictEqual(texel.count, 4, 'active count');
+
+  resetGL();
+});
+
+test('KMotionReduce: multi-level reduction skips inactive and corrupt slots', async () => {
+  const gl = getGL();
+
+  // 37×19 needs three levels (10×5, 3×2, then 1×1) and exercises partial edge blocks
+  const width = 37, height = 19;
+  const data = createParticles(width, height, {
+    0: { a: [1000, 0, 0], v: [1000, 0, 0], mass: 0 },
+    5: { a: [NaN, 0, 0] },
+    [width * height - 1]: { a: [0, 0, 7] },
+    [width * 10 + 20]: { v: [6, 0, 0] }
+  });
+  const texel = reduce(gl, width, height, data);
+
+  assertClose(texel.maxAccel, 7, 1e-5, 'max |a| from the last texel, ignoring the inactive slot');
+  assertClose(texel.maxSpeed, 6, 1e-5, 'max |v| from the interior');
+  assert.strictEqual(texel.count, width * height - 1, 'inactive slot is not counted');
+
+  resetGL();
+});
@@ -3,12 +3,17 @@
 import { fsQuadVert } from '../core-shaders.js';
 import { readGrid3D } from '../diag.js';
 import reductionFrag from './shaders/reduction.frag.js';
+import reductionOctupoleFrag from './shaders/reduction-octupole.frag.js';
 
 /**
  * Builds octree pyramid via 2x2x2 reduction
  * 
  * Reduces one octree level to the next coarser level by sampling 8 child cells.
  * Outputs three MRT attachments: A0 (monopole), A1 (quadrupole), A2 (quadrupole).
+ * With octupole enabled, a second pass reduces the third moments A3, A4, A5.
+ * They are central moments about each cell's own centre of mass, so the pass
+ * shifts every child's moments to the parent's centre of mass before summing
+ * (parallel-axis theorem, using the children's A0..A2).
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 export class KPyramidBuild {
@@ -25,7 +30,14 @@ export class KPyramidBuild {
    *   inA2?: WebGLTexture|null,
    *   outA0?: WebGLTexture|null,
    *   outA1?: WebGLTexture|null,
-   *   outA2?: WebGLTexture|null
+   *   outA2?: WebGLTexture|null,
+   *   octupole?: boolean,
+   *   inA3?: WebGLTexture|null,
+   *   inA4?: WebGLTexture|null,
+   *   inA5?: WebGLTexture|null,
+   *   outA3?: WebGLTexture|null,
+   *   outA4?: WebGLTexture|null,
+   *   outA5?: WebGLTexture|null
    * }} options
    */
   constructor({
@@ -36,7 +48,10 @@ export class KPyramidBuild {
     inGridSize,
     inSlicesPerRow,
     inA0, inA1, inA2,
-    outA0, outA1, outA2
+    outA0, outA1, outA2,
+    octupole,
+    inA3, inA4, inA5,
+    outA3, outA4, outA5
   }) {
     this.gl = gl;
 
@@ -61,39 +76,17 @@ export class KPyramidBuild {
     this.outA1 = (outA1 || outA1 === null) ? outA1 : createTextureRGBA32F(this.gl, this.outTextureWidth || 1, this.outTextureHeight || 1);
     this.outA2 = (outA2 || outA2 === null) ? outA2 : createTextureRGBA32F(this.gl, this.outTextureWidth || 1, this.outTextureHeight || 1);
 
-    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
-    if (!vert) throw new Error('Failed to create vertex shader');
-    this.gl.shaderSource(vert, fsQuadVert);
-    this.gl.compileShader(vert);
-    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
-      const info = this.gl.getShaderInfoLog(vert);
-      this.gl.deleteShader(vert);
-      throw new Error(`Vertex shader compile failed: ${info}`);
-    }
-
-    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
-    if (!frag) throw new Error('Failed to create fragment shader');
-    this.gl.shaderSource(frag, reductionFrag);
-    this.gl.compileShader(frag);
-    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
-      const info = this.gl.getShaderInfoLog(frag);
-      this.gl.deleteShader(frag);
-      throw new Error(`Fragment shader compile failed: ${info}`);
-    }
-
-    this.program = this.gl.createProgram();
-    if (!this.program) throw new Error('Failed to create program');
-    this.gl.attachShader(this.program, vert);
-    this.gl.attachShader(this.program, frag);
-    this.gl.linkProgram(this.program);
-    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
-      const info = this.gl.getProgramInfoLog(this.program);
-      this.gl.deleteProgram(this.program);
-      throw new Error(`Program link failed: ${info}`);
-    }
+    // Third moments, present only for octupole
+    this.octupole = !!octupole;
+    this.inA3 = (inA3 || inA3 === null) ? inA3 : this.octupole ? createTextureRGBA32F(this.gl, inWidth, inHeight) : null;
+    this.inA4 = (inA4 || inA4 === null) ? inA4 : this.octupole ? createTextureRGBA32F(this.gl, inWidth, inHeight) : null;
+    this.inA5 = (inA5 || inA5 === null) ? inA5 : this.octupole ? createTextureRGBA32F(this.gl, inWidth, inHeight) : null;
+    this.outA3 = (outA3 || outA3 === null) ? outA3 : this.octupole ? createTextureRGBA32F(this.gl, this.outTextureWidth || 1, this.outTextureHeight || 1) : null;
+    this.outA4 = (outA4 || outA4 === null) ? outA4 : this.octupole ? createTextureRGBA32F(this.gl, this.outTextureWidth || 1, this.outTextureHeight || 1) : null;
+    this.outA5 = (outA5 || outA5 === null) ? outA5 : this.octupole ? createTextureRGBA32F(this.gl, this.outTextureWidth || 1, this.outTextureHeight || 1) : null;
 
-    this.gl.deleteShader(vert);
-    this.gl.deleteShader(frag);
+    this.program = linkProgram(this.gl, reductionFrag);
+    this.octupoleProgram = this.octupole ? linkProgram(this.gl, reductionOctupoleFrag) : null;
 
     const quadVAO = this.gl.createVertexArray();
     if (!quadVAO) throw new Error('Failed to create VAO');
@@ -116,6 +109,11 @@ export class KPyramidBuild {
     // will be (re)configured inside run() when attachments are present or change.
     /** @type {{ a0: WebGLTexture, a1: WebGLTexture, a2: WebGLTexture } | null} */
     this._fboShadow = null;
+
+    // Same scheme for the third-moment outputs
+    this.outFramebufferOctupole = this.octupole ? this.gl.createFramebuffer() : null;
+    /** @type {{ a0: WebGLTexture, a1: WebGLTexture, a2: WebGLTexture } | null} */
+    this._fboShadowOctupole = null;
   }
 
   /**
@@ -154,6 +152,22 @@ export class KPyramidBuild {
         height: this.outTextureHeight, gridSize: this.outGridSize,
         channels: ['xz', 'yz', 'unused1', 'unused2'], pixels
       }),
+      outA3: this.outA3 && readGrid3D({
+        gl: this.gl, texture: this.outA3, width: this.outTextureWidth,
+        height: this.outTextureHeight, gridSize: this.outGridSize,
+        channels: ['xxx', 'yyy', 'zzz', 'xxy'], pixels
+      }),
+      outA4: this.outA4 && readGrid3D({
+        gl: this.gl, texture: this.outA4, width: this.outTextureWidth,
+        height: this.outTextureHeight, gridSize: this.outGridSize,
+        channels: ['xxz', 'xyy', 'yyz', 'xzz'], pixels
+      }),
+      outA5: this.outA5 && readGrid3D({
+        gl: this.gl, texture: this.outA5, width: this.outTextureWidth,
+        height: this.outTextureHeight, gridSize: this.outGridSize,
+        channels: ['yzz', 'xyz', 'unused1', 'unused2'], pixels
+      }),
+      octupole: this.octupole,
       outSize: this.outSize,
       outGridSize: this.outGridSize,
       outSlicesPerRow: this.outSlicesPerRow,
@@ -176,7 +190,10 @@ inA2: ${value.inA2}
 
 → outA0: ${value.outA0}
 → outA1: ${value.outA1}
-→ outA2: ${value.outA2}`;
+→ outA2: ${value.outA2}${this.octupole ? `
+→ outA3: ${value.outA3}
+→ outA4: ${value.outA4}
+→ outA5: ${value.outA5}` : ''}`;
 
     return value;
   }
@@ -190,45 +207,65 @@ inA2: ${value.inA2}
   }
 
   run() {
-    this.gl.useProgram(this.program);
+    if (this.octupole && (!this.inA3 || !this.inA4 || !this.inA5 || !this.outA3 || !this.outA4 || !this.outA5)) {
+      throw new Error('KPyramidBuild: octupole requires inA3..inA5 and outA3..outA5');
+    }
 
     // Ensure the framebuffer attachments match our current outputs. We
     // only reconfigure when attachments differ from the shadow to avoid
     // redundant GL calls.
-    if (this._fboShadow?.a0 !== this.outA0 ||
-      this._fboShadow?.a1 !== this.outA1 ||
-      this._fboShadow?.a2 !== this.outA2) {
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.outFramebuffer);
-
-      // Attach or detach attachments explicitly
-      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.outA0, 0);
-      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT1, this.gl.TEXTURE_2D, this.outA1, 0);
-      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT2, this.gl.TEXTURE_2D, this.outA2, 0);
-
-      this.gl.drawBuffers([
-        this.gl.COLOR_ATTACHMENT0,
-        this.gl.COLOR_ATTACHMENT1,
-        this.gl.COLOR_ATTACHMENT2
-      ]);
-
-      const status = this.gl.checkFramebufferStatus(this.gl.FRAMEBUFFER);
-      if (status !== this.gl.FRAMEBUFFER_COMPLETE) {
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-        throw new Error(`MRT framebuffer incomplete: ${status}`);
-      }
-
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-
-      // Shadow state of attachments (references or null)
-      this._fboShadow = {
-        a0: /** @type {WebGLTexture} */ (this.outA0),
-        a1: /** @type {WebGLTexture} */ (this.outA1),
-        a2: /** @type {WebGLTexture} */ (this.outA2)
-      };
+    this._fboShadow = syncAttachments(this.gl, this.outFramebuffer, this._fboShadow, this.outA0, this.outA1, this.outA2);
+    if (this.octupole)
+      this._fboShadowOctupole = syncAttachments(this.gl, this.outFramebufferOctupole, this._fboShadowOctupole, this.outA3, this.outA4, this.outA5);
+
+    // Setup GL state
+    this.gl.disable(this.gl.DEPTH_TEST);
+    this.gl.disable(this.gl.BLEND);
+    this.gl.disable(this.gl.SCISSOR_TEST);
+    this.gl.colorMask(true, true, true, true);
+
+    this._useProgram(this.program);
+    this._reduce(this.outFramebuffer, [this.inA0, this.inA1, this.inA2]);
+
+    // Third moments need the children's centres of mass and second moments as well
+    if (this.octupole && this.octupoleProgram) {
+      this._useProgram(this.octupoleProgram);
+      this._reduce(this.outFramebufferOctupole, [this.inA0, this.inA1, this.inA2, this.inA3, this.inA4, this.inA5]);
     }
 
+    for (let unit = this.octupole ? 5 : 2; unit >= 0; unit--) {
+      this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    }
+    this.gl.useProgram(null);
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  /**
+   * Make a reduction program current and set its level uniforms
+   * @param {WebGLProgram} program
+   */
+  _useProgram(program) {
+    this.gl.useProgram(program);
+    this.gl.uniform1f(this.gl.getUniformLocation(program, 'u_gridSize'), this.outGridSize);
+    this.gl.uniform1f(this.gl.getUniformLocation(program, 'u_slicesPerRow'), this.outSlicesPerRow);
+    this.gl.uniform1f(this.gl.getUniformLocation(program, 'u_childGridSize'), this.inGridSize);
+    this.gl.uniform1f(this.gl.getUniformLocation(program, 'u_childSlicesPerRow'), this.inSlicesPerRow);
+    for (let i = 0; i < 6; i++)
+      this.gl.uniform1i(this.gl.getUniformLocation(program, `u_previousLevelA${i}`), i);
+  }
+
+  /**
+   * Draw one reduction pass from child-level inputs (bound to units 0, 1, ...) into an MRT framebuffer
+   * @param {WebGLFramebuffer | null} framebuffer
+   * @param {Array<WebGLTexture | null | undefined>} inputs
+   */
+  _reduce(framebuffer, inputs) {
     // Bind output framebuffer (MRT)
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.outFramebuffer);
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
     this.gl.drawBuffers([this.gl.COLOR_ATTACHMENT0, this.gl.COLOR_ATTACHMENT1, this.gl.COLOR_ATTACHMENT2]);
     this.gl.viewport(0, 0, this.outTextureWidth, this.outTextureHeight);
 
@@ -236,54 +273,25 @@ inA2: ${value.inA2}
     this.gl.clearColor(0, 0, 0, 0);
     this.gl.clear(this.gl.COLOR_BUFFER_BIT);
 
-    // Setup GL state
-    this.gl.disable(this.gl.DEPTH_TEST);
-    this.gl.disable(this.gl.BLEND);
-    this.gl.disable(this.gl.SCISSOR_TEST);
-    this.gl.colorMask(true, true, true, true);
-
     // Bind input textures
-    this.gl.activeTexture(this.gl.TEXTURE0);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inA0);
-    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_previousLevelA0'), 0);
-
-    this.gl.activeTexture(this.gl.TEXTURE1);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inA1);
-    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_previousLevelA1'), 1);
-
-    this.gl.activeTexture(this.gl.TEXTURE2);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inA2);
-    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_previousLevelA2'), 2);
-
-    // Set uniforms
-    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_gridSize'), this.outGridSize);
-    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.outSlicesPerRow);
-    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_childGridSize'), this.inGridSize);
-    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_childSlicesPerRow'), this.inSlicesPerRow);
+    inputs.forEach((texture, unit) => {
+      this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, texture || null);
+    });
 
     // Draw
     this.gl.bindVertexArray(this.quadVAO);
     this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     this.gl.bindVertexArray(null);
-
-    this.gl.activeTexture(this.gl.TEXTURE2);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-    this.gl.activeTexture(this.gl.TEXTURE1);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-    this.gl.activeTexture(this.gl.TEXTURE0);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-    this.gl.useProgram(null);
-
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-
-    this.renderCount = (this.renderCount || 0) + 1;
   }
 
   dispose() {
     if (this.program) this.gl.deleteProgram(this.program);
+    if (this.octupoleProgram) this.gl.deleteProgram(this.octupoleProgram);
 
     if (this.quadVAO) this.gl.deleteVertexArray(this.quadVAO);
     if (this.outFramebuffer) this.gl.deleteFramebuffer(this.outFramebuffer);
+    if (this.outFramebufferOctupole) this.gl.deleteFramebuffer(this.outFramebufferOctupole);
 
     if (this.inA0) this.gl.deleteTexture(this.inA0);
     if (this.inA1) this.gl.deleteTexture(this.inA1);
@@ -291,11 +299,101 @@ inA2: ${value.inA2}
     if (this.outA0) this.gl.deleteTexture(this.outA0);
     if (this.outA1) this.gl.deleteTexture(this.outA1);
     if (this.outA2) this.gl.deleteTexture(this.outA2);
+    if (this.inA3) this.gl.deleteTexture(this.inA3);
+    if (this.inA4) this.gl.deleteTexture(this.inA4);
+    if (this.inA5) this.gl.deleteTexture(this.inA5);
+    if (this.outA3) this.gl.deleteTexture(this.outA3);
+    if (this.outA4) this.gl.deleteTexture(this.outA4);
+    if (this.outA5) this.gl.deleteTexture(this.outA5);
 
     this._fboShadow = null;
+    this._fboShadowOctupole = null;
   }
 }
 
+/**
+ * (Re)attach three MRT outputs when they differ from the shadowed attachments
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLFramebuffer | null} framebuffer
+ * @param {{ a0: WebGLTexture, a1: WebGLTexture, a2: WebGLTexture } | null} shadow
+ * @param {WebGLTexture | null | undefined} a0
+ * @param {WebGLTexture | null | undefined} a1
+ * @param {WebGLTexture | null | undefined} a2
+ */
+function syncAttachments(gl, framebuffer, shadow, a0, a1, a2) {
+  if (shadow?.a0 === a0 && shadow?.a1 === a1 && shadow?.a2 === a2) return shadow;
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+  // Attach or detach attachments explicitly
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, a0 || null, 0);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, a1 || null, 0);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT2, gl.TEXTURE_2D, a2 || null, 0);
+
+  gl.drawBuffers([
+    gl.COLOR_ATTACHMENT0,
+    gl.COLOR_ATTACHMENT1,
+    gl.COLOR_ATTACHMENT2
+  ]);
+
+  const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+  if (status !== gl.FRAMEBUFFER_COMPLETE) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    throw new Error(`MRT framebuffer incomplete: ${status}`);
+  }
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  // Shadow state of attachments (references or null)
+  return {
+    a0: /** @type {WebGLTexture} */ (a0),
+    a1: /** @type {WebGLTexture} */ (a1),
+    a2: /** @type {WebGLTexture} */ (a2)
+  };
+}
+
+/**
+ * Compile and link a full-screen reduction pass
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} fragSource
+ */
+function linkProgram(gl, fragSource) {
+  const vert = gl.createShader(gl.VERTEX_SHADER);
+  if (!vert) throw new Error('Failed to create vertex shader');
+  gl.shaderSource(vert, fsQuadVert);
+  gl.compileShader(vert);
+  if (!gl.getShaderParameter(vert, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vert);
+    gl.deleteShader(vert);
+    throw new Error(`Vertex shader compile failed: ${info}`);
+  }
+
+  const frag = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!frag) throw new Error('Failed to create fragment shader');
+  gl.shaderSource(frag, fragSource);
+  gl.compileShader(frag);
+  if (!gl.getShaderParameter(frag, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(frag);
+    gl.deleteShader(frag);
+    throw new Error(`Fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('Failed to create program');
+  gl.attachShader(program, vert);
+  gl.attachShader(program, frag);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link failed: ${info}`);
+  }
+
+  gl.deleteShader(vert);
+  gl.deleteShader(frag);
+  return program;
+}
+
 /**
  * @param {number} gridSize
  * @param {number} slicesPerRow
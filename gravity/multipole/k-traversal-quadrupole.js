@@ -4,22 +4,39 @@
  * TraversalQuadrupoleKernel - Quadrupole Barnes-Hut tree traversal
  * 
  * Traverses the octree hierarchy to compute gravitational forces using quadrupole approximation.
+ * With octupole enabled, the third-moment arrays A3..A5 are read as well and each
+ * accepted cell adds the traceless quadrupole and octupole terms of its expansion
+ * about the centre of mass.
+ * With maxBin > 0, particles whose block-timestep bin (inVelocity.w) is not active
+ * on `substep` are skipped and get a zero force.
+ * With `periodic`, worldBounds is a periodic cube: each cell is taken at its
+ * nearest image and inEwaldTable supplies the farther images at monopole order.
+ * With `escapers`, particles outside the box skip the walk and take the monopole
+ * of the coarsest level as a whole.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
-import { fsQuadVert } from '../core-shaders.js';
+import { blockTimestepGLSL, fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { createEwaldTexture, ewaldGLSL } from './ewald.js';
+import { setWorldBoundsUniforms, worldBoundsGLSL } from './k-bounds-reduce.js';
+import thirdMomentsGLSL from './shaders/third-moments.glsl.js';
 
 export class KTraversalQuadrupole {
   /**
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inPosition?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
    *   inBounds?: WebGLTexture|null,
    *   inLevelsA0?: WebGLTexture|null,
    *   inLevelsA1?: WebGLTexture|null,
    *   inLevelsA2?: WebGLTexture|null,
+   *   inLevelsA3?: WebGLTexture|null,
+   *   inLevelsA4?: WebGLTexture|null,
+   *   inLevelsA5?: WebGLTexture|null,
    *   inOccupancy?: WebGLTexture|null,
+   *   inEwaldTable?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   particleTexWidth?: number,
    *   particleTexHeight?: number,
@@ -29,7 +46,12 @@ export class KTraversalQuadrupole {
    *   theta?: number,
    *   gravityStrength?: number,
    *   softening?: number,
-   *   useOccupancyMasks?: boolean
+   *   useOccupancyMasks?: boolean,
+   *   octupole?: boolean,
+   *   maxBin?: number,
+   *   substep?: number,
+   *   periodic?: boolean,
+   *   escapers?: boolean
    * }} options
    */
   constructor(options) {
@@ -40,6 +62,11 @@ export class KTraversalQuadrupole {
       ? options.inPosition
       : createTextureRGBA32F(this.gl, options.particleTexWidth || 0, options.particleTexHeight || 0);
 
+    // Only read for block timesteps, so never allocated here
+    this.inVelocity = (options.inVelocity || options.inVelocity === null)
+      ? options.inVelocity
+      : null;
+
     this.inBounds = (options.inBounds || options.inBounds === null)
       ? options.inBounds
       : null;
@@ -48,11 +75,20 @@ export class KTraversalQuadrupole {
     this.inLevelsA0 = (options.inLevelsA0 || options.inLevelsA0 === null) ? options.inLevelsA0 : null;
     this.inLevelsA1 = (options.inLevelsA1 || options.inLevelsA1 === null) ? options.inLevelsA1 : null;
     this.inLevelsA2 = (options.inLevelsA2 || options.inLevelsA2 === null) ? options.inLevelsA2 : null;
+    this.inLevelsA3 = (options.inLevelsA3 || options.inLevelsA3 === null) ? options.inLevelsA3 : null;
+    this.inLevelsA4 = (options.inLevelsA4 || options.inLevelsA4 === null) ? options.inLevelsA4 : null;
+    this.inLevelsA5 = (options.inLevelsA5 || options.inLevelsA5 === null) ? options.inLevelsA5 : null;
 
     this.inOccupancy = (options.inOccupancy || options.inOccupancy === null)
       ? options.inOccupancy
       : null;
 
+    // Fixed at construction: only the periodic shader variant samples it
+    this.periodic = !!options.periodic;
+    this.inEwaldTable = (options.inEwaldTable || options.inEwaldTable === null)
+      ? options.inEwaldTable
+      : (this.periodic ? createEwaldTexture(this.gl) : null);
+
     this.outForce = (options.outForce || options.outForce === null)
       ? options.outForce
       : createTextureRGBA32F(this.gl, options.particleTexWidth || 0, options.particleTexHeight || 0);
@@ -62,8 +98,8 @@ export class KTraversalQuadrupole {
     this.particleTexHeight = options.particleTexHeight || 0;
 
     // Octree configuration
+    // Levels are layers of the A0/A1/A2 arrays; the shader is built for exactly this depth
     this.numLevels = options.numLevels || 4;
-    if (this.numLevels > 4) throw new Error('KTraversalQuadrupole: numLevels cannot exceed 4 due to texture unit limits');
     this.levelConfigs = options.levelConfigs || [];
 
     // World bounds
@@ -77,6 +113,13 @@ export class KTraversalQuadrupole {
     this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
     this.softening = options.softening !== undefined ? options.softening : 0.2;
     this.useOccupancyMasks = options.useOccupancyMasks !== undefined ? options.useOccupancyMasks : false;
+    // Fixed at construction: the shader is generated with or without the third-moment samplers
+    this.octupole = !!options.octupole;
+    this.escapers = !!options.escapers;
+
+    // Block timesteps (0 = every particle every pass)
+    this.maxBin = options.maxBin || 0;
+    this.substep = options.substep || 0;
 
     // Create shader program with quadrupole shader
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -91,7 +134,7 @@ export class KTraversalQuadrupole {
 
     const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
     if (!frag) throw new Error('Failed to create fragment shader');
-    this.gl.shaderSource(frag, buildTraversalQuadrupoleShader(this.numLevels, this.useOccupancyMasks));
+    this.gl.shaderSource(frag, buildTraversalQuadrupoleShader(this.numLevels, this.useOccupancyMasks, this.octupole, this.periodic));
     this.gl.compileShader(frag);
     if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
       const info = this.gl.getShaderInfoLog(frag);
@@ -236,6 +279,9 @@ export class KTraversalQuadrupole {
       softening: this.softening,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       useOccupancyMasks: this.useOccupancyMasks,
+      octupole: this.octupole,
+      periodic: this.periodic,
+      escapers: this.escapers,
       renderCount: this.renderCount
     };
 
@@ -250,7 +296,7 @@ export class KTraversalQuadrupole {
     const formatLevels = (arr) => arr.map(l => l ? l.toString() : 'null').join('\n  ');
 
     value.toString = () =>
-      `KTraversalQuadrupole(${this.particleTexWidth}×${this.particleTexHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} occupancy=${this.useOccupancyMasks} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KTraversalQuadrupole(${this.particleTexWidth}×${this.particleTexHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} occupancy=${this.useOccupancyMasks} octupole=${this.octupole}${this.periodic ? ' periodic' : ''} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
@@ -287,10 +333,16 @@ levelTextureArrayA2 (quadrupole xz,yz):
     if (!this.inPosition || !this.outForce) {
       throw new Error('KTraversalQuadrupole: missing required textures');
     }
+    if (this.maxBin > 0 && !this.inVelocity) {
+      throw new Error('KTraversalQuadrupole: block timesteps need inVelocity');
+    }
 
     if (!this.inLevelsA0 || !this.inLevelsA1 || !this.inLevelsA2) {
       throw new Error('KTraversalQuadrupole: missing texture arrays for levels');
     }
+    if (this.octupole && (!this.inLevelsA3 || !this.inLevelsA4 || !this.inLevelsA5)) {
+      throw new Error('KTraversalQuadrupole: octupole needs the A3, A4 and A5 level arrays');
+    }
 
     gl.useProgram(this.program);
 
@@ -342,6 +394,19 @@ levelTextureArrayA2 (quadrupole xz,yz):
     gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.inLevelsA2);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_levelsA2'), 3);
 
+    // Third-moment arrays (texture units 4-6)
+    if (this.octupole) {
+      gl.activeTexture(gl.TEXTURE4);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.inLevelsA3);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_levelsA3'), 4);
+      gl.activeTexture(gl.TEXTURE5);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.inLevelsA4);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_levelsA4'), 5);
+      gl.activeTexture(gl.TEXTURE6);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.inLevelsA5);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_levelsA5'), 6);
+    }
+
     // Bind occupancy texture if enabled (texture unit 22)
     if (this.useOccupancyMasks && this.inOccupancy) {
       gl.activeTexture(gl.TEXTURE22);
@@ -349,38 +414,19 @@ levelTextureArrayA2 (quadrupole xz,yz):
       gl.uniform1i(gl.getUniformLocation(this.program, 'u_occupancy'), 22);
     }
 
-    // Bind bounds texture if available (texture unit 23)
-    if (this.inBounds) {
-      gl.activeTexture(gl.TEXTURE23);
-      gl.bindTexture(gl.TEXTURE_2D, this.inBounds);
-      gl.uniform1i(gl.getUniformLocation(this.program, 'u_bounds'), 23);
-      gl.uniform1i(gl.getUniformLocation(this.program, 'u_useBoundsTexture'), 1);
-    } else {
-      // Fallback to uniform bounds (initial frames before first bounds update)
-      gl.uniform1i(gl.getUniformLocation(this.program, 'u_useBoundsTexture'), 0);
-    }
+    // Bounds texture if available (texture unit 23), worldBounds otherwise
+    setWorldBoundsUniforms(gl, this.program, 23, this.inBounds, this.worldBounds, this.escapers);
 
-    // Set level configuration uniforms
-    const cellSizes = new Float32Array(this.numLevels);
+    // Set level configuration uniforms; cell sizes follow the box in the shader
     const gridSizes = new Float32Array(this.numLevels);
     const slicesPerRow = new Float32Array(this.numLevels);
 
-    // Calculate cell sizes from world bounds and grid sizes
-    const worldSize = [
-      this.worldBounds.max[0] - this.worldBounds.min[0],
-      this.worldBounds.max[1] - this.worldBounds.min[1],
-      this.worldBounds.max[2] - this.worldBounds.min[2]
-    ];
-    const maxWorldSize = Math.max(...worldSize);
-
     for (let i = 0; i < this.numLevels; i++) {
       const config = this.levelConfigs[i];
       gridSizes[i] = config.gridSize;
       slicesPerRow[i] = config.slicesPerRow;
-      cellSizes[i] = maxWorldSize / config.gridSize;
     }
 
-    gl.uniform1fv(gl.getUniformLocation(this.program, 'u_cellSizes'), cellSizes);
     gl.uniform1fv(gl.getUniformLocation(this.program, 'u_gridSizes'), gridSizes);
     gl.uniform1fv(gl.getUniformLocation(this.program, 'u_slicesPerRow'), slicesPerRow);
 
@@ -389,15 +435,26 @@ levelTextureArrayA2 (quadrupole xz,yz):
       this.particleTexWidth, this.particleTexHeight);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_particleCount'),
       this.particleTexWidth * this.particleTexHeight);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
-      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
-      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_theta'), this.theta);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_numLevels'), this.numLevels);
 
+    // Bins live in velocity.w (texture unit 24)
+    gl.activeTexture(gl.TEXTURE24);
+    gl.bindTexture(gl.TEXTURE_2D, this.inVelocity || null);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_velocity'), 24);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_maxBin'), this.maxBin);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_substep'), this.substep);
+
+    // Farther-image table (texture unit 25)
+    if (this.periodic) {
+      if (!this.inEwaldTable) throw new Error('KTraversalQuadrupole: periodic traversal needs inEwaldTable');
+      gl.activeTexture(gl.TEXTURE25);
+      gl.bindTexture(gl.TEXTURE_3D, this.inEwaldTable);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_ewaldTable'), 25);
+    }
+
     // Draw
     gl.bindVertexArray(this.quadVAO);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
@@ -412,14 +469,24 @@ levelTextureArrayA2 (quadrupole xz,yz):
     gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
     gl.activeTexture(gl.TEXTURE3);
     gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+    if (this.octupole) {
+      for (const unit of [gl.TEXTURE4, gl.TEXTURE5, gl.TEXTURE6]) {
+        gl.activeTexture(unit);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+      }
+    }
 
     if (this.useOccupancyMasks) {
       gl.activeTexture(gl.TEXTURE22);
       gl.bindTexture(gl.TEXTURE_2D, null);
     }
-    if (this.inBounds) {
-      gl.activeTexture(gl.TEXTURE23);
-      gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE23);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE24);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    if (this.periodic) {
+      gl.activeTexture(gl.TEXTURE25);
+      gl.bindTexture(gl.TEXTURE_3D, null);
     }
     gl.useProgram(null);
 
@@ -437,7 +504,9 @@ levelTextureArrayA2 (quadrupole xz,yz):
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
 
     if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
     if (this.inOccupancy) gl.deleteTexture(this.inOccupancy);
+    if (this.inEwaldTable) gl.deleteTexture(this.inEwaldTable);
     if (this.outForce) gl.deleteTexture(this.outForce);
 
     this._fboShadow = null;
@@ -447,11 +516,16 @@ levelTextureArrayA2 (quadrupole xz,yz):
 /**
  * @param {number} levelCount
  * @param {boolean} useOccupancy
+ * @param {boolean} octupole - sample A3..A5 and use the octupole expansion
+ * @param {boolean} periodic - wrap neighbourhoods, use nearest images and the Ewald table
  */
-function buildTraversalQuadrupoleShader(levelCount, useOccupancy = false) {
-  const maxL = Math.max(1, Math.min(levelCount | 0, 4));
+function buildTraversalQuadrupoleShader(levelCount, useOccupancy = false, octupole = false, periodic = false) {
+  const maxL = Math.max(1, levelCount | 0);
 
   const occupancyDecl = useOccupancy ? 'uniform sampler2D u_occupancy;' : '';
+  const octupoleDecl = octupole ? `uniform sampler2DArray u_levelsA3;  // xxx, yyy, zzz, xxy
+uniform sampler2DArray u_levelsA4;  // xxz, xyy, yyz, xzz
+uniform sampler2DArray u_levelsA5;  // yzz, xyz` : '';
 
   const samplerDecl = `#version 300 es
 precision highp float;
@@ -462,21 +536,21 @@ uniform sampler2DArray u_levelsA0;  // Texture array for all A0 levels
 uniform sampler2DArray u_levelsA1;  // Texture array for all A1 levels
 uniform sampler2DArray u_levelsA2;  // Texture array for all A2 levels
 ${occupancyDecl}
-uniform sampler2D u_bounds;       // 2×1 texture: texel 0 = min bounds, texel 1 = max bounds
-uniform bool u_useBoundsTexture; // true if bounds texture available
-
+${octupoleDecl}
+${worldBoundsGLSL}
 uniform float u_theta;
 uniform int u_numLevels;
-uniform float u_cellSizes[8];
-uniform float u_gridSizes[8];
-uniform float u_slicesPerRow[8];
+uniform float u_gridSizes[${maxL}];
+uniform float u_slicesPerRow[${maxL}];
 uniform vec2 u_texSize;
 uniform int u_particleCount;
-uniform vec3 u_worldMin;
-uniform vec3 u_worldMax;
 uniform float u_softening;
 uniform float u_G;
-
+uniform sampler2D u_velocity;     // bins in .w, read only when u_maxBin > 0
+uniform int u_maxBin;
+uniform int u_substep;
+${blockTimestepGLSL}
+${periodic ? ewaldGLSL : ''}
 out vec4 fragColor;`;
 
   const occupancyCheckCode = useOccupancy ? `
@@ -485,6 +559,60 @@ out vec4 fragColor;`;
           if (occupancy.r < 0.5) continue;  // Empty cell - skip
 ` : '';
 
+  const octupoleFunctions = octupole ? `
+vec4 sampleLevelA3(int level, ivec2 coord) {
+  return texelFetch(u_levelsA3, ivec3(coord, level), 0);
+}
+
+vec4 sampleLevelA4(int level, ivec2 coord) {
+  return texelFetch(u_levelsA4, ivec3(coord, level), 0);
+}
+
+vec4 sampleLevelA5(int level, ivec2 coord) {
+  return texelFetch(u_levelsA5, ivec3(coord, level), 0);
+}
+
+${thirdMomentsGLSL}
+// Quadrupole + octupole acceleration (per unit G) of a cell about its centre
+// of mass c. a1/a2 are raw second moments; a3..a5 are already central, as
+// the aggregator and the pyramid store them.
+vec3 multipoleAccel(vec3 r, float distSq, float m, vec3 c, vec4 a1, vec4 a2, vec4 a3, vec4 a4, vec4 a5) {
+  vec4 s1, s2;
+  centralSecond(a1, a2, c, m, s1, s2);
+  float sxx = s1.r, syy = s1.g, szz = s1.b, sxy = s1.a, sxz = s2.r, syz = s2.g;
+
+  float txxx = a3.r, tyyy = a3.g, tzzz = a3.b, txxy = a3.a;
+  float txxz = a4.r, txyy = a4.g, tyyz = a4.b, txzz = a4.a;
+  float tyzz = a5.r, txyz = a5.g;
+
+  float invR2 = 1.0 / distSq;
+  float invR5 = invR2 * invR2 / sqrt(distSq);
+  float invR7 = invR5 * invR2;
+  float invR9 = invR7 * invR2;
+
+  // Quadrupole: 3 S·r/R^5 - 7.5 S(r,r) r/R^7 + 1.5 tr(S) r/R^5
+  vec3 sr = vec3(
+    sxx * r.x + sxy * r.y + sxz * r.z,
+    sxy * r.x + syy * r.y + syz * r.z,
+    sxz * r.x + syz * r.y + szz * r.z);
+  float srr = dot(sr, r);
+  float trace = sxx + syy + szz;
+  vec3 quad = 3.0 * sr * invR5 - 7.5 * srr * r * invR7 + 1.5 * trace * r * invR5;
+
+  // Octupole: 7.5 T(.,r,r)/R^7 - 17.5 T(r,r,r) r/R^9 - 1.5 t/R^5 + 7.5 (t·r) r/R^7, t_i = T_ijj
+  vec3 rr = r * r;
+  vec3 trr = vec3(
+    txxx * rr.x + txyy * rr.y + txzz * rr.z + 2.0 * (txxy * r.x * r.y + txxz * r.x * r.z + txyz * r.y * r.z),
+    txxy * rr.x + tyyy * rr.y + tyzz * rr.z + 2.0 * (txyy * r.x * r.y + txyz * r.x * r.z + tyyz * r.y * r.z),
+    txxz * rr.x + tyyz * rr.y + tzzz * rr.z + 2.0 * (txyz * r.x * r.y + txzz * r.x * r.z + tyzz * r.y * r.z));
+  float trrr = dot(trr, r);
+  vec3 t = vec3(txxx + txyy + txzz, txxy + tyyy + tyzz, txxz + tyyz + tzzz);
+  vec3 oct = 7.5 * trr * invR7 - 17.5 * trrr * r * invR9 - 1.5 * t * invR5 + 7.5 * dot(t, r) * r * invR7;
+
+  return quad + oct;
+}
+` : '';
+
   const body = `
 ivec2 voxelToTexel(ivec3 voxelCoord, float gridSize, float slicesPerRow) {
   int vx = voxelCoord.x;
@@ -510,7 +638,7 @@ vec4 sampleLevelA1(int level, ivec2 coord) {
 vec4 sampleLevelA2(int level, ivec2 coord) {
   return texelFetch(u_levelsA2, ivec3(coord, level), 0);
 }
-
+${octupoleFunctions}
 // Compute distance from point to nearest point on voxel
 float distToNearestPoint(vec3 point, ivec3 voxel, vec3 worldMin, float cellSize) {
   vec3 voxelMin = worldMin + vec3(voxel) * cellSize;
@@ -541,26 +669,41 @@ void main() {
     return;
   }
 
+  // Particles whose bin is not kicked this substep need no force
+  if (u_maxBin > 0 && !blockActive(texelFetch(u_velocity, coord, 0).w, u_substep, u_maxBin)) {
+    fragColor = vec4(0.0);
+    return;
+  }
+
   vec2 myUV = (vec2(coord) + 0.5) / u_texSize;
   vec3 myPos = texture(u_particlePositions, myUV).xyz;
   vec3 totalForce = vec3(0.0);
 
   // Get world bounds from texture or uniforms
   vec3 worldMin, worldMax;
-  if (u_useBoundsTexture) {
-    // Sample bounds texture: texel 0 = min, texel 1 = max
-    vec4 minBounds = texelFetch(u_bounds, ivec2(0, 0), 0);
-    vec4 maxBounds = texelFetch(u_bounds, ivec2(1, 0), 0);
-    worldMin = minBounds.xyz - vec3(0.1); // Add small margin to prevent edge clamping
-    worldMax = maxBounds.xyz + vec3(0.1);
-  } else {
-    // Fallback to uniform bounds (initial frames)
-    worldMin = u_worldMin;
-    worldMax = u_worldMax;
-  }
+  readWorldBounds(worldMin, worldMax);
 
   vec3 worldExtent = worldMax - worldMin;
+  float maxExtent = max(worldExtent.x, max(worldExtent.y, worldExtent.z));
   float eps = max(u_softening, 1e-6);
+${periodic ? `  float boxSize = worldExtent.x;
+` : ''}
+  // An escaper sees the box as one point mass: the sum of the coarsest level
+  if (isEscaper(myPos, worldMin, worldMax)) {
+    int top = min(u_numLevels - 1, ${maxL - 1});
+    int topSize = int(u_gridSizes[top]);
+    vec4 moment = vec4(0.0);
+    for (int vz = 0; vz < topSize; vz++) {
+      for (int vy = 0; vy < topSize; vy++) {
+        for (int vx = 0; vx < topSize; vx++) {
+          vec4 a0 = sampleLevelA0(top, voxelToTexel(ivec3(vx, vy, vz), u_gridSizes[top], u_slicesPerRow[top]));
+          if (a0.w > 0.0) moment += a0;
+        }
+      }
+    }
+    fragColor = vec4(u_G * escaperForce(myPos, moment, eps), 0.0);
+    return;
+  }
 
   // Barnes-Hut hierarchical traversal: coarsest to finest
   // Performance: scan all voxels at the coarsest level; at finer levels, scan
@@ -569,7 +712,7 @@ void main() {
   for (int level = min(u_numLevels - 1, ${maxL - 1}); level >= 0; level--) {
     float gridSize = u_gridSizes[level];
     float slicesPerRow = u_slicesPerRow[level];
-    float cellSize = u_cellSizes[level];
+    float cellSize = maxExtent / gridSize;
 
     // Find particle's voxel at this level
     vec3 relPos = (myPos - worldMin) / worldExtent;
@@ -588,11 +731,24 @@ void main() {
     int endX = min(int(gridSize) - 1, myVoxel.x + nb);
     int endY = min(int(gridSize) - 1, myVoxel.y + nb);
     int endZ = min(int(gridSize) - 1, myVoxel.z + nb);
-    
+${periodic ? `
+    // Periodic: the window wraps around the box, and once it spans the grid
+    // every voxel is visited exactly once
+    if (2 * nb + 1 < int(gridSize)) {
+      startX = myVoxel.x - nb; startY = myVoxel.y - nb; startZ = myVoxel.z - nb;
+      endX = myVoxel.x + nb; endY = myVoxel.y + nb; endZ = myVoxel.z + nb;
+    } else {
+      startX = 0; startY = 0; startZ = 0;
+      endX = int(gridSize) - 1; endY = int(gridSize) - 1; endZ = int(gridSize) - 1;
+    }
+` : ''}
     for (int vz = startZ; vz <= endZ; vz++) {
       for (int vy = startY; vy <= endY; vy++) {
         for (int vx = startX; vx <= endX; vx++) {
-          ivec3 testVoxel = ivec3(vx, vy, vz);
+          ivec3 testVoxel = ivec3(vx, vy, vz);${periodic ? `
+          testVoxel -= int(gridSize) * ivec3(floor(vec3(testVoxel) / gridSize));
+          // Geometry is that of the cell's image nearest to me
+          ivec3 imageVoxel = testVoxel + int(gridSize) * ivec3(round(vec3(myVoxel - testVoxel) / gridSize));` : ''}
           ivec2 texCoord = voxelToTexel(testVoxel, gridSize, slicesPerRow);
           ${occupancyCheckCode}
           vec4 a0 = sampleLevelA0(level, texCoord);
@@ -604,8 +760,8 @@ void main() {
           if (isMyVoxel) continue;
           
           // Compute geometric distances to voxel
-          float distNear = distToNearestPoint(myPos, testVoxel, worldMin, cellSize);
-          float distFar = distToFarthestPoint(myPos, testVoxel, worldMin, cellSize);
+          float distNear = distToNearestPoint(myPos, ${periodic ? 'imageVoxel' : 'testVoxel'}, worldMin, cellSize);
+          float distFar = distToFarthestPoint(myPos, ${periodic ? 'imageVoxel' : 'testVoxel'}, worldMin, cellSize);
           
           // Three-case geometric classification
           bool entirelyFarEnough = (distFar * u_theta < cellSize);
@@ -623,12 +779,14 @@ void main() {
           vec3 com = a0.xyz / mass;
           vec4 a1 = vec4(0.0);
           vec4 a2 = vec4(0.0);
+          ${octupole ? 'vec4 a3 = vec4(0.0), a4 = vec4(0.0), a5 = vec4(0.0);' : ''}
           
           // Case 3: Straddles boundary - compute residual mass
           if (straddlesBoundary && !isFinestLevel) {
             vec4 sumChildrenA0 = vec4(0.0);
             vec4 sumChildrenA1 = vec4(0.0);
             vec4 sumChildrenA2 = vec4(0.0);
+            ${octupole ? 'vec4 sumChildrenA3 = vec4(0.0), sumChildrenA4 = vec4(0.0), sumChildrenA5 = vec4(0.0);' : ''}
             
             float finerGridSize = u_gridSizes[level - 1];
             float finerSlicesPerRow = u_slicesPerRow[level - 1];
@@ -653,8 +811,18 @@ void main() {
                   if (childA0.w > 1e-10) {
                     sumChildrenA0 += childA0;
                     if (level > 0) {
-                      sumChildrenA1 += sampleLevelA1(level - 1, childTexCoord);
-                      sumChildrenA2 += sampleLevelA2(level - 1, childTexCoord);
+                      vec4 childA1 = sampleLevelA1(level - 1, childTexCoord);
+                      vec4 childA2 = sampleLevelA2(level - 1, childTexCoord);
+                      sumChildrenA1 += childA1;
+                      sumChildrenA2 += childA2;${octupole ? `
+                      // Central about the child's centre of mass; move them to the parent's
+                      vec3 childCom = childA0.xyz / childA0.w;
+                      vec4 s1, s2, t3, t4, t5;
+                      centralSecond(childA1, childA2, childCom, childA0.w, s1, s2);
+                      thirdMomentShift(childCom - com, childA0.w, s1, s2, t3, t4, t5);
+                      sumChildrenA3 += sampleLevelA3(level - 1, childTexCoord) + t3;
+                      sumChildrenA4 += sampleLevelA4(level - 1, childTexCoord) + t4;
+                      sumChildrenA5 += sampleLevelA5(level - 1, childTexCoord) + t5;` : ''}
                     }
                   }
                 }
@@ -666,27 +834,45 @@ void main() {
             mass = residualA0.w;
             if (mass < 1e-10) continue; // No residual
             
+            ${octupole ? 'vec3 parentCom = com;' : ''}
             com = residualA0.xyz / mass;
             if (level > 0) {
               a1 = sampleLevelA1(level, texCoord) - sumChildrenA1;
-              a2 = sampleLevelA2(level, texCoord) - sumChildrenA2;
+              a2 = sampleLevelA2(level, texCoord) - sumChildrenA2;${octupole ? `
+              // The difference is about the parent's centre of mass; move it to the residual's
+              vec4 s1, s2, t3, t4, t5;
+              centralSecond(a1, a2, com, mass, s1, s2);
+              thirdMomentShift(com - parentCom, mass, s1, s2, t3, t4, t5);
+              a3 = sampleLevelA3(level, texCoord) - sumChildrenA3 - t3;
+              a4 = sampleLevelA4(level, texCoord) - sumChildrenA4 - t4;
+              a5 = sampleLevelA5(level, texCoord) - sumChildrenA5 - t5;` : ''}
             }
           } else {
             // Case 1: Entirely far enough, or finest level - use full mass
             if (level > 0) {
               a1 = sampleLevelA1(level, texCoord);
-              a2 = sampleLevelA2(level, texCoord);
+              a2 = sampleLevelA2(level, texCoord);${octupole ? `
+              a3 = sampleLevelA3(level, texCoord);
+              a4 = sampleLevelA4(level, texCoord);
+              a5 = sampleLevelA5(level, texCoord);` : ''}
             }
           }
           
           // Apply force
-          vec3 r = myPos - com;
+          vec3 r = ${periodic ? '-nearestImage(com - myPos, boxSize)' : 'myPos - com'};
           float dist = length(r);
           float distSq = dist * dist + eps * eps;
           float distCubed = distSq * sqrt(distSq);
           vec3 monopoleForce = -u_G * mass * r / distCubed;
           totalForce += monopoleForce;
-          
+${periodic ? `          totalForce += u_G * mass * ewaldCorrection(-r / boxSize) / (boxSize * boxSize);
+` : ''}          
+${octupole ? `
+          // Quadrupole and octupole terms (except at finest level where they're negligible)
+          if (level > 0) {
+            totalForce += u_G * multipoleAccel(r, distSq, mass, com, a1, a2, a3, a4, a5);
+          }
+` : `
           // Add quadrupole correction (except at finest level where it's negligible)
           if (level > 0) {
             float qxx = a1.r - com.x * com.x * mass;
@@ -704,7 +890,7 @@ void main() {
             quadForce.z += u_G * (qxz * r.x + qyz * r.y + qzz * r.z) / dist5;
             totalForce += quadForce * 2.5;
           }
-        }
+`}        }
       }
     }
   }
@@ -4,18 +4,43 @@
  * TraversalKernel - Monopole Barnes-Hut tree traversal
  * 
  * Traverses the octree hierarchy to compute gravitational forces using monopole approximation.
+ * With maxBin > 0, particles whose block-timestep bin (inVelocity.w) is not active
+ * on `substep` are skipped and get a zero force.
+ * The acceptance criterion is selectable via `mac` (see MACS); the relative-force
+ * criterion reads the previous force from `inAccel`.
+ * The output's w channel counts the node-particle terms each particle summed.
+ * With `periodic`, worldBounds is a periodic cube and inEwaldTable supplies the
+ * farther-image correction (see ewald.js).
+ * With `escapers`, particles outside the box skip the walk and take the monopole
+ * of the coarsest level as a whole.
+ * With `splitRadius` > 0 it computes the short-range half of a TreePM force:
+ * each term is scaled by the complement of the mesh's Gaussian filter, and
+ * nodes past `cutoffRadius` (default 4.5·splitRadius) are never visited.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { CUTOFF_SPLITS } from '../short-range.js';
+import { createEwaldTexture } from './ewald.js';
+import { setWorldBoundsUniforms } from './k-bounds-reduce.js';
 import traversalFrag from './shaders/traversal.frag.js';
 
+/** Multipole acceptance criteria, in the order of the shader's u_mac codes */
+export const MACS = /** @type {const} */ (['barnes-hut', 'salmon-warren', 'relative']);
+
+/** Texture units bound besides one per octree level: positions, velocities, accelerations, the Ewald table and the bounds */
+export const TRAVERSAL_FIXED_UNITS = 5;
+
 export class KTraversal {
   /**
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inPosition?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
+   *   inAccel?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
+   *   inEwaldTable?: WebGLTexture|null,
    *   inLevelA0?: WebGLTexture[],
    *   outForce?: WebGLTexture|null,
    *   particleTexWidth?: number,
@@ -24,13 +49,25 @@ export class KTraversal {
    *   levelConfigs?: Array<{size: number, gridSize: number, slicesPerRow: number}>,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
    *   theta?: number,
+   *   mac?: 'barnes-hut' | 'salmon-warren' | 'relative',
+   *   macAlpha?: number,
    *   gravityStrength?: number,
-   *   softening?: number
+   *   softening?: number,
+   *   maxBin?: number,
+   *   substep?: number,
+   *   periodic?: boolean,
+   *   escapers?: boolean,
+   *   splitRadius?: number,
+   *   cutoffRadius?: number
    * }} params
    */
   constructor({
     gl,
     inPosition,
+    inVelocity,
+    inAccel,
+    inBounds,
+    inEwaldTable,
     inLevelA0,
     outForce,
     particleTexWidth = 0,
@@ -39,8 +76,16 @@ export class KTraversal {
     levelConfigs = [],
     worldBounds = { min: [-4, -4, 0], max: [4, 4, 2] },
     theta = 0.5,
+    mac = 'barnes-hut',
+    macAlpha = 0.005,
     gravityStrength = 0.0003,
-    softening = 0.2
+    softening = 0.2,
+    maxBin = 0,
+    substep = 0,
+    periodic = false,
+    escapers = false,
+    splitRadius = 0,
+    cutoffRadius = 0
   }) {
     this.gl = gl;
 
@@ -53,6 +98,27 @@ export class KTraversal {
       ? inPosition
       : createTextureRGBA32F(this.gl, this.particleTexWidth, this.particleTexHeight);
 
+    // Only read for block timesteps, so never allocated here
+    this.inVelocity = (inVelocity || inVelocity === null)
+      ? inVelocity
+      : null;
+
+    // Previous force for the relative MAC; borrowed from the engine like inVelocity
+    this.inAccel = (inAccel || inAccel === null)
+      ? inAccel
+      : null;
+
+    // Optional KBoundsReduce output, borrowed from the engine; worldBounds stands in while it holds no box
+    this.inBounds = (inBounds || inBounds === null)
+      ? inBounds
+      : null;
+
+    // Fixed at construction: the periodic shader variant reads it, the open one has no sampler for it
+    this.periodic = periodic;
+    this.inEwaldTable = (inEwaldTable || inEwaldTable === null)
+      ? inEwaldTable
+      : (periodic ? createEwaldTexture(this.gl) : null);
+
     this.inLevelA0 = (inLevelA0 || inLevelA0 === null)
       ? inLevelA0
       : [];
@@ -72,7 +138,22 @@ export class KTraversal {
     // Physics parameters
     this.theta = theta;
     this.gravityStrength = gravityStrength;
+
+    // Multipole acceptance criterion; theta drives Barnes-Hut and Salmon-Warren, macAlpha the relative one
+    if (!MACS.includes(mac)) throw new Error(`KTraversal: unknown mac '${mac}', expected one of ${MACS.join(', ')}`);
+    this.mac = mac;
+    this.macAlpha = macAlpha;
     this.softening = softening;
+    this.escapers = escapers;
+
+    // TreePM short range; the Ewald images of a periodic box would need the same split
+    if (splitRadius > 0 && periodic) throw new Error('KTraversal: splitRadius needs an open box, not a periodic one');
+    this.splitRadius = splitRadius;
+    this.cutoffRadius = cutoffRadius || CUTOFF_SPLITS * splitRadius;
+
+    // Block timesteps (0 = every particle every pass)
+    this.maxBin = maxBin;
+    this.substep = substep;
 
     // Create shader program
     // Compile and link shader program (inline, like KPyramidBuild)
@@ -88,7 +169,7 @@ export class KTraversal {
 
     const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
     if (!frag) throw new Error('Failed to create fragment shader');
-    this.gl.shaderSource(frag, traversalFrag);
+    this.gl.shaderSource(frag, traversalFrag(this.numLevels, this.periodic));
     this.gl.compileShader(frag);
     if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
       const info = this.gl.getShaderInfoLog(frag);
@@ -144,7 +225,11 @@ export class KTraversal {
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.particleTexWidth,
         height: this.particleTexHeight, count: this.particleTexWidth * this.particleTexHeight,
-        channels: ['fx', 'fy', 'fz', 'w'], pixels: true
+        channels: ['fx', 'fy', 'fz', 'interactions'], pixels: true
+      }),
+      bounds: this.inBounds && readLinear({
+        gl: this.gl, texture: this.inBounds, width: 2, height: 1, count: 2,
+        channels: ['x', 'y', 'z', 'w'], pixels
       }),
       levels: this.inLevelA0 && this.inLevelA0.map((tex, i) => tex && (() => {
         const { gridSize = 1, slicesPerRow = 1, size = 0 } = this.levelConfigs[i] || {};
@@ -165,6 +250,12 @@ export class KTraversal {
       particleTexHeight: this.particleTexHeight,
       numLevels: this.numLevels,
       theta: this.theta,
+      mac: this.mac,
+      macAlpha: this.macAlpha,
+      periodic: this.periodic,
+      escapers: this.escapers,
+      splitRadius: this.splitRadius,
+      cutoffRadius: this.cutoffRadius,
       gravityStrength: this.gravityStrength,
       softening: this.softening,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
@@ -185,10 +276,12 @@ export class KTraversal {
     }
 
     value.toString = () =>
-      `KTraversal(${this.particleTexWidth}×${this.particleTexHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KTraversal(${this.particleTexWidth}×${this.particleTexHeight}) theta=${this.theta} mac=${this.mac} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels}${this.periodic ? ' periodic' : ''}${this.splitRadius > 0 ? ` split=${formatNumber(this.splitRadius)} cutoff=${formatNumber(this.cutoffRadius)}` : ''} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
+bounds: ${value.bounds}
+
 force: ${value.force ? `totalForceMag=${formatNumber(value.totalForce)} ` : ''}${value.force}
 
 ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()}\n`).join('\n')}`;
@@ -210,6 +303,10 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
   run() {
     if (!this.inPosition || !this.outForce) throw new Error('KTraversal: missing required textures');
 
+    if (this.maxBin > 0 && !this.inVelocity) throw new Error('KTraversal: block timesteps need inVelocity');
+
+    if (this.mac === 'relative' && !this.inAccel) throw new Error('KTraversal: relative MAC needs inAccel');
+
     if (this.inLevelA0.length < this.numLevels) throw new Error(`KTraversal: expected ${this.numLevels} level textures, got ${this.inLevelA0.length}`);
 
     this.gl.useProgram(this.program);
@@ -258,39 +355,54 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
       this.gl.uniform1i(this.gl.getUniformLocation(this.program, `u_quadtreeLevel${i}`), i + 1);
     }
 
-    // Set level configuration uniforms
-    const levelSizes = new Float32Array(this.numLevels);
+    // Set level configuration uniforms; cell sizes follow the box in the shader
     const levelGridSizes = new Float32Array(this.numLevels);
     const levelSlicesPerRow = new Float32Array(this.numLevels);
 
-    const worldExtent = Math.max(
-      this.worldBounds.max[0] - this.worldBounds.min[0],
-      this.worldBounds.max[1] - this.worldBounds.min[1],
-      this.worldBounds.max[2] - this.worldBounds.min[2]
-    );
-
     for (let i = 0; i < this.numLevels; i++) {
       const config = this.levelConfigs[i];
-      levelSizes[i] = worldExtent / config.gridSize;  // World-space cell size
       levelGridSizes[i] = config.gridSize;
       levelSlicesPerRow[i] = config.slicesPerRow;
     }
 
-    this.gl.uniform1fv(this.gl.getUniformLocation(this.program, 'u_cellSizes'), levelSizes);
     this.gl.uniform1fv(this.gl.getUniformLocation(this.program, 'u_gridSizes'), levelGridSizes);
     this.gl.uniform1fv(this.gl.getUniformLocation(this.program, 'u_slicesPerRow'), levelSlicesPerRow);
 
     // Set physics parameters
     this.gl.uniform2f(this.gl.getUniformLocation(this.program, 'u_texSize'),
       this.particleTexWidth, this.particleTexHeight);
-    this.gl.uniform3f(this.gl.getUniformLocation(this.program, 'u_worldMin'),
-      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    this.gl.uniform3f(this.gl.getUniformLocation(this.program, 'u_worldMax'),
-      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_theta'), this.theta);
     this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
     this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_softening'), this.softening);
     this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_numLevels'), this.numLevels);
+    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_splitRadius'), this.splitRadius);
+    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_cutoffRadius'), this.cutoffRadius);
+
+    // Bins live in velocity.w, on the unit right past the last octree level
+    const velocityUnit = this.numLevels + 1;
+    this.gl.activeTexture(this.gl.TEXTURE0 + velocityUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inVelocity || null);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_velocity'), velocityUnit);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_maxBin'), this.maxBin);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_substep'), this.substep);
+
+    const accelUnit = this.numLevels + 2;
+    this.gl.activeTexture(this.gl.TEXTURE0 + accelUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inAccel || null);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_accel'), accelUnit);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_mac'), MACS.indexOf(this.mac));
+    this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_macAlpha'), this.macAlpha);
+
+    const ewaldUnit = this.numLevels + 3;
+    if (this.periodic) {
+      if (!this.inEwaldTable) throw new Error('KTraversal: periodic traversal needs inEwaldTable');
+      this.gl.activeTexture(this.gl.TEXTURE0 + ewaldUnit);
+      this.gl.bindTexture(this.gl.TEXTURE_3D, this.inEwaldTable);
+      this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_ewaldTable'), ewaldUnit);
+    }
+
+    const boundsUnit = this.numLevels + 4;
+    setWorldBoundsUniforms(this.gl, this.program, boundsUnit, this.inBounds, this.worldBounds, this.escapers);
 
     // Draw
     this.gl.bindVertexArray(this.quadVAO);
@@ -307,6 +419,16 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
       this.gl.activeTexture(unit);
       this.gl.bindTexture(this.gl.TEXTURE_2D, null);
     }
+    this.gl.activeTexture(this.gl.TEXTURE0 + velocityUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    this.gl.activeTexture(this.gl.TEXTURE0 + accelUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    this.gl.activeTexture(this.gl.TEXTURE0 + boundsUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    if (this.periodic) {
+      this.gl.activeTexture(this.gl.TEXTURE0 + ewaldUnit);
+      this.gl.bindTexture(this.gl.TEXTURE_3D, null);
+    }
     this.gl.activeTexture(this.gl.TEXTURE0);
     this.gl.bindTexture(this.gl.TEXTURE_2D, null);
     this.gl.useProgram(null);
@@ -325,6 +447,10 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
     if (this.outFramebuffer) this.gl.deleteFramebuffer(this.outFramebuffer);
 
     if (this.inPosition) this.gl.deleteTexture(this.inPosition);
+    if (this.inVelocity) this.gl.deleteTexture(this.inVelocity);
+    if (this.inAccel) this.gl.deleteTexture(this.inAccel);
+    if (this.inBounds) this.gl.deleteTexture(this.inBounds);
+    if (this.inEwaldTable) this.gl.deleteTexture(this.inEwaldTable);
     if (this.outForce) this.gl.deleteTexture(this.outForce);
 
     this._fboShadow = null;
@@ -579,3 +579,79 @@ test('KTraversal: multi-level octree', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test 8: TreePM split - the pull is scaled by the short-range factor and cut off
+ */
+test('KTraversal: splitRadius scales the pull and cutoffRadius drops it', async () => {
+  const gl = getGL();
+
+  const particleCount = 2;
+  const particleTexWidth = 2;
+  const particleTexHeight = 1;
+
+  // Two cells apart, one particle per cell so each node's COM is the particle itself
+  const posData = new Float32Array([
+    -1.5, 0.5, 0.5, 1.0,
+    0.5, 0.5, 0.5, 1.0
+  ]);
+  const posTex = createTestTexture(gl, particleTexWidth, particleTexHeight, posData);
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-2, -2, -2], max: [2, 2, 2] });
+
+  const aggregator = new KAggregatorMonopole({
+    gl,
+    inPosition: posTex,
+    particleCount,
+    particleTexWidth,
+    particleTexHeight,
+    octreeSize: gridSize * slicesPerRow,
+    gridSize,
+    slicesPerRow,
+    worldBounds,
+    disableFloatBlend: true
+  });
+  aggregator.run();
+
+  /** @param {number} splitRadius @param {number} [cutoffRadius] */
+  const forceOnFirst = (splitRadius, cutoffRadius) => {
+    const kernel = new KTraversal({
+      gl,
+      inPosition: posTex,
+      inLevelA0: [aggregator.outA0],
+      outForce: createTestTexture(gl, particleTexWidth, particleTexHeight, null),
+      particleTexWidth,
+      particleTexHeight,
+      numLevels: 1,
+      levelConfigs: [{ size: gridSize * gridSize * gridSize, gridSize, slicesPerRow }],
+      worldBounds,
+      theta: 0.5,
+      gravityStrength: 1.0,
+      softening: 1e-3,
+      splitRadius,
+      cutoffRadius
+    });
+    kernel.run();
+    const fx = kernel.valueOf({ pixels: true }).force?.pixels?.[0]?.fx || 0;
+    const text = kernel.toString();
+    disposeKernel(kernel);
+    return { fx, text };
+  };
+
+  const full = forceOnFirst(0);
+  const split = forceOnFirst(1);
+  const cut = forceOnFirst(1, 1.4);
+
+  // erfc(1) + 2/√π·e⁻¹ at d = 2r_s
+  const expectedRatio = 0.572406;
+  assert.ok(full.fx > 0, `Unsplit pull should be +x (Fx=${full.fx})\n\n${full.text}`);
+  assertClose(split.fx / full.fx, expectedRatio, 1e-3,
+    `Split pull over the full one\n\n${split.text}`);
+  // The other cell's nearest face is 1.5 away, past the cutoff
+  assert.strictEqual(cut.fx, 0, `Node past the cutoff should be skipped\n\n${cut.text}`);
+
+  disposeKernel(aggregator);
+  resetGL();
+});
@@ -4,6 +4,7 @@ import assert from 'node:assert';
 import { test } from 'node:test';
 
 import { GravityMonopole } from './gravity-monopole.js';
+import { particleSystem } from '../gravity.js';
 
 /**
  * Create offscreen canvas with WebGL2 context
@@ -154,6 +155,70 @@ function computeAngularMomentum(positions, velocities, count) {
   return [Lx, Ly, Lz];
 }
 
+/**
+ * Equal-mass binary on a circular orbit of separation 1 around the origin.
+ * Relative speed √(G·(m1+m2)/r) = 1 at G = 0.5, so each body moves at 0.5 and the period is 2π.
+ */
+function createBinary() {
+  return [
+    { x: -0.5, y: 0, z: 0, vx: 0, vy: -0.5, vz: 0, mass: 1 },
+    { x: 0.5, y: 0, z: 0, vx: 0, vy: 0.5, vz: 0, mass: 1 }
+  ];
+}
+
+/**
+ * Total energy of the binary with the same Plummer softening the kernels use
+ * @param {{ positions: Float32Array, velocities: Float32Array, masses: Float32Array }} snap
+ * @param {number} G
+ * @param {number} softening
+ * @returns {number}
+ */
+function computeBinaryEnergy({ positions, velocities, masses }, G, softening) {
+  let KE = 0;
+  for (let i = 0; i < 2; i++) {
+    const v2 = velocities[i * 3] ** 2 + velocities[i * 3 + 1] ** 2 + velocities[i * 3 + 2] ** 2;
+    KE += 0.5 * masses[i] * v2;
+  }
+  const dx = positions[3] - positions[0];
+  const dy = positions[4] - positions[1];
+  const dz = positions[5] - positions[2];
+  const PE = -G * masses[0] * masses[1] / Math.sqrt(dx * dx + dy * dy + dz * dz + softening * softening);
+  return KE + PE;
+}
+
+/**
+ * Largest relative energy error of the binary over two orbits through the particleSystem facade
+ * @param {WebGL2RenderingContext} gl
+ * @param {'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4'} integrator
+ */
+function maxBinaryEnergyError(gl, integrator) {
+  const G = 0.5;
+  const softening = 0.05;
+  const ps = particleSystem({
+    gl,
+    particles: createBinary(),
+    method: 'monopole',
+    integrator,
+    gravityStrength: G,
+    softening,
+    dt: 0.05,
+    maxSpeed: 10,
+    maxAccel: 10,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  const E0 = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+  let maxError = 0;
+  for (let step = 0; step < 250; step++) {
+    ps.compute();
+    const E = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+    maxError = Math.max(maxError, Math.abs((E - E0) / E0));
+  }
+
+  ps.dispose();
+  return maxError;
+}
+
 /**
  * Test 1: Energy conservation in isolated system
  */
@@ -381,3 +446,107 @@ test('monopole-kernels.conservation: angular momentum conserved in rotating syst
   system.dispose();
   canvas.remove();
 });
+
+/**
+ * Test 4: Leapfrog-KDK against Euler on a binary orbit
+ */
+test('monopole-kernels.conservation: leapfrog-kdk bounds binary energy error well below euler', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const euler = maxBinaryEnergyError(gl, 'euler');
+  const kdk = maxBinaryEnergyError(gl, 'leapfrog-kdk');
+
+  // First-order vs second-order: at dt = 0.05 the gap is more than an order of magnitude
+  assert.ok(kdk < 0.01, `KDK energy error ${kdk.toExponential(2)} should stay below 1%`);
+  assert.ok(kdk < euler / 4,
+    `KDK error ${kdk.toExponential(2)} should be well below Euler error ${euler.toExponential(2)}`);
+
+  canvas.remove();
+});
+
+/**
+ * Test 5: Fourth-order integrators against leapfrog-KDK
+ */
+test('monopole-kernels.conservation: fourth-order integrators beat leapfrog-kdk on the binary', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const kdk = maxBinaryEnergyError(gl, 'leapfrog-kdk');
+  const yoshida = maxBinaryEnergyError(gl, 'yoshida4');
+  const rk4 = maxBinaryEnergyError(gl, 'rk4');
+
+  // Float32 round-off sets the floor, so only ask for a clear improvement, not the full dt² gap
+  assert.ok(yoshida < kdk, `yoshida4 error ${yoshida.toExponential(2)} should be below KDK error ${kdk.toExponential(2)}`);
+  assert.ok(rk4 < kdk, `rk4 error ${rk4.toExponential(2)} should be below KDK error ${kdk.toExponential(2)}`);
+
+  canvas.remove();
+});
+
+/**
+ * Test 6: Adaptive substeps on a coarse frame dt
+ */
+test('monopole-kernels.conservation: adaptive substeps rescue a coarse frame dt', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const G = 0.5;
+  const softening = 0.05;
+
+  /** @param {import('./adaptive-timestep.js').AdaptiveTimestepOptions} [adaptiveTimestep] */
+  const run = (adaptiveTimestep) => {
+    const ps = particleSystem({
+      gl,
+      particles: createBinary(),
+      method: 'monopole',
+      integrator: 'leapfrog-kdk',
+      adaptiveTimestep,
+      gravityStrength: G,
+      softening,
+      dt: 0.2,
+      maxSpeed: 10,
+      maxAccel: 10,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+    const E0 = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+    let maxError = 0;
+    for (let frame = 0; frame < 60; frame++) {
+      ps.compute();
+      const E = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+      maxError = Math.max(maxError, Math.abs((E - E0) / E0));
+    }
+    const substeps = /** @type {any} */ (ps._system).adaptiveTimestep?.lastSubsteps;
+    ps.dispose();
+    return { maxError, substeps };
+  };
+
+  const fixed = run();
+  const adaptive = run({ eta: 0.2, maxSubsteps: 8 });
+
+  // max|v| = 0.5 over softening 0.05 asks for h = 0.02, so every frame hits the 8-substep cap
+  assert.strictEqual(adaptive.substeps, 8);
+  assert.ok(adaptive.maxError < fixed.maxError / 4,
+    `adaptive error ${adaptive.maxError.toExponential(2)} should be well below fixed-dt error ${fixed.maxError.toExponential(2)}`);
+
+  canvas.remove();
+});
+
+/**
+ * Test 7: Velocity-Verlet is the KDK update under another name
+ */
+test('monopole-kernels.conservation: velocity-verlet runs the same update as leapfrog-kdk', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  /** @param {'leapfrog-kdk' | 'velocity-verlet'} integrator */
+  const run = (integrator) => {
+    const ps = particleSystem({ gl, particles: createBinary(), method: 'monopole', integrator, gravityStrength: 0.5, softening: 0.05, dt: 0.05 });
+    for (let i = 0; i < 20; i++) ps.compute();
+    const snap = ps.unloadSubset({ start: 0, count: 2 });
+    ps.dispose();
+    return snap;
+  };
+
+  const kdk = run('leapfrog-kdk');
+  const verlet = run('velocity-verlet');
+  assert.deepStrictEqual(Array.from(verlet.positions), Array.from(kdk.positions));
+  assert.deepStrictEqual(Array.from(verlet.velocities), Array.from(kdk.velocities));
+
+  canvas.remove();
+});
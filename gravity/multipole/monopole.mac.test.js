@@ -0,0 +1,232 @@
+// @ts-check
+
+/**
+ * Multipole acceptance criteria: accuracy against direct summation, and cost
+ * as the number of node-particle terms the traversal sums (force.w).
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { createTestTexture, readTexture } from '../test-utils.js';
+import { GravityMonopole } from './gravity-monopole.js';
+
+const G = 0.001;
+const SOFTENING = 0.05;
+const WIDTH = 9;
+const HEIGHT = 9;
+const CLUSTER = 60;
+const CENTER = [0.6, 0.6, 0.6];
+
+/**
+ * A uniform sphere of unit masses (radius 0.4) plus light probes on shells
+ * 1.5 to 3 away from it; the last texel is left inactive
+ */
+function createParticles() {
+  const positions = new Float32Array(WIDTH * HEIGHT * 4);
+  let seed = 4242;
+  function random() {
+    seed = (seed * 1664525 + 1013904223) | 0;
+    return (seed >>> 0) / 4294967296;
+  }
+
+  for (let i = 0; i < WIDTH * HEIGHT - 1; i++) {
+    const u = 2 * random() - 1;
+    const phi = random() * 2 * Math.PI;
+    const s = Math.sqrt(1 - u * u);
+    const isProbe = i >= CLUSTER;
+    const r = isProbe ? 1.5 + 1.5 * random() : 0.4 * Math.cbrt(random());
+    positions.set([
+      CENTER[0] + r * s * Math.cos(phi),
+      CENTER[1] + r * s * Math.sin(phi),
+      CENTER[2] + r * u,
+      isProbe ? 1e-4 : 1
+    ], i * 4);
+  }
+  return positions;
+}
+
+/**
+ * Softened direct summation, the same kernel the traversal applies per node
+ * @param {Float32Array} positions
+ */
+function directForces(positions) {
+  const count = positions.length / 4;
+  const forces = new Float64Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    if (!(positions[i * 4 + 3] > 0)) continue;
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (j === i || !(m > 0)) continue;
+      const dx = positions[j * 4] - positions[i * 4];
+      const dy = positions[j * 4 + 1] - positions[i * 4 + 1];
+      const dz = positions[j * 4 + 2] - positions[i * 4 + 2];
+      const denom = dx * dx + dy * dy + dz * dz + SOFTENING * SOFTENING;
+      const inv = G * m / (denom * Math.sqrt(denom));
+      forces[i * 3] += dx * inv;
+      forces[i * 3 + 1] += dy * inv;
+      forces[i * 3 + 2] += dz * inv;
+    }
+  }
+  return forces;
+}
+
+/**
+ * Evaluate forces twice, so the relative criterion has a previous acceleration
+ * to work from, and return the second pass
+ * @param {WebGL2RenderingContext} gl
+ * @param {Float32Array} positions
+ * @param {{ mac: 'barnes-hut' | 'salmon-warren' | 'relative', theta?: number, macAlpha?: number }} criterion
+ * @param {number} [passes]
+ */
+function evaluate(gl, positions, criterion, passes = 2) {
+  const system = new GravityMonopole({
+    gl,
+    textureWidth: WIDTH,
+    textureHeight: HEIGHT,
+    positionMassTexture: createTestTexture(gl, WIDTH, HEIGHT, positions),
+    velocityColorTexture: createTestTexture(gl, WIDTH, HEIGHT, new Float32Array(WIDTH * HEIGHT * 4)),
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    gravityStrength: G,
+    softening: SOFTENING,
+    ...criterion
+  });
+
+  let force = null;
+  for (let i = 0; i < passes; i++) force = system._evaluateForces();
+  const result = readTexture(gl, /** @type {WebGLTexture} */ (force), WIDTH, HEIGHT);
+  system.dispose();
+  return result;
+}
+
+/**
+ * Relative errors against direct summation are taken over the probes. Cluster
+ * members sit inside the root node, which the traversal always sums, so their
+ * error comes from the level structure whatever the criterion decides
+ * @param {Float32Array} approx - RGBA force texels, w = interaction count
+ * @param {Float64Array} direct
+ */
+function compare(approx, direct) {
+  const errors = [];
+  const ratios = [];
+  let minCosine = 1;
+  let interactions = 0;
+  let active = 0;
+
+  for (let i = 0; i < WIDTH * HEIGHT - 1; i++) {
+    const a = [approx[i * 4], approx[i * 4 + 1], approx[i * 4 + 2]];
+    const d = [direct[i * 3], direct[i * 3 + 1], direct[i * 3 + 2]];
+    assert.ok(a.every(Number.isFinite), `particle ${i} force is not finite: ${a}`);
+    interactions += approx[i * 4 + 3];
+    active++;
+
+    // Probes see the whole cluster within a narrow cone, so every node pulls the same way
+    if (i >= CLUSTER) {
+      const aMag = Math.hypot(...a);
+      const dMag = Math.hypot(...d);
+      errors.push(Math.hypot(a[0] - d[0], a[1] - d[1], a[2] - d[2]) / dMag);
+      minCosine = Math.min(minCosine, (a[0] * d[0] + a[1] * d[1] + a[2] * d[2]) / (aMag * dMag));
+      ratios.push(aMag / dMag);
+    }
+  }
+
+  errors.sort((x, y) => x - y);
+  ratios.sort((x, y) => x - y);
+  return {
+    medianError: errors[errors.length >> 1],
+    p99Error: errors[Math.min(errors.length - 1, Math.floor(0.99 * errors.length))],
+    medianProbeRatio: ratios[ratios.length >> 1],
+    minCosine,
+    meanInteractions: interactions / active
+  };
+}
+
+test('monopole.mac: every criterion tracks direct summation for probes around a cluster', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const positions = createParticles();
+  const direct = directForces(positions);
+
+  /** @type {Array<{ mac: 'barnes-hut' | 'salmon-warren' | 'relative', theta?: number, macAlpha?: number }>} */
+  const criteria = [
+    { mac: 'barnes-hut', theta: 0.5 },
+    { mac: 'salmon-warren', theta: 0.5 },
+    { mac: 'relative', macAlpha: 0.005 }
+  ];
+
+  const results = criteria.map(criterion => ({ criterion, ...compare(evaluate(gl, positions, criterion), direct) }));
+  const table = results.map(r =>
+    `${JSON.stringify(r.criterion)}: median error=${r.medianError.toFixed(4)} p99 error=${r.p99Error.toFixed(4)} probe |F|/|F_direct|=${r.medianProbeRatio.toFixed(3)} ` +
+    `min cos=${r.minCosine.toFixed(4)} interactions/particle=${r.meanInteractions.toFixed(1)}`).join('\n');
+
+  // At these tolerances a probe sums the cluster as the root's point mass, off the
+  // direct sum by the cluster's own quadrupole: ~0.2% typical, ~0.6% at worst
+  for (const r of results) {
+    assert.ok(r.medianError < 0.005, `${r.criterion.mac}: median relative error\n${table}`);
+    assert.ok(r.p99Error < 0.02, `${r.criterion.mac}: p99 relative error\n${table}`);
+    assert.ok(r.minCosine > 0.999, `${r.criterion.mac}: probe forces should point at the cluster\n${table}`);
+    assert.ok(r.medianProbeRatio > 0.99 && r.medianProbeRatio < 1.01, `${r.criterion.mac}: probe force magnitude off\n${table}`);
+    assert.ok(r.meanInteractions >= 1, `${r.criterion.mac}: every particle sums at least the root\n${table}`);
+  }
+
+  canvas.remove();
+});
+
+test('monopole.mac: looser tolerances accept more nodes and lose accuracy', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const positions = createParticles();
+  const direct = directForces(positions);
+
+  /** @type {Array<[string, Array<{ mac: 'barnes-hut' | 'salmon-warren' | 'relative', theta?: number, macAlpha?: number }>]>} */
+  const sweeps = [
+    ['barnes-hut', [{ mac: 'barnes-hut', theta: 0.3 }, { mac: 'barnes-hut', theta: 0.9 }]],
+    ['salmon-warren', [{ mac: 'salmon-warren', theta: 0.3 }, { mac: 'salmon-warren', theta: 0.9 }]],
+    ['relative', [{ mac: 'relative', macAlpha: 1e-4 }, { mac: 'relative', macAlpha: 1 }]]
+  ];
+
+  // Rejected nodes are left to the finer levels' fixed neighborhoods, so the work
+  // visited is the same and a looser criterion only adds accepted terms
+  for (const [name, [tight, loose]] of sweeps) {
+    const t = compare(evaluate(gl, positions, tight), direct);
+    const l = compare(evaluate(gl, positions, loose), direct);
+    const summary = `${name}: tight ${t.meanInteractions.toFixed(1)} (error ${t.medianError.toFixed(4)}, p99 ${t.p99Error.toFixed(4)}) ` +
+      `vs loose ${l.meanInteractions.toFixed(1)} (error ${l.medianError.toFixed(4)}, p99 ${l.p99Error.toFixed(4)})`;
+    assert.ok(l.meanInteractions >= t.meanInteractions, summary);
+    assert.ok(t.medianError <= l.medianError, summary);
+    assert.ok(t.p99Error < l.p99Error, summary);
+    assert.ok(t.p99Error < 0.02, summary);
+  }
+
+  canvas.remove();
+});
+
+test('monopole.mac: relative criterion falls back to Barnes-Hut and tightens to the root plus near field', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const positions = createParticles();
+
+  // First pass: no previous acceleration yet, so theta decides
+  const firstRelative = evaluate(gl, positions, { mac: 'relative', theta: 0.5 }, 1);
+  const barnesHut = evaluate(gl, positions, { mac: 'barnes-hut', theta: 0.5 }, 1);
+  for (let i = 0; i < firstRelative.length; i++)
+    assert.ok(Math.abs(firstRelative[i] - barnesHut[i]) <= 1e-6 * Math.abs(barnesHut[i]) + 1e-12,
+      `texel component ${i}: relative ${firstRelative[i]} vs barnes-hut ${barnesHut[i]}`);
+
+  // A vanishing tolerance rejects every node, just as theta → 0 does
+  const strictRelative = evaluate(gl, positions, { mac: 'relative', macAlpha: 1e-12 });
+  const strictBarnesHut = evaluate(gl, positions, { mac: 'barnes-hut', theta: 1e-6 });
+  for (let i = 0; i < strictRelative.length; i++)
+    assert.ok(Math.abs(strictRelative[i] - strictBarnesHut[i]) <= 1e-6 * Math.abs(strictBarnesHut[i]) + 1e-12,
+      `texel component ${i}: strict relative ${strictRelative[i]} vs strict barnes-hut ${strictBarnesHut[i]}`);
+
+  assert.throws(() => new GravityMonopole({ gl, textureWidth: 1, textureHeight: 1, mac: /** @type {any} */ ('octupole') }), /unknown mac/);
+
+  canvas.remove();
+});
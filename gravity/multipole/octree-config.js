@@ -0,0 +1,79 @@
+// @ts-check
+
+/**
+ * Octree layout for the tree engines.
+ *
+ * Level 0 is a gridSize³ voxel grid stored as Z-slices tiled into a 2D texture,
+ * slicesPerRow slices across; every level above halves the grid (and the slices
+ * per row) until a single root voxel remains. slicesPerRow is derived as the
+ * power of two that keeps the level-0 texture square, which is the shape the
+ * aggregators allocate: side = gridSize · slicesPerRow.
+ */
+
+/**
+ * @typedef {{
+ *   gridSize?: number,
+ *   levels?: number
+ * }} OctreeOptions
+ */
+
+/**
+ * @typedef {{
+ *   numLevels: number,
+ *   gridSize: number,
+ *   slicesPerRow: number,
+ *   L0Size: number,
+ *   levelConfigs: Array<{ size: number, gridSize: number, slicesPerRow: number }>
+ * }} OctreeLayout
+ */
+
+/**
+ * Validate octree options and lay out the level pyramid.
+ * @param {string} engineName - prefix for error messages
+ * @param {WebGL2RenderingContext} gl
+ * @param {OctreeOptions | undefined} options
+ * @param {{ gridSize: number, levels: number, fixedUnits?: number }} defaults - levels is capped at full depth;
+ *   fixedUnits is set by walks that sample each level from its own texture unit, and counts the units they bind besides those
+ * @returns {OctreeLayout}
+ */
+export function resolveOctree(engineName, gl, options, defaults) {
+  const gridSize = options?.gridSize !== undefined ? options.gridSize : defaults.gridSize;
+  if (!Number.isInteger(gridSize) || gridSize < 2 || (gridSize & (gridSize - 1)) !== 0)
+    throw new Error(`${engineName}: octree.gridSize must be a power of two ≥ 2, got ${gridSize}`);
+
+  // Down to the 1³ root: log2(gridSize) halvings
+  const fullDepth = Math.log2(gridSize) + 1;
+  const numLevels = options?.levels !== undefined ? options.levels : Math.min(defaults.levels, fullDepth);
+  if (!Number.isInteger(numLevels) || numLevels < 1 || numLevels > fullDepth)
+    throw new Error(`${engineName}: octree.levels must be an integer in [1, ${fullDepth}] for gridSize ${gridSize}, got ${numLevels}`);
+
+  // gridSize slices in rows of slicesPerRow fit a square when slicesPerRow ≥ √gridSize
+  const slicesPerRow = 1 << Math.ceil(Math.log2(gridSize) / 2);
+  const L0Size = gridSize * slicesPerRow;
+
+  const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+  if (L0Size > maxTextureSize)
+    throw new Error(`${engineName}: octree.gridSize ${gridSize} needs a ${L0Size}×${L0Size} level-0 texture, above this device's MAX_TEXTURE_SIZE ${maxTextureSize}`);
+
+  if (defaults.fixedUnits !== undefined) {
+    const maxUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+    if (numLevels + defaults.fixedUnits > maxUnits)
+      throw new Error(`${engineName}: octree.levels ${numLevels} needs ${numLevels + defaults.fixedUnits} texture units, above this device's MAX_TEXTURE_IMAGE_UNITS ${maxUnits}`);
+  }
+
+  const levelConfigs = [];
+  let currentGridSize = gridSize;
+  let currentSlicesPerRow = slicesPerRow;
+  for (let i = 0; i < numLevels; i++) {
+    levelConfigs.push({
+      size: currentGridSize * currentSlicesPerRow,
+      gridSize: currentGridSize,
+      slicesPerRow: currentSlicesPerRow
+    });
+
+    currentGridSize = Math.max(1, Math.floor(currentGridSize / 2));
+    currentSlicesPerRow = Math.max(1, Math.floor(currentSlicesPerRow / 2));
+  }
+
+  return { numLevels, gridSize, slicesPerRow, L0Size, levelConfigs };
+}
@@ -0,0 +1,77 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { getGL, readTexture, resetGL } from '../test-utils.js';
+import { resolveOctree } from './octree-config.js';
+
+test('resolveOctree: square level-0 layout and halving pyramid', async () => {
+  const gl = getGL();
+
+  const layout = resolveOctree('Test', gl, { gridSize: 32 }, { gridSize: 64, levels: 7 });
+  assert.strictEqual(layout.slicesPerRow, 8, '32 slices need 8 per row to fit a square');
+  assert.strictEqual(layout.L0Size, 256);
+  assert.strictEqual(layout.numLevels, 6, 'default depth is capped at the 1³ root');
+  assert.deepStrictEqual(layout.levelConfigs.map(c => c.gridSize), [32, 16, 8, 4, 2, 1]);
+  assert.deepStrictEqual(layout.levelConfigs.map(c => c.slicesPerRow), [8, 4, 2, 1, 1, 1]);
+
+  const defaults = resolveOctree('Test', gl, undefined, { gridSize: 64, levels: 7 });
+  assert.strictEqual(defaults.slicesPerRow, 8);
+  assert.strictEqual(defaults.numLevels, 7);
+
+  assert.throws(() => resolveOctree('Test', gl, { gridSize: 48 }, { gridSize: 64, levels: 7 }), /power of two/);
+  assert.throws(() => resolveOctree('Test', gl, { gridSize: 16, levels: 6 }, { gridSize: 64, levels: 7 }), /\[1, 5\]/);
+
+  // 4096³ would need a 262144² texture, beyond any device
+  assert.throws(() => resolveOctree('Test', gl, { gridSize: 4096 }, { gridSize: 64, levels: 7 }), /MAX_TEXTURE_SIZE/);
+
+  // A walk with one unit per level: 3 levels fit only while 3 + fixedUnits stays within the device's units
+  const maxUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+  const fits = resolveOctree('Test', gl, { gridSize: 4, levels: 3 }, { gridSize: 64, levels: 7, fixedUnits: maxUnits - 3 });
+  assert.strictEqual(fits.numLevels, 3);
+  assert.throws(
+    () => resolveOctree('Test', gl, { gridSize: 4, levels: 3 }, { gridSize: 64, levels: 7, fixedUnits: maxUnits - 2 }),
+    /Test: octree.levels 3 needs .* texture units, above this device's MAX_TEXTURE_IMAGE_UNITS/);
+
+  resetGL();
+});
+
+test('octree option: non-default depths and resolutions still attract for both tree methods', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  for (const [method, octree] of /** @type {const} */ ([
+    ['monopole', { gridSize: 16, levels: 3 }],
+    ['monopole', { gridSize: 128, levels: 8 }],
+    ['quadrupole', { gridSize: 32, levels: 6 }]
+  ])) {
+    const ps = particleSystem({
+      gl,
+      method,
+      octree,
+      particles: [
+        { x: -1, y: 0, z: 0, mass: 1 },
+        { x: 1, y: 0, z: 0, mass: 1 }
+      ],
+      gravityStrength: 0.01,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+
+    ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+    assert.ok(vel[0] > 0 && vel[4] < 0, `${method} ${JSON.stringify(octree)}: particles should move together, got vx ${vel[0]}, ${vel[4]}`);
+
+    ps.dispose();
+  }
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'quadrupole', octree: { gridSize: 64, levels: 8 } }),
+    /GravityQuadrupole: octree.levels/);
+
+  canvas.remove();
+});
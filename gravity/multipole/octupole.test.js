@@ -0,0 +1,229 @@
+// @ts-check
+
+/**
+ * Octupole: third moments through the aggregator and pyramid, and the
+ * method end to end.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KAggregatorQuadrupole } from './k-aggregator-quadrupole.js';
+import { KPyramidBuild } from './k-pyramid-build.js';
+
+/**
+ * Read one voxel from a square Z-slice texture
+ * @param {Float32Array} data
+ * @param {[number, number, number]} voxel
+ * @param {number} gridSize
+ * @param {number} slicesPerRow
+ */
+function readVoxel(data, [vx, vy, vz], gridSize, slicesPerRow) {
+  const size = gridSize * slicesPerRow;
+  const texelX = (vz % slicesPerRow) * gridSize + vx;
+  const texelY = Math.floor(vz / slicesPerRow) * gridSize + vy;
+  const idx = (texelY * size + texelX) * 4;
+  return Array.from(data.subarray(idx, idx + 4));
+}
+
+/**
+ * CPU central third moments, about the particles' centre of mass, in the A3/A4/A5 channel order
+ * @param {number[][]} particles - [x, y, z, m]
+ */
+function thirdMoments(particles) {
+  const a0 = lowerMoments(particles).a0;
+  const c = [a0[0] / a0[3], a0[1] / a0[3], a0[2] / a0[3]];
+  const a3 = [0, 0, 0, 0], a4 = [0, 0, 0, 0], a5 = [0, 0, 0, 0];
+  for (const [px, py, pz, m] of particles) {
+    const x = px - c[0], y = py - c[1], z = pz - c[2];
+    a3[0] += m * x * x * x; a3[1] += m * y * y * y; a3[2] += m * z * z * z; a3[3] += m * x * x * y;
+    a4[0] += m * x * x * z; a4[1] += m * x * y * y; a4[2] += m * y * y * z; a4[3] += m * x * z * z;
+    a5[0] += m * y * z * z; a5[1] += m * x * y * z;
+  }
+  return { a3, a4, a5 };
+}
+
+/**
+ * CPU A0 (mass-weighted position, mass) and raw second moments A1/A2
+ * @param {number[][]} particles - [x, y, z, m]
+ */
+function lowerMoments(particles) {
+  const a0 = [0, 0, 0, 0], a1 = [0, 0, 0, 0], a2 = [0, 0, 0, 0];
+  for (const [x, y, z, m] of particles) {
+    a0[0] += m * x; a0[1] += m * y; a0[2] += m * z; a0[3] += m;
+    a1[0] += m * x * x; a1[1] += m * y * y; a1[2] += m * z * z; a1[3] += m * x * y;
+    a2[0] += m * x * z; a2[1] += m * y * z;
+  }
+  return { a0, a1, a2 };
+}
+
+test('KAggregatorQuadrupole octupole: central third moments deposited per voxel', async () => {
+  const gl = getGL();
+
+  // Two particles share voxel (2,2,2) of a 4³ grid over [-2, 2]³, one sits in (0,0,1);
+  // the last slot is inactive and must not contribute
+  const particles = [
+    [0.3, 0.4, 0.6, 2],
+    [0.7, 0.2, 0.9, 1],
+    [-1.5, -1.2, -0.4, 3],
+    [0.5, 0.5, 0.5, 0]
+  ];
+  const aggregator = new KAggregatorQuadrupole({
+    gl,
+    inPosition: createTestTexture(gl, 2, 2, new Float32Array(particles.flat())),
+    particleCount: 4,
+    particleTexWidth: 2,
+    particleTexHeight: 2,
+    octreeSize: 8,
+    gridSize: 4,
+    slicesPerRow: 2,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+    octupole: true
+  });
+  aggregator.run();
+
+  const a3 = readTexture(gl, /** @type {WebGLTexture} */ (aggregator.outA3), 8, 8);
+  const a4 = readTexture(gl, /** @type {WebGLTexture} */ (aggregator.outA4), 8, 8);
+  const a5 = readTexture(gl, /** @type {WebGLTexture} */ (aggregator.outA5), 8, 8);
+  const a0 = readTexture(gl, /** @type {WebGLTexture} */ (aggregator.outA0), 8, 8);
+
+  /** @type {Array<[[number, number, number], number[][]]>} */
+  const voxels = [[[2, 2, 2], particles.slice(0, 2)], [[0, 0, 1], particles.slice(2, 3)]];
+  for (const [voxel, members] of voxels) {
+    const expected = thirdMoments(members);
+    const got = {
+      a3: readVoxel(a3, voxel, 4, 2),
+      a4: readVoxel(a4, voxel, 4, 2),
+      a5: readVoxel(a5, voxel, 4, 2)
+    };
+    for (const key of /** @type {const} */ (['a3', 'a4', 'a5']))
+      for (let c = 0; c < 4; c++)
+        assertClose(got[key][c], expected[key][c], 1e-4, `voxel ${voxel} ${key}[${c}]`);
+  }
+
+  // The first pass is unchanged by the second
+  assertClose(readVoxel(a0, [2, 2, 2], 4, 2)[3], 3, 1e-6, 'mass in the shared voxel');
+
+  aggregator.dispose();
+  resetGL();
+});
+
+test('KPyramidBuild octupole: children are shifted to the parent centre of mass', async () => {
+  const gl = getGL();
+
+  // 2³ children (2×2 slices in a 4×4 texture), each holding two particles, reduce to one parent
+  const childData = () => new Float32Array(4 * 4 * 4);
+  const children = { a0: childData(), a1: childData(), a2: childData(), a3: childData(), a4: childData(), a5: childData() };
+  /** @type {number[][]} */
+  const all = [];
+  let n = 0;
+  for (let vz = 0; vz < 2; vz++) {
+    for (let vy = 0; vy < 2; vy++) {
+      for (let vx = 0; vx < 2; vx++) {
+        n++;
+        const members = [
+          [vx + 0.2 + 0.05 * n, vy + 0.4, vz + 0.1 * (n % 3), 1 + 0.25 * n],
+          [vx + 0.7, vy + 0.3 + 0.03 * n, vz + 0.8, 0.5 + 0.1 * (n % 4)]
+        ];
+        all.push(...members);
+        const moments = { ...lowerMoments(members), ...thirdMoments(members) };
+        const texelX = (vz % 2) * 2 + vx;
+        const texelY = Math.floor(vz / 2) * 2 + vy;
+        for (const key of /** @type {const} */ (['a0', 'a1', 'a2', 'a3', 'a4', 'a5']))
+          children[key].set(moments[key], (texelY * 4 + texelX) * 4);
+      }
+    }
+  }
+
+  const kernel = new KPyramidBuild({
+    gl,
+    outSize: 1,
+    outGridSize: 1,
+    outSlicesPerRow: 1,
+    inGridSize: 2,
+    inSlicesPerRow: 2,
+    inA0: createTestTexture(gl, 4, 4, children.a0),
+    inA1: createTestTexture(gl, 4, 4, children.a1),
+    inA2: createTestTexture(gl, 4, 4, children.a2),
+    octupole: true,
+    inA3: createTestTexture(gl, 4, 4, children.a3),
+    inA4: createTestTexture(gl, 4, 4, children.a4),
+    inA5: createTestTexture(gl, 4, 4, children.a5)
+  });
+  kernel.run();
+
+  // The parent must hold the central third moments of all 16 particles, not the plain child sum
+  const expected = { a0: lowerMoments(all).a0, ...thirdMoments(all) };
+  for (const key of /** @type {const} */ (['a0', 'a3', 'a4', 'a5'])) {
+    const out = key === 'a0' ? kernel.outA0 : key === 'a3' ? kernel.outA3 : key === 'a4' ? kernel.outA4 : kernel.outA5;
+    const parent = readTexture(gl, /** @type {WebGLTexture} */ (out), 1, 1);
+    for (let c = 0; c < (key === 'a5' ? 2 : 4); c++)
+      assertClose(parent[c], expected[key][c], 1e-3, `parent ${key}[${c}]`);
+  }
+
+  kernel.dispose();
+  resetGL();
+});
+
+test('octupole method: probes are pulled toward a lopsided cluster, and switchMethod accepts it', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  // A heavy clump and a light tail, so the cluster has real second and third moments
+  const clump = [];
+  for (let i = 0; i < 27; i++)
+    clump.push({ x: 0.2 * (i % 3) - 0.2, y: 0.2 * (Math.floor(i / 3) % 3) - 0.2, z: 0.2 * Math.floor(i / 9) - 0.2, mass: 1 });
+  for (let i = 0; i < 6; i++)
+    clump.push({ x: 0.5 + 0.1 * i, y: 0.1, z: 0, mass: 0.3 });
+  const probes = [
+    { x: 3, y: 0.5, z: 0.2, mass: 1e-4 },
+    { x: -2.5, y: -1, z: 0.5, mass: 1e-4 },
+    { x: 0.3, y: 3, z: -1, mass: 1e-4 }
+  ];
+
+  const ps = particleSystem({
+    gl,
+    method: 'octupole',
+    particles: [...clump, ...probes],
+    gravityStrength: 0.001,
+    softening: 0.05,
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] }
+  });
+  assert.strictEqual(ps.method, 'octupole');
+
+  const force = /** @type {WebGLTexture} */ (/** @type {any} */ (ps._system)._evaluateForces());
+  const { width, height } = ps.getTextureSize();
+  const data = readTexture(gl, force, width, height);
+
+  for (let p = 0; p < probes.length; p++) {
+    const i = clump.length + p;
+    const f = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]];
+    assert.ok(f.every(Number.isFinite), `probe ${p} force is not finite: ${f}`);
+
+    // Direct sum over the cluster
+    const d = [0, 0, 0];
+    for (const c of clump) {
+      const r = [c.x - probes[p].x, c.y - probes[p].y, c.z - probes[p].z];
+      const denom = r[0] * r[0] + r[1] * r[1] + r[2] * r[2] + 0.05 * 0.05;
+      const inv = 0.001 * c.mass / (denom * Math.sqrt(denom));
+      for (let k = 0; k < 3; k++) d[k] += r[k] * inv;
+    }
+
+    const cosine = (f[0] * d[0] + f[1] * d[1] + f[2] * d[2]) / (Math.hypot(...f) * Math.hypot(...d));
+    const ratio = Math.hypot(...f) / Math.hypot(...d);
+    assert.ok(cosine > 0.95, `probe ${p}: force ${f} should point at the cluster (direct ${d})`);
+    assert.ok(ratio > 0.5 && ratio < 2, `probe ${p}: |F|/|F_direct| = ${ratio}`);
+  }
+
+  ps.compute();
+  ps.switchMethod('quadrupole');
+  ps.switchMethod('octupole', { octree: { gridSize: 32, levels: 5 } });
+  ps.compute();
+  assert.strictEqual(ps.method, 'octupole');
+
+  ps.dispose();
+  canvas.remove();
+});
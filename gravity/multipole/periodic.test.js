@@ -0,0 +1,108 @@
+// @ts-check
+
+/**
+ * Periodic boundaries: the Ewald table, position wrapping in the integrators,
+ * and tree methods pulling across the box faces.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { EWALD_GRID, ewaldCorrection, ewaldTable } from './ewald.js';
+import { KIntegratePosition } from './k-integrate-position.js';
+
+test('ewaldCorrection: vanishes at the origin, odd per axis, cancels the nearest image where images balance', async () => {
+  assert.deepStrictEqual(ewaldCorrection([0, 0, 0]).map(c => Math.abs(c) < 1e-12), [true, true, true]);
+
+  const c = ewaldCorrection([0.2, 0.1, 0.05]);
+  const mirrored = ewaldCorrection([-0.2, 0.1, 0.05]);
+  assertClose(mirrored[0], -c[0], 1e-9, 'odd in x');
+  assertClose(mirrored[1], c[1], 1e-9, 'even in y');
+  assertClose(mirrored[2], c[2], 1e-9, 'even in z');
+
+  // Halfway to the next image, and at the cell's centre, the full periodic force is zero
+  for (const u of /** @type {[number, number, number][]} */ ([[0.5, 0, 0], [0.5, 0.5, 0.5]])) {
+    const r = Math.hypot(...u);
+    const total = ewaldCorrection(u).map((ci, i) => ci + u[i] / (r * r * r));
+    for (const component of total) assertClose(component, 0, 1e-5, `total force at ${u}`);
+  }
+
+  // Near the origin the images and the neutralising background leave -4π/3·u
+  assertClose(ewaldCorrection([0.01, 0, 0])[0], -4 * Math.PI / 3 * 0.01, 1e-4, 'small separation');
+
+  // The table samples the same function, x fastest
+  const side = EWALD_GRID + 1;
+  const table = ewaldTable();
+  assert.strictEqual(table.length, side * side * side * 4);
+  const texel = ((2 * side + 1) * side + 3) * 4;
+  const expected = ewaldCorrection([3 / (2 * EWALD_GRID), 1 / (2 * EWALD_GRID), 2 / (2 * EWALD_GRID)]);
+  for (let i = 0; i < 3; i++) assertClose(table[texel + i], expected[i], 1e-6, `table component ${i}`);
+});
+
+test('KIntegratePosition periodic: drifted positions wrap into the box', async () => {
+  const gl = getGL();
+
+  const kernel = new KIntegratePosition({
+    gl,
+    inPosition: createTestTexture(gl, 2, 1, new Float32Array([3.9, 0, -3.95, 1, 0, 0, 0, 1])),
+    inVelocity: createTestTexture(gl, 2, 1, new Float32Array([1, 0, -1, 0, 0, 0, 0, 0])),
+    width: 2,
+    height: 1,
+    dt: 0.2,
+    boundary: 'periodic',
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] }
+  });
+  kernel.run();
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 1);
+  assertClose(pos[0], -3.9, 1e-5, 'x crosses +x face');
+  assertClose(pos[2], 3.85, 1e-5, 'z crosses -z face');
+  assertClose(pos[3], 1, 0, 'mass kept');
+  assertClose(pos[4], 0, 1e-6, 'resting particle stays');
+
+  kernel.dispose();
+  resetGL();
+});
+
+test('periodic tree methods: a pair pulls through the nearest box face', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  for (const method of /** @type {const} */ (['monopole', 'quadrupole', 'octupole'])) {
+    // 7 apart inside the box, 1 apart through the x faces
+    const ps = particleSystem({
+      gl,
+      method,
+      particles: [
+        { x: -3.5, y: 0.1, z: 0.1, mass: 1 },
+        { x: 3.5, y: 0.1, z: 0.1, mass: 1 }
+      ],
+      gravityStrength: 0.01,
+      softening: 0.05,
+      boundary: 'periodic',
+      worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+      octree: { gridSize: 8 }
+    });
+
+    ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+    assert.ok(vel[0] < 0 && vel[4] > 0, `${method}: particles should move apart inside the box, got vx ${vel[0]}, ${vel[4]}`);
+    assertClose(vel[0], -vel[4], 1e-3 * Math.abs(vel[0]), `${method}: equal and opposite`);
+
+    ps.dispose();
+  }
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'mesh', boundary: 'periodic' }),
+    /only supported by the tree methods/);
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'monopole', boundary: 'periodic', worldBounds: { min: [0, 0, 0], max: [2, 2, 1] } }),
+    /cubic worldBounds/);
+
+  canvas.remove();
+});
@@ -3,6 +3,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { GravityQuadrupole } from './gravity-quadrupole.js';
+import { particleSystem } from '../gravity.js';
 
 /**
  * Create offscreen canvas with WebGL2 context
@@ -153,6 +154,70 @@ function computeAngularMomentum(positions, velocities, count) {
   return [Lx, Ly, Lz];
 }
 
+/**
+ * Equal-mass binary on a circular orbit of separation 1 around the origin.
+ * Relative speed √(G·(m1+m2)/r) = 1 at G = 0.5, so each body moves at 0.5 and the period is 2π.
+ */
+function createBinary() {
+  return [
+    { x: -0.5, y: 0, z: 0, vx: 0, vy: -0.5, vz: 0, mass: 1 },
+    { x: 0.5, y: 0, z: 0, vx: 0, vy: 0.5, vz: 0, mass: 1 }
+  ];
+}
+
+/**
+ * Total energy of the binary with the same Plummer softening the kernels use
+ * @param {{ positions: Float32Array, velocities: Float32Array, masses: Float32Array }} snap
+ * @param {number} G
+ * @param {number} softening
+ * @returns {number}
+ */
+function computeBinaryEnergy({ positions, velocities, masses }, G, softening) {
+  let KE = 0;
+  for (let i = 0; i < 2; i++) {
+    const v2 = velocities[i * 3] ** 2 + velocities[i * 3 + 1] ** 2 + velocities[i * 3 + 2] ** 2;
+    KE += 0.5 * masses[i] * v2;
+  }
+  const dx = positions[3] - positions[0];
+  const dy = positions[4] - positions[1];
+  const dz = positions[5] - positions[2];
+  const PE = -G * masses[0] * masses[1] / Math.sqrt(dx * dx + dy * dy + dz * dz + softening * softening);
+  return KE + PE;
+}
+
+/**
+ * Largest relative energy error of the binary over two orbits through the particleSystem facade
+ * @param {WebGL2RenderingContext} gl
+ * @param {'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4'} integrator
+ */
+function maxBinaryEnergyError(gl, integrator) {
+  const G = 0.5;
+  const softening = 0.05;
+  const ps = particleSystem({
+    gl,
+    particles: createBinary(),
+    method: 'quadrupole',
+    integrator,
+    gravityStrength: G,
+    softening,
+    dt: 0.05,
+    maxSpeed: 10,
+    maxAccel: 10,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  const E0 = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+  let maxError = 0;
+  for (let step = 0; step < 250; step++) {
+    ps.compute();
+    const E = computeBinaryEnergy(ps.unloadSubset({ start: 0, count: 2 }), G, softening);
+    maxError = Math.max(maxError, Math.abs((E - E0) / E0));
+  }
+
+  ps.dispose();
+  return maxError;
+}
+
 /**
  * Test 1: Energy conservation in isolated system
  */
@@ -383,3 +448,19 @@ test('quadrupole-kernels.conservation: angular momentum conserved in rotating sy
   canvas.remove();
 });
 
+/**
+ * Test 4: Leapfrog-KDK against Euler on a binary orbit
+ */
+test('quadrupole-kernels.conservation: leapfrog-kdk bounds binary energy error well below euler', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const euler = maxBinaryEnergyError(gl, 'euler');
+  const kdk = maxBinaryEnergyError(gl, 'leapfrog-kdk');
+
+  // First-order vs second-order: at dt = 0.05 the gap is more than an order of magnitude
+  assert.ok(kdk < 0.01, `KDK energy error ${kdk.toExponential(2)} should stay below 1%`);
+  assert.ok(kdk < euler / 4,
+    `KDK error ${kdk.toExponential(2)} should be well below Euler error ${euler.toExponential(2)}`);
+
+  canvas.remove();
+});
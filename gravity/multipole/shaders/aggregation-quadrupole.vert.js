@@ -1,3 +1,5 @@
+import { worldBoundsGLSL } from '../k-bounds-reduce.js';
+
 export default `#version 300 es
 precision highp float;
 
@@ -5,13 +7,12 @@ precision highp float;
 // Quadrupole version with GPU-resident bounds texture support
 
 uniform sampler2D u_positions;   // RGBA: xyz + mass
-uniform sampler2D u_bounds;       // 2×1 texture: texel 0 = min bounds, texel 1 = max bounds
 uniform vec2 u_texSize;          // positions texture size
-uniform vec3 u_worldMin;         // XYZ world min (fallback when no bounds texture)
-uniform vec3 u_worldMax;         // XYZ world max (fallback when no bounds texture)
 uniform float u_gridSize;        // octree grid size (e.g., 64)
 uniform float u_slicesPerRow;    // slices per row (e.g., 8 for 8x8 grid)
-uniform bool u_useBoundsTexture; // true if bounds texture available, false for uniform fallback
+uniform int u_momentPass;        // 0: A0..A2, 1: third moments A3..A5 (octupole)
+uniform sampler2D u_cellA0;      // pass 1: the A0 that pass 0 deposited
+${worldBoundsGLSL}
 
 out vec4 v_particleA0;
 out vec4 v_particleA1;
@@ -60,16 +61,16 @@ void main() {
 
   // Get world bounds from texture or uniforms
   vec3 worldMin, worldMax;
-  if (u_useBoundsTexture) {
-    // Sample bounds texture: texel 0 = min, texel 1 = max
-    vec4 minBounds = texelFetch(u_bounds, ivec2(0, 0), 0);
-    vec4 maxBounds = texelFetch(u_bounds, ivec2(1, 0), 0);
-    worldMin = minBounds.xyz - vec3(0.1); // Add small margin to prevent edge clamping
-    worldMax = maxBounds.xyz + vec3(0.1);
-  } else {
-    // Fallback to uniform bounds (initial frames)
-    worldMin = u_worldMin;
-    worldMax = u_worldMax;
+  readWorldBounds(worldMin, worldMax);
+
+  // Escapers feel the box from outside and leave no trace in it
+  if (isEscaper(pos.xyz, worldMin, worldMax)) {
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    v_particleA0 = vec4(0.0);
+    v_particleA1 = vec4(0.0);
+    v_particleA2 = vec4(0.0);
+    return;
   }
 
   // Map particle XYZ to 3D voxel grid with isotropic boundaries
@@ -96,6 +97,15 @@ void main() {
   vec4 a1 = vec4(pos.x * pos.x, pos.y * pos.y, pos.z * pos.z, pos.x * pos.y) * mass;
   vec4 a2 = vec4(pos.x * pos.z, pos.y * pos.z, 0.0, 0.0) * mass;
 
+  if (u_momentPass == 1) {
+    // Central third moments about the voxel's centre of mass, routed through the same varyings
+    vec4 cell = texelFetch(u_cellA0, ivec2(texelPos), 0);
+    vec3 p = pos.xyz - cell.xyz / cell.w;
+    a0 = vec4(p.x * p.x * p.x, p.y * p.y * p.y, p.z * p.z * p.z, p.x * p.x * p.y) * mass;
+    a1 = vec4(p.x * p.x * p.z, p.x * p.y * p.y, p.y * p.y * p.z, p.x * p.z * p.z) * mass;
+    a2 = vec4(p.y * p.z * p.z, p.x * p.y * p.z, 0.0, 0.0) * mass;
+  }
+
   v_particleA0 = a0;
   v_particleA1 = a1;
   v_particleA2 = a2;
@@ -1,3 +1,5 @@
+import { worldBoundsGLSL } from '../k-bounds-reduce.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -5,11 +7,9 @@ precision highp float;
 
 uniform sampler2D u_positions;   // RGBA: xyz + mass
 uniform vec2 u_texSize;          // positions texture size
-uniform vec3 u_worldMin;         // XYZ world min
-uniform vec3 u_worldMax;         // XYZ world max
 uniform float u_gridSize;        // octree grid size (e.g., 64)
 uniform float u_slicesPerRow;    // slices per row (e.g., 8 for 8x8 grid)
-
+${worldBoundsGLSL}
 out vec4 v_particleA0;
 out vec4 v_particleA1;
 out vec4 v_particleA2;
@@ -56,9 +56,22 @@ void main() {
     return;
   }
 
+  vec3 worldMin, worldMax;
+  readWorldBounds(worldMin, worldMax);
+
+  // Escapers feel the box from outside and leave no trace in it
+  if (isEscaper(pos.xyz, worldMin, worldMax)) {
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    v_particleA0 = vec4(0.0);
+    v_particleA1 = vec4(0.0);
+    v_particleA2 = vec4(0.0);
+    return;
+  }
+
   // Map particle XYZ to 3D voxel grid with isotropic boundaries
-  vec3 worldExtent = u_worldMax - u_worldMin;
-  vec3 norm = (pos.xyz - u_worldMin) / worldExtent;
+  vec3 worldExtent = worldMax - worldMin;
+  vec3 norm = (pos.xyz - worldMin) / worldExtent;
   // Clamp to valid range, ensuring symmetric treatment of all axes
   norm = clamp(norm, vec3(0.0), vec3(0.9999));
   vec3 voxelCoord = floor(norm * u_gridSize);
@@ -1,3 +1,5 @@
+import { boundaryGLSL } from '../../core-shaders.js';
+
 export default `#version 300 es
 precision highp float;
 
@@ -7,12 +9,17 @@ uniform vec2 u_texSize;
 uniform int u_particleCount;
 uniform float u_dt;
 
-out vec4 fragColor;
+layout(location = 0) out vec4 fragColor;
+// Bound only for walls that change velocity; otherwise the write is discarded
+layout(location = 1) out vec4 fragVelocity;
+${boundaryGLSL}
 
 void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
   int idx = coord.y * int(u_texSize.x) + coord.x;
   vec4 pos = texelFetch(u_positions, coord, 0);
+  vec4 velIn = texelFetch(u_velocity, coord, 0);
+  fragVelocity = velIn;
   if (idx >= u_particleCount) {
     fragColor = pos;
     return;
@@ -25,7 +32,7 @@ void main() {
     return;
   }
   
-  vec3 vel = texelFetch(u_velocity, coord, 0).xyz;
+  vec3 vel = velIn.xyz;
   
   // Skip if velocity has NaN
   if (isnan(vel.x) || isnan(vel.y) || isnan(vel.z)) {
@@ -33,6 +40,8 @@ void main() {
     return;
   }
   
-  vec3 newPos = pos.xyz + vel * u_dt;
-  fragColor = vec4(newPos, pos.w);
+  vec3 newPos = applyBoundary(pos.xyz + vel * u_dt);
+  applyWalls(newPos, vel, mass);
+  fragColor = vec4(newPos, mass);
+  fragVelocity = vec4(vel, velIn.w);
 }`;
@@ -0,0 +1,68 @@
+import thirdMomentsGLSL from './third-moments.glsl.js';
+
+export default /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_previousLevelA0;
+uniform sampler2D u_previousLevelA1;
+uniform sampler2D u_previousLevelA2;
+uniform sampler2D u_previousLevelA3;
+uniform sampler2D u_previousLevelA4;
+uniform sampler2D u_previousLevelA5;
+uniform float u_gridSize;           // current level grid size
+uniform float u_slicesPerRow;       // slices per row for current level
+uniform float u_childGridSize;      // child (previous) level grid size
+uniform float u_childSlicesPerRow;  // child (previous) level slices per row
+
+// Central third moments of the parent, about its own centre of mass
+layout(location = 0) out vec4 fragA3;
+layout(location = 1) out vec4 fragA4;
+layout(location = 2) out vec4 fragA5;
+${thirdMomentsGLSL}
+ivec2 voxelToTexel(ivec3 voxelCoord, float gridSize, float slicesPerRow) {
+  int sliceRow = voxelCoord.z / int(slicesPerRow);
+  int sliceCol = voxelCoord.z - sliceRow * int(slicesPerRow);
+  return ivec2(sliceCol * int(gridSize) + voxelCoord.x, sliceRow * int(gridSize) + voxelCoord.y);
+}
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+
+  int gridSizeInt = int(u_gridSize);
+  int sliceCol = coord.x / gridSizeInt;
+  int sliceRow = coord.y / gridSizeInt;
+  ivec3 parentVoxel = ivec3(coord.x - sliceCol * gridSizeInt, coord.y - sliceRow * gridSizeInt, sliceRow * int(u_slicesPerRow) + sliceCol);
+  ivec3 childBase = parentVoxel * 2;
+
+  // The parent's centre of mass, from the same sum the monopole reduction makes
+  vec4 parentA0 = vec4(0.0);
+  for (int i = 0; i < 8; i++) {
+    ivec2 texel = voxelToTexel(childBase + ivec3(i & 1, (i >> 1) & 1, i >> 2), u_childGridSize, u_childSlicesPerRow);
+    vec4 a0 = texelFetch(u_previousLevelA0, texel, 0);
+    if (!isnan(a0.w) && a0.w > 0.0) parentA0 += a0;
+  }
+
+  fragA3 = vec4(0.0);
+  fragA4 = vec4(0.0);
+  fragA5 = vec4(0.0);
+  if (parentA0.w <= 0.0) return;
+  vec3 parentCom = parentA0.xyz / parentA0.w;
+
+  // Each child's central moments, moved from its centre of mass to the parent's
+  for (int i = 0; i < 8; i++) {
+    ivec2 texel = voxelToTexel(childBase + ivec3(i & 1, (i >> 1) & 1, i >> 2), u_childGridSize, u_childSlicesPerRow);
+    vec4 a0 = texelFetch(u_previousLevelA0, texel, 0);
+    if (isnan(a0.w) || a0.w <= 0.0) continue;
+
+    vec3 childCom = a0.xyz / a0.w;
+    vec4 s1, s2;
+    centralSecond(texelFetch(u_previousLevelA1, texel, 0), texelFetch(u_previousLevelA2, texel, 0), childCom, a0.w, s1, s2);
+    vec4 t3, t4, t5;
+    thirdMomentShift(childCom - parentCom, a0.w, s1, s2, t3, t4, t5);
+
+    fragA3 += texelFetch(u_previousLevelA3, texel, 0) + t3;
+    fragA4 += texelFetch(u_previousLevelA4, texel, 0) + t4;
+    fragA5 += texelFetch(u_previousLevelA5, texel, 0) + t5;
+  }
+}
+`;
@@ -0,0 +1,32 @@
+// Parallel-axis shift for the octupole's central third moments, shared by the
+// pyramid reduction and the traversal. A3..A5 hold T_ijk = Σ m (x-c)_i (x-c)_j (x-c)_k
+// about the cell's own centre of mass c, in the order
+//   A3: xxx, yyy, zzz, xxy   A4: xxz, xyy, yyz, xzz   A5: yzz, xyz
+// A1/A2 stay raw second moments about the world origin (xx, yy, zz, xy / xz, yz).
+export default /* glsl */`
+// Central second moments S = R - m c c^T from the raw A1/A2
+void centralSecond(vec4 a1, vec4 a2, vec3 c, float m, out vec4 s1, out vec4 s2) {
+  s1 = a1 - m * vec4(c.x * c.x, c.y * c.y, c.z * c.z, c.x * c.y);
+  s2 = vec4(a2.r - m * c.x * c.z, a2.g - m * c.y * c.z, 0.0, 0.0);
+}
+
+// What moving the reference point from the centre of mass to c - d adds to the
+// third moments: d_i S_jk + d_j S_ik + d_k S_ij + m d_i d_j d_k
+void thirdMomentShift(vec3 d, float m, vec4 s1, vec4 s2, out vec4 t3, out vec4 t4, out vec4 t5) {
+  float sxx = s1.r, syy = s1.g, szz = s1.b, sxy = s1.a, sxz = s2.r, syz = s2.g;
+  t3 = vec4(
+    3.0 * d.x * sxx + m * d.x * d.x * d.x,
+    3.0 * d.y * syy + m * d.y * d.y * d.y,
+    3.0 * d.z * szz + m * d.z * d.z * d.z,
+    2.0 * d.x * sxy + d.y * sxx + m * d.x * d.x * d.y);
+  t4 = vec4(
+    2.0 * d.x * sxz + d.z * sxx + m * d.x * d.x * d.z,
+    d.x * syy + 2.0 * d.y * sxy + m * d.x * d.y * d.y,
+    2.0 * d.y * syz + d.z * syy + m * d.y * d.y * d.z,
+    d.x * szz + 2.0 * d.z * sxz + m * d.x * d.z * d.z);
+  t5 = vec4(
+    d.y * szz + 2.0 * d.z * syz + m * d.y * d.z * d.z,
+    d.x * syz + d.y * sxz + d.z * sxy + m * d.x * d.y * d.z,
+    0.0, 0.0);
+}
+`;
@@ -1,41 +1,56 @@
-export default /* glsl */`#version 300 es
+import { blockTimestepGLSL } from '../../core-shaders.js';
+import { ewaldGLSL } from '../ewald.js';
+import { worldBoundsGLSL } from '../k-bounds-reduce.js';
+import { shortRangeGLSL } from '../../short-range.js';
+
+/**
+ * Build the traversal shader for an octree of `levelCount` levels: one sampler
+ * per level and per-level uniform arrays sized to match. With `periodic` the
+ * world box is a periodic cube: neighbourhoods wrap, every node is taken at its
+ * nearest image and its farther images come from the Ewald table.
+ * With u_splitRadius > 0 only the short-range share of the TreePM split is
+ * summed (see shortRangeFactor), and nodes wholly beyond u_cutoffRadius are
+ * skipped before they are read.
+ * @param {number} levelCount
+ * @param {boolean} [periodic]
+ */
+export default function traversalFrag(levelCount, periodic = false) {
+  const maxL = Math.max(1, levelCount | 0);
+  const levels = Array.from({ length: maxL }, (_, i) => i);
+
+  return /* glsl */`#version 300 es
 precision highp float;
 
 // 3D isotropic octree traversal with Barnes-Hut
 
 uniform sampler2D u_particlePositions;
-uniform sampler2D u_quadtreeLevel0;
-uniform sampler2D u_quadtreeLevel1;
-uniform sampler2D u_quadtreeLevel2;
-uniform sampler2D u_quadtreeLevel3;
-uniform sampler2D u_quadtreeLevel4;
-uniform sampler2D u_quadtreeLevel5;
-uniform sampler2D u_quadtreeLevel6;
-uniform sampler2D u_quadtreeLevel7;
+uniform sampler2D u_velocity;         // bins in .w, read only when u_maxBin > 0
+uniform int u_maxBin;
+uniform int u_substep;
+${levels.map(i => `uniform sampler2D u_quadtreeLevel${i};`).join('\n')}
 uniform float u_theta;
+uniform int u_mac;                    // 0 = Barnes-Hut, 1 = Salmon-Warren (bmax), 2 = relative force
+uniform float u_macAlpha;             // relative-force tolerance
+uniform sampler2D u_accel;            // previous force, read only when u_mac == 2
 uniform int u_numLevels;
-uniform float u_cellSizes[8];
-uniform float u_gridSizes[8];         // voxel grid sizes per level
-uniform float u_slicesPerRow[8];      // slices per row per level
+uniform float u_gridSizes[${maxL}];         // voxel grid sizes per level
+uniform float u_slicesPerRow[${maxL}];      // slices per row per level
 uniform vec2 u_texSize;
 uniform int u_particleCount;
-uniform vec3 u_worldMin;
-uniform vec3 u_worldMax;
 uniform float u_softening;
 uniform float u_G;
+uniform float u_splitRadius;          // TreePM r_s; 0 = the full Newtonian pull
+uniform float u_cutoffRadius;         // nodes farther than this are skipped under a split
+${worldBoundsGLSL}
+// Octree box for this pass, read once at the top of main()
+vec3 worldMin;
+vec3 worldMax;
 
 out vec4 fragColor;
 
 vec4 sampleLevel(int level, ivec2 coord) {
-  if (level == 0) { return texelFetch(u_quadtreeLevel0, coord, 0); }
-  else if (level == 1) { return texelFetch(u_quadtreeLevel1, coord, 0); }
-  else if (level == 2) { return texelFetch(u_quadtreeLevel2, coord, 0); }
-  else if (level == 3) { return texelFetch(u_quadtreeLevel3, coord, 0); }
-  else if (level == 4) { return texelFetch(u_quadtreeLevel4, coord, 0); }
-  else if (level == 5) { return texelFetch(u_quadtreeLevel5, coord, 0); }
-  else if (level == 6) { return texelFetch(u_quadtreeLevel6, coord, 0); }
-  else if (level == 7) { return texelFetch(u_quadtreeLevel7, coord, 0); }
-  else { return vec4(0.0); }
+${levels.map(i => `  if (level == ${i}) { return texelFetch(u_quadtreeLevel${i}, coord, 0); }`).join('\n')}
+  return vec4(0.0);
 }
 
 // Convert 3D voxel coordinate to 2D texture coordinate
@@ -56,6 +71,44 @@ ivec2 voxelToTexel(ivec3 voxelCoord, float gridSize, float slicesPerRow) {
   return ivec2(texelX, texelY);
 }
 
+// Multipole acceptance: may the node of mass m and centre of mass com, in voxel
+// \`voxel\` of extent \`voxelExtent\`, stand in for its particles at distance d?
+bool acceptNode(vec3 myPos, vec3 com, float m, float d, float cellSize, ivec3 voxel, vec3 voxelExtent, float aOld) {
+  if (u_mac == 1) {
+    // Salmon-Warren: bmax is the distance from the centre of mass to the farthest corner,
+    // so lopsided cells are opened even when their size alone would pass
+    vec3 lo = worldMin + vec3(voxel) * voxelExtent;
+    vec3 far = max(abs(com - lo), abs(lo + voxelExtent - com));
+    return length(far) <= u_theta * d;
+  }
+  if (u_mac == 2 && aOld > 0.0) {
+    // Relative force (GADGET-2): the node's leading error, G·m·l²/d⁴, must stay below
+    // alpha·|a_old|. A particle inside or hugging the cell always opens it.
+    vec3 centre = worldMin + (vec3(voxel) + 0.5) * voxelExtent;
+    if (all(lessThan(abs(myPos - centre), 0.6 * voxelExtent))) return false;
+    float d2 = d * d;
+    return u_G * m * cellSize * cellSize <= u_macAlpha * aOld * d2 * d2;
+  }
+  // Barnes-Hut; also the relative criterion's fallback before any force is known
+  return cellSize / d <= u_theta;
+}
+
+${shortRangeGLSL}
+// Short-range share of a pull at distance d (see ../../short-range.js), 1 without a split
+float shortRangeFactor(float d) {
+  return u_splitRadius > 0.0 ? splitShortRange(d, u_splitRadius) : 1.0;
+}
+
+// Under a split, is every point of the voxel farther than the cutoff?
+bool beyondCutoff(vec3 myPos, ivec3 voxel, vec3 voxelExtent) {
+  if (u_splitRadius <= 0.0) return false;
+  vec3 lo = worldMin + vec3(voxel) * voxelExtent;
+  vec3 gap = max(max(lo - myPos, myPos - lo - voxelExtent), vec3(0.0));
+  return dot(gap, gap) > u_cutoffRadius * u_cutoffRadius;
+}
+
+${blockTimestepGLSL}
+${periodic ? ewaldGLSL : ''}
 void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
   int myIndex = coord.y * int(u_texSize.x) + coord.x;
@@ -64,6 +117,12 @@ void main() {
     return;
   }
 
+  // Particles whose bin is not kicked this substep need no force
+  if (u_maxBin > 0 && !blockActive(texelFetch(u_velocity, coord, 0).w, u_substep, u_maxBin)) {
+    fragColor = vec4(0.0);
+    return;
+  }
+
   vec2 myUV = (vec2(coord) + 0.5) / u_texSize;
   vec4 myData = texture(u_particlePositions, myUV);
   vec3 myPos = myData.xyz;
@@ -76,18 +135,48 @@ void main() {
   }
   
   vec3 totalForce = vec3(0.0);
+  float interactions = 0.0;
+
+  // Previous-frame acceleration for the relative criterion; zero means unknown
+  float aOld = u_mac == 2 ? length(texelFetch(u_accel, coord, 0).xyz) : 0.0;
 
-  vec3 worldExtent = u_worldMax - u_worldMin;
+  readWorldBounds(worldMin, worldMax);
+  vec3 worldExtent = worldMax - worldMin;
+  float maxExtent = max(worldExtent.x, max(worldExtent.y, worldExtent.z));
   float eps = max(u_softening, 1e-6);
 
+  // An escaper sees the box as one point mass: the sum of the coarsest level.
+  // Under a split the mesh pass gives it that whole pull instead
+  if (isEscaper(myPos, worldMin, worldMax)) {
+    if (u_splitRadius > 0.0) {
+      fragColor = vec4(0.0);
+      return;
+    }
+    int top = min(u_numLevels - 1, ${maxL - 1});
+    int topSize = int(u_gridSizes[top]);
+    vec4 moment = vec4(0.0);
+    for (int vz = 0; vz < topSize; vz++) {
+      for (int vy = 0; vy < topSize; vy++) {
+        for (int vx = 0; vx < topSize; vx++) {
+          vec4 node = sampleLevel(top, voxelToTexel(ivec3(vx, vy, vz), u_gridSizes[top], u_slicesPerRow[top]));
+          if (node.a > 0.0) moment += node;
+        }
+      }
+    }
+    fragColor = vec4(u_G * escaperForce(myPos, moment, eps), 1.0);
+    return;
+  }
+${periodic ? `  float boxSize = worldExtent.x;
+` : ''}
   // Traverse octree levels from coarsest to finest
-  for (int level = min(u_numLevels - 1, 7); level >= 0; level--) {
+  for (int level = min(u_numLevels - 1, ${maxL - 1}); level >= 0; level--) {
     float gridSize = u_gridSizes[level];
     float slicesPerRow = u_slicesPerRow[level];
-    float cellSize = u_cellSizes[level];
+    float cellSize = maxExtent / gridSize;  // World-space cell size
 
     // Special case: root level (1×1×1 voxel) - single cell containing all particles
     if (gridSize == 1.0) {
+      if (beyondCutoff(myPos, ivec3(0), worldExtent)) { continue; }
       vec4 root = sampleLevel(level, ivec2(0, 0));
       float massSum = root.a;
       
@@ -103,7 +192,7 @@ void main() {
       }
       
       com = com / max(massSum, 1e-6);
-      vec3 delta = com - myPos;
+      vec3 delta = ${periodic ? 'nearestImage(com - myPos, boxSize)' : 'com - myPos'};
       float d = length(delta);
       float s = cellSize;
       // Always use root-level approximation if any mass exists (no theta check needed for root)
@@ -113,13 +202,15 @@ void main() {
         float softSq = eps * eps;
         float denom = dSq + softSq;
         float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
-        totalForce += delta * massSum * inv;
+        totalForce += delta * massSum * inv * shortRangeFactor(d);
+${periodic ? `        totalForce += massSum * ewaldCorrection(delta / boxSize) / (boxSize * boxSize);
+` : ''}        interactions += 1.0;
       }
       continue;
     }
 
     // Find my voxel coordinate at this level
-    vec3 norm = (myPos - u_worldMin) / worldExtent;
+    vec3 norm = (myPos - worldMin) / worldExtent;
     norm = clamp(norm, vec3(0.0), vec3(1.0 - (1.0 / gridSize)));
     ivec3 myVoxel = ivec3(floor(norm * gridSize));
 
@@ -140,13 +231,20 @@ void main() {
       for (int vy = startDy; vy <= endDy; vy++) {
         for (int vx = startDx; vx <= endDx; vx++) {
           ivec3 neighborVoxel = isCoarsestLevel ? ivec3(vx, vy, vz) : (myVoxel + ivec3(vx, vy, vz));
-          
+${periodic ? `
+          // Wrap around the box. On a grid of 2 the offsets -1 and +1 land on the same voxel
+          if (gridSize < 3.0 && any(lessThan(ivec3(vx, vy, vz), ivec3(0)))) { continue; }
+          neighborVoxel -= int(gridSize) * ivec3(floor(vec3(neighborVoxel) / gridSize));
+` : `
           // Bounds check
           if (neighborVoxel.x < 0 || neighborVoxel.y < 0 || neighborVoxel.z < 0 ||
               neighborVoxel.x >= int(gridSize) || neighborVoxel.y >= int(gridSize) || neighborVoxel.z >= int(gridSize)) {
             continue;
           }
-          
+`}
+          // The cutoff prunes whole subtrees here, before their node is even read
+          if (beyondCutoff(myPos, neighborVoxel, worldExtent / gridSize)) { continue; }
+
           ivec2 texCoord = voxelToTexel(neighborVoxel, gridSize, slicesPerRow);
           vec4 nodeData = sampleLevel(level, texCoord);
           float m = nodeData.a;
@@ -159,13 +257,16 @@ void main() {
           
           // Sub-voxel COM for smoother force field
           vec3 com = nodeData.rgb / max(m, 1e-6);
-          vec3 delta = com - myPos;
-          float d = length(delta);
+${periodic ? `          vec3 delta = nearestImage(com - myPos, boxSize);
+          // The acceptance test sees the node where its nearest image sits
+          ivec3 imageVoxel = neighborVoxel + int(gridSize) * ivec3(round((myPos + delta - com) / boxSize));
+` : `          vec3 delta = com - myPos;
+`}          float d = length(delta);
           float s = cellSize;
           
           // If the node is too close to approximate, we must go to a finer level.
           // The force from this node's children will be accounted for at the next level down.
-          if ((s / max(d, eps)) > u_theta) {
+          if (!acceptNode(myPos, ${periodic ? 'myPos + delta' : 'com'}, m, max(d, eps), s, ${periodic ? 'imageVoxel' : 'neighborVoxel'}, worldExtent / gridSize, aOld)) {
             continue;
           }
           
@@ -173,7 +274,7 @@ void main() {
           // that are also accepted. We subtract the mass of already-visited children.
           // This is a simple form of the MAC, but here we just skip the parent.
           if (level > 0) {
-            ivec3 childVoxel = ivec3(floor(((com - u_worldMin) / worldExtent) * u_gridSizes[level-1]));
+            ivec3 childVoxel = ivec3(floor(((com - worldMin) / worldExtent) * u_gridSizes[level-1]));
             if (all(equal(childVoxel / 2, myVoxel / 2))) {
                // This node is a sibling of my own parent, skip it as it will be handled at a finer level.
                continue;
@@ -184,7 +285,9 @@ void main() {
           float softSq = eps * eps;
           float denom = dSq + softSq;
           float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
-          totalForce += delta * m * inv;
+          totalForce += delta * m * inv * shortRangeFactor(d);
+${periodic ? `          totalForce += m * ewaldCorrection(delta / boxSize) / (boxSize * boxSize);
+` : ''}          interactions += 1.0;
         }
       }
     }
@@ -196,7 +299,7 @@ void main() {
   {
     float gridSize = u_gridSizes[0];
     float slicesPerRow = u_slicesPerRow[0];
-    vec3 norm = (myPos - u_worldMin) / worldExtent;
+    vec3 norm = (myPos - worldMin) / worldExtent;
     norm = clamp(norm, vec3(0.0), vec3(1.0 - (1.0 / gridSize)));
     ivec3 myL0Voxel = ivec3(floor(norm * gridSize));
     
@@ -205,12 +308,17 @@ void main() {
       for (int dy = -R0; dy <= R0; dy++) {
         for (int dx = -R0; dx <= R0; dx++) {
           ivec3 neighborVoxel = myL0Voxel + ivec3(dx, dy, dz);
-          
+${periodic ? `
+          if (gridSize < 3.0 && any(lessThan(ivec3(dx, dy, dz), ivec3(0)))) { continue; }
+          neighborVoxel -= int(gridSize) * ivec3(floor(vec3(neighborVoxel) / gridSize));
+` : `
           if (neighborVoxel.x < 0 || neighborVoxel.y < 0 || neighborVoxel.z < 0 ||
               neighborVoxel.x >= int(gridSize) || neighborVoxel.y >= int(gridSize) || neighborVoxel.z >= int(gridSize)) {
             continue;
           }
-          
+`}
+          if (beyondCutoff(myPos, neighborVoxel, worldExtent / gridSize)) { continue; }
+
           ivec2 texCoord = voxelToTexel(neighborVoxel, gridSize, slicesPerRow);
           vec4 nodeData = sampleLevel(0, texCoord); // Always sample L0 for near field
           float m = nodeData.a;
@@ -222,7 +330,7 @@ void main() {
           if (isnan(nodeData.x) || isnan(nodeData.y) || isnan(nodeData.z)) { continue; }
 
           vec3 com = nodeData.rgb / max(m, 1e-6);
-          vec3 delta = com - myPos;
+          vec3 delta = ${periodic ? 'nearestImage(com - myPos, boxSize)' : 'com - myPos'};
           float d = length(delta);
 
           // No theta check for near-field, always compute force directly.
@@ -230,13 +338,16 @@ void main() {
           float softSq = eps * eps;
           float denom = dSq + softSq;
           float inv = 1.0 / (denom * sqrt(denom));
-          totalForce += delta * m * inv;
+          totalForce += delta * m * inv * shortRangeFactor(d);
+${periodic ? `          totalForce += m * ewaldCorrection(delta / boxSize) / (boxSize * boxSize);
+` : ''}          interactions += 1.0;
         }
       }
     }
   }
 
-  float hasForce = length(totalForce) > 0.0 ? 1.0 : 0.0;
-  fragColor = vec4(u_G * totalForce, hasForce);
+  // .w counts the node-particle terms summed: the traversal's cost for this particle
+  fragColor = vec4(u_G * totalForce, interactions);
 }
 `;
+}
@@ -0,0 +1,158 @@
+// @ts-check
+
+/**
+ * Wall boundaries: reflect, clamp and absorb in the drift kernels, and the
+ * facade keeping particles in the box and reusing absorbed slots.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, createTestTexture, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KIntegrateEuler } from './k-integrate-euler.js';
+import { KIntegratePosition } from './k-integrate-position.js';
+
+const BOX = /** @type {{ min: [number, number, number], max: [number, number, number] }} */ ({
+  min: [-4, -4, -4],
+  max: [4, 4, 4]
+});
+
+// Particle 0 crosses +x by 0.1 in one 0.2 drift; particle 1 stays inside
+const POSITIONS = [3.9, 0, 0, 1, 0, 0, 0, 1];
+const VELOCITIES = [1, 0.5, 0, 2, 0, 0, 0, 3];
+
+test('KIntegratePosition walls: reflect bounces with restitution, clamp stops on the face, absorb frees the slot', async () => {
+  const gl = getGL();
+
+  for (const boundary of /** @type {const} */ (['reflect', 'clamp', 'absorb'])) {
+    const kernel = new KIntegratePosition({
+      gl,
+      inPosition: createTestTexture(gl, 2, 1, new Float32Array(POSITIONS)),
+      inVelocity: createTestTexture(gl, 2, 1, new Float32Array(VELOCITIES)),
+      width: 2,
+      height: 1,
+      dt: 0.2,
+      boundary,
+      worldBounds: BOX,
+      restitution: 0.5
+    });
+    assert.strictEqual(kernel.outVelocity !== null, boundary !== 'absorb', `${boundary}: velocity output only when walls redirect`);
+    kernel.run();
+
+    const pos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 1);
+    const vel = kernel.outVelocity && readTexture(gl, kernel.outVelocity, 2, 1);
+
+    if (boundary === 'reflect') {
+      assertClose(pos[0], 3.95, 1e-5, 'reflect: overshoot folded back at half length');
+      assert.ok(vel);
+      assertClose(vel[0], -0.5, 1e-6, 'reflect: normal velocity reversed and halved');
+      assertClose(vel[1], 0.5, 1e-6, 'reflect: tangential velocity kept');
+      assertClose(vel[3], 2, 0, 'reflect: velocity.w kept');
+    } else if (boundary === 'clamp') {
+      assertClose(pos[0], 4, 1e-6, 'clamp: parked on the face');
+      assert.ok(vel);
+      assertClose(vel[0], 0, 0, 'clamp: outward velocity removed');
+      assertClose(vel[1], 0.5, 1e-6, 'clamp: slides along the face');
+    } else {
+      assertClose(pos[3], 0, 0, 'absorb: mass zeroed');
+    }
+    if (boundary !== 'absorb') assertClose(pos[3], 1, 0, `${boundary}: mass kept`);
+    assertClose(pos[4], 0, 1e-6, `${boundary}: particle inside is untouched`);
+    assertClose(pos[7], 1, 0, `${boundary}: particle inside keeps its mass`);
+
+    kernel.dispose();
+  }
+
+  const missing = new KIntegratePosition({ gl, width: 1, height: 1, boundary: 'reflect', worldBounds: BOX, outVelocity: null });
+  assert.throws(() => missing.run(), /needs outVelocity/);
+  missing.dispose();
+
+  resetGL();
+});
+
+test('KIntegrateEuler reflect: the kicked and drifted particle bounces off the wall', async () => {
+  const gl = getGL();
+
+  const kernel = new KIntegrateEuler({
+    gl,
+    inPosition: createTestTexture(gl, 2, 1, new Float32Array(POSITIONS)),
+    inVelocity: createTestTexture(gl, 2, 1, new Float32Array(VELOCITIES)),
+    inForce: createTestTexture(gl, 2, 1, new Float32Array(8)),
+    width: 2,
+    height: 1,
+    dt: 0.2,
+    boundary: 'reflect',
+    worldBounds: BOX
+  });
+  kernel.run();
+
+  const pos = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPosition), 2, 1);
+  const vel = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outVelocity), 2, 1);
+  assertClose(pos[0], 3.9, 1e-5, 'elastic mirror of the overshoot');
+  assertClose(vel[0], -1, 1e-6, 'elastic bounce');
+
+  kernel.dispose();
+  resetGL();
+});
+
+test('wall boundaries: a reflected pair stays in the box, absorbed slots are reused', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  for (const integrator of /** @type {const} */ (['euler', 'leapfrog-kdk', 'rk4'])) {
+    const ps = particleSystem({
+      gl,
+      method: 'monopole',
+      integrator,
+      particles: [
+        { x: 3.5, vx: 2, mass: 1 },
+        { x: -3.5, vx: -2, mass: 1 }
+      ],
+      gravityStrength: 0,
+      maxSpeed: 10,
+      dt: 0.1,
+      boundary: 'reflect',
+      worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] }
+    });
+
+    // 120 frames cover the bounds refit interval: the walls must not follow the octree box
+    for (let i = 0; i < 120; i++) ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const pos = readTexture(gl, ps.getPositionTexture(), width, height);
+    for (const x of [pos[0], pos[4]])
+      assert.ok(x >= -4 && x <= 4, `${integrator}: particle left the box at x = ${x}`);
+
+    ps.dispose();
+  }
+
+  const ps = particleSystem({
+    gl,
+    method: 'quadrupole',
+    particles: [
+      { x: 3.9, vx: 3, mass: 1 },
+      { x: 0, mass: 1 }
+    ],
+    gravityStrength: 0,
+    maxSpeed: 10,
+    dt: 0.1,
+    boundary: 'absorb',
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] }
+  });
+  ps.compute();
+
+  assert.deepStrictEqual(ps.addParticles([{ x: 1, mass: 2 }]), [0], 'the absorbed slot is taken first');
+  assert.strictEqual(ps.particleCount, 2);
+  ps.dispose();
+
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'mesh', boundary: 'reflect' }),
+    /only supported by the tree methods/);
+  assert.throws(
+    () => particleSystem({ gl, particles: [{ mass: 1 }], method: 'monopole', boundary: 'reflect', restitution: 1.5 }),
+    /restitution/);
+
+  canvas.remove();
+});
@@ -0,0 +1,308 @@
+// @ts-check
+
+/**
+ * Particle texture readback: synchronous full reads, and a double-buffered
+ * asynchronous path built on pixel pack buffers plus fence sync objects.
+ */
+
+/**
+ * Synchronously read both particle textures in full through a throwaway framebuffer.
+ * @param {{
+ *   gl: WebGL2RenderingContext,
+ *   positionMassTexture: WebGLTexture | null,
+ *   velocityColorTexture: WebGLTexture | null,
+ *   textureWidth: number,
+ *   textureHeight: number
+ * }} _
+ */
+export function readParticleTextures({ gl, positionMassTexture, velocityColorTexture, textureWidth, textureHeight }) {
+  if (!positionMassTexture || !velocityColorTexture) {
+    throw new Error('System is missing position or velocity textures');
+  }
+
+  const totalTexels = textureWidth * textureHeight;
+
+  const positionData = new Float32Array(totalTexels * 4);
+  const velocityData = new Float32Array(totalTexels * 4);
+
+  const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+  const tempFramebuffer = gl.createFramebuffer();
+  if (!tempFramebuffer) {
+    throw new Error('Failed to allocate framebuffer for unload');
+  }
+
+  try {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, tempFramebuffer);
+
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, positionMassTexture, 0);
+    gl.readPixels(0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positionData);
+
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, velocityColorTexture, 0);
+    gl.readPixels(0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocityData);
+  } finally {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+    gl.deleteFramebuffer(tempFramebuffer);
+  }
+
+  return { positionData, velocityData };
+}
+
+/**
+ * Split raw RGBA texel data into compact per-particle arrays.
+ * @param {Float32Array} positionData RGBA (x, y, z, mass) per texel
+ * @param {Float32Array} velocityData RGBA (vx, vy, vz, w) per texel
+ * @param {number} count
+ */
+export function packParticleData(positionData, velocityData, count) {
+  const positions = new Float32Array(count * 3);
+  const velocities = new Float32Array(count * 3);
+  const masses = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const src = i * 4;
+    const dst = i * 3;
+
+    positions[dst + 0] = positionData[src + 0];
+    positions[dst + 1] = positionData[src + 1];
+    positions[dst + 2] = positionData[src + 2];
+    masses[i] = positionData[src + 3];
+
+    velocities[dst + 0] = velocityData[src + 0];
+    velocities[dst + 1] = velocityData[src + 1];
+    velocities[dst + 2] = velocityData[src + 2];
+  }
+
+  return { positions, velocities, masses };
+}
+
+/**
+ * Non-stalling readback of the particle textures.
+ *
+ * Each request issues `readPixels` into a pair of PIXEL_PACK_BUFFERs, drops a
+ * fence and polls it with a zero timeout; the CPU copy happens only once the
+ * GPU has signalled. Two buffer slots alternate so a new request can be issued
+ * while the previous one is still in flight. Requests beyond that queue for the
+ * next free slot, then sample whatever textures are current at that moment.
+ */
+export class ParticleReadback {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   textureWidth: number,
+   *   textureHeight: number,
+   *   pollInterval?: number
+   * }} options
+   */
+  constructor({ gl, textureWidth, textureHeight, pollInterval = 4 }) {
+    this.gl = gl;
+    this.textureWidth = textureWidth;
+    this.textureHeight = textureHeight;
+    this.pollInterval = pollInterval;
+
+    const byteLength = textureWidth * textureHeight * 4 * 4;
+
+    /**
+     * @typedef {{
+     *   getSource: Parameters<ParticleReadback['read']>[0],
+     *   resolve: (data: ReturnType<typeof packParticleData>) => void,
+     *   reject: (error: Error) => void
+     * }} ReadbackRequest
+     */
+
+    /** @type {{ positionBuffer: WebGLBuffer, velocityBuffer: WebGLBuffer, request: ReadbackRequest | null, sync: WebGLSync | null, particleCount: number }[]} */
+    this.slots = [];
+    for (let i = 0; i < 2; i++) {
+      this.slots.push({
+        positionBuffer: createPackBuffer(gl, byteLength),
+        velocityBuffer: createPackBuffer(gl, byteLength),
+        request: null,
+        sync: null,
+        particleCount: 0
+      });
+    }
+
+    /** @type {ReadbackRequest[]} */
+    this.queue = [];
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.pollTimer = null;
+
+    this.framebuffer = gl.createFramebuffer();
+    if (!this.framebuffer) throw new Error('Failed to allocate framebuffer for async unload');
+
+    this.disposed = false;
+  }
+
+  /**
+   * Queue an asynchronous read of the particle textures.
+   * @param {() => {
+   *   positionMassTexture: WebGLTexture | null,
+   *   velocityColorTexture: WebGLTexture | null,
+   *   particleCount: number
+   * }} getSource Resolved when the read is issued, so ping-pong swaps made while waiting for a slot are honoured
+   * @returns {Promise<{ positions: Float32Array, velocities: Float32Array, masses: Float32Array }>}
+   */
+  read(getSource) {
+    if (this.disposed) return Promise.reject(new Error('ParticleReadback has been disposed'));
+
+    const result = new Promise((resolve, reject) => {
+      this.queue.push({ getSource, resolve, reject });
+    });
+    this._issue();
+    this._poll();
+    return result;
+  }
+
+  /**
+   * Settle every outstanding request now, for a caller about to replace or
+   * re-layout the textures. In-flight copies are taken without waiting for
+   * their fence, so getBufferSubData stalls until the GPU is done, and queued
+   * requests are issued against the current textures and copied in turn.
+   */
+  flush() {
+    while (!this.disposed) {
+      this._issue();
+      const busy = this.slots.filter(slot => slot.request);
+      if (!busy.length) return;
+      for (const slot of busy) this._complete(slot);
+    }
+  }
+
+  // Move queued requests into free slots
+  _issue() {
+    for (const slot of this.slots) {
+      while (!this.disposed && !slot.request && this.queue.length) {
+        this._readIntoSlot(slot, /** @type {ReadbackRequest} */ (this.queue.shift()));
+      }
+    }
+  }
+
+  /**
+   * @param {ParticleReadback['slots'][number]} slot
+   * @param {ReadbackRequest} request
+   */
+  _readIntoSlot(slot, request) {
+    const { positionMassTexture, velocityColorTexture, particleCount } = request.getSource();
+    if (!positionMassTexture || !velocityColorTexture) {
+      request.reject(new Error('System is missing position or velocity textures'));
+      return;
+    }
+
+    const gl = this.gl;
+    const width = this.textureWidth;
+    const height = this.textureHeight;
+
+    const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const previousPackBuffer = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, positionMassTexture, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, slot.positionBuffer);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, 0);
+
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, velocityColorTexture, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, slot.velocityBuffer);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, 0);
+
+    // Detach so the ping-pong textures are never left bound to a foreign FBO
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, null, 0);
+
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, previousPackBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    if (!sync) {
+      request.reject(new Error('Failed to create fence for async unload'));
+      return;
+    }
+    gl.flush();
+
+    slot.request = request;
+    slot.sync = sync;
+    slot.particleCount = particleCount;
+  }
+
+  // Copy out every slot whose fence has signalled, refill the slots, and come back while any are busy
+  _poll() {
+    if (this.disposed || this.pollTimer) return;
+
+    const gl = this.gl;
+    for (const slot of this.slots) {
+      if (!slot.sync) continue;
+      const status = gl.clientWaitSync(slot.sync, 0, 0);
+      if (status === gl.TIMEOUT_EXPIRED) continue;
+      if (status === gl.WAIT_FAILED) this._release(slot).reject(new Error('Fence wait failed during async unload'));
+      else this._complete(slot);
+    }
+    this._issue();
+
+    if (this.slots.some(slot => slot.request)) {
+      this.pollTimer = setTimeout(() => {
+        this.pollTimer = null;
+        this._poll();
+      }, this.pollInterval);
+    }
+  }
+
+  /** @param {ParticleReadback['slots'][number]} slot */
+  _complete(slot) {
+    const gl = this.gl;
+    const totalTexels = this.textureWidth * this.textureHeight;
+    const positionData = new Float32Array(totalTexels * 4);
+    const velocityData = new Float32Array(totalTexels * 4);
+
+    const previous = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, slot.positionBuffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, positionData);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, slot.velocityBuffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, velocityData);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, previous);
+
+    const particleCount = slot.particleCount;
+    this._release(slot).resolve(packParticleData(positionData, velocityData, particleCount));
+  }
+
+  /**
+   * Free the slot and hand back the request it held
+   * @param {ParticleReadback['slots'][number]} slot
+   */
+  _release(slot) {
+    const request = /** @type {ReadbackRequest} */ (slot.request);
+    if (slot.sync) this.gl.deleteSync(slot.sync);
+    slot.request = null;
+    slot.sync = null;
+    return request;
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    const gl = this.gl;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    for (const slot of this.slots) {
+      if (slot.request) this._release(slot).reject(new Error('ParticleReadback disposed before readback completed'));
+      gl.deleteBuffer(slot.positionBuffer);
+      gl.deleteBuffer(slot.velocityBuffer);
+    }
+    for (const request of this.queue) request.reject(new Error('ParticleReadback disposed before readback completed'));
+    this.queue = [];
+    this.slots = [];
+    if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+    this.framebuffer = null;
+  }
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} byteLength
+ */
+function createPackBuffer(gl, byteLength) {
+  const buffer = gl.createBuffer();
+  if (!buffer) throw new Error('Failed to create pixel pack buffer');
+  gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+  gl.bufferData(gl.PIXEL_PACK_BUFFER, byteLength, gl.STREAM_READ);
+  gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+  return buffer;
+}
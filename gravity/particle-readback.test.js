@@ -0,0 +1,100 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, createTestTexture, resetGL } from './test-utils.js';
+import { ParticleReadback, readParticleTextures, packParticleData } from './particle-readback.js';
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} offset
+ */
+function fillTexels(width, height, offset) {
+  const data = new Float32Array(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = offset + i * 0.5;
+  return data;
+}
+
+test('particle-readback: async read matches synchronous read', async () => {
+  const gl = getGL();
+  const width = 4, height = 3, count = 10;
+
+  const positionMassTexture = createTestTexture(gl, width, height, fillTexels(width, height, 1));
+  const velocityColorTexture = createTestTexture(gl, width, height, fillTexels(width, height, -7));
+
+  const { positionData, velocityData } = readParticleTextures({ gl, positionMassTexture, velocityColorTexture, textureWidth: width, textureHeight: height });
+  const expected = packParticleData(positionData, velocityData, count);
+
+  const readback = new ParticleReadback({ gl, textureWidth: width, textureHeight: height });
+  const actual = await readback.read(() => ({ positionMassTexture, velocityColorTexture, particleCount: count }));
+
+  assert.deepStrictEqual(Array.from(actual.positions), Array.from(expected.positions));
+  assert.deepStrictEqual(Array.from(actual.velocities), Array.from(expected.velocities));
+  assert.deepStrictEqual(Array.from(actual.masses), Array.from(expected.masses));
+  assert.strictEqual(actual.masses.length, count);
+
+  readback.dispose();
+  gl.deleteTexture(positionMassTexture);
+  gl.deleteTexture(velocityColorTexture);
+  resetGL();
+});
+
+test('particle-readback: overlapping requests each resolve with their own snapshot', async () => {
+  const gl = getGL();
+  const width = 2, height = 2, count = 4;
+
+  const first = createTestTexture(gl, width, height, fillTexels(width, height, 0));
+  const second = createTestTexture(gl, width, height, fillTexels(width, height, 100));
+  const velocity = createTestTexture(gl, width, height, fillTexels(width, height, 0));
+
+  const readback = new ParticleReadback({ gl, textureWidth: width, textureHeight: height });
+
+  // Three requests over two slots: the third queues behind the first
+  const a = readback.read(() => ({ positionMassTexture: first, velocityColorTexture: velocity, particleCount: count }));
+  const b = readback.read(() => ({ positionMassTexture: second, velocityColorTexture: velocity, particleCount: count }));
+  const c = readback.read(() => ({ positionMassTexture: second, velocityColorTexture: velocity, particleCount: count }));
+
+  const [ra, rb, rc] = await Promise.all([a, b, c]);
+  assert.strictEqual(ra.positions[0], 0);
+  assert.strictEqual(rb.positions[0], 100);
+  assert.strictEqual(rc.positions[0], 100);
+
+  readback.dispose();
+  await assert.rejects(
+    readback.read(() => ({ positionMassTexture: first, velocityColorTexture: velocity, particleCount: count })),
+    /disposed/);
+
+  gl.deleteTexture(first);
+  gl.deleteTexture(second);
+  gl.deleteTexture(velocity);
+  resetGL();
+});
+
+test('particle-readback: flush settles in-flight and queued requests at once', async () => {
+  const gl = getGL();
+  const width = 2, height = 2, count = 4;
+
+  const first = createTestTexture(gl, width, height, fillTexels(width, height, 0));
+  const second = createTestTexture(gl, width, height, fillTexels(width, height, 100));
+  const velocity = createTestTexture(gl, width, height, fillTexels(width, height, 0));
+
+  const readback = new ParticleReadback({ gl, textureWidth: width, textureHeight: height });
+
+  let current = first;
+  const source = () => ({ positionMassTexture: current, velocityColorTexture: velocity, particleCount: count });
+  const requests = [readback.read(source), readback.read(source), readback.read(source)];
+
+  // Everything is copied before the source changes, including the request still waiting for a slot
+  readback.flush();
+  current = second;
+  for (const result of await Promise.all(requests)) assert.strictEqual(result.positions[0], 0);
+  assert.strictEqual((await readback.read(source)).positions[0], 100);
+
+  readback.dispose();
+  gl.deleteTexture(first);
+  gl.deleteTexture(second);
+  gl.deleteTexture(velocity);
+  resetGL();
+});
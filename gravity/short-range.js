@@ -0,0 +1,68 @@
+// @ts-check
+
+/**
+ * The short-range half of a Gaussian force split, shared by TreePM
+ * (multipole/k-traversal.js under spectral/gravity-spectral.js) and P3M
+ * (mesh/k-short-range.js under mesh/gravity-mesh.js).
+ *
+ * The mesh keeps exp(-k²r_s²) of the potential spectrum. What it leaves out of
+ * a point mass's pull at distance r is the Newtonian pull times
+ *
+ *   g(r) = erfc(r/2r_s) + r/(r_s√π)·exp(-r²/4r_s²)
+ *
+ * which falls from 1 at r = 0 to under 2% at 4.5·r_s. The particle or node
+ * sums stop at a cutoff radius there. KPoisson's Gaussian low-pass is
+ * exp(-½k²σ²), so the mesh side of the split takes σ = √2·r_s.
+ *
+ * Defaults follow GADGET-2: r_s = 1.25 mesh cells (ASMTH), cutoff 4.5·r_s (RCUT).
+ */
+
+/** Default split scale, in mesh cells */
+export const SPLIT_CELLS = 1.25;
+
+/** Default cutoff, in split scales */
+export const CUTOFF_SPLITS = 4.5;
+
+/**
+ * Validate the split options and fill in the defaults.
+ * @param {string} engineName - prefix for error messages
+ * @param {{ splitRadius?: number, cutoffRadius?: number }} options
+ * @param {number} cellSize - the mesh's largest cell side
+ * @param {string} [optionPath] - where the options sit in the engine's own, e.g. 'treePM.'
+ */
+export function resolveSplit(engineName, { splitRadius, cutoffRadius }, cellSize, optionPath = '') {
+  const split = splitRadius !== undefined ? splitRadius : SPLIT_CELLS * cellSize;
+  if (!(split > 0))
+    throw new Error(`${engineName}: ${optionPath}splitRadius must be positive, got ${split}`);
+  const cutoff = cutoffRadius !== undefined ? cutoffRadius : CUTOFF_SPLITS * split;
+  if (!(cutoff > 0))
+    throw new Error(`${engineName}: ${optionPath}cutoffRadius must be positive, got ${cutoff}`);
+  return { splitRadius: split, cutoffRadius: cutoff };
+}
+
+/**
+ * g(r) on the CPU, with the same erfc as the shaders
+ * @param {number} r
+ * @param {number} splitRadius
+ */
+export function shortRangeFactor(r, splitRadius) {
+  const u = r / (2 * splitRadius);
+  const t = 1 / (1 + 0.3275911 * u);
+  const gauss = Math.exp(-u * u);
+  const erfcU = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * gauss;
+  return erfcU + 2 / Math.sqrt(Math.PI) * u * gauss;
+}
+
+/**
+ * GLSL for g(r): `float splitShortRange(float d, float splitRadius)`.
+ * erfc by Abramowitz & Stegun 7.1.26, good to 1.5e-7.
+ */
+export const shortRangeGLSL = /* glsl */`
+float splitShortRange(float d, float splitRadius) {
+  float u = d / (2.0 * splitRadius);
+  float t = 1.0 / (1.0 + 0.3275911 * u);
+  float gauss = exp(-u * u);
+  float erfcU = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * gauss;
+  return erfcU + 1.1283791671 * u * gauss;
+}
+`;
@@ -0,0 +1,29 @@
+// @ts-check
+
+/**
+ * The short-range split factor against tabulated erfc values, and its defaults.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { resolveSplit, shortRangeFactor } from './short-range.js';
+import { assertClose } from './test-utils.js';
+
+test('shortRangeFactor: erfc(u) + 2u/√π·exp(-u²) at u = r/2r_s', () => {
+  assertClose(shortRangeFactor(0, 1), 1, 1e-6, 'Whole pull at r = 0');
+  // erfc(0.5) = 0.4795001, erfc(1) = 0.1572992, erfc(2.25) = 0.0014627
+  assertClose(shortRangeFactor(1, 1), 0.4795001 + 0.5641896 * Math.exp(-0.25), 1e-6, 'u = 0.5');
+  assertClose(shortRangeFactor(1, 0.5), 0.1572992 + 1.1283792 * Math.exp(-1), 1e-6, 'u = 1, r_s = 0.5');
+  assertClose(shortRangeFactor(4.5, 1), 0.0014627 + 1.1283792 * 2.25 * Math.exp(-5.0625), 1e-6, 'At the default cutoff');
+  assert.ok(shortRangeFactor(4.5, 1) < 0.02, 'Under 2% at 4.5·r_s');
+});
+
+test('resolveSplit: defaults in mesh cells and split radii', () => {
+  assert.deepStrictEqual(resolveSplit('GravityMesh', {}, 0.5), { splitRadius: 0.625, cutoffRadius: 2.8125 });
+  assert.deepStrictEqual(resolveSplit('GravityMesh', { splitRadius: 1 }, 0.5), { splitRadius: 1, cutoffRadius: 4.5 });
+  assert.deepStrictEqual(resolveSplit('GravityMesh', { cutoffRadius: 3 }, 0.5), { splitRadius: 0.625, cutoffRadius: 3 });
+  assert.throws(() => resolveSplit('GravityMesh', { splitRadius: 0 }, 0.5), /GravityMesh: splitRadius must be positive, got 0/);
+  assert.throws(() => resolveSplit('GravityMesh', { cutoffRadius: -1 }, 0.5), /GravityMesh: cutoffRadius must be positive, got -1/);
+  assert.throws(() => resolveSplit('GravitySpectral', { splitRadius: -1 }, 0.5, 'treePM.'), /GravitySpectral: treePM.splitRadius must be positive, got -1/);
+});
@@ -13,14 +13,33 @@
  * 4. Compute gradient (KGradient)
  * 5. Inverse FFT (KFFT inverse, 3 axes)
  * 6. Sample forces at particles (KForceSample)
+ *
+ * With gridBoundary 'isolated' the grid is doubled per axis over a fixed,
+ * doubled box and KPoisson convolves with a free-space Green's function
+ * instead of the periodic -4πG/k² (see ../isolated-green.js).
+ *
+ * With treePM the mesh keeps only the long-range part of a Gaussian split,
+ * exp(-k²r_s²) of the spectrum, and a monopole octree walk (KAggregatorMonopole,
+ * KPyramidBuild, KTraversal) sums the short-range rest particle by particle,
+ * out to a cutoff radius. The walk writes the force texture first and
+ * KForceSample adds the mesh force onto it.
  */
 
-import { KBoundsReduce } from '../multipole/k-bounds-reduce.js';
+import { KAggregatorMonopole } from '../multipole/k-aggregator-monopole.js';
+import { KBoundsReduce, resolvePercentile } from '../multipole/k-bounds-reduce.js';
 import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
+import { KPyramidBuild } from '../multipole/k-pyramid-build.js';
+import { KTraversal, TRAVERSAL_FIXED_UNITS } from '../multipole/k-traversal.js';
+import { INTEGRATORS, createIntegrator } from '../multipole/integrators.js';
+import { AdaptiveTimestep } from '../multipole/adaptive-timestep.js';
+import { resolveOctree } from '../multipole/octree-config.js';
+import { createIsolatedGreenTexture, isolatedGridBounds, resolveGridBoundary } from '../isolated-green.js';
+import { resolveSplit } from '../short-range.js';
 import { KDeposit } from './k-deposit.js';
 import { KFFT } from './k-fft.js';
 import { KForceSample } from './k-force-sample.js';
 import { KGradient } from './k-gradient.js';
+import { formatGridSize, gridTextureLayout, resolveGridSize } from './grid-layout.js';
 import { KPoisson } from './k-poisson.js';
 
 export class GravitySpectral {
@@ -39,8 +58,18 @@ export class GravitySpectral {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
-   *   gridSize?: number,
-   *   assignment?: 'NGP'|'CIC'
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
+   *   assignment?: 'NGP'|'CIC'|'TSC',
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'velocity-verlet' | 'yoshida4' | 'rk4',
+   *   adaptiveTimestep?: import('../multipole/adaptive-timestep.js').AdaptiveTimestepOptions,
+   *   boundsPercentile?: number,
+   *   gridBoundary?: import('../isolated-green.js').GridBoundaryName,
+   *   treePM?: {
+   *     splitRadius?: number,
+   *     cutoffRadius?: number,
+   *     theta?: number,
+   *     octree?: import('../multipole/octree-config.js').OctreeOptions
+   *   }
    * }} options
    */
   constructor({
@@ -58,7 +87,12 @@ export class GravitySpectral {
     maxSpeed,
     maxAccel,
     gridSize,
-    assignment
+    assignment,
+    integrator,
+    adaptiveTimestep,
+    boundsPercentile,
+    gridBoundary,
+    treePM
   }) {
     this.gl = gl;
 
@@ -85,30 +119,40 @@ export class GravitySpectral {
     // In the texture-first model, bounds should ideally be provided or computed on GPU.
     // For now, we'll use a default if not provided.
     this.worldBounds = worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
-    this.dt = dt || 1 / 60;
-    this.gravityStrength = gravityStrength || 0.0003;
-    this.softening = softening || 0.2;
-    this.damping = damping || 0.0;
-    this.maxSpeed = maxSpeed || 2.0;
-    this.maxAccel = maxAccel || 1.0;
-    this.gridSize = gridSize || 64;
+    this.dt = dt !== undefined ? dt : 1 / 60;
+    this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
+    this.softening = softening !== undefined ? softening : 0.2;
+    this.damping = damping !== undefined ? damping : 0.0;
+    this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
+    this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
     this.assignment = assignment || 'CIC';
+    // Outlier-robust PM box: the tails beyond this fraction per face become escapers
+    this.boundsPercentile = resolvePercentile('GravitySpectral', boundsPercentile);
+
+    // Isolated boundaries run gridSize cells over worldBounds inside a grid twice that
+    // size, and keep the box fixed: the Green's function is tabulated for it once.
+    // Per-axis sizes keep thin systems from wasting cells: [128, 16, 128] for a disk
+    this.gridBoundary = resolveGridBoundary('GravitySpectral', gridBoundary);
+    const isolated = this.gridBoundary === 'isolated';
+    if (isolated && this.boundsPercentile > 0)
+      throw new Error(`GravitySpectral: boundsPercentile needs a refitted box, and gridBoundary 'isolated' fixes it`);
+    this.gridBounds = isolated ? isolatedGridBounds(this.worldBounds) : this.worldBounds;
+    this.gridSize = /** @type {import('./grid-layout.js').GridSize} */ (
+      resolveGridSize('GravitySpectral', gridSize || 64).map(n => n * (isolated ? 2 : 1)));
+
+    this.integrator = integrator || 'euler';
+    if (!INTEGRATORS.includes(this.integrator))
+      throw new Error(`GravitySpectral: unknown integrator '${this.integrator}', expected one of ${INTEGRATORS.join(', ')}`);
 
     this.frameCount = 0;
 
-    // PM grid configuration
-    this.slicesPerRow = Math.ceil(Math.sqrt(this.gridSize));
-
-    // For spectral method, we pack 3D grid into 2D texture using Z-slice layout.
-    // Mathematical property: when slicesPerRow = ceil(sqrt(gridSize)):
-    //   sliceRows = ceil(gridSize / slicesPerRow) ≈ ceil(sqrt(gridSize)) ≈ slicesPerRow
-    // Therefore textures naturally work out square:
-    //   textureWidth = gridSize × slicesPerRow
-    //   textureHeight = gridSize × sliceRows ≈ gridSize × slicesPerRow
-    // This is intentional - the formula ensures efficient square texture packing.
-    this.textureWidth3D = this.gridSize * this.slicesPerRow;
-    this.sliceRows3D = Math.ceil(this.gridSize / this.slicesPerRow);
-    this.textureHeight3D = this.gridSize * this.sliceRows3D;
+    // PM grid configuration: Z-slices of nx×ny packed slicesPerRow to a row,
+    // with slicesPerRow chosen to keep the texture close to square
+    const layout = gridTextureLayout(this.gridSize);
+    this.slicesPerRow = layout.slicesPerRow;
+    this.textureWidth3D = layout.textureWidth;
+    this.sliceRows3D = Math.ceil(this.gridSize[2] / this.slicesPerRow);
+    this.textureHeight3D = layout.textureHeight;
 
     // Check WebGL2 support
     const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
@@ -123,7 +167,7 @@ export class GravitySpectral {
     }
 
     // Compute world size for kernels
-    const bounds = this.worldBounds;
+    const bounds = this.gridBounds;
     const worldSize = [
       bounds.max[0] - bounds.min[0],
       bounds.max[1] - bounds.min[1],
@@ -131,16 +175,23 @@ export class GravitySpectral {
     ];
     const fourPiG = 4 * Math.PI * this.gravityStrength;
 
-    // Compute mass-to-density scaling: ΔV = (Lx·Ly·Lz) / N³
-    // massToDensity = 1 / ΔV = N³ / (Lx·Ly·Lz)
+    // TreePM split scale r_s, by default 1.25 PM cells (see ../short-range.js). It is
+    // fixed here in world units, so a box that refits much larger leaves the
+    // mesh resolving the split less well
+    const cellSize = Math.max(...worldSize.map((size, axis) => size / this.gridSize[axis]));
+    const split = treePM ? resolveSplit('GravitySpectral', treePM, cellSize, 'treePM.') : { splitRadius: 0, cutoffRadius: 0 };
+    this.splitRadius = split.splitRadius;
+    this.cutoffRadius = split.cutoffRadius;
+
+    // Compute mass-to-density scaling: ΔV = (Lx·Ly·Lz) / (nx·ny·nz)
+    // massToDensity = 1 / ΔV = (nx·ny·nz) / (Lx·Ly·Lz)
     const voxelVolume = (worldSize[0] * worldSize[1] * worldSize[2]) /
-      (this.gridSize * this.gridSize * this.gridSize);
+      (this.gridSize[0] * this.gridSize[1] * this.gridSize[2]);
     const massToDensity = 1.0 / voxelVolume;
 
     // Create shared texture objects to wire kernels together
     // These prevent auto-creation of textures inside kernels
-    // Textures are square: (gridSize×slicesPerRow) × (gridSize×sliceRows)
-    // where sliceRows ≈ slicesPerRow due to sqrt formula
+    // Textures are (nx×slicesPerRow) × (ny×sliceRows), near square by the layout above
     this.massGridTexture = createTextureR32F(this.gl, this.textureWidth3D, this.textureHeight3D);
     this.fftComplexTexture1 = createComplexTexture(this.gl, this.textureWidth3D, this.textureHeight3D);
     this.fftComplexTexture2 = createComplexTexture(this.gl, this.textureWidth3D, this.textureHeight3D);
@@ -165,8 +216,9 @@ export class GravitySpectral {
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth3D,
       textureHeight: this.textureHeight3D,
-      worldBounds: /** @type {any} */ (this.worldBounds),
+      worldBounds: /** @type {any} */ (this.gridBounds),
       assignment: this.assignment,
+      escapers: this.boundsPercentile > 0,
       disableFloatBlend: this.disableFloatBlend
     });
 
@@ -185,8 +237,10 @@ export class GravitySpectral {
     });
 
     // 3. Poisson solver kernel    
-    // Choose a small Gaussian smoothing sigma (fraction of average extent) to damp high-k noise
-    const avgExtent = (worldSize[0] + worldSize[1] + worldSize[2]) / 3.0;
+    // Choose a small Gaussian smoothing sigma (fraction of average extent) to damp high-k noise;
+    // the extent of worldBounds, so the zero padding does not widen it
+    const physical = this.worldBounds;
+    const avgExtent = ((physical.max[0] - physical.min[0]) + (physical.max[1] - physical.min[1]) + (physical.max[2] - physical.min[2])) / 3.0;
     const gaussianSigma = avgExtent * 0.02; // 2% of average box size
 
     this.poissonKernel = new KPoisson({
@@ -200,10 +254,35 @@ export class GravitySpectral {
       gravitationalConstant: fourPiG,
       worldSize: /** @type {[number, number, number]} */ (worldSize),
       assignment: this.assignment,
-      treePMSigma: gaussianSigma,
+      // Under TreePM the low-pass is the split itself: exp(-½k²σ²) with σ = √2·r_s
+      treePMSigma: treePM ? Math.SQRT2 * this.splitRadius : gaussianSigma,
       splitMode: 2 // enable Gaussian low-pass by default
     });
 
+    // Isolated: forward-transform the tabulated Green's function once, through a KFFT of its own
+    if (isolated) {
+      const greenFFT = new KFFT({
+        gl: this.gl,
+        real: createIsolatedGreenTexture(this.gl, {
+          gridSize: this.gridSize,
+          slicesPerRow: this.slicesPerRow,
+          width: this.textureWidth3D,
+          height: this.textureHeight3D,
+          worldSize: /** @type {[number, number, number]} */ (worldSize)
+        }),
+        gridSize: this.gridSize,
+        slicesPerRow: this.slicesPerRow,
+        textureWidth: this.textureWidth3D,
+        textureHeight: this.textureHeight3D,
+        inverse: false,
+        massToDensity: 1
+      });
+      greenFFT.run();
+      this.poissonKernel.inGreenSpectrum = greenFFT.complexTo;
+      greenFFT.complexTo = null;
+      greenFFT.dispose();
+    }
+
     // 4. Gradient kernel
     this.gradientKernel = new KGradient({
       gl: this.gl,
@@ -225,9 +304,9 @@ export class GravitySpectral {
     this.forceSampleKernel = new KForceSample({
       gl: this.gl,
       inPosition: null,  // Will be set in _computePMForces
-      inForceGridX: null,  // Will be set in _computePMForces
-      inForceGridY: null,  // Will be set in _computePMForces
-      inForceGridZ: null,  // Will be set in _computePMForces
+      inForceGridX: this.forceGridXTexture,  // Written by the inverse FFTs in _computePMForces
+      inForceGridY: this.forceGridYTexture,
+      inForceGridZ: this.forceGridZTexture,
       outForce: this.forceTextureOut,
       particleCount: this.particleCount,
       particleTexWidth: this.textureWidth,
@@ -236,8 +315,73 @@ export class GravitySpectral {
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth3D,
       textureHeight: this.textureHeight3D,
-      worldBounds: /** @type {any} */ (this.worldBounds)
+      worldBounds: /** @type {any} */ (this.gridBounds),
+      assignment: this.assignment,
+      escapers: this.boundsPercentile > 0,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening
     });
+    this.forceSampleKernel.inMoment = this.depositKernel.outMoment;
+
+    // TreePM short range: a monopole octree over the physical box, walked with the
+    // complement of the Poisson filter. The traversal writes into the force sample's
+    // outForce, which then accumulates the mesh force on top
+    /** @type {KAggregatorMonopole | null} */
+    this.aggregatorKernel = null;
+    /** @type {KPyramidBuild[]} */
+    this.pyramidKernels = [];
+    /** @type {KTraversal | null} */
+    this.traversalKernel = null;
+    if (treePM) {
+      const octreeLayout = resolveOctree('GravitySpectral', gl, treePM.octree, { gridSize: 64, levels: 7, fixedUnits: TRAVERSAL_FIXED_UNITS });
+      this.levelConfigs = octreeLayout.levelConfigs;
+
+      this.aggregatorKernel = new KAggregatorMonopole({
+        gl: this.gl,
+        inPosition: null,  // set per-run
+        particleCount: this.particleCount,
+        particleTexWidth: this.textureWidth,
+        particleTexHeight: this.textureHeight,
+        octreeSize: octreeLayout.L0Size,
+        gridSize: octreeLayout.gridSize,
+        slicesPerRow: octreeLayout.slicesPerRow,
+        worldBounds: this.worldBounds,
+        escapers: this.boundsPercentile > 0,
+        disableFloatBlend: this.disableFloatBlend
+      });
+
+      for (let i = 0; i < octreeLayout.numLevels - 1; i++) {
+        this.pyramidKernels.push(new KPyramidBuild({
+          gl: this.gl,
+          inA0: null,
+          inA1: null,
+          inA2: null,
+          outSize: this.levelConfigs[i + 1].size,
+          outGridSize: this.levelConfigs[i + 1].gridSize,
+          outSlicesPerRow: this.levelConfigs[i + 1].slicesPerRow,
+          inGridSize: this.levelConfigs[i].gridSize,
+          inSlicesPerRow: this.levelConfigs[i].slicesPerRow
+        }));
+      }
+
+      this.traversalKernel = new KTraversal({
+        gl: this.gl,
+        inPosition: null,  // set per-run
+        outForce: this.forceTextureOut,
+        particleTexWidth: this.textureWidth,
+        particleTexHeight: this.textureHeight,
+        numLevels: octreeLayout.numLevels,
+        levelConfigs: this.levelConfigs,
+        worldBounds: this.worldBounds,
+        theta: treePM.theta !== undefined ? treePM.theta : 0.5,
+        gravityStrength: this.gravityStrength,
+        softening: this.softening,
+        escapers: this.boundsPercentile > 0,
+        splitRadius: this.splitRadius,
+        cutoffRadius: this.cutoffRadius
+      });
+      this.forceSampleKernel.accumulate = true;
+    }
 
     // 7. Integration kernels (reuse from monopole)
     this.integrateEulerKernel = new KIntegrateEuler({
@@ -256,33 +400,106 @@ export class GravitySpectral {
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
-    // GPU bounds reduction kernel (cloned and reused locally)
-    this.boundsReduce = new KBoundsReduce({
+    // Steppers other than Euler borrow the Euler kernel's ping-pong pair rather than allocating their own
+    this.stepper = createIntegrator(this.integrator, {
       gl: this.gl,
-      inPosition: this.positionMassTexture,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel
+    });
+
+    // Optional: split each frame's dt into substeps sized from the GPU-reduced max |a| and |v|
+    this.adaptiveTimestep = adaptiveTimestep ? new AdaptiveTimestep({
+      gl: this.gl,
+      width: this.textureWidth,
+      height: this.textureHeight,
+      ...adaptiveTimestep
+    }) : null;
+
+    // GPU bounds reduction: starts from worldBounds and only grows, by the escaped
+    // extent plus a 5% margin so that a slowly expanding system does not refit every time.
+    // None for isolated boundaries, whose box is fixed
+    this.boundsReduce = isolated ? null : new KBoundsReduce({
+      gl: this.gl,
+      inPosition: null,  // set per-run
       particleTexWidth: this.textureWidth,
       particleTexHeight: this.textureHeight,
-      particleCount: this.particleCount
+      particleCount: this.particleCount,
+      margin: 0.05,
+      hysteresis: Infinity,
+      percentile: this.boundsPercentile,
+      worldBounds: this.worldBounds
     });
 
     // How often to run bounds reduction (frames)
     this.boundsInterval = 30;
+
+    // worldBounds and worldSize above only stand in until the first reduction
+    if (this.boundsReduce) {
+      const outBounds = this.boundsReduce.outBounds;
+      this.depositKernel.inBounds = outBounds;
+      this.fftKernel.inBounds = outBounds;
+      this.poissonKernel.inBounds = outBounds;
+      this.gradientKernel.inBounds = outBounds;
+      this.forceSampleKernel.inBounds = outBounds;
+      if (this.aggregatorKernel) this.aggregatorKernel.inBounds = outBounds;
+      if (this.traversalKernel) this.traversalKernel.inBounds = outBounds;
+    }
   }
 
   /**
    * Step the simulation forward one frame
    */
   step() {
+    if (this.adaptiveTimestep) {
+      this.adaptiveTimestep.advance(this, () => this._evaluateForces(), () => this._integrateStep());
+    } else {
+      this._integrateStep();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * One integration step over the kernels' current dt: the configured stepper, or the built-in Euler pass
+   */
+  _integrateStep() {
+    if (this.stepper) {
+      this.stepper.step(this, () => this._evaluateForces());
+      return;
+    }
+
     // 1. Compute PM forces
     this._computePMForces();
 
     // 2. Integrate physics
     this._integratePhysics();
+  }
 
-    this.frameCount++;
+  /**
+   * Run the force pipeline at the current positions
+   * @returns {WebGLTexture | null} force texture
+   */
+  _evaluateForces() {
+    this._computePMForces();
+    return this.forceSampleKernel.outForce;
   }
 
   _computePMForces() {
+    // Refit the PM box every boundsInterval frames; it stays on the GPU in
+    // boundsReduce.outBounds, which every stage below reads
+    if (this.boundsReduce && this.frameCount % this.boundsInterval === 0) {
+      this.boundsReduce.inPosition = this.positionMassTexture;
+      this.boundsReduce.particleCount = this.particleCount;
+      this.boundsReduce.run();
+    }
+
+    // TreePM: the short-range walk fills the force texture that the sampling below adds to
+    if (this.traversalKernel) this._computeShortRangeForces();
+
     // Set current position for deposit and force sample
     this.depositKernel.inPosition = this.positionMassTexture;
     this.forceSampleKernel.inPosition = this.positionMassTexture;
@@ -290,62 +507,6 @@ export class GravitySpectral {
     // Run PM/FFT pipeline
     this.depositKernel.run();           // Step 1: Deposit particles to grid
 
-    // Periodic GPU bounds check: run KBoundsReduce every boundsInterval frames
-    try {
-      if (this.boundsReduce && (this.frameCount % this.boundsInterval === 0)) {
-        this.boundsReduce.inPosition = this.positionMassTexture;
-        this.boundsReduce.particleTexWidth = this.textureWidth;
-        this.boundsReduce.particleTexHeight = this.textureHeight;
-        this.boundsReduce.particleCount = this.particleCount;
-        this.boundsReduce.run();
-
-        // Read back 2x1 bounds texture (min, max)
-        const gl = this.gl;
-        const fb = gl.createFramebuffer();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsReduce.outBounds, 0);
-        const pixels = new Float32Array(8);
-        gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, pixels);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.deleteFramebuffer(fb);
-
-        const newMin = [pixels[0], pixels[1], pixels[2]];
-        const newMax = [pixels[4], pixels[5], pixels[6]];
-        const cur = this.worldBounds;
-
-        // If any particle escaped outside current bounds, update worldBounds and derived uniforms
-        let expanded = false;
-        for (let i = 0; i < 3; i++) {
-          if (newMin[i] < cur.min[i] || newMax[i] > cur.max[i]) { expanded = true; break; }
-        }
-
-        if (expanded) {
-          // Add small margin to avoid thrashing
-          const marginFactor = 0.05;
-          const outMin = [0, 0, 0], outMax = [0, 0, 0];
-          for (let i = 0; i < 3; i++) {
-            const span = Math.max(1e-6, newMax[i] - newMin[i]);
-            outMin[i] = newMin[i] - marginFactor * span;
-            outMax[i] = newMax[i] + marginFactor * span;
-          }
-          this.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-
-          const newWorldSize = [outMax[0] - outMin[0], outMax[1] - outMin[1], outMax[2] - outMin[2]];
-          const voxelVolume = (newWorldSize[0] * newWorldSize[1] * newWorldSize[2]) / (this.gridSize * this.gridSize * this.gridSize);
-          const massToDensity = 1.0 / voxelVolume;
-
-          if (this.fftKernel) this.fftKernel.massToDensity = massToDensity;
-          if (this.poissonKernel) this.poissonKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-          if (this.gradientKernel) this.gradientKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-          if (this.forceSampleKernel) this.forceSampleKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-          if (this.depositKernel) this.depositKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-        }
-      }
-    } catch (e) {
-      // Non-fatal: bounds reduction failing should not stop simulation
-      console.warn('KBoundsReduce failed:', e && /** @type {any} */(e).message ? /** @type {any} */(e).message : e);
-    }
-
 
     /**
     
@@ -476,6 +637,32 @@ export class GravitySpectral {
     this.forceSampleKernel.run();
   }
 
+  /**
+   * Build the TreePM octree at the current positions and walk it with the
+   * short-range kernel into the force texture
+   */
+  _computeShortRangeForces() {
+    const aggregator = /** @type {KAggregatorMonopole} */ (this.aggregatorKernel);
+    const traversal = /** @type {KTraversal} */ (this.traversalKernel);
+
+    aggregator.inPosition = this.positionMassTexture;
+    aggregator.run();
+
+    // Each pyramid level reads the one below it
+    let prevOut = { a0: aggregator.outA0, a1: aggregator.outA1, a2: aggregator.outA2 };
+    for (const kernel of this.pyramidKernels) {
+      kernel.inA0 = prevOut.a0;
+      kernel.inA1 = prevOut.a1;
+      kernel.inA2 = prevOut.a2;
+      kernel.run();
+      prevOut = { a0: kernel.outA0, a1: kernel.outA1, a2: kernel.outA2 };
+    }
+
+    traversal.inPosition = this.positionMassTexture;
+    traversal.inLevelA0 = [aggregator.outA0, ...this.pyramidKernels.map(kernel => kernel.outA0)];
+    traversal.run();
+  }
+
   _integratePhysics() {
     // allow external inputs
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
@@ -493,6 +680,53 @@ export class GravitySpectral {
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
   }
 
+  /**
+   * Update physics parameters between steps. Omitted keys keep their current value.
+   * The Poisson kernel takes 4πG rather than G, as in the constructor.
+   * Softening has no PM effect, where the grid resolution and the Gaussian
+   * low-pass set the small-scale cutoff; it only softens the escapers' pull,
+   * and under TreePM the short-range walk, which theta also tunes.
+   * @param {{
+   *   theta?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number
+   * }} params
+   */
+  setParams(params) {
+    if (params.gravityStrength !== undefined) this.gravityStrength = params.gravityStrength;
+    if (params.softening !== undefined) this.softening = params.softening;
+    if (params.dt !== undefined) this.dt = params.dt;
+    if (params.damping !== undefined) this.damping = params.damping;
+    if (params.maxSpeed !== undefined) this.maxSpeed = params.maxSpeed;
+    if (params.maxAccel !== undefined) this.maxAccel = params.maxAccel;
+
+    this.poissonKernel.gravitationalConstant = 4 * Math.PI * this.gravityStrength;
+    this.forceSampleKernel.gravityStrength = this.gravityStrength;
+    this.forceSampleKernel.softening = this.softening;
+
+    if (this.traversalKernel) {
+      if (params.theta !== undefined) this.traversalKernel.theta = params.theta;
+      this.traversalKernel.gravityStrength = this.gravityStrength;
+      this.traversalKernel.softening = this.softening;
+    }
+
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    if (this.stepper) {
+      this.stepper.dt = this.dt;
+      this.stepper.damping = this.damping;
+      this.stepper.maxSpeed = this.maxSpeed;
+      this.stepper.maxAccel = this.maxAccel;
+    }
+  }
+
   /**
    * Capture complete system state with kernel reflections
    * @param {{pixels?: boolean}} [options]
@@ -529,7 +763,7 @@ export class GravitySpectral {
    * @returns {string}
    */
   _formatSnapshot(snapshot) {
-    let output = `\nParticleSystemSpectralKernels(${snapshot.particleCount}p grid=${snapshot.gridSize}³) frame=${snapshot.frameCount}\n`;
+    let output = `\nParticleSystemSpectralKernels(${snapshot.particleCount}p grid=${formatGridSize(snapshot.gridSize)}) frame=${snapshot.frameCount}\n`;
     output += `  dt=${snapshot.dt.toExponential(2)} G=${snapshot.gravityStrength.toExponential(2)} soft=${snapshot.softening.toFixed(2)} damp=${snapshot.damping.toFixed(2)}\n`;
 
     if (snapshot.deposit) output += '\n' + snapshot.deposit.toString().split('\n').map((l/**@type{string}*/) => '  ' + l).join('\n');
@@ -551,14 +785,47 @@ export class GravitySpectral {
   }
 
   dispose() {
-    // Kernels own and dispose all their texture properties
+    // Kernels dispose all their texture properties, so every borrowed one is cleared first.
+    // The bounds they all borrow
+    for (const kernel of [this.depositKernel, this.fftKernel, this.poissonKernel, this.gradientKernel, this.forceSampleKernel])
+      if (kernel) kernel.inBounds = null;
+    if (this.forceSampleKernel) this.forceSampleKernel.inMoment = null;
+    // KFFT's real grid is the deposit's mass grid or one of the force sample's force grids
+    if (this.fftKernel) this.fftKernel.real = null;
+    // The particle pair belongs to the integrator, and the force it reads to the force sample
+    if (this.depositKernel) this.depositKernel.inPosition = null;
+    if (this.forceSampleKernel) this.forceSampleKernel.inPosition = null;
+    if (this.boundsReduce) this.boundsReduce.inPosition = null;
+    if (this.integrateEulerKernel) this.integrateEulerKernel.inForce = null;
+    // The TreePM walk borrows the positions, the box and the force sample's outForce,
+    // and each pyramid level reads the moments of the one below it
+    if (this.aggregatorKernel) {
+      this.aggregatorKernel.inPosition = null;
+      this.aggregatorKernel.inBounds = null;
+    }
+    for (const kernel of this.pyramidKernels) {
+      kernel.inA0 = null;
+      kernel.inA1 = null;
+      kernel.inA2 = null;
+    }
+    if (this.traversalKernel) {
+      this.traversalKernel.inPosition = null;
+      this.traversalKernel.inBounds = null;
+      this.traversalKernel.outForce = null;
+    }
+
     if (this.depositKernel) this.depositKernel.dispose();
     if (this.fftKernel) this.fftKernel.dispose();
     if (this.poissonKernel) this.poissonKernel.dispose();
     if (this.gradientKernel) this.gradientKernel.dispose();
     if (this.forceSampleKernel) this.forceSampleKernel.dispose();
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.stepper) this.stepper.dispose();
+    if (this.adaptiveTimestep) this.adaptiveTimestep.dispose();
     if (this.boundsReduce) this.boundsReduce.dispose();
+    if (this.aggregatorKernel) this.aggregatorKernel.dispose();
+    for (const kernel of this.pyramidKernels) kernel.dispose();
+    if (this.traversalKernel) this.traversalKernel.dispose();
   }
 }
 
@@ -0,0 +1,79 @@
+// @ts-check
+
+/**
+ * Per-axis PM grid sizes and their Z-slice packing.
+ *
+ * A grid of nx×ny×nz voxels is packed as nz tiles of nx×ny, slicesPerRow tiles
+ * to a row: voxel (x, y, z) sits at texel (col·nx + x, row·ny + y) with
+ * col = z % slicesPerRow and row = ⌊z / slicesPerRow⌋. A cubic grid may still
+ * be given as a single number.
+ */
+
+/** @typedef {[number, number, number]} GridSize */
+
+/** Radices KFFT has passes for, tried largest first */
+const FFT_RADICES = [5, 3, 2];
+
+/**
+ * @param {number | GridSize} gridSize
+ * @returns {GridSize}
+ */
+export function gridAxes(gridSize) {
+  return typeof gridSize === 'number' ? [gridSize, gridSize, gridSize] : [gridSize[0], gridSize[1], gridSize[2]];
+}
+
+/**
+ * Split an axis length into the radices of its FFT passes.
+ * @param {number} n
+ * @returns {number[] | null} null when n has a prime factor above 5
+ */
+export function fftRadices(n) {
+  /** @type {number[]} */
+  const radices = [];
+  for (const radix of FFT_RADICES)
+    while (n % radix === 0) {
+      radices.push(radix);
+      n /= radix;
+    }
+  return n === 1 ? radices : null;
+}
+
+/**
+ * Validate a PM grid size for the FFT.
+ * @param {string} engineName - prefix for error messages
+ * @param {number | GridSize} gridSize
+ * @returns {GridSize}
+ */
+export function resolveGridSize(engineName, gridSize) {
+  if (typeof gridSize !== 'number' && (!Array.isArray(gridSize) || gridSize.length !== 3))
+    throw new Error(`${engineName}: gridSize must be a number or [nx, ny, nz], got ${gridSize}`);
+  const axes = gridAxes(gridSize);
+  for (const n of axes)
+    if (!Number.isInteger(n) || n < 2 || !fftRadices(n))
+      throw new Error(`${engineName}: grid size ${n} must be an integer ≥ 2 with no prime factors other than 2, 3 and 5`);
+  return axes;
+}
+
+/**
+ * Packed texture size for a grid; slicesPerRow defaults to the count that
+ * keeps the texture closest to square.
+ * @param {GridSize} gridSize
+ * @param {number} [slicesPerRow]
+ */
+export function gridTextureLayout(gridSize, slicesPerRow) {
+  const [nx, ny, nz] = gridSize;
+  const perRow = slicesPerRow || Math.min(nz, Math.ceil(Math.sqrt(nz * ny / nx)));
+  return {
+    slicesPerRow: perRow,
+    textureWidth: nx * perRow,
+    textureHeight: ny * Math.ceil(nz / perRow)
+  };
+}
+
+/**
+ * '64³' for a cube, '128×16×128' otherwise.
+ * @param {GridSize} gridSize
+ */
+export function formatGridSize([nx, ny, nz]) {
+  return nx === ny && ny === nz ? `${nx}³` : `${nx}×${ny}×${nz}`;
+}
@@ -0,0 +1,27 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { fftRadices, formatGridSize, gridAxes, gridTextureLayout, resolveGridSize } from './grid-layout.js';
+
+test('grid-layout: radices, validation and Z-slice packing', () => {
+  assert.deepStrictEqual(fftRadices(64), [2, 2, 2, 2, 2, 2]);
+  assert.deepStrictEqual(fftRadices(120), [5, 3, 2, 2, 2]);
+  assert.strictEqual(fftRadices(14), null);
+
+  assert.deepStrictEqual(gridAxes(32), [32, 32, 32]);
+  assert.deepStrictEqual(resolveGridSize('GravitySpectral', [128, 16, 128]), [128, 16, 128]);
+  assert.throws(() => resolveGridSize('GravitySpectral', [64, 7, 64]), /GravitySpectral: grid size 7 must be an integer/);
+  assert.throws(() => resolveGridSize('GravitySpectral', 1), /grid size 1/);
+  assert.throws(() => resolveGridSize('GravitySpectral', /** @type {any} */ ([64, 64])), /gridSize must be a number or \[nx, ny, nz\]/);
+
+  // Cubic grids keep the ceil(√n) slices per row they always had
+  assert.deepStrictEqual(gridTextureLayout([64, 64, 64]), { slicesPerRow: 8, textureWidth: 512, textureHeight: 512 });
+  // A thin grid packs fewer slices per row so the texture stays square
+  assert.deepStrictEqual(gridTextureLayout([128, 16, 128]), { slicesPerRow: 4, textureWidth: 512, textureHeight: 512 });
+  assert.deepStrictEqual(gridTextureLayout([6, 4, 5], 3), { slicesPerRow: 3, textureWidth: 18, textureHeight: 8 });
+
+  assert.strictEqual(formatGridSize([64, 64, 64]), '64³');
+  assert.strictEqual(formatGridSize([128, 16, 128]), '128×16×128');
+});
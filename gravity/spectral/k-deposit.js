@@ -4,29 +4,50 @@
  * KDeposit - Deposits particles to PM grid
  * 
  * Deposits particle masses onto 3D grid using additive blending.
+ * NGP draws the particles once, CIC 8 times and TSC 27 times, one pass per
+ * neighbouring cell with its weight; KPoisson divides the matching window out.
+ * With `escapers`, particles outside the box are left off the grid, and
+ * outMoment (1×1) receives the (Σm·x, Σm·y, Σm·z, Σm) of those deposited, for
+ * KForceSample to pull the escapers with.
  * Follows the WebGL2 Kernel contract similar to KAggregator.
  */
 
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from '../multipole/k-bounds-reduce.js';
+import { formatGridSize, gridAxes } from './grid-layout.js';
 import pmDepositFragSrc from './shaders/pm-deposit.frag.js';
 import pmDepositVertSrc from './shaders/pm-deposit.vert.js';
 
+const CIC_OFFSETS = [
+  [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+  [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+];
+
+/** @type {[number, number, number][]} */
+const TSC_OFFSETS = [];
+for (let z = -1; z <= 1; z++)
+  for (let y = -1; y <= 1; y++)
+    for (let x = -1; x <= 1; x++) TSC_OFFSETS.push([x, y, z]);
+
 export class KDeposit {
   /**
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inPosition?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
    *   outMassGrid?: WebGLTexture|null,
+   *   outMoment?: WebGLTexture|null,
    *   particleCount?: number,
    *   particleTexWidth?: number,
    *   particleTexHeight?: number,
-   *   gridSize?: number,
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
   *   textureHeight?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   assignment?: 'NGP'|'CIC',
+   *   assignment?: 'NGP'|'CIC'|'TSC',
+   *   escapers?: boolean,
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -37,21 +58,30 @@ export class KDeposit {
     this.inPosition = (options.inPosition || options.inPosition === null)
       ? options.inPosition
       : createTextureRGBA32F(this.gl, options.particleTexWidth || 0, options.particleTexHeight || 0);
+    // Optional KBoundsReduce output; worldBounds stands in while it holds no box
+    this.inBounds = (options.inBounds || options.inBounds === null)
+      ? options.inBounds
+      : null;
     this.outMassGrid = (options.outMassGrid || options.outMassGrid === null)
       ? options.outMassGrid
       : createTextureR32F(this.gl, options.textureSize || 64, options.textureSize || 64);
+    // Fixed at construction: only needed when escapers are pulled by the box
+    this.escapers = !!options.escapers;
+    this.outMoment = (options.outMoment || options.outMoment === null)
+      ? options.outMoment
+      : (this.escapers ? createTextureRGBA32F(this.gl, 1, 1) : null);
 
     // Particle configuration
     this.particleCount = options.particleCount || 0;
     this.particleTexWidth = options.particleTexWidth || 0;
     this.particleTexHeight = options.particleTexHeight || 0;
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Grid configuration: [nx, ny, nz]
+    this.gridSize = gridAxes(options.gridSize || 64);
     this.slicesPerRow = options.slicesPerRow || 8;
     // 2D packed texture dimensions (may be non-square)
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize[0] * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize[1] * Math.ceil(this.gridSize[2] / this.slicesPerRow));
     this.textureSize = this.textureWidth; // legacy fallback
 
     // World bounds
@@ -60,7 +90,7 @@ export class KDeposit {
       max: [2, 2, 2]
     };
 
-    // Assignment method: NGP (0) or CIC (1)
+    // Assignment method: NGP (0), CIC (1) or TSC (2)
     this.assignment = options.assignment || 'CIC';
 
     // Float blend flag
@@ -119,6 +149,7 @@ export class KDeposit {
 
     // Create framebuffer
     this.outFramebuffer = this.gl.createFramebuffer();
+    this.momentFramebuffer = this.gl.createFramebuffer();
     /** @type {WebGLTexture | null} */
     this._fboShadow = null;
   }
@@ -134,11 +165,19 @@ export class KDeposit {
         height: this.particleTexHeight, count: this.particleCount,
         channels: ['x', 'y', 'z', 'mass'], pixels, format: this.gl.RGBA32F
       }),
+      bounds: this.inBounds && readLinear({
+        gl: this.gl, texture: this.inBounds, width: 2, height: 1, count: 2,
+        channels: ['x', 'y', 'z', 'w'], pixels
+      }),
       massGrid: this.outMassGrid && readGrid3D({
-        gl: this.gl, texture: this.outMassGrid, width: this.textureSize,
-        height: this.textureSize, gridSize: this.gridSize,
+        gl: this.gl, texture: this.outMassGrid, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize,
         channels: ['mass'], pixels, format: this.gl.R32F
       }),
+      moment: this.outMoment && readLinear({
+        gl: this.gl, texture: this.outMoment, width: 1, height: 1, count: 1,
+        channels: ['mx', 'my', 'mz', 'mass'], pixels
+      }),
       particleCount: this.particleCount,
       particleTexWidth: this.particleTexWidth,
       particleTexHeight: this.particleTexHeight,
@@ -147,20 +186,25 @@ export class KDeposit {
       textureSize: this.textureSize,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       assignment: this.assignment,
+      escapers: this.escapers,
       disableFloatBlend: this.disableFloatBlend,
       renderCount: this.renderCount
     };
 
     // Compute total mass deposited
     const totalMass = value.massGrid?.mass?.mean ?
-      value.massGrid.mass.mean * this.gridSize * this.gridSize * this.gridSize : value.massGrid?.mass?.mean;
+      value.massGrid.mass.mean * this.gridSize[0] * this.gridSize[1] * this.gridSize[2] : value.massGrid?.mass?.mean;
 
     value.toString = () =>
-      `KDeposit(${this.particleCount} particles→${this.gridSize}³ grid) assignment=${this.assignment} texture=${this.textureSize}×${this.textureSize} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KDeposit(${this.particleCount} particles→${formatGridSize(this.gridSize)} grid) assignment=${this.assignment} texture=${this.textureWidth}×${this.textureHeight} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
-massGrid: ${value.massGrid ? `totalMass=${formatNumber(totalMass)} ` : ''}${value.massGrid}\n\n`;
+bounds: ${value.bounds}
+
+massGrid: ${value.massGrid ? `totalMass=${formatNumber(totalMass)} ` : ''}${value.massGrid}${value.moment ? `
+
+moment: ${value.moment}` : ''}\n\n`;
 
     return value;
   }
@@ -234,39 +278,47 @@ massGrid: ${value.massGrid ? `totalMass=${formatNumber(totalMass)} ` : ''}${valu
       this.particleTexWidth, this.particleTexHeight);
     // Packed 3D grid texture size (width, height)
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
-      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
-      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    setWorldBoundsUniforms(gl, this.program, 1, this.inBounds, this.worldBounds, this.escapers);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_particleSize'), 1.0);
 
-    const assignmentMode = this.assignment === 'NGP' ? 0 : 1;
+    const assignmentMode = this.assignment === 'NGP' ? 0 : this.assignment === 'TSC' ? 2 : 1;
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_assignment'), assignmentMode);
 
     // Draw particles
     gl.bindVertexArray(this.particleVAO);
-    if (assignmentMode === 1) {
-      // CIC: render 8 times with corner offsets
-      const offsets = [
-        [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
-        [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
-      ];
+    if (assignmentMode === 0) {
+      // NGP: single pass
+      gl.uniform3f(gl.getUniformLocation(this.program, 'u_cellOffset'), 0, 0, 0);
+      gl.drawArrays(gl.POINTS, 0, this.particleCount);
+    } else {
+      // CIC: 8 passes over the cell's corners, TSC: 27 over the nearest node's neighbours
       const offsetLoc = gl.getUniformLocation(this.program, 'u_cellOffset');
-      for (const offset of offsets) {
+      for (const offset of assignmentMode === 2 ? TSC_OFFSETS : CIC_OFFSETS) {
         gl.uniform3f(offsetLoc, offset[0], offset[1], offset[2]);
         gl.drawArrays(gl.POINTS, 0, this.particleCount);
       }
-    } else {
-      // NGP: single pass
-      gl.uniform3f(gl.getUniformLocation(this.program, 'u_cellOffset'), 0, 0, 0);
+    }
+
+    // Mass moment of the deposited particles: the same points, all onto one texel
+    if (this.outMoment) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.momentFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outMoment, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.viewport(0, 0, 1, 1);
+      gl.colorMask(true, true, true, true);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_moment'), 1);
       gl.drawArrays(gl.POINTS, 0, this.particleCount);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_moment'), 0);
     }
     gl.bindVertexArray(null);
 
     // Cleanup
     gl.disable(gl.BLEND);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.useProgram(null);
@@ -283,12 +335,17 @@ massGrid: ${value.massGrid ? `totalMass=${formatNumber(totalMass)} ` : ''}${valu
     if (this.program) gl.deleteProgram(this.program);
     if (this.particleVAO) gl.deleteVertexArray(this.particleVAO);
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+    if (this.momentFramebuffer) gl.deleteFramebuffer(this.momentFramebuffer);
 
     if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
     if (this.outMassGrid) gl.deleteTexture(this.outMassGrid);
+    if (this.outMoment) gl.deleteTexture(this.outMoment);
 
     this.inPosition = null;
+    this.inBounds = null;
     this.outMassGrid = null;
+    this.outMoment = null;
     this._fboShadow = null;
   }
 }
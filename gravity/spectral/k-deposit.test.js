@@ -239,3 +239,52 @@ test('KDeposit: CIC assignment', async () => {
   gl.deleteTexture(posTex);
   gl.deleteTexture(outMassGrid);
 });
+
+/**
+ * Test 4: TSC assignment weights
+ */
+test('KDeposit: TSC assignment spreads over 27 voxels with quadratic weights', async () => {
+  const gl = getGL();
+
+  // Grid units equal world units: 0.25 past voxel 1 in x, on voxel 2 in y and z
+  const posTex = createTestTexture(gl, 1, 1, new Float32Array([1.25, 2.0, 2.0, 1.0]));
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+
+  const outMassGrid = createTestTexture(gl, textureSize, textureSize, null);
+
+  const kernel = new KDeposit({
+    gl,
+    inPosition: posTex,
+    outMassGrid,
+    particleCount: 1,
+    particleTexWidth: 1,
+    particleTexHeight: 1,
+    gridSize,
+    slicesPerRow,
+    textureSize,
+    worldBounds: { min: [0, 0, 0], max: [4, 4, 4] },
+    assignment: 'TSC'
+  });
+
+  kernel.run();
+
+  const data = readTexture(gl, outMassGrid, textureSize, textureSize);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) total += data[i];
+  assertClose(total, 1.0, 1e-5, `Total mass should be conserved (got ${total})\n\n${kernel.toString()}`);
+
+  // Per axis: 0.5·(0.5 - d)², 0.75 - d², 0.5·(0.5 + d)² for d = 0.25 in x and 0 in y, z
+  const yz = 0.75 * 0.75;
+  assertClose(readVoxel(data, 0, 2, 2, gridSize, slicesPerRow)[0], 0.03125 * yz, 1e-6, 'x - 1');
+  assertClose(readVoxel(data, 1, 2, 2, gridSize, slicesPerRow)[0], 0.6875 * yz, 1e-6, 'nearest voxel');
+  assertClose(readVoxel(data, 2, 2, 2, gridSize, slicesPerRow)[0], 0.28125 * yz, 1e-6, 'x + 1');
+  assertClose(readVoxel(data, 1, 3, 1, gridSize, slicesPerRow)[0], 0.6875 * 0.125 * 0.125, 1e-6, 'diagonal neighbour');
+  assertClose(readVoxel(data, 3, 2, 2, gridSize, slicesPerRow)[0], 0, 0, 'two voxels away');
+
+  disposeKernel(kernel);
+  gl.deleteTexture(posTex);
+  gl.deleteTexture(outMassGrid);
+});
@@ -5,6 +5,10 @@
  * 
  * Implements forward and inverse 3D FFT for PM method.
  * Follows the WebGL2 Kernel contract, adapted for complex FFT operations.
+ *
+ * Mixed-radix Stockham: each axis is transformed in one pass per factor 2, 3
+ * or 5 of its length, so grids need not be cubic nor powers of two
+ * (e.g. 128×16×128 for a flat disk, or 48³).
  * 
  * LEAN ARCHITECTURE:
  * - Uses exactly 3 textures: real (R32F), complexFrom (RG32F), complexTo (RG32F)
@@ -13,11 +17,13 @@
  * 
  * NORMALIZATION CONVENTION:
  * - Forward: F̂(k) = Σ f(x)·exp(-2πikx)           [unnormalized]
- * - Inverse: f(x) = (1/N³)·Σ F̂(k)·exp(2πikx)    [normalized by 1/N³]
+ * - Inverse: f(x) = (1/N³)·Σ F̂(k)·exp(2πikx)    [normalized by 1/N³, N³ = nx·ny·nz]
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from '../multipole/k-bounds-reduce.js';
+import { fftRadices, formatGridSize, gridAxes } from './grid-layout.js';
 import fftFrag from './shaders/fft.frag.js';
 
 export class KFFT {
@@ -27,7 +33,8 @@ export class KFFT {
    *   real?: WebGLTexture|null,
    *   complexFrom?: WebGLTexture|null,
    *   complexTo?: WebGLTexture|null,
-   *   gridSize?: number,
+   *   inBounds?: WebGLTexture|null,
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
@@ -39,19 +46,30 @@ export class KFFT {
   constructor(options) {
     this.gl = options.gl;
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Grid configuration: [nx, ny, nz]
+    this.gridSize = gridAxes(options.gridSize || 64);
     this.slicesPerRow = options.slicesPerRow || 8;
     // Support non-square packed textures: accept textureWidth/textureHeight
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize[0] * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize[1] * Math.ceil(this.gridSize[2] / this.slicesPerRow));
     this.textureSize = this.textureWidth; // legacy fallback
 
+    // Radices of each axis' passes, e.g. 48 → [3, 2, 2, 2, 2]
+    this.radices = this.gridSize.map(n => {
+      const radices = n >= 2 && fftRadices(n);
+      if (!radices) throw new Error(`KFFT: grid size ${n} must be at least 2 with no prime factors other than 2, 3 and 5`);
+      return radices;
+    });
+
     // Lean texture architecture: exactly 3 textures (use provided or create with real dims)
     this.real = options.real || createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
     this.complexFrom = options.complexFrom || createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
     this.complexTo = options.complexTo || createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
 
+    // Optional KBoundsReduce output: when it holds a box, the forward transform
+    // takes massToDensity from its volume instead of the option below
+    this.inBounds = (options.inBounds || options.inBounds === null) ? options.inBounds : null;
+
     // FFT direction
     this.inverse = options.inverse || false;
 
@@ -136,18 +154,18 @@ export class KFFT {
   valueOf({ pixels } = {}) {
     const value = {
       real: this.real && readGrid3D({
-        gl: this.gl, texture: this.real, width: this.textureSize,
-        height: this.textureSize, gridSize: this.gridSize,
+        gl: this.gl, texture: this.real, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize,
         channels: ['real'], pixels, format: this.gl.R32F
       }),
       complexFrom: this.complexFrom && readLinear({
-        gl: this.gl, texture: this.complexFrom, width: this.textureSize,
-        height: this.textureSize, count: this.textureSize * this.textureSize,
+        gl: this.gl, texture: this.complexFrom, width: this.textureWidth,
+        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
       complexTo: this.complexTo && readLinear({
-        gl: this.gl, texture: this.complexTo, width: this.textureSize,
-        height: this.textureSize, count: this.textureSize * this.textureSize,
+        gl: this.gl, texture: this.complexTo, width: this.textureWidth,
+        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
       gridSize: this.gridSize,
@@ -158,7 +176,7 @@ export class KFFT {
     };
 
     value.toString = () =>
-      `KFFT(${this.gridSize}³ grid) texture=${this.textureSize}×${this.textureSize} slices=${this.slicesPerRow} inverse=${this.inverse} #${this.renderCount}
+      `KFFT(${formatGridSize(this.gridSize)} grid) texture=${this.textureWidth}×${this.textureHeight} slices=${this.slicesPerRow} inverse=${this.inverse} #${this.renderCount}
 
 real: ${value.real}
 
@@ -193,17 +211,17 @@ complexFrom: ${value.complexFrom}
     }
 
     const gl = this.gl;
-    const numStages = Math.log2(this.gridSize);
 
     gl.viewport(0, 0, this.textureWidth, this.textureHeight);
     gl.disable(gl.BLEND);
     gl.disable(gl.DEPTH_TEST);
 
-    // Perform FFT along each axis (X, Y, Z)
+    // Perform FFT along each axis (X, Y, Z), one pass per radix; span is the length transformed so far
     for (let axis = 0; axis < 3; axis++) {
-      for (let stage = 0; stage < numStages; stage++) {
+      const radices = this.radices[axis];
+      for (let stage = 0, span = 1; stage < radices.length; span *= radices[stage], stage++) {
         const isFirstStage = (axis === 0 && stage === 0);
-        const isLastStage = (axis === 2 && stage === numStages - 1);
+        const isLastStage = (axis === 2 && stage === radices.length - 1);
 
         // Select shader program
         let program;
@@ -218,15 +236,14 @@ complexFrom: ${value.complexFrom}
         gl.useProgram(program);
 
         // Set common uniforms
-        gl.uniform1f(gl.getUniformLocation(program, 'u_gridSize'), this.gridSize);
+        gl.uniform3f(gl.getUniformLocation(program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
         gl.uniform1f(gl.getUniformLocation(program, 'u_slicesPerRow'), this.slicesPerRow);
         // Provide packed 3D texture dimensions
         gl.uniform2f(gl.getUniformLocation(program, 'u_textureSize'), this.textureWidth, this.textureHeight);
         gl.uniform1i(gl.getUniformLocation(program, 'u_inverse'), this.inverse ? 1 : 0);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_numStages'), numStages);
         gl.uniform1i(gl.getUniformLocation(program, 'u_axis'), axis);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_stage'), stage);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_debugMode'), 0);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_radix'), radices[stage]);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_span'), span);
 
         // Special handling for first/last stages
         if (!this.inverse && isFirstStage) {
@@ -235,12 +252,13 @@ complexFrom: ${value.complexFrom}
           gl.bindTexture(gl.TEXTURE_2D, this.real);
           gl.uniform1i(gl.getUniformLocation(program, 'u_realInput'), 0);
           gl.uniform1f(gl.getUniformLocation(program, 'u_massToDensity'), this.massToDensity);
+          setWorldBoundsUniforms(gl, program, 1, this.inBounds);
 
           gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferTo);
           gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.complexTo, 0);
         } else if (this.inverse && isLastStage) {
           // Last inverse stage: read from complexFrom, write to real with normalization
-          const normalizeInverse = 1.0 / (this.gridSize * this.gridSize * this.gridSize);
+          const normalizeInverse = 1.0 / (this.gridSize[0] * this.gridSize[1] * this.gridSize[2]);
           gl.uniform1f(gl.getUniformLocation(program, 'u_normalizeInverse'), normalizeInverse);
 
           gl.activeTexture(gl.TEXTURE0);
@@ -275,6 +293,9 @@ complexFrom: ${value.complexFrom}
     }
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
 
     this.renderCount = (this.renderCount || 0) + 1;
   }
@@ -302,6 +323,10 @@ complexFrom: ${value.complexFrom}
       gl.deleteTexture(this.complexTo);
       this.complexTo = null;
     }
+    if (this.inBounds) {
+      gl.deleteTexture(this.inBounds);
+      this.inBounds = null;
+    }
   }
 }
 
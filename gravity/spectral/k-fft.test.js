@@ -3,7 +3,7 @@
 import assert from 'node:assert';
 import { test } from 'node:test';
 
-import { assertClose, createTestTexture, disposeKernel, getGL, resetGL } from '../test-utils.js';
+import { assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
 import { KFFT } from './k-fft.js';
 
 /**
@@ -556,3 +556,69 @@ test('KFFT: same input produces consistent output across instances', async () =>
   disposeKernel(kernel2);
   resetGL();
 });
+
+/**
+ * Test 11: Mixed radices on an anisotropic grid, against a direct DFT
+ */
+test('KFFT: mixed-radix 6×4×5 grid matches a direct DFT', async () => {
+  const gl = getGL();
+
+  // Radix 3·2 along x, 2·2 along y and a single radix-5 pass along z
+  const [nx, ny, nz] = [6, 4, 5];
+  const slicesPerRow = 3;
+  const width = nx * slicesPerRow;
+  const height = ny * Math.ceil(nz / slicesPerRow);
+  const texel = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    (Math.floor(z / slicesPerRow) * ny + y) * width + (z % slicesPerRow) * nx + x;
+  const field = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    Math.sin(1.3 * x + 0.7 * y * y) + 0.25 * z - 0.1 * x * z;
+
+  const data = new Float32Array(width * height * 4);
+  for (let z = 0; z < nz; z++)
+    for (let y = 0; y < ny; y++)
+      for (let x = 0; x < nx; x++)
+        data[texel(x, y, z) * 4] = field(x, y, z);
+
+  const kernel = new KFFT({
+    gl,
+    real: createTestTexture(gl, width, height, data),
+    gridSize: [nx, ny, nz],
+    slicesPerRow,
+    textureWidth: width,
+    textureHeight: height,
+    inverse: false
+  });
+  assert.deepStrictEqual(kernel.radices, [[3, 2], [2, 2], [5]]);
+
+  kernel.run();
+  const spectrum = readTexture(gl, kernel.complexTo, width, height);
+
+  for (const [kx, ky, kz] of [[0, 0, 0], [1, 0, 0], [2, 1, 3], [5, 3, 4], [3, 2, 1]]) {
+    let re = 0, im = 0;
+    for (let z = 0; z < nz; z++)
+      for (let y = 0; y < ny; y++)
+        for (let x = 0; x < nx; x++) {
+          const angle = -2 * Math.PI * (kx * x / nx + ky * y / ny + kz * z / nz);
+          re += field(x, y, z) * Math.cos(angle);
+          im += field(x, y, z) * Math.sin(angle);
+        }
+    const idx = texel(kx, ky, kz) * 4;
+    assertClose(spectrum[idx], re, 1e-3, `Re X[${kx},${ky},${kz}]\n${kernel.valueOf()}`);
+    assertClose(spectrum[idx + 1], im, 1e-3, `Im X[${kx},${ky},${kz}]\n${kernel.valueOf()}`);
+  }
+
+  // Inverse brings the field back, normalized by nx·ny·nz
+  [kernel.complexFrom, kernel.complexTo] = [kernel.complexTo, kernel.complexFrom];
+  kernel.inverse = true;
+  kernel.run();
+  const roundtrip = readTexture(gl, kernel.real, width, height);
+  for (let z = 0; z < nz; z++)
+    for (let y = 0; y < ny; y++)
+      for (let x = 0; x < nx; x++)
+        assertClose(roundtrip[texel(x, y, z) * 4], field(x, y, z), 1e-4, `Roundtrip at ${x},${y},${z}`);
+
+  assert.throws(() => new KFFT({ gl, gridSize: [6, 7, 5] }), /grid size 7 must be at least 2/);
+
+  disposeKernel(kernel);
+  resetGL();
+});
@@ -3,11 +3,17 @@
 /**
  * KForceSample - Samples force field at particle positions
  * 
- * Samples forces from PM grids at particle positions using trilinear interpolation.
+ * Samples forces from PM grids at particle positions using trilinear interpolation,
+ * or the 27-node TSC gather when `assignment` is 'TSC' to match the deposit.
+ * With `escapers`, particles outside the box are pulled instead by the box's mass
+ * moment in inMoment (KDeposit.outMoment), softened by `softening` and scaled by
+ * `gravityStrength`.
  * Follows the WebGL2 Kernel contract.
  */
 
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from '../multipole/k-bounds-reduce.js';
+import { formatGridSize, gridAxes } from './grid-layout.js';
 import forceSampleFrag from './shaders/force-sample.frag.js';
 import forceSampleVert from './shaders/force-sample.vert.js';
 
@@ -19,17 +25,23 @@ export class KForceSample {
    *   inForceGridX?: WebGLTexture|null,
    *   inForceGridY?: WebGLTexture|null,
    *   inForceGridZ?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
+   *   inMoment?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   particleCount?: number,
    *   particleTexWidth?: number,
    *   particleTexHeight?: number,
-   *   gridSize?: number,
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
   *   textureHeight?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   accumulate?: boolean
+   *   accumulate?: boolean,
+   *   assignment?: 'NGP'|'CIC'|'TSC',
+   *   escapers?: boolean,
+   *   gravityStrength?: number,
+   *   softening?: number
    * }} options
    */
   constructor(options) {
@@ -37,9 +49,13 @@ export class KForceSample {
 
     // Resource slots
     this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : createTextureRGBA32F(this.gl, options.particleTexWidth || 1, options.particleTexHeight || 1);
-    this.inForceGridX = (options.inForceGridX || options.inForceGridX === null) ? options.inForceGridX : createComplexTexture(this.gl, options.gridSize || 64);
-    this.inForceGridY = (options.inForceGridY || options.inForceGridY === null) ? options.inForceGridY : createComplexTexture(this.gl, options.gridSize || 64);
-    this.inForceGridZ = (options.inForceGridZ || options.inForceGridZ === null) ? options.inForceGridZ : createComplexTexture(this.gl, options.gridSize || 64);
+    this.inForceGridX = (options.inForceGridX || options.inForceGridX === null) ? options.inForceGridX : createComplexTexture(this.gl, gridAxes(options.gridSize || 64)[0]);
+    this.inForceGridY = (options.inForceGridY || options.inForceGridY === null) ? options.inForceGridY : createComplexTexture(this.gl, gridAxes(options.gridSize || 64)[0]);
+    this.inForceGridZ = (options.inForceGridZ || options.inForceGridZ === null) ? options.inForceGridZ : createComplexTexture(this.gl, gridAxes(options.gridSize || 64)[0]);
+    // Optional KBoundsReduce output; worldBounds stands in while it holds no box
+    this.inBounds = (options.inBounds || options.inBounds === null) ? options.inBounds : null;
+    // Borrowed from KDeposit like inBounds from KBoundsReduce
+    this.inMoment = (options.inMoment || options.inMoment === null) ? options.inMoment : null;
     this.outForce = (options.outForce || options.outForce === null) ? options.outForce : createTextureRGBA32F(this.gl, options.particleTexWidth || 1, options.particleTexHeight || 1);
 
     // Particle configuration
@@ -47,11 +63,11 @@ export class KForceSample {
     this.particleTexWidth = options.particleTexWidth || 0;
     this.particleTexHeight = options.particleTexHeight || 0;
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Grid configuration: [nx, ny, nz]
+    this.gridSize = gridAxes(options.gridSize || 64);
     this.slicesPerRow = options.slicesPerRow || 8;
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize[0] * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize[1] * Math.ceil(this.gridSize[2] / this.slicesPerRow));
 
     // World bounds
     this.worldBounds = options.worldBounds || {
@@ -62,6 +78,14 @@ export class KForceSample {
     // Accumulate flag
     this.accumulate = options.accumulate || false;
 
+    // Interpolation: TSC gathers with the deposit's own window, NGP and CIC trilinearly
+    this.assignment = options.assignment || 'CIC';
+
+    // Escapers: the monopole pull of the box stands in for the grid
+    this.escapers = !!options.escapers;
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+
     // Compile and link shader program
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
     if (!vert) throw new Error('Failed to create vertex shader');
@@ -144,6 +168,10 @@ export class KForceSample {
         height: this.textureHeight, gridSize: this.gridSize,
         channels: ['fz'], pixels, format: this.gl.R32F
       }),
+      bounds: this.inBounds && readLinear({
+        gl: this.gl, texture: this.inBounds, width: 2, height: 1, count: 2,
+        channels: ['x', 'y', 'z', 'w'], pixels
+      }),
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.particleTexWidth,
         height: this.particleTexHeight, count: this.particleCount,
@@ -156,16 +184,22 @@ export class KForceSample {
       slicesPerRow: this.slicesPerRow,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       accumulate: this.accumulate,
+      assignment: this.assignment,
+      escapers: this.escapers,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
       renderCount: this.renderCount
     };
 
     const totalForce = (value.force && value.force.fx) ? Math.sqrt(value.force.fx.mean ** 2 + value.force.fy.mean ** 2 + value.force.fz.mean ** 2) : 0;
 
     value.toString = () =>
-      `KForceSample(${this.particleCount} particles from ${this.gridSize}³ grid) accumulate=${this.accumulate} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KForceSample(${this.particleCount} particles from ${formatGridSize(this.gridSize)} grid) assignment=${this.assignment} accumulate=${this.accumulate} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
+bounds: ${value.bounds}
+
 forceGridX: ${value.forceGridX}
 forceGridY: ${value.forceGridY}
 forceGridZ: ${value.forceGridZ}
@@ -252,12 +286,18 @@ forceGridZ: ${value.forceGridZ}
     // Packed 3D grid texture size for voxel->texcoord mapping
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'),
       this.textureWidth, this.textureHeight);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
-      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
-      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_tsc'), this.assignment === 'TSC' ? 1 : 0);
+    setWorldBoundsUniforms(gl, this.program, 4, this.inBounds, this.worldBounds, this.escapers);
+
+    // Box moment for escapers (texture unit 5)
+    if (this.escapers && !this.inMoment) throw new Error('KForceSample: escapers need inMoment');
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, this.inMoment || null);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_moment'), 5);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
 
     // Draw particles
     gl.bindVertexArray(this.particleVAO);
@@ -266,6 +306,10 @@ forceGridZ: ${value.forceGridZ}
 
     // Cleanup
     gl.disable(gl.BLEND);
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE3);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE2);
@@ -294,10 +338,14 @@ forceGridZ: ${value.forceGridZ}
     if (this.inForceGridX) gl.deleteTexture(this.inForceGridX);
     if (this.inForceGridY) gl.deleteTexture(this.inForceGridY);
     if (this.inForceGridZ) gl.deleteTexture(this.inForceGridZ);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
+    if (this.inMoment) gl.deleteTexture(this.inMoment);
     if (this.outForce) gl.deleteTexture(this.outForce);
 
     this.inPosition = null;
     this.inForceGridX = null;
+    this.inBounds = null;
+    this.inMoment = null;
     this.inForceGridY = null;
     this.inForceGridZ = null;
     this.outForce = null;
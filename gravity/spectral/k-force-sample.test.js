@@ -541,3 +541,66 @@ test('KForceSample: output format is correct (RGBA with padding)', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test 11: TSC gather
+ * The TSC window reproduces a linear field exactly and adds 0.25 to a quadratic
+ * one, where trilinear adds d·(1 - d).
+ */
+test('KForceSample: TSC gather matches the deposit window', async () => {
+  const gl = getGL();
+
+  const gridSize = 8;
+  const slicesPerRow = 4;
+  const textureSize = gridSize * slicesPerRow;
+
+  const forceX = createForceTexture(gl, gridSize, slicesPerRow, (x) => x * x);
+  const forceY = createForceTexture(gl, gridSize, slicesPerRow, (x, y) => y);
+  const forceZ = createForceTexture(gl, gridSize, slicesPerRow, () => 0);
+
+  // Grid units equal world units
+  const inPosition = createParticleTexture(gl, 1, () => [3.25, 4.4, 4]);
+  const outForce = createTestTexture(gl, 1024, 1, null);
+
+  const expected = {
+    TSC: 3.25 * 3.25 + 0.25,
+    CIC: 3.25 * 3.25 + 0.25 * 0.75
+  };
+
+  for (const assignment of /** @type {const} */ (['TSC', 'CIC'])) {
+    const kernel = new KForceSample({
+      gl,
+      inForceGridX: forceX,
+      inForceGridY: forceY,
+      inForceGridZ: forceZ,
+      inPosition,
+      outForce,
+      particleCount: 1,
+      particleTexWidth: 1024,
+      particleTexHeight: 1,
+      gridSize,
+      slicesPerRow,
+      textureSize,
+      worldBounds: { min: [0, 0, 0], max: [8, 8, 8] },
+      assignment
+    });
+
+    kernel.run();
+
+    const result = readTexture(gl, outForce, 1024, 1);
+    assertClose(result[0], expected[assignment], 1e-4, `${assignment}: quadratic field in x\n\n${kernel.toString()}`);
+    assertClose(result[1], 4.4, 1e-4, `${assignment}: linear field in y`);
+
+    // Leave the shared textures alive for the next pass
+    kernel.inForceGridX = kernel.inForceGridY = kernel.inForceGridZ = null;
+    kernel.inPosition = kernel.outForce = null;
+    kernel.dispose();
+  }
+
+  gl.deleteTexture(forceX);
+  gl.deleteTexture(forceY);
+  gl.deleteTexture(forceZ);
+  gl.deleteTexture(inPosition);
+  gl.deleteTexture(outForce);
+  resetGL();
+});
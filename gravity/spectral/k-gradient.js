@@ -10,6 +10,8 @@
 
 import { fsQuadVert } from '../core-shaders.js';
 import { readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from '../multipole/k-bounds-reduce.js';
+import { formatGridSize, gridAxes } from './grid-layout.js';
 import gradientFrag from './shaders/gradient.frag.js';
 
 export class KGradient {
@@ -17,10 +19,11 @@ export class KGradient {
    * @param {{
    *   gl: WebGL2RenderingContext,
    *   inPotentialSpectrum?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
    *   outForceSpectrumX?: WebGLTexture|null,
    *   outForceSpectrumY?: WebGLTexture|null,
    *   outForceSpectrumZ?: WebGLTexture|null,
-   *   gridSize?: number,
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
@@ -32,16 +35,19 @@ export class KGradient {
     this.gl = options.gl;
 
     // Resource slots
-    this.inPotentialSpectrum = (options.inPotentialSpectrum || options.inPotentialSpectrum === null) ? options.inPotentialSpectrum : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
-    this.outForceSpectrumX = (options.outForceSpectrumX || options.outForceSpectrumX === null) ? options.outForceSpectrumX : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
-    this.outForceSpectrumY = (options.outForceSpectrumY || options.outForceSpectrumY === null) ? options.outForceSpectrumY : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
-    this.outForceSpectrumZ = (options.outForceSpectrumZ || options.outForceSpectrumZ === null) ? options.outForceSpectrumZ : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
+    this.inPotentialSpectrum = (options.inPotentialSpectrum || options.inPotentialSpectrum === null) ? options.inPotentialSpectrum : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
+    this.outForceSpectrumX = (options.outForceSpectrumX || options.outForceSpectrumX === null) ? options.outForceSpectrumX : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
+    this.outForceSpectrumY = (options.outForceSpectrumY || options.outForceSpectrumY === null) ? options.outForceSpectrumY : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
+    this.outForceSpectrumZ = (options.outForceSpectrumZ || options.outForceSpectrumZ === null) ? options.outForceSpectrumZ : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Optional KBoundsReduce output; a box there overrides worldSize
+    this.inBounds = (options.inBounds || options.inBounds === null) ? options.inBounds : null;
+
+    // Grid configuration: [nx, ny, nz]
+    this.gridSize = gridAxes(options.gridSize || 64);
     this.slicesPerRow = options.slicesPerRow || 8;
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize[0] * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize[1] * Math.ceil(this.gridSize[2] / this.slicesPerRow));
     this.textureSize = this.textureWidth; // legacy
 
     // World size
@@ -142,7 +148,7 @@ export class KGradient {
     };
 
     value.toString = () =>
-      `KGradient(${this.gridSize}³ grid) texture=${this.textureWidth}×${this.textureHeight} worldSize=[${this.worldSize}] #${this.renderCount}
+      `KGradient(${formatGridSize(this.gridSize)} grid) texture=${this.textureWidth}×${this.textureHeight} worldSize=[${this.worldSize}] #${this.renderCount}
 
 potentialSpectrum: ${value.potentialSpectrum}
 
@@ -218,12 +224,11 @@ potentialSpectrum: ${value.potentialSpectrum}
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_potentialSpectrum'), 0);
 
     // Set common uniforms
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     // Provide packed 3D texture dims
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldSize'),
-      this.worldSize[0], this.worldSize[1], this.worldSize[2]);
+    setWorldBoundsUniforms(gl, this.program, 1, this.inBounds, { min: [0, 0, 0], max: this.worldSize });
 
     // Compute gradient for each axis
     const axes = [
@@ -242,6 +247,8 @@ potentialSpectrum: ${value.potentialSpectrum}
 
     // Cleanup
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.useProgram(null);
@@ -261,11 +268,13 @@ potentialSpectrum: ${value.potentialSpectrum}
     if (this.outFramebufferZ) gl.deleteFramebuffer(this.outFramebufferZ);
 
     if (this.inPotentialSpectrum) gl.deleteTexture(this.inPotentialSpectrum);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
     if (this.outForceSpectrumX) gl.deleteTexture(this.outForceSpectrumX);
     if (this.outForceSpectrumY) gl.deleteTexture(this.outForceSpectrumY);
     if (this.outForceSpectrumZ) gl.deleteTexture(this.outForceSpectrumZ);
 
     this.inPotentialSpectrum = null;
+    this.inBounds = null;
     this.outForceSpectrumX = null;
     this.outForceSpectrumY = null;
     this.outForceSpectrumZ = null;
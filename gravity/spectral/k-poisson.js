@@ -4,11 +4,15 @@
  * KPoisson - Poisson solver in Fourier space
  * 
  * Solves Poisson equation: ∇²φ = 4πGρ → φ(k) = -4πGρ(k) / k²
+ * With inGreenSpectrum (isolated boundaries, see ../isolated-green.js) the
+ * density is multiplied by that free-space spectrum instead.
  * Follows the WebGL2 Kernel contract.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { setWorldBoundsUniforms } from '../multipole/k-bounds-reduce.js';
+import { formatGridSize, gridAxes } from './grid-layout.js';
 import poissonFrag from './shaders/poisson.frag.js';
 
 export class KPoisson {
@@ -16,8 +20,10 @@ export class KPoisson {
   * @param {{
    *   gl: WebGL2RenderingContext,
    *   inDensitySpectrum?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
+   *   inGreenSpectrum?: WebGLTexture|null,
    *   outPotentialSpectrum?: WebGLTexture|null,
-   *   gridSize?: number,
+   *   gridSize?: number | import('./grid-layout.js').GridSize,
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
@@ -33,14 +39,19 @@ export class KPoisson {
     this.gl = options.gl;
 
     // Resource slots
-    this.inDensitySpectrum = (options.inDensitySpectrum || options.inDensitySpectrum === null) ? options.inDensitySpectrum : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
-    this.outPotentialSpectrum = (options.outPotentialSpectrum || options.outPotentialSpectrum === null) ? options.outPotentialSpectrum : createComplexTexture(this.gl, options.textureSize || (options.gridSize || 64) * (options.slicesPerRow || 8));
+    this.inDensitySpectrum = (options.inDensitySpectrum || options.inDensitySpectrum === null) ? options.inDensitySpectrum : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
+    this.outPotentialSpectrum = (options.outPotentialSpectrum || options.outPotentialSpectrum === null) ? options.outPotentialSpectrum : createComplexTexture(this.gl, options.textureSize || gridAxes(options.gridSize || 64)[0] * (options.slicesPerRow || 8));
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Optional KBoundsReduce output; a box there overrides worldSize
+    this.inBounds = (options.inBounds || options.inBounds === null) ? options.inBounds : null;
+    // Optional spectrum of the isolated Green's function; null keeps the periodic solve
+    this.inGreenSpectrum = (options.inGreenSpectrum || options.inGreenSpectrum === null) ? options.inGreenSpectrum : null;
+
+    // Grid configuration: [nx, ny, nz]
+    this.gridSize = gridAxes(options.gridSize || 64);
     this.slicesPerRow = options.slicesPerRow || 8;
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize[0] * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize[1] * Math.ceil(this.gridSize[2] / this.slicesPerRow));
     this.textureSize = this.textureWidth; // legacy
 
     // Physics parameters
@@ -120,6 +131,11 @@ export class KPoisson {
         height: this.textureHeight, count: this.textureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
+      greenSpectrum: this.inGreenSpectrum && readLinear({
+        gl: this.gl, texture: this.inGreenSpectrum, width: this.textureWidth,
+        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
+        channels: ['real', 'imag'], pixels, format: this.gl.RG32F
+      }),
       potentialSpectrum: this.outPotentialSpectrum && readLinear({
         gl: this.gl, texture: this.outPotentialSpectrum, width: this.textureWidth,
         height: this.textureHeight, count: this.textureWidth * this.textureHeight,
@@ -137,10 +153,12 @@ export class KPoisson {
     };
 
     value.toString = () =>
-      `KPoisson(${this.gridSize}³ grid) texture=${this.textureWidth}×${this.textureHeight} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment} #${this.renderCount}
+      `KPoisson(${formatGridSize(this.gridSize)} grid) texture=${this.textureWidth}×${this.textureHeight} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment}${this.inGreenSpectrum ? ' isolated' : ''} #${this.renderCount}
 
 densitySpectrum: ${value.densitySpectrum}
-
+${value.greenSpectrum ? `
+greenSpectrum: ${value.greenSpectrum}
+` : ''}
 → potentialSpectrum: ${value.potentialSpectrum}`;
 
     return value;
@@ -194,23 +212,29 @@ densitySpectrum: ${value.densitySpectrum}
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_densitySpectrum'), 0);
 
     // Set uniforms
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     // Provide packed 3D texture dims
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_gravitationalConstant'), this.gravitationalConstant);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldSize'),
-      this.worldSize[0], this.worldSize[1], this.worldSize[2]);
+    setWorldBoundsUniforms(gl, this.program, 1, this.inBounds, { min: [0, 0, 0], max: this.worldSize });
 
-    // Deconvolution order based on assignment
-    let deconvolveOrder = 2; // CIC default
-    if (this.assignment === 'TSC') deconvolveOrder = 3;
-    if (this.assignment === 'NGP') deconvolveOrder = 1;
+    // Deconvolution order: the deposit window and the window KForceSample gathers with.
+    // CIC and NGP gather trilinearly (sinc²), TSC with its own window (sinc³)
+    let deconvolveOrder = 4; // CIC default
+    if (this.assignment === 'TSC') deconvolveOrder = 6;
+    if (this.assignment === 'NGP') deconvolveOrder = 3;
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_deconvolveOrder'), deconvolveOrder);
 
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_useDiscrete'), this.poissonUseDiscrete ? 1 : 0);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_gaussianSigma'), this.treePMSigma);
 
+    // Isolated solve: the Green's function spectrum (texture unit 2)
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inGreenSpectrum || null);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_greenSpectrum'), 2);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_isolated'), this.inGreenSpectrum ? 1 : 0);
+
     // Set missing uniforms with defaults
   gl.uniform1i(gl.getUniformLocation(this.program, 'u_splitMode'), this.splitMode);
   gl.uniform1f(gl.getUniformLocation(this.program, 'u_kCut'), this.kCut);
@@ -222,6 +246,10 @@ densitySpectrum: ${value.densitySpectrum}
 
     // Cleanup
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.useProgram(null);
@@ -237,9 +265,13 @@ densitySpectrum: ${value.densitySpectrum}
     if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
 
     if (this.inDensitySpectrum) gl.deleteTexture(this.inDensitySpectrum);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
+    if (this.inGreenSpectrum) gl.deleteTexture(this.inGreenSpectrum);
     if (this.outPotentialSpectrum) gl.deleteTexture(this.outPotentialSpectrum);
 
     this.inDensitySpectrum = null;
+    this.inBounds = null;
+    this.inGreenSpectrum = null;
     this.outPotentialSpectrum = null;
     this._fboShadow = null;
   }
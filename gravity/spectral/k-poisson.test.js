@@ -3,7 +3,8 @@
 import assert from 'node:assert';
 import { test } from 'node:test';
 
-import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture } from '../test-utils.js';
+import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KGradient } from './k-gradient.js';
 import { KPoisson } from './k-poisson.js';
 
 /**
@@ -195,3 +196,67 @@ test('KPoisson: multiple frequencies', async () => {
   gl.deleteTexture(inDensitySpectrum);
   gl.deleteTexture(outPotentialSpectrum);
 });
+
+/**
+ * Test 4: Deconvolution of a matched deposit and gather
+ * The deposit smears a mode by its window and the gather smears the force by its
+ * own (trilinear sinc² for NGP and CIC, sinc³ for TSC), so the solve divides by
+ * both: the force spectrum times sinc^order is the free-space 4πG·ρ(k)/k.
+ */
+test('KPoisson: single-mode force amplitude survives the deposit and gather windows', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+  const gravitationalConstant = 4.0 * Math.PI * 0.001;
+  const L = 4.0;
+
+  // k_x = 1: k = 2π/L, per-axis window sinc(π/4) (sinc(0) = 1 on the others)
+  const k = 2 * Math.PI / L;
+  const sinc = Math.sin(Math.PI / 4) / (Math.PI / 4);
+
+  for (const [assignment, order] of /** @type {const} */ ([['NGP', 3], ['CIC', 4], ['TSC', 6]])) {
+    const inDensitySpectrum = createComplexTexture(gl, textureSize, (x, y) => {
+      if (x === 1 && y === 0) return [1.0, 0.0];
+      return [0.0, 0.0];
+    });
+
+    const poisson = new KPoisson({
+      gl,
+      inDensitySpectrum,
+      gridSize,
+      slicesPerRow,
+      textureSize,
+      gravitationalConstant,
+      worldSize: [L, L, L],
+      assignment
+    });
+    poisson.run();
+
+    const gradient = new KGradient({
+      gl,
+      inPotentialSpectrum: poisson.outPotentialSpectrum,
+      gridSize,
+      slicesPerRow,
+      textureSize,
+      worldSize: [L, L, L]
+    });
+    gradient.run();
+
+    // F(k) = -ik·φ(k): a purely imaginary x force for a real density mode
+    const forceX = readTexture(gl, /** @type {WebGLTexture} */ (gradient.outForceSpectrumX), textureSize, textureSize);
+    const window = Math.pow(sinc, order);
+    const expected = gravitationalConstant / k;
+    assertClose(forceX[4 + 0], 0, 1e-6, `${assignment}: real part`);
+    assertClose(forceX[4 + 1] * window, expected, expected * 1e-4,
+      `${assignment}: force amplitude after the deposit and gather windows\n\n${poisson.toString()}`);
+
+    // The gradient borrows the potential spectrum
+    gradient.inPotentialSpectrum = null;
+    disposeKernel(gradient);
+    disposeKernel(poisson);
+  }
+
+  resetGL();
+});
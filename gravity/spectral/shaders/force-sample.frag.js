@@ -4,9 +4,13 @@
  * Force Sampling Fragment Shader
  * 
  * Samples force field from PM grid at particle positions
- * Uses trilinear interpolation for smooth force field
+ * Uses trilinear interpolation for smooth force field, or the TSC window over
+ * the 27 nodes around the nearest one when the mass was deposited with TSC.
+ * Escapers outside the box take the box's monopole from u_moment instead.
  */
 
+import { worldBoundsGLSL } from '../../multipole/k-bounds-reduce.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -19,23 +23,25 @@ uniform sampler2D u_forceGridX;  // X-component of force field
 uniform sampler2D u_forceGridY;  // Y-component
 uniform sampler2D u_forceGridZ;  // Z-component
 
-uniform float u_gridSize;        // Grid resolution (N)
+uniform vec3 u_gridSize;         // Grid resolution per axis
 uniform float u_slicesPerRow;    // Z-slices per row
-uniform vec3 u_worldMin;         // World bounds
-uniform vec3 u_worldMax;
 uniform vec2 u_textureSize; // packed 3D grid texture size (width, height)
 uniform vec2 u_particleTextureSize; // particle sheet size (width, height)
-
+uniform bool u_tsc;              // gather with the TSC window instead of trilinear
+uniform sampler2D u_moment;      // 1×1: (Σm·x, Σm·y, Σm·z, Σm) of the deposited particles
+uniform float u_G;
+uniform float u_softening;
+${worldBoundsGLSL}
 /**
  * Convert 3D voxel coordinates to 2D texture coordinates
  */
-vec2 voxelToTexCoord(vec3 voxel, float gridSize, float slicesPerRow) {
+vec2 voxelToTexCoord(vec3 voxel, vec3 gridSize, float slicesPerRow) {
   int iz = int(voxel.z);
   int sliceRow = iz / int(slicesPerRow);
   int sliceCol = iz - sliceRow * int(slicesPerRow);
   
-  float texX = float(sliceCol * int(gridSize)) + voxel.x + 0.5;
-  float texY = float(sliceRow * int(gridSize)) + voxel.y + 0.5;
+  float texX = float(sliceCol * int(gridSize.x)) + voxel.x + 0.5;
+  float texY = float(sliceRow * int(gridSize.y)) + voxel.y + 0.5;
   
   // Normalize by the actual 2D texture width/height
   return vec2(texX / u_textureSize.x, texY / u_textureSize.y);
@@ -45,7 +51,7 @@ vec2 voxelToTexCoord(vec3 voxel, float gridSize, float slicesPerRow) {
  * Trilinear interpolation
  * Sample value from 3D grid stored as 2D texture
  */
-float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float slicesPerRow) {
+float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, vec3 gridSize, float slicesPerRow) {
   // Get integer cell coordinates (floor)
   vec3 cell = floor(gridPos);
   
@@ -53,7 +59,7 @@ float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float sl
   vec3 frac = gridPos - cell;
   
   // Clamp to grid bounds
-  cell = clamp(cell, vec3(0.0), vec3(gridSize - 1.0));
+  cell = clamp(cell, vec3(0.0), gridSize - 1.0);
   
   // Sample 8 corners of the cube
   vec3 corners[8];
@@ -68,7 +74,7 @@ float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float sl
   
   // Clamp corners to grid bounds
   for (int i = 0; i < 8; i++) {
-    corners[i] = clamp(corners[i], vec3(0.0), vec3(gridSize - 1.0));
+    corners[i] = clamp(corners[i], vec3(0.0), gridSize - 1.0);
   }
   
   // Sample values at 8 corners
@@ -94,18 +100,63 @@ float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float sl
   return mix(c0, c1, frac.z);
 }
 
+/**
+ * TSC interpolation: the deposit's weights read back from the 27 nodes
+ * around the nearest grid point, so a particle feels no self-force.
+ */
+float sampleGridTSC(sampler2D gridTexture, vec3 gridPos, vec3 gridSize, float slicesPerRow) {
+  vec3 nearest = floor(gridPos + 0.5);
+  vec3 d = gridPos - nearest;
+
+  // Per-axis weights for offsets -1, 0, +1
+  vec3 wm = 0.5 * (0.5 - d) * (0.5 - d);
+  vec3 w0 = 0.75 - d * d;
+  vec3 wp = 0.5 * (0.5 + d) * (0.5 + d);
+
+  float sum = 0.0;
+  for (int k = -1; k <= 1; k++) {
+    float wz = k < 0 ? wm.z : k == 0 ? w0.z : wp.z;
+    for (int j = -1; j <= 1; j++) {
+      float wy = j < 0 ? wm.y : j == 0 ? w0.y : wp.y;
+      for (int i = -1; i <= 1; i++) {
+        float wx = i < 0 ? wm.x : i == 0 ? w0.x : wp.x;
+        vec3 node = clamp(nearest + vec3(i, j, k), vec3(0.0), gridSize - 1.0);
+        vec2 uv = voxelToTexCoord(node, gridSize, slicesPerRow);
+        sum += wx * wy * wz * texture(gridTexture, uv).r;
+      }
+    }
+  }
+  return sum;
+}
+
 void main() {
-  // Convert world position to grid coordinates [0, N]
-  vec3 worldSize = u_worldMax - u_worldMin;
-  vec3 gridPos = (v_particlePosition - u_worldMin) / worldSize * u_gridSize;
+  vec3 worldMin, worldMax;
+  readWorldBounds(worldMin, worldMax);
+
+  if (isEscaper(v_particlePosition, worldMin, worldMax)) {
+    vec4 moment = texelFetch(u_moment, ivec2(0, 0), 0);
+    outForce = vec4(u_G * escaperForce(v_particlePosition, moment, max(u_softening, 1e-6)), v_particleMass);
+    return;
+  }
+
+  // Convert world position to grid coordinates [0, gridSize]
+  vec3 worldSize = worldMax - worldMin;
+  vec3 gridPos = (v_particlePosition - worldMin) / worldSize * u_gridSize;
   
   // Clamp to valid range
-  gridPos = clamp(gridPos, vec3(0.0), vec3(u_gridSize - 1.0));
+  gridPos = clamp(gridPos, vec3(0.0), u_gridSize - 1.0);
   
-  // Sample force components using trilinear interpolation
-  float fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
-  float fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
-  float fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  // Sample force components with the deposit's window
+  float fx, fy, fz;
+  if (u_tsc) {
+    fx = sampleGridTSC(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGridTSC(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGridTSC(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  } else {
+    fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  }
   
   // Output force (will be added to particle velocity)
   // Store in RGB, mass in A for reference
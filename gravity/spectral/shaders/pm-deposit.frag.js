@@ -4,7 +4,9 @@
  * PM Deposit Fragment Shader
  * 
  * Deposits particle mass into grid cell using additive blending.
- * Supports NGP (Nearest Grid Point) and CIC (Cloud-In-Cell) schemes.
+ * Supports NGP (Nearest Grid Point), CIC (Cloud-In-Cell) and TSC
+ * (Triangular-Shaped Cloud) schemes.
+ * The moment pass writes (m·x, m·y, m·z, m) instead.
  */
 
 export default /* glsl */`#version 300 es
@@ -13,11 +15,18 @@ precision highp float;
 // From vertex shader
 in float v_mass;
 in float v_weight;
+in vec3 v_worldPos;
+
+uniform bool u_moment;
 
 // Output: mass in red channel
 out vec4 outColor;
 
 void main() {
+  if (u_moment) {
+    outColor = vec4(v_worldPos * v_mass, v_mass);
+    return;
+  }
   // Write mass into the red channel only. Alpha is unused for the mass texture.
   outColor = vec4(v_mass * v_weight, 0.0, 0.0, 0.0);
 }
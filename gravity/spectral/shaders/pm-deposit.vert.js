@@ -5,9 +5,13 @@
  * 
  * Deposits particle mass onto PM grid using point sprites.
  * Each particle is rendered as a point, and the fragment shader
- * distributes mass to nearby grid cells (CIC or NGP scheme).
+ * distributes mass to nearby grid cells (NGP, CIC or TSC scheme).
+ * With u_moment set, every particle lands on the single texel of a 1×1 target
+ * instead, carrying its position for the box's mass moment.
  */
 
+import { worldBoundsGLSL } from '../../multipole/k-bounds-reduce.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -16,19 +20,19 @@ uniform sampler2D u_positions;
 uniform vec2 u_particleTextureSize;
 
 // Grid parameters
-uniform float u_gridSize;        // Grid resolution (N)
+uniform vec3 u_gridSize;         // Grid resolution per axis
 uniform float u_slicesPerRow;    // Z-slices per row
-uniform vec3 u_worldMin;         // World space bounds
-uniform vec3 u_worldMax;
 uniform float u_particleSize;    // Point size for deposition kernel
-uniform int u_assignment;        // 0 = NGP, 1 = CIC
-uniform vec3 u_cellOffset;       // Offset applied for CIC (0 or 1 per axis)
+uniform int u_assignment;        // 0 = NGP, 1 = CIC, 2 = TSC
+uniform vec3 u_cellOffset;       // CIC: 0 or 1 per axis from the cell below; TSC: -1, 0 or 1 from the nearest
 uniform vec2 u_textureSize;      // 2D packed texture size (width, height)
-
+uniform bool u_moment;           // sum (m·x, m·y, m·z, m) into a 1×1 target instead
+${worldBoundsGLSL}
 // Outputs to fragment shader
 out float v_mass;
-out vec3 v_gridPos;  // Position in grid space [0, N]
-out float v_weight;  // CIC weight per offset
+out vec3 v_worldPos;
+out vec3 v_gridPos;  // Position in grid space [0, gridSize]
+out float v_weight;  // CIC/TSC weight per offset
 
 void main() {
   // Get particle index from gl_VertexID
@@ -44,11 +48,44 @@ void main() {
   vec4 posData = texture(u_positions, texCoord);
   vec3 worldPos = posData.xyz;
   float mass = posData.w;
+
+  // Removed or unused particle slots carry mass <= 0: cull instead of depositing
+  if (isnan(mass) || mass <= 0.0) {
+    v_mass = 0.0;
+    v_worldPos = vec3(0.0);
+    v_gridPos = vec3(0.0);
+    v_weight = 0.0;
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
   
   v_mass = mass;
+  v_worldPos = worldPos;
   
-  // Convert world position to grid coordinates [0, N]
-  vec3 gridPos = (worldPos - u_worldMin) / (u_worldMax - u_worldMin) * u_gridSize;
+  vec3 worldMin, worldMax;
+  readWorldBounds(worldMin, worldMax);
+
+  // Escapers stay off the grid; the force sampler pulls them by the box's moment
+  if (isEscaper(worldPos, worldMin, worldMax)) {
+    v_mass = 0.0;
+    v_gridPos = vec3(0.0);
+    v_weight = 0.0;
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+
+  if (u_moment) {
+    v_gridPos = vec3(0.0);
+    v_weight = 1.0;
+    gl_Position = vec4(0.0, 0.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+    return;
+  }
+
+  // Convert world position to grid coordinates [0, gridSize]
+  vec3 gridPos = (worldPos - worldMin) / (worldMax - worldMin) * u_gridSize;
   v_gridPos = gridPos;
   
   vec3 baseVoxelF = floor(gridPos);
@@ -64,12 +101,22 @@ void main() {
     voxel += ivec3(offset);
 
     // clamp inside grid
-    voxel = clamp(voxel, ivec3(0), ivec3(int(u_gridSize) - 1));
+    voxel = clamp(voxel, ivec3(0), ivec3(u_gridSize) - 1);
 
     vec3 w = mix(1.0 - frac, frac, offset);
     weight = w.x * w.y * w.z;
+  } else if (u_assignment == 2) {
+    // TSC spreads over the 27 cells around the nearest grid point, d in [-0.5, 0.5]
+    vec3 nearest = floor(gridPos + 0.5);
+    vec3 d = gridPos - nearest;
+    vec3 offset = u_cellOffset;
+    voxel = clamp(ivec3(nearest + offset), ivec3(0), ivec3(u_gridSize) - 1);
+
+    vec3 side = 0.5 + offset * d;
+    vec3 w = mix(vec3(0.75) - d * d, 0.5 * side * side, abs(offset));
+    weight = w.x * w.y * w.z;
   } else {
-    voxel = clamp(voxel, ivec3(0), ivec3(int(u_gridSize) - 1));
+    voxel = clamp(voxel, ivec3(0), ivec3(u_gridSize) - 1);
   }
   v_weight = weight;
   
@@ -79,8 +126,8 @@ void main() {
 
   
   vec2 texel = vec2(
-    float(sliceCol * int(u_gridSize) + voxel.x) + 0.5,
-    float(sliceRow * int(u_gridSize) + voxel.y) + 0.5
+    float(sliceCol * int(u_gridSize.x) + voxel.x) + 0.5,
+    float(sliceRow * int(u_gridSize.y) + voxel.y) + 0.5
   );
   
   // Convert to NDC [-1, 1]
@@ -8,8 +8,13 @@
  * 
  * Input: Mass density spectrum ρ(k) (complex RG)
  * Output: Potential spectrum φ(k) (complex RG)
+ *
+ * Isolated: φ(k) = G·ρ(k)·Ĝ(k), with Ĝ the spectrum of the free-space kernel
+ * on the doubled grid (real, as the kernel is mirrored); k = 0 is kept.
  */
 
+import { worldBoundsGLSL } from '../../multipole/k-bounds-reduce.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -17,28 +22,29 @@ in vec2 v_uv;
 out vec4 outColor;
 
 uniform sampler2D u_densitySpectrum;
-uniform float u_gridSize;
+uniform vec3 u_gridSize;
 uniform float u_slicesPerRow;
 uniform vec2 u_textureSize;
 uniform float u_gravitationalConstant;  // 4πG
-uniform vec3 u_worldSize;              // Physical size per axis of simulation box
 uniform int u_splitMode;               // 0 = none, 1 = hard cutoff, 2 = Gaussian
 uniform float u_kCut;                  // Cutoff wavenumber (rad / unit length)
 uniform float u_gaussianSigma;         // Sigma for Gaussian split (length)
-uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC
+uniform int u_deconvolveOrder;         // power of the sinc window: 0 = none, 3 = NGP, 4 = CIC, 6 = TSC
 uniform int u_useDiscrete;             // 1 = use discrete Laplacian eigenvalue
-
+uniform bool u_isolated;               // multiply by u_greenSpectrum instead of -4πG/k²
+uniform sampler2D u_greenSpectrum;     // spectrum of ΔV·(-1/r) on the doubled grid
+${worldBoundsGLSL}
 const float PI = 3.14159265359;
 const float TWO_PI = 6.28318530718;
 
 // Convert 2D texture coords to 3D voxel coords
-ivec3 texCoordToVoxel(vec2 uv, float gridSize, float slicesPerRow) {
+ivec3 texCoordToVoxel(vec2 uv, vec3 gridSize, float slicesPerRow) {
   // Map uv -> texel coordinates using actual texture dimensions, then subtract 0.5
   vec2 texel = uv * u_textureSize - 0.5;
-  int sliceIndex = int(texel.y / gridSize) * int(slicesPerRow) + int(texel.x / gridSize);
+  int sliceIndex = int(texel.y / gridSize.y) * int(slicesPerRow) + int(texel.x / gridSize.x);
   int iz = sliceIndex;
-  int ix = int(mod(texel.x, gridSize));
-  int iy = int(mod(texel.y, gridSize));
+  int ix = int(mod(texel.x, gridSize.x));
+  int iy = int(mod(texel.y, gridSize.y));
   return ivec3(ix, iy, iz);
 }
 
@@ -54,25 +60,29 @@ float sinc(float x) {
 
 void main() {
   ivec3 voxel = texCoordToVoxel(v_uv, u_gridSize, u_slicesPerRow);
-  int N = int(u_gridSize);
-  vec3 L = u_worldSize;
+  ivec3 N = ivec3(u_gridSize);
+  // Physical size per axis of the box the density was deposited into
+  vec3 worldMin, worldMax;
+  readWorldBounds(worldMin, worldMax);
+  vec3 L = worldMax - worldMin;
   vec3 d = L / u_gridSize;
 
   // Read density spectrum
   vec2 rho_k = texture(u_densitySpectrum, v_uv).rg;
 
-  // Wave indices on [-N/2, N/2)
+  // Wave indices on [-N/2, N/2) per axis
   vec3 kg;
-  kg.x = float(voxel.x <= N/2 ? voxel.x : voxel.x - N);
-  kg.y = float(voxel.y <= N/2 ? voxel.y : voxel.y - N);
-  kg.z = float(voxel.z <= N/2 ? voxel.z : voxel.z - N);
+  kg.x = float(voxel.x <= N.x/2 ? voxel.x : voxel.x - N.x);
+  kg.y = float(voxel.y <= N.y/2 ? voxel.y : voxel.y - N.y);
+  kg.z = float(voxel.z <= N.z/2 ? voxel.z : voxel.z - N.z);
 
   // 1. Deconvolution of assignment window (NGP/CIC/TSC)
-  // This corrects for the smearing effect of the mass assignment scheme.
+  // This corrects for the smearing of the mass assignment and of the force gather:
+  // sinc¹ or sinc² from the deposit, times sinc² from a trilinear gather or sinc³ from TSC.
   if (u_deconvolveOrder > 0) {
-    float wx = pow(max(sinc(kg.x * PI / u_gridSize), 1e-4), float(u_deconvolveOrder));
-    float wy = pow(max(sinc(kg.y * PI / u_gridSize), 1e-4), float(u_deconvolveOrder));
-    float wz = pow(max(sinc(kg.z * PI / u_gridSize), 1e-4), float(u_deconvolveOrder));
+    float wx = pow(max(sinc(kg.x * PI / u_gridSize.x), 1e-4), float(u_deconvolveOrder));
+    float wy = pow(max(sinc(kg.y * PI / u_gridSize.y), 1e-4), float(u_deconvolveOrder));
+    float wz = pow(max(sinc(kg.z * PI / u_gridSize.z), 1e-4), float(u_deconvolveOrder));
     float window = max(wx * wy * wz, 1e-4);
     rho_k /= window;
   }
@@ -81,9 +91,9 @@ void main() {
   float k2;
   if (u_useDiscrete == 1) {
     // Discrete Laplacian eigenvalue on the grid: k_eff^2 = sum_i (2/Δx_i * sin(π*k_i/N))^2
-    float sx = sin(PI * kg.x / u_gridSize);
-    float sy = sin(PI * kg.y / u_gridSize);
-    float sz = sin(PI * kg.z / u_gridSize);
+    float sx = sin(PI * kg.x / u_gridSize.x);
+    float sy = sin(PI * kg.y / u_gridSize.y);
+    float sz = sin(PI * kg.z / u_gridSize.z);
     vec3 inv_d = 2.0 / d;
     vec3 k_eff = inv_d * vec3(sx, sy, sz);
     k2 = dot(k_eff, k_eff);
@@ -111,7 +121,10 @@ void main() {
   }
 
   vec2 phi_k = vec2(0.0);
-  if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
+  if (u_isolated) {
+    // u_gravitationalConstant carries 4π for the periodic Green's function
+    phi_k = rho_k * texture(u_greenSpectrum, v_uv).r * u_gravitationalConstant / (4.0 * PI);
+  } else if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
     float green = -u_gravitationalConstant / k2;
     phi_k = rho_k * green;
   } else {
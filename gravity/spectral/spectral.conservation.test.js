@@ -3,6 +3,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { GravitySpectral } from './gravity-spectral.js';
+import { particleSystem } from '../gravity.js';
 
 /**
  * Create offscreen canvas with WebGL2 context
@@ -153,6 +154,17 @@ function computeAngularMomentum(positions, velocities, count) {
   return [Lx, Ly, Lz];
 }
 
+/**
+ * Equal-mass binary on a circular orbit of separation 1 around the origin.
+ * Relative speed √(G·(m1+m2)/r) = 1 at G = 0.5, so each body moves at 0.5 and the period is 2π.
+ */
+function createBinary() {
+  return [
+    { x: -0.5, y: 0, z: 0, vx: 0, vy: -0.5, vz: 0, mass: 1 },
+    { x: 0.5, y: 0, z: 0, vx: 0, vy: 0.5, vz: 0, mass: 1 }
+  ];
+}
+
 /**
  * Test 1: Energy conservation in isolated system
  */
@@ -393,3 +405,32 @@ test('spectral-kernels.conservation: angular momentum conserved in rotating syst
   canvas.remove();
 });
 
+/**
+ * Test 4: Leapfrog-KDK momentum on a binary orbit
+ */
+test('spectral-kernels.conservation: leapfrog-kdk keeps binary momentum', async () => {
+  const { canvas, gl } = createTestCanvas();
+
+  const ps = particleSystem({
+    gl,
+    particles: createBinary(),
+    method: 'spectral',
+    integrator: 'leapfrog-kdk',
+    gravityStrength: 0.5,
+    softening: 0.05,
+    dt: 0.05,
+    mesh: { gridSize: 16 },
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  for (let i = 0; i < 20; i++) ps.compute();
+  const { positions, velocities, masses } = ps.unloadSubset({ start: 0, count: 2 });
+  for (const v of [...positions, ...velocities]) assert.ok(Number.isFinite(v), 'State must stay finite');
+
+  // Equal masses: total momentum starts at zero
+  const py = masses[0] * velocities[1] + masses[1] * velocities[4];
+  assert.ok(Math.abs(py) < 0.05, `Momentum py=${py}`);
+
+  ps.dispose();
+  canvas.remove();
+});
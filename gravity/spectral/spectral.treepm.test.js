@@ -0,0 +1,52 @@
+// @ts-check
+
+/**
+ * TreePM: the filtered spectral pull plus the split tree walk should add up to
+ * Newton both for a pair inside the split radius and for one well outside it.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from '../gravity.js';
+import { assertClose, readTexture } from '../test-utils.js';
+
+test('treepm: close and far pairs pull with free-space strength', async () => {
+  const canvas = document.createElement('canvas');
+  const gl = /** @type {WebGL2RenderingContext} */ (canvas.getContext('webgl2'));
+  gl.getExtension('EXT_color_buffer_float');
+
+  const G = 0.001, dt = 0.1;
+  // 32³ cells over a 4-unit box: r_s defaults to 1.25 cells = 0.156, the cutoff to 0.70
+  for (const [separation, tolerance] of [[0.3, 0.15], [1, 0.1]]) {
+    const ps = particleSystem({
+      gl,
+      method: 'treepm',
+      particles: [{ x: -separation / 2, mass: 1 }, { x: separation / 2, mass: 1 }],
+      gravityStrength: G,
+      softening: 0.01,
+      dt,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+      mesh: { boundary: 'isolated', gridSize: 32 }
+    });
+    ps.compute();
+
+    const { width, height } = ps.getTextureSize();
+    const vel = readTexture(gl, ps.getVelocityTexture(), width, height);
+    const expected = G / (separation * separation) * dt;
+    assert.ok(vel[0] > 0 && vel[4] < 0, `r = ${separation}: pair should attract, vx = ${vel[0]}, ${vel[4]}`);
+    assertClose(vel[0], expected, tolerance * expected, `r = ${separation}: mesh plus tree pull`);
+
+    ps.dispose();
+  }
+
+  const particles = [{ x: 0, mass: 1 }];
+  assert.throws(
+    () => particleSystem({ gl, particles, method: 'treepm', mesh: { splitRadius: -1 } }),
+    /treePM.splitRadius must be positive/);
+  assert.throws(
+    () => particleSystem({ gl, particles, method: 'treepm', boundary: 'periodic' }),
+    /boundary 'periodic' is only supported by the tree methods/);
+
+  canvas.remove();
+});
@@ -2,6 +2,7 @@
 
 export { massSpotMesh } from './mass-spot-mesh.js';
 export { particleSystem } from './gravity/gravity.js';
+export { measureForceError } from './gravity/force-error.js';
 export { GraphLaplacian } from './graph/laplacian/graph-laplacian.js';
 export { GraphLayout } from './graph/layout.js';
 export const version = '2.0.18';
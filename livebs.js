@@ -734,7 +734,6 @@ const colors = new Uint8Array(MAX_PARTICLES * 4);
 
 const { scene, renderer } = createScene();
 
-/** @type {import('./gravity/multipole/gravity-monopole.js').GravityMonopole} */
 const physics = particleSystem({
   gl: renderer.getContext(),
   gravityStrength: 0.0003,
@@ -755,8 +754,8 @@ const { mesh } = massSpotMesh({
   textureMode: true,
   particleCount: MAX_PARTICLES,
   textures: {
-    position: physics.positionTexture,
-    size: [physics.textureWidth, physics.textureHeight]
+    position: physics.getPositionTexture(),
+    size: [physics.getTextureSize().width, physics.getTextureSize().height]
   },
   fog: { start: 15, gray: 40 }
 });
@@ -765,8 +764,8 @@ scene.add(mesh);
 
 // Animation loop
 function animate() {
-  physics.step();
-  mesh.material.uniforms.u_positionTexture.value = physics.positionTexture;
+  physics.compute();
+  mesh.material.uniforms.u_positionTexture.value = physics.getPositionTexture();
   requestAnimationFrame(animate);
 }
 animate();